@@ -0,0 +1,303 @@
+/**
+ * Data classification: labels properties Public, Internal, Confidential or
+ * PII so sensitive data is called out wherever the schema is published.
+ *
+ * Labels come from, in order of precedence:
+ *   1. Custom rules from config, matching a property's name, path or type
+ *   2. Sampled values: payment card numbers passing the Luhn check, IBANs
+ *      with a valid checksum, IP addresses, national ID numbers, postcodes,
+ *      and values already detected as emails or phone numbers
+ *   3. Property names such as `ssn`, `dateOfBirth` or `iban`
+ * Properties nested in a labelled object or array (`address.line1`) take
+ * its label when their own is lower, unless a custom rule labelled them.
+ *
+ * Value matches are counted per property while documents are walked, so
+ * they live in the schema state and merge like every other count.
+ */
+
+import { isIP } from 'net';
+import { compilePathGlob } from '../utils/pathGlob.js';
+
+// Least to most sensitive
+export const CLASSIFICATION_LABELS = ['Public', 'Internal', 'Confidential', 'PII'];
+
+// Labels highlighted in summaries and snapshot diffs
+const SENSITIVE_LABELS = ['Confidential', 'PII'];
+
+// Share of a property's string values that must match a detector
+const MIN_VALUE_SHARE = 0.5;
+
+// Value detectors only look at strings up to this length
+const MAX_VALUE_LENGTH = 64;
+
+// Property names, lowercased with separators removed. Suffixes count
+// ("customerEmail", "billingAddress") unless anchored, and names matching
+// `exclude` do not; earlier entries win.
+const NAME_RULES = [
+  { label: 'PII', kind: 'a national ID', pattern: /^(ssn|socialsecurity(number|no)?|nationalid(number)?|nationalinsurance(number|no)?|nino|taxid|passport(number|no)?|driverslicen[cs]e(number|no)?)s?$/ },
+  { label: 'PII', kind: 'a date of birth', pattern: /(dob|dateofbirth|birthdate|birthday)s?$/ },
+  { label: 'PII', kind: 'bank details', pattern: /(iban|bankaccount(number)?|accountnumber|sortcode|routingnumber)s?$/ },
+  { label: 'PII', kind: 'a payment card', pattern: /(cardnumber|creditcard(number)?|cvv|cvc)s?$/ },
+  { label: 'PII', kind: 'contact details', pattern: /(email(address)?|phone(number)?|telephone)s?$|^mobile(number)?s?$/ },
+  { label: 'PII', kind: 'an IP address', pattern: /^(ip|ipaddress|clientip(address)?|remoteip(address)?)(es|s)?$/ },
+  { label: 'PII', kind: 'an address', pattern: /(address(line\d)?|street(address)?|postcode|postalcode|zipcode)(es|s)?$|^zips?$/, exclude: /(mac|ip(v[46])?|wallet)address(es)?$/ },
+  { label: 'PII', kind: 'a personal name', pattern: /(firstname|lastname|fullname|surname|givenname|familyname|middlename|maidenname)s?$/ },
+  { label: 'Confidential', kind: 'a credential', pattern: /(password(hash)?|passwd|secret|apikey|accesskey|accesstoken|refreshtoken|privatekey|connectionstring)s?$/ },
+  { label: 'Confidential', kind: 'pay', pattern: /^(salary|salaries|wage|income|bonus)s?$/ }
+];
+
+// Value detectors: a matching value counts towards the property's label
+const VALUE_DETECTORS = {
+  creditCard: value => /^\d(?:[ -]?\d){12,18}$/.test(value) && passesLuhn(value.replace(/\D/g, '')),
+  iban: value => isIban(value.replace(/ /g, '').toUpperCase()),
+  ipAddress: value => isIP(value) !== 0,
+  nationalId: value => /^(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}$/.test(value) ||
+    /^[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]$/i.test(value),
+  postcode: value => /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i.test(value) || /^\d{5}-\d{4}$/.test(value)
+};
+
+// Detected types counted as personal data
+const PERSONAL_TYPES = ['email', 'phone'];
+
+// Wording for value matches in reasons
+const VALUE_KINDS = {
+  creditCard: 'payment card numbers',
+  iban: 'IBANs',
+  ipAddress: 'IP addresses',
+  nationalId: 'national ID numbers',
+  postcode: 'postcodes',
+  email: 'email addresses',
+  phone: 'phone numbers'
+};
+
+/**
+ * Counts a property's string values, and those matching each detector, as
+ * prop.sensitiveValues = { values, matches: { detector: count } }.
+ * @param {object} prop - Property state (modified in place)
+ * @param {any} value - Value just walked
+ * @param {string} type - Its detected type
+ */
+export function recordSensitiveValues(prop, value, type) {
+  if (typeof value !== 'string' || value === '') return;
+
+  const counts = prop.sensitiveValues ??= { values: 0, matches: {} };
+  counts.values++;
+
+  if (PERSONAL_TYPES.includes(type)) {
+    counts.matches[type] = (counts.matches[type] || 0) + 1;
+    return;
+  }
+  if (value.length > MAX_VALUE_LENGTH) return;
+  for (const [detector, matches] of Object.entries(VALUE_DETECTORS)) {
+    if (matches(value)) {
+      counts.matches[detector] = (counts.matches[detector] || 0) + 1;
+      break;
+    }
+  }
+}
+
+/**
+ * Folds one property state's value matches into another's.
+ * @param {object} target - Property state (modified in place)
+ * @param {object} source - Property state of the same path
+ */
+export function mergeSensitiveValues(target, source) {
+  if (!source.sensitiveValues) return;
+  if (!target.sensitiveValues) {
+    target.sensitiveValues = structuredClone(source.sensitiveValues);
+    return;
+  }
+  target.sensitiveValues.values += source.sensitiveValues.values;
+  for (const [detector, count] of Object.entries(source.sensitiveValues.matches)) {
+    target.sensitiveValues.matches[detector] = (target.sensitiveValues.matches[detector] || 0) + count;
+  }
+}
+
+/**
+ * Labels each property as prop.classification = { label, reasons }.
+ * Properties nothing flags get options.defaultLabel (with no reasons) or
+ * stay unlabelled.
+ * @param {object} properties - Schema properties (modified in place)
+ * @param {object} [options] - Classification settings
+ * @param {string|null} [options.defaultLabel] - Label for properties nothing flags
+ * @param {object[]} [options.rules] - Custom rules: { label, name?, path?, type?, reason? }
+ */
+export function classifyProperties(properties, options = {}) {
+  const rules = (options.rules || []).map(compileRule);
+  const byRule = new Set();
+
+  for (const prop of Object.values(properties)) {
+    const rule = rules.find(candidate => candidate.matches(prop));
+    if (rule) {
+      prop.classification = { label: rule.label, reasons: [rule.reason] };
+      byRule.add(prop.path);
+    } else {
+      const classification = classifyByValues(prop) || classifyByName(prop);
+      if (classification) prop.classification = classification;
+    }
+  }
+
+  // Parents first, so labels pass down through every level
+  const byDepth = Object.values(properties).sort((a, b) => a.path.length - b.path.length);
+  for (const prop of byDepth) {
+    const parent = prop.parentPath && properties[prop.parentPath];
+    if (!parent?.classification || byRule.has(prop.path)) continue;
+    if (rankLabel(parent.classification.label) > rankLabel(prop.classification?.label)) {
+      prop.classification = { label: parent.classification.label, reasons: [`inside \`${parent.path}\``] };
+    }
+  }
+
+  if (options.defaultLabel) {
+    for (const prop of byDepth) {
+      prop.classification ??= { label: options.defaultLabel, reasons: [] };
+    }
+  }
+}
+
+/**
+ * Counts a schema's labelled properties per label, most sensitive first.
+ * @param {object} properties - Schema properties
+ * @returns {{label: string, count: number}[]} Labels with at least one property
+ */
+export function countClassifications(properties) {
+  return [...CLASSIFICATION_LABELS].reverse()
+    .map(label => ({
+      label,
+      count: Object.values(properties).filter(prop => prop.classification?.label === label).length
+    }))
+    .filter(entry => entry.count > 0);
+}
+
+/**
+ * Lists a schema's properties labelled Confidential or PII, most sensitive first.
+ * @param {object} properties - Schema properties
+ * @returns {object[]} Properties in path order within each label
+ */
+export function listSensitiveProperties(properties) {
+  return Object.values(properties)
+    .filter(prop => isSensitiveLabel(prop.classification?.label))
+    .sort((a, b) => rankLabel(b.classification.label) - rankLabel(a.classification.label) || a.path.localeCompare(b.path));
+}
+
+/**
+ * Lists containers holding Confidential or PII properties, in database order.
+ * @param {object} databases - Databases with their container names
+ * @param {object} containerSchemas - Schemas keyed "database/container"
+ * @returns {{database: string, container: string, counts: object[]}[]}
+ */
+export function listSensitiveContainers(databases, containerSchemas) {
+  const entries = [];
+  for (const [database, dbInfo] of Object.entries(databases)) {
+    for (const container of dbInfo.containers) {
+      const properties = containerSchemas[`${database}/${container}`]?.properties || {};
+      const counts = countClassifications(properties).filter(entry => isSensitiveLabel(entry.label));
+      if (counts.length > 0) entries.push({ database, container, counts });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Whether a label calls for care when sharing data: Confidential or PII.
+ * @param {string|undefined} label
+ * @returns {boolean}
+ */
+export function isSensitiveLabel(label) {
+  return SENSITIVE_LABELS.includes(label);
+}
+
+/**
+ * Position of a label from least (0) to most sensitive, -1 when unlabelled.
+ * @param {string|undefined} label
+ * @returns {number}
+ */
+export function rankLabel(label) {
+  return CLASSIFICATION_LABELS.indexOf(label);
+}
+
+/**
+ * Describes a property's classification, e.g. "PII (name suggests a date of birth)".
+ * @param {object} classification - prop.classification
+ * @returns {string} Description
+ */
+export function describeClassification(classification) {
+  return classification.reasons.length > 0
+    ? `${classification.label} (${classification.reasons.join('; ')})`
+    : classification.label;
+}
+
+/**
+ * Labels a property from its value matches, when most values match one detector.
+ */
+function classifyByValues(prop) {
+  const counts = prop.sensitiveValues;
+  if (!counts || counts.values === 0) return null;
+
+  const [detector, matches] = Object.entries(counts.matches).sort(([, a], [, b]) => b - a)[0] || [];
+  if (!detector || matches / counts.values < MIN_VALUE_SHARE) return null;
+
+  const share = Math.round((matches / counts.values) * 100);
+  return { label: 'PII', reasons: [`${share}% of values are ${VALUE_KINDS[detector]}`] };
+}
+
+/**
+ * Labels a property from its name; array items go by the array's name.
+ */
+function classifyByName(prop) {
+  const name = (prop.name === '[]' ? prop.parentPath.replace(/\[\]$/, '').split('.').pop() : prop.name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+  const rule = NAME_RULES.find(candidate => candidate.pattern.test(name) && !candidate.exclude?.test(name));
+  return rule ? { label: rule.label, reasons: [`name suggests ${rule.kind}`] } : null;
+}
+
+/**
+ * Compiles a custom rule. Every matcher it has must match: `name` is a
+ * case-insensitive regex on the property name, `path` a glob on its path
+ * ("customer.*") and `type` a detected type, custom types included.
+ */
+function compileRule(rule) {
+  const name = rule.name ? new RegExp(rule.name, 'i') : null;
+  const path = rule.path ? compilePathGlob(rule.path) : null;
+
+  return {
+    label: rule.label,
+    reason: rule.reason || 'custom rule',
+    matches: prop => (!name || name.test(prop.name)) &&
+      (!path || path.test(prop.path)) &&
+      (!rule.type || prop.types.includes(rule.type))
+  };
+}
+
+/**
+ * Luhn checksum used by payment card numbers.
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * IBAN format and ISO 7064 mod-97 checksum.
+ */
+function isIban(value) {
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) return false;
+
+  const rearranged = value.slice(4) + value.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
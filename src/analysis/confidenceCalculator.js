@@ -10,6 +10,9 @@ import {
   detectDenormalization,
   analyseCardinality
 } from './relationshipValidator.js';
+import { getRelationshipEndpointKey } from './relationships.js';
+import { getContainerSchema } from '../utils/containerKey.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
 
 /**
  * Weight configuration for confidence factors.
@@ -51,6 +54,7 @@ export const DEFAULT_WEIGHTS = {
  * @param {object} targetSchema - Schema of target container (null if orphan)
  * @param {import('@azure/cosmos').CosmosClient} [client] - Cosmos client for validation
  * @param {ConfidenceWeights} [weights] - Custom weights
+ * @param {object} [meter] - Request meter for validation queries
  * @returns {Promise<ConfidenceAnalysis>}
  */
 export async function calculateConfidence(
@@ -58,7 +62,8 @@ export async function calculateConfidence(
   sourceSchema,
   targetSchema,
   client = null,
-  weights = DEFAULT_WEIGHTS
+  weights = DEFAULT_WEIGHTS,
+  meter = undefined
 ) {
   const factors = {};
 
@@ -77,7 +82,7 @@ export async function calculateConfidence(
 
   // Factor 1: Referential Integrity (requires client)
   if (client) {
-    const riResult = await validateReferentialIntegrity(client, relationship);
+    const riResult = await validateReferentialIntegrity(client, relationship, undefined, meter);
     factors.referentialIntegrity = {
       confidence: riResult.confidence,
       matchRate: riResult.matchRate,
@@ -128,7 +133,7 @@ export async function calculateConfidence(
 
   // Factor 6: Cardinality (informational, requires client)
   if (client) {
-    const cardResult = await analyseCardinality(client, relationship);
+    const cardResult = await analyseCardinality(client, relationship, undefined, meter);
     factors.cardinality = {
       type: cardResult.cardinality,
       avgReferences: cardResult.avgReferencesPerTarget,
@@ -330,25 +335,30 @@ function generateSummary(score, factors, relationship) {
 /**
  * Batch calculate confidence for multiple relationships.
  * @param {import('./relationships.js').Relationship[]} relationships
- * @param {object} schemas - Map of container name to schema
+ * @param {object} schemas - Map of container key (database/container) to schema
  * @param {import('@azure/cosmos').CosmosClient} [client]
  * @param {ConfidenceWeights} [weights]
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - Relationships validated in parallel
+ * @param {object} [options.meter] - Request meter for validation queries
  * @returns {Promise<Map<string, ConfidenceAnalysis>>}
  */
-export async function calculateConfidenceBatch(relationships, schemas, client = null, weights = DEFAULT_WEIGHTS) {
+export async function calculateConfidenceBatch(relationships, schemas, client = null, weights = DEFAULT_WEIGHTS, { concurrency = 1, meter } = {}) {
   const results = new Map();
 
-  for (const rel of relationships) {
-    const key = `${rel.fromContainer}.${rel.fromProperty}->${rel.toContainer}`;
-    const sourceSchema = schemas[rel.fromContainer];
-    const targetSchema = rel.isOrphan ? null : schemas[rel.toContainer];
+  const analyses = await mapWithConcurrency(relationships, concurrency, rel => {
+    const sourceSchema = getContainerSchema(schemas, rel.fromDatabase, rel.fromContainer);
+    const targetSchema = rel.isOrphan ? null : getContainerSchema(schemas, rel.toDatabase, rel.toContainer);
+    return calculateConfidence(rel, sourceSchema, targetSchema, client, weights, meter);
+  });
 
-    const analysis = await calculateConfidence(rel, sourceSchema, targetSchema, client, weights);
-    results.set(key, analysis);
+  relationships.forEach((rel, i) => {
+    const key = `${getRelationshipEndpointKey(rel, 'from')}.${rel.fromProperty}->${getRelationshipEndpointKey(rel, 'to')}`;
+    results.set(key, analyses[i]);
 
     // Attach to relationship object for convenience
-    rel.confidence = analysis;
-  }
+    rel.confidence = analyses[i];
+  });
 
   return results;
 }
@@ -0,0 +1,77 @@
+/**
+ * Account-level cost summary: per container, how big its documents are,
+ * how close the largest come to the item size limit and what typical
+ * requests cost, with the request units the analysis itself consumed.
+ * Built from each schema's size profile and measured request charges.
+ */
+
+import { getContainerKey, getContainerSchema } from '../utils/containerKey.js';
+
+/**
+ * @typedef {object} ContainerCost
+ * @property {string} database - Database name
+ * @property {string} container - Container name
+ * @property {number|null} documentCount - Documents in the container
+ * @property {number|null} averageBytes - Mean sampled document size
+ * @property {number|null} maxBytes - Largest sampled document
+ * @property {number|null} estimatedBytes - Document count times mean size
+ * @property {number|null} limitShare - Largest document as a share of the item size limit
+ * @property {boolean} nearLimit - Largest document is close to the limit
+ * @property {number|null} pointReadCharge - RU of a point read
+ * @property {number|null} averageQueryCharge - Mean RU of the measured sample queries
+ * @property {{name: string, requestCharge: number}|null} costliestQuery - Most expensive sample query
+ * @property {number|null} analysisCharge - RU consumed analysing the container
+ */
+
+/**
+ * Builds the cost summary of an analysis.
+ * @param {object} data - Result of analyze()
+ * @returns {{containers: ContainerCost[], totals: {estimatedBytes: number, nearLimit: number, analysisCharge: number|null}}|null}
+ *   Summary, or null when no container has a size profile or measured charges
+ */
+export function buildCostSummary(data) {
+  const containers = [];
+
+  for (const [dbName, dbInfo] of Object.entries(data.databases)) {
+    for (const containerName of dbInfo.containers) {
+      const schema = getContainerSchema(data.containerSchemas, dbName, containerName);
+      if (!schema?.sizeProfile && !schema?.costs) continue;
+
+      const { sizeProfile, costs } = schema;
+      const queries = costs?.queries || [];
+      const costliest = queries.reduce((top, query) => (!top || query.requestCharge > top.requestCharge ? query : top), null);
+
+      containers.push({
+        database: dbName,
+        container: containerName,
+        documentCount: schema.stats?.documentCount ?? null,
+        averageBytes: sizeProfile ? Math.round(sizeProfile.sizes.mean) : null,
+        maxBytes: sizeProfile?.sizes.max ?? null,
+        estimatedBytes: schema.stats?.estimatedSizeBytes ?? null,
+        limitShare: sizeProfile?.limitShare ?? null,
+        nearLimit: Boolean(sizeProfile?.nearLimit),
+        pointReadCharge: costs?.pointRead?.requestCharge ?? null,
+        averageQueryCharge: queries.length > 0
+          ? round(queries.reduce((sum, query) => sum + query.requestCharge, 0) / queries.length)
+          : null,
+        costliestQuery: costliest && { name: costliest.name, requestCharge: costliest.requestCharge },
+        analysisCharge: data.requestUnits?.byContainer?.[getContainerKey(dbName, containerName)] ?? null
+      });
+    }
+  }
+
+  if (containers.length === 0) return null;
+
+  return {
+    containers,
+    totals: {
+      estimatedBytes: containers.reduce((sum, row) => sum + (row.estimatedBytes || 0), 0),
+      nearLimit: containers.filter(row => row.nearLimit).length,
+      analysisCharge: data.requestUnits ? data.requestUnits.consumed : null
+    }
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,298 @@
+/**
+ * Data quality checks over sampled documents: type outliers, numeric
+ * outliers, abnormally large or deeply nested documents and stray
+ * properties seen in a single document.
+ * Evidence is gathered in the schema state as documents are folded in
+ * (document ids, extremes, per-type document counts), so checks work on
+ * streamed, incremental and merged samples alike.
+ */
+
+import { createSummary, addToSummary, mergeSummaries, getPercentile } from './valueStats.js';
+import { areCompatibleTypes } from './typeDetector.js';
+
+// Fewer sampled documents than this are too few to call anything unusual
+const MIN_DOCUMENTS = 20;
+
+// A minority type, or the values beyond a fence, must be at most this share
+const MAX_OUTLIER_SHARE = 0.01;
+
+// Outlier fences sit this many interquartile ranges beyond the quartiles
+const FENCE_MULTIPLIER = 3;
+
+// Documents must also be at least this many times the upper quartile in size
+// or depth, so near-uniform samples do not flag slightly bigger documents
+const MIN_SIZE_RATIO = 2;
+
+// Document ids and extreme values kept per check
+const MAX_DOCUMENT_IDS = 5;
+
+// Display names for issue kinds
+export const DATA_QUALITY_LABELS = {
+  typeOutlier: 'Type outlier',
+  numericOutlier: 'Numeric outlier',
+  largeDocument: 'Large documents',
+  deepNesting: 'Deep nesting',
+  strayProperty: 'Stray property'
+};
+
+/**
+ * Records a document's evidence: its size and depth, and for every path it
+ * touched the document id, the types seen and any numeric extremes.
+ * @param {object} state - Schema state (state.quality is created on demand)
+ * @param {object} doc - Document just walked
+ * @param {Map<string, object>} touched - Per-path counts for this document
+ */
+export function recordDocumentQuality(state, doc, touched) {
+  const quality = state.quality ??= createQualityState();
+  const id = getDocumentId(doc);
+
+  const size = Buffer.byteLength(JSON.stringify(doc));
+  addToSummary(quality.sizes, size);
+  addExtreme(quality.largest, { id, value: size }, 'high');
+
+  const depth = getDepth(doc);
+  addToSummary(quality.depths, depth);
+  addExtreme(quality.deepest, { id, value: depth }, 'high');
+
+  for (const [path, counts] of touched) {
+    const prop = state.properties[path];
+    if (!prop) continue;
+
+    const evidence = prop.quality ??= createPropertyQuality();
+    evidence.documents++;
+    if (id !== null && evidence.documentIds.length < MAX_DOCUMENT_IDS) evidence.documentIds.push(id);
+
+    for (const type of counts.types) {
+      evidence.typeCounts[type] = (evidence.typeCounts[type] || 0) + 1;
+      const ids = evidence.typeDocumentIds[type] ??= [];
+      if (id !== null && ids.length < MAX_DOCUMENT_IDS) ids.push(id);
+    }
+
+    if (counts.min !== undefined) {
+      addExtreme(evidence.low, { id, value: counts.min }, 'low');
+      addExtreme(evidence.high, { id, value: counts.max }, 'high');
+    }
+  }
+}
+
+/**
+ * Combines document-level evidence of two states.
+ * @returns {object|undefined} New merged evidence; neither input is modified
+ */
+export function mergeQualityStates(a, b) {
+  if (!a || !b) return structuredClone(a || b);
+
+  return {
+    sizes: mergeSummaries(a.sizes, b.sizes),
+    depths: mergeSummaries(a.depths, b.depths),
+    largest: mergeExtremes(a.largest, b.largest, 'high'),
+    deepest: mergeExtremes(a.deepest, b.deepest, 'high')
+  };
+}
+
+/**
+ * Combines the evidence of two property records.
+ * @returns {object|undefined} New merged evidence; neither input is modified
+ */
+export function mergePropertyQuality(a, b) {
+  if (!a || !b) return structuredClone(a || b);
+
+  const merged = structuredClone(a);
+  merged.documents += b.documents;
+  for (const id of b.documentIds) {
+    if (merged.documentIds.length >= MAX_DOCUMENT_IDS) break;
+    merged.documentIds.push(id);
+  }
+  for (const [type, count] of Object.entries(b.typeCounts)) {
+    merged.typeCounts[type] = (merged.typeCounts[type] || 0) + count;
+  }
+  for (const [type, ids] of Object.entries(b.typeDocumentIds)) {
+    merged.typeDocumentIds[type] = [...(merged.typeDocumentIds[type] || []), ...ids].slice(0, MAX_DOCUMENT_IDS);
+  }
+  merged.low = mergeExtremes(a.low, b.low, 'low');
+  merged.high = mergeExtremes(a.high, b.high, 'high');
+  return merged;
+}
+
+/**
+ * Runs every check against a schema state's evidence.
+ * @param {object} state - Schema state (raw, before finalising)
+ * @returns {{issues: object[]}|null} Issues found, or null when the sample is too small to judge
+ *   Each issue: { kind, propertyPath?, description, documentIds, values? }
+ */
+export function findDataQualityIssues(state) {
+  if (state.documentCount < MIN_DOCUMENTS || !state.quality) return null;
+
+  const issues = [];
+  const properties = state.properties;
+
+  for (const [path, prop] of Object.entries(properties)) {
+    if (!prop.quality) continue;
+    issues.push(...findTypeOutliers(path, prop.quality));
+
+    const numericIssue = findNumericOutliers(path, prop);
+    if (numericIssue) issues.push(numericIssue);
+
+    // Report a stray object once, not again for each property inside it
+    const parent = prop.parentPath && properties[prop.parentPath];
+    if (isStray(prop) && !(parent && isStray(parent))) {
+      issues.push({
+        kind: 'strayProperty',
+        propertyPath: path,
+        description: `\`${path}\` appears in a single document`,
+        documentIds: [...prop.quality.documentIds]
+      });
+    }
+  }
+
+  const large = findHighOutliers(state.quality.sizes, state.quality.largest);
+  if (large.length > 0) {
+    issues.push({
+      kind: 'largeDocument',
+      description: `${pluralise(large.length, 'document is', 'documents are')} much larger than usual (median ${formatSize(getPercentile(state.quality.sizes, 50))}, largest ${formatSize(large[0].value)})`,
+      documentIds: large.map(entry => entry.id).filter(id => id !== null),
+      values: large.map(entry => entry.value)
+    });
+  }
+
+  const deep = findHighOutliers(state.quality.depths, state.quality.deepest);
+  if (deep.length > 0) {
+    issues.push({
+      kind: 'deepNesting',
+      description: `${pluralise(deep.length, 'document is', 'documents are')} nested unusually deeply (median depth ${getPercentile(state.quality.depths, 50)}, deepest ${deep[0].value})`,
+      documentIds: deep.map(entry => entry.id).filter(id => id !== null),
+      values: deep.map(entry => entry.value)
+    });
+  }
+
+  return { issues };
+}
+
+function createQualityState() {
+  return { sizes: createSummary(true), depths: createSummary(true), largest: [], deepest: [] };
+}
+
+function createPropertyQuality() {
+  return { documents: 0, documentIds: [], typeCounts: {}, typeDocumentIds: {}, low: [], high: [] };
+}
+
+/**
+ * Flags minority types making up at most MAX_OUTLIER_SHARE of the documents
+ * holding a property. Nulls and compatible types (an integer among numbers,
+ * a numeric string among strings, a date among datetimes) are not outliers.
+ */
+function findTypeOutliers(path, evidence) {
+  const types = Object.entries(evidence.typeCounts).filter(([type]) => type !== 'null');
+  if (types.length < 2) return [];
+
+  const [dominant, dominantCount] = types.reduce((max, entry) => (entry[1] > max[1] ? entry : max));
+  const issues = [];
+
+  for (const [type, count] of types) {
+    if (type === dominant) continue;
+    if (areCompatibleTypes(type, dominant)) continue;
+
+    const share = count / evidence.documents;
+    if (share > MAX_OUTLIER_SHARE) continue;
+
+    issues.push({
+      kind: 'typeOutlier',
+      propertyPath: path,
+      description: `\`${path}\` is ${dominant} in ${formatShare(dominantCount / evidence.documents)} of documents but ${type} in ${formatShare(share)}`,
+      documentIds: [...(evidence.typeDocumentIds[type] || [])]
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Flags numeric values beyond the property's outlier fences.
+ */
+function findNumericOutliers(path, prop) {
+  const summary = prop.stats?.numbers;
+  if (!summary?.sample?.length) return null;
+
+  const fences = getFences(summary);
+  if (!fences) return null;
+
+  const outliers = [
+    ...prop.quality.low.filter(entry => entry.value < fences.low),
+    ...prop.quality.high.filter(entry => entry.value > fences.high)
+  ];
+  if (outliers.length === 0) return null;
+
+  return {
+    kind: 'numericOutlier',
+    propertyPath: path,
+    description: `\`${path}\` has values far outside its usual range (${getPercentile(summary, 25)} – ${getPercentile(summary, 75)}): ${outliers.map(entry => entry.value).join(', ')}`,
+    documentIds: outliers.map(entry => entry.id).filter(id => id !== null),
+    values: outliers.map(entry => entry.value)
+  };
+}
+
+function findHighOutliers(summary, extremes) {
+  const fences = getFences(summary);
+  if (!fences) return [];
+  const threshold = Math.max(fences.high, getPercentile(summary, 75) * MIN_SIZE_RATIO);
+  return extremes.filter(entry => entry.value > threshold);
+}
+
+/**
+ * Outlier fences from the quartiles. Fences that more than
+ * MAX_OUTLIER_SHARE of the sample falls beyond mark a wide spread, not
+ * outliers, so none are returned.
+ */
+function getFences(summary) {
+  const q1 = getPercentile(summary, 25);
+  const q3 = getPercentile(summary, 75);
+  const spread = (q3 - q1) * FENCE_MULTIPLIER;
+  const fences = { low: q1 - spread, high: q3 + spread };
+
+  const beyond = summary.sample.filter(value => value < fences.low || value > fences.high).length;
+  return beyond / summary.sample.length <= MAX_OUTLIER_SHARE ? fences : null;
+}
+
+function isStray(prop) {
+  return prop.quality?.documents === 1;
+}
+
+/**
+ * Keeps the MAX_DOCUMENT_IDS most extreme entries, most extreme first.
+ */
+function addExtreme(list, entry, direction) {
+  list.push(entry);
+  list.sort((a, b) => (direction === 'high' ? b.value - a.value : a.value - b.value));
+  if (list.length > MAX_DOCUMENT_IDS) list.length = MAX_DOCUMENT_IDS;
+}
+
+function mergeExtremes(a, b, direction) {
+  const merged = structuredClone(a);
+  b.forEach(entry => addExtreme(merged, { ...entry }, direction));
+  return merged;
+}
+
+function getDocumentId(doc) {
+  return typeof doc?.id === 'string' || typeof doc?.id === 'number' ? String(doc.id) : null;
+}
+
+/**
+ * Nesting depth of a value: 0 for scalars, one more per object or array level.
+ */
+function getDepth(value) {
+  if (value === null || typeof value !== 'object') return 0;
+  const children = Array.isArray(value) ? value : Object.values(value);
+  return 1 + children.reduce((max, child) => Math.max(max, getDepth(child)), 0);
+}
+
+function formatShare(share) {
+  return `${Math.round(share * 1000) / 10}%`;
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 ? `${Math.round(bytes / 102.4) / 10} KB` : `${bytes} B`;
+}
+
+function pluralise(count, singular, plural) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
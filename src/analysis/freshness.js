@@ -0,0 +1,150 @@
+/**
+ * Container freshness from _ts, the last-modified time Cosmos DB stamps on
+ * every document: the range of timestamps in the sample, when the container
+ * was last written to and an estimate of writes per day over recent windows.
+ * The sampled range lives in the schema state; write activity comes from
+ * aggregate queries against the whole container (see getWriteActivity).
+ * Each property also keeps the first and last _ts it was seen at, which
+ * shows properties being phased out.
+ */
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Default gap between a property's last sighting and the newest sampled
+// document before the property looks deprecated
+const DEFAULT_DEPRECATED_AFTER_DAYS = 30;
+
+/**
+ * Records a document's _ts in the state's sampled timestamp range, and on
+ * every property the document holds as firstSeen/lastSeen.
+ * @param {object} state - Schema state (state.timestamps is created on demand)
+ * @param {object} doc - Document just walked
+ * @param {Map<string, object>} [touched] - Paths present in the document
+ */
+export function recordTimestamp(state, doc, touched) {
+  const ts = doc?._ts;
+  if (typeof ts !== 'number' || !Number.isFinite(ts)) return;
+
+  const range = state.timestamps ??= { oldest: null, newest: null };
+  if (range.oldest === null || ts < range.oldest) range.oldest = ts;
+  if (range.newest === null || ts > range.newest) range.newest = ts;
+
+  for (const path of touched?.keys() || []) {
+    const prop = state.properties[path];
+    if (prop.firstSeen === undefined || ts < prop.firstSeen) prop.firstSeen = ts;
+    if (prop.lastSeen === undefined || ts > prop.lastSeen) prop.lastSeen = ts;
+  }
+}
+
+/**
+ * Folds one property state's firstSeen/lastSeen into another's.
+ * @param {object} target - Property state (modified in place)
+ * @param {object} source - Property state of the same path
+ */
+export function mergePropertyTimestamps(target, source) {
+  if (source.firstSeen === undefined) return;
+  target.firstSeen = target.firstSeen === undefined ? source.firstSeen : Math.min(target.firstSeen, source.firstSeen);
+  target.lastSeen = target.lastSeen === undefined ? source.lastSeen : Math.max(target.lastSeen, source.lastSeen);
+}
+
+/**
+ * Turns each property's firstSeen/lastSeen into ISO strings and flags
+ * properties as looksDeprecated when the sample holds documents written
+ * deprecatedAfterDays or more after the property was last seen.
+ * @param {object} properties - Schema properties (modified in place)
+ * @param {object|undefined} timestamps - Sampled range from the schema state
+ * @param {object} [options] - Freshness settings (deprecatedAfterDays, 0 = never)
+ */
+export function finalisePropertyTimestamps(properties, timestamps, options = {}) {
+  const afterDays = options.deprecatedAfterDays ?? DEFAULT_DEPRECATED_AFTER_DAYS;
+
+  for (const prop of Object.values(properties)) {
+    if (prop.lastSeen === undefined) continue;
+    if (afterDays > 0 && timestamps.newest - prop.lastSeen >= afterDays * SECONDS_PER_DAY) {
+      prop.looksDeprecated = true;
+    }
+    prop.firstSeen = toIsoString(prop.firstSeen);
+    prop.lastSeen = toIsoString(prop.lastSeen);
+  }
+}
+
+/**
+ * Combines the sampled timestamp ranges of two states.
+ * @returns {object|undefined} New merged range; neither input is modified
+ */
+export function mergeTimestamps(a, b) {
+  if (!a || !b) return structuredClone(a || b);
+  return {
+    oldest: Math.min(a.oldest, b.oldest),
+    newest: Math.max(a.newest, b.newest)
+  };
+}
+
+/**
+ * Builds a container's freshness profile:
+ * { sampledOldest, sampledNewest, lastWrite, daysSinceLastWrite,
+ *   windows: [{ days, writes, writesPerDay }], staleAfterDays, isStale }.
+ * The last write comes from the container when activity was queried, and
+ * from the sample otherwise. Timestamps are ISO strings.
+ * @param {object|undefined} timestamps - Sampled range from the schema state (epoch seconds)
+ * @param {object|null} activity - Result of getWriteActivity, or null
+ * @param {object} [options] - Freshness settings (staleAfterDays, 0 = never stale)
+ * @param {number} [now=Date.now()] - Reference time in milliseconds
+ * @returns {object|null} Freshness profile, or null without any _ts to go on
+ */
+export function buildFreshness(timestamps, activity, options = {}, now = Date.now()) {
+  const lastWrite = activity?.lastWrite ?? timestamps?.newest ?? null;
+  if (lastWrite === null) return null;
+
+  const daysSinceLastWrite = Math.max(0, Math.floor((now / 1000 - lastWrite) / SECONDS_PER_DAY));
+  const staleAfterDays = options.staleAfterDays || 0;
+
+  return {
+    sampledOldest: timestamps ? toIsoString(timestamps.oldest) : null,
+    sampledNewest: timestamps ? toIsoString(timestamps.newest) : null,
+    lastWrite: toIsoString(lastWrite),
+    daysSinceLastWrite,
+    windows: (activity?.windows || []).map(({ days, writes }) => ({
+      days,
+      writes,
+      writesPerDay: Math.round((writes / days) * 100) / 100
+    })),
+    staleAfterDays,
+    isStale: staleAfterDays > 0 && daysSinceLastWrite >= staleAfterDays
+  };
+}
+
+/**
+ * Writes per day over the longest window, the steadiest measure of activity.
+ * @param {object} freshness - Freshness profile
+ * @returns {{days: number, writesPerDay: number}|null} Rate, or null when activity was not queried
+ */
+export function getActivityRate(freshness) {
+  const windows = freshness?.windows || [];
+  if (windows.length === 0) return null;
+  return windows.reduce((longest, window) => (window.days > longest.days ? window : longest));
+}
+
+/**
+ * Describes how long ago a container was last written to.
+ * @returns {string} e.g. "today", "1 day ago", "120 days ago"
+ */
+export function formatLastWriteAge(freshness) {
+  const days = freshness.daysSinceLastWrite;
+  if (days === 0) return 'today';
+  return days === 1 ? '1 day ago' : `${days.toLocaleString()} days ago`;
+}
+
+/**
+ * Formats an estimated write rate, keeping slow but non-zero rates visible.
+ * @returns {string} e.g. "~1,234", "<1", "0"
+ */
+export function formatWritesPerDay(writesPerDay) {
+  if (writesPerDay === 0) return '0';
+  if (writesPerDay < 1) return '<1';
+  return `~${Math.round(writesPerDay).toLocaleString()}`;
+}
+
+function toIsoString(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
@@ -0,0 +1,326 @@
+/**
+ * Indexing policy advice: compares a container's indexing policy with its
+ * inferred schema and the queries run against it. Flags long text and
+ * large arrays indexed by a wildcard that no query uses, queried paths the
+ * policy excludes and multi-property ORDER BY clauses without a composite
+ * index, then suggests a policy fixing them and estimates how the number
+ * of index terms written per document changes.
+ *
+ * Queries are the generated sample queries, plus production queries when
+ * a query file is given; see utils/queryParser.js for what is read from them.
+ */
+
+import { parseQuery } from '../utils/queryParser.js';
+import { toPropertyPath } from '../utils/partitionKey.js';
+import { getContainerSchema } from '../utils/containerKey.js';
+
+/**
+ * @typedef {object} IndexingFinding
+ * @property {'unqueried'|'excluded'|'orderByExcluded'|'composite'} kind - What was found
+ * @property {'critical'|'warning'|'info'} severity - Critical findings make queries fail
+ * @property {string[]} paths - Property paths involved, in ORDER BY order for composites
+ * @property {string} message - Description for documentation
+ */
+
+// Strings at least this long on average are long text, expensive to index
+const LONG_TEXT_LENGTH = 100;
+
+// Arrays writing at least this many index terms per document are large
+const LARGE_ARRAY_TERMS = 10;
+
+// Always indexed under consistent indexing, whatever the policy says
+const SYSTEM_PATHS = ['id', '_ts'];
+
+// Cosmos DB's default policy: everything indexed
+const DEFAULT_INCLUDED_PATHS = [{ path: '/*' }];
+
+/**
+ * Advises on a container's indexing policy.
+ * @param {object} schema - Finalised schema with containerInfo
+ * @param {{query: string, source: 'sample'|'production'}[]} queries - Queries run against the container
+ * @returns {{findings: IndexingFinding[], queries: {sample: number, production: number},
+ *   suggestedPolicy: object, indexedTerms: {current: number, suggested: number}, writeChange: number}|null}
+ *   Advice, or null when the policy is unknown, indexing is off or nothing needs changing
+ */
+export function adviseIndexingPolicy(schema, queries) {
+  const policy = schema.containerInfo?.indexingPolicy;
+  if (!policy || policy.indexingMode === 'none') return null;
+
+  const { properties, documentCount } = schema;
+  const parsed = queries.map(({ query }) => parseQuery(query));
+  const findings = [];
+
+  const suggestedPolicy = structuredClone(policy);
+  suggestedPolicy.includedPaths ??= structuredClone(DEFAULT_INCLUDED_PATHS);
+  suggestedPolicy.excludedPaths ??= [];
+
+  // Queried paths the policy excludes: filters scan every document, ORDER BY fails
+  const filterCounts = countQueries(parsed.flatMap(query => query.filters.map(path => indexedPathOf(properties, path))));
+  const sortCounts = countQueries(parsed.flatMap(query =>
+    query.orderBy.length === 1 ? [indexedPathOf(properties, query.orderBy[0].path)] : []
+  ));
+
+  for (const path of new Set([...sortCounts.keys(), ...filterCounts.keys()])) {
+    if (!path || SYSTEM_PATHS.includes(path) || isIndexed(policy, path)) continue;
+
+    if (sortCounts.has(path)) {
+      findings.push({
+        kind: 'orderByExcluded',
+        severity: 'critical',
+        paths: [path],
+        message: `\`${path}\` is excluded from the index; ${describeQueries(sortCounts.get(path), 'sorts', 'sort')} on it and fail${sortCounts.get(path) === 1 ? 's' : ''}`
+      });
+    } else {
+      findings.push({
+        kind: 'excluded',
+        severity: 'warning',
+        paths: [path],
+        message: `\`${path}\` is excluded from the index; ${describeQueries(filterCounts.get(path), 'filters', 'filter')} on it and scan${filterCounts.get(path) === 1 ? 's' : ''} every document`
+      });
+    }
+    includePath(suggestedPolicy, path);
+  }
+
+  // Multi-property ORDER BY needs a composite index with the same paths and directions
+  const composites = [];
+  for (const { orderBy } of parsed) {
+    if (orderBy.length < 2) continue;
+    const composite = orderBy.map(({ path, order }) => ({ path: toIndexPath(path), order }));
+    const existing = [...(policy.compositeIndexes || []), ...composites];
+    if (existing.some(candidate => servesOrderBy(candidate, composite))) continue;
+
+    composites.push(composite);
+    findings.push({
+      kind: 'composite',
+      severity: 'critical',
+      paths: orderBy.map(({ path }) => path),
+      message: `ORDER BY ${orderBy.map(({ path, order }) => `\`${path}\` ${order === 'descending' ? 'DESC' : 'ASC'}`).join(', ')} fails without a composite index`
+    });
+  }
+  if (composites.length > 0) {
+    suggestedPolicy.compositeIndexes = [...(policy.compositeIndexes || []), ...composites];
+  }
+
+  // Long text and large arrays indexed by a wildcard that no query touches
+  const referenced = parsed.flatMap(query => [...query.filters, ...query.orderBy.map(({ path }) => path)]);
+  const partitionKeyPaths = (schema.containerInfo.partitionKey || []).map(toPropertyPath);
+
+  for (const prop of Object.values(properties)) {
+    if (prop.path.includes('[]') || partitionKeyPaths.includes(prop.path) || SYSTEM_PATHS.includes(prop.path)) continue;
+    if (referenced.some(path => isWithin(path, prop.path) || isWithin(prop.path, path))) continue;
+
+    const rule = findRule(policy, prop.isArray ? `${prop.path}[]` : prop.path);
+    if (rule?.excluded !== false || !rule.wildcard) continue;
+
+    const terms = countTerms(properties, documentCount, path => isWithin(path, prop.path));
+    const textLength = prop.stats?.lengths?.mean;
+    let description;
+    if (prop.isArray && terms >= LARGE_ARRAY_TERMS) {
+      description = `array, ~${formatTerms(terms)} index terms per document`;
+    } else if (!prop.isArray && textLength >= LONG_TEXT_LENGTH) {
+      // Lengths are only measured on strings, so this covers base64 and JWTs too
+      description = `text, ~${Math.round(textLength)} characters on average`;
+    } else {
+      continue;
+    }
+
+    findings.push({
+      kind: 'unqueried',
+      severity: 'info',
+      paths: [prop.path],
+      message: `\`${prop.path}\` (${description}) is indexed by \`${rule.path}\` but no query filters or sorts on it`
+    });
+    suggestedPolicy.excludedPaths.push({ path: `${toIndexPath(prop.path)}/${prop.isArray ? '*' : '?'}` });
+  }
+
+  if (findings.length === 0) return null;
+
+  const severityOrder = ['critical', 'warning', 'info'];
+  findings.sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity));
+
+  const current = countPolicyTerms(policy, properties, documentCount);
+  const suggested = countPolicyTerms(suggestedPolicy, properties, documentCount);
+
+  return {
+    findings,
+    queries: {
+      sample: queries.filter(query => query.source === 'sample').length,
+      production: queries.filter(query => query.source === 'production').length
+    },
+    suggestedPolicy,
+    indexedTerms: { current: round(current), suggested: round(suggested) },
+    writeChange: current > 0 ? round((suggested - current) / current) : 0
+  };
+}
+
+/**
+ * Lists containers with indexing advice, those with critical findings first.
+ * @param {object} databases - analysisData.databases
+ * @param {object} containerSchemas - analysisData.containerSchemas
+ * @returns {{database: string, container: string, advice: object}[]}
+ */
+export function listIndexingAdvice(databases, containerSchemas) {
+  const entries = [];
+  for (const [dbName, dbInfo] of Object.entries(databases)) {
+    for (const containerName of dbInfo.containers) {
+      const advice = getContainerSchema(containerSchemas, dbName, containerName)?.indexingAdvice;
+      if (advice) {
+        entries.push({ database: dbName, container: containerName, advice });
+      }
+    }
+  }
+  const rank = ({ advice }) => (advice.findings[0].severity === 'critical' ? 0 : 1);
+  return entries.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Formats the estimated change in index terms written per document,
+ * e.g. "-35%" or "+4%".
+ */
+export function formatWriteChange(writeChange) {
+  const percent = Math.round(writeChange * 100);
+  return `${percent > 0 ? '+' : percent < 0 ? '-' : '±'}${Math.abs(percent)}%`;
+}
+
+/**
+ * Converts a schema property path to an indexing policy path without its
+ * ending, e.g. "lines[].sku" to "/lines/[]/sku".
+ * @param {string} propertyPath - Dotted property path
+ * @returns {string} Policy path
+ */
+export function toIndexPath(propertyPath) {
+  return `/${propertyPath.replace(/\[\]/g, '.[]').split('.').join('/')}`;
+}
+
+/**
+ * The scalar path a query reference needs indexed: the property itself,
+ * or the items of an array (as in ARRAY_CONTAINS). Null for objects and
+ * paths not in the schema.
+ */
+function indexedPathOf(properties, path) {
+  const prop = properties[path];
+  if (prop && isLeaf(prop)) return path;
+  const items = properties[`${path}[]`];
+  return items && isLeaf(items) ? items.path : null;
+}
+
+/**
+ * Whether a property holds scalars (the values that are indexed) rather
+ * than only objects and arrays.
+ */
+function isLeaf(prop) {
+  return prop.types.some(type => type !== 'object' && type !== 'array');
+}
+
+/**
+ * Whether a property path is the given path or nested beneath it.
+ */
+function isWithin(path, ancestor) {
+  return path === ancestor || path.startsWith(`${ancestor}.`) || path.startsWith(`${ancestor}[]`);
+}
+
+/**
+ * Finds the policy path deciding whether a property is indexed: the most
+ * precise matching included or excluded path, exclusions winning ties.
+ * @returns {{path: string, excluded: boolean, wildcard: boolean}|null} Deciding path, or null when none matches
+ */
+function findRule(policy, propertyPath) {
+  const segments = toIndexPath(propertyPath).split('/').slice(1);
+  const rules = [
+    ...(policy.includedPaths || DEFAULT_INCLUDED_PATHS).map(({ path }) => ({ path, excluded: false })),
+    ...(policy.excludedPaths || []).map(({ path }) => ({ path, excluded: true }))
+  ];
+
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    const parts = rule.path.split('/').slice(1).map(part => part.replace(/^"(.*)"$/, '$1'));
+    const ending = parts.pop();
+    const prefixMatches = parts.length <= segments.length && parts.every((part, i) => part === segments[i]);
+    const matches = ending === '*' ? prefixMatches : prefixMatches && parts.length === segments.length;
+    if (!matches) continue;
+
+    // An exact path beats a wildcard of the same depth
+    const score = parts.length + (ending === '*' ? 0 : 0.5);
+    if (score > bestScore || (score === bestScore && rule.excluded)) {
+      best = { ...rule, wildcard: ending === '*' };
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether a scalar property path is indexed under a policy.
+ */
+function isIndexed(policy, propertyPath) {
+  if (policy.indexingMode === 'none') return false;
+  return findRule(policy, propertyPath)?.excluded === false;
+}
+
+/**
+ * Indexes a path in a suggested policy: drops an exclusion of exactly
+ * that path, otherwise adds an included path precise enough to win.
+ */
+function includePath(policy, propertyPath) {
+  const exact = `${toIndexPath(propertyPath)}/?`;
+  policy.excludedPaths = policy.excludedPaths.filter(({ path }) => path !== exact);
+  if (!isIndexed(policy, propertyPath)) {
+    policy.includedPaths.push({ path: exact });
+  }
+}
+
+/**
+ * Whether a composite index serves an ORDER BY: same paths in the same
+ * order, with every direction the same or every direction reversed.
+ */
+function servesOrderBy(composite, orderBy) {
+  if (composite.length !== orderBy.length) return false;
+  if (!composite.every((entry, i) => entry.path === orderBy[i].path)) return false;
+  const same = composite.map((entry, i) => (entry.order || 'ascending') === orderBy[i].order);
+  return same.every(Boolean) || same.every(value => !value);
+}
+
+/**
+ * Counts how many queries mention each path (once per query).
+ */
+function countQueries(paths) {
+  const counts = new Map();
+  for (const path of paths) {
+    if (path) counts.set(path, (counts.get(path) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Average index terms per document over the scalar properties matching a
+ * filter. Array items count once per item.
+ */
+function countTerms(properties, documentCount, filter) {
+  let terms = 0;
+  for (const prop of Object.values(properties)) {
+    if (isLeaf(prop) && filter(prop.path)) terms += prop.occurrences;
+  }
+  return documentCount > 0 ? terms / documentCount : 0;
+}
+
+/**
+ * Average index terms written per document under a policy, counting one
+ * extra term per composite index.
+ */
+function countPolicyTerms(policy, properties, documentCount) {
+  return countTerms(properties, documentCount, path => isIndexed(policy, path)) +
+    (policy.compositeIndexes?.length || 0);
+}
+
+function describeQueries(count, singular, plural) {
+  return count === 1 ? `1 query ${singular}` : `${count} queries ${plural}`;
+}
+
+function formatTerms(terms) {
+  return terms >= 100 ? Math.round(terms).toLocaleString() : String(Math.round(terms * 10) / 10);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
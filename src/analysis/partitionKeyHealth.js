@@ -0,0 +1,240 @@
+/**
+ * Partition key health: how well a container's partition key spreads its
+ * documents. Each sampled document's key value (all levels together for
+ * hierarchical keys) is counted in the schema state as `partitionKeys`,
+ * using the same mergeable distribution as property values. The grade
+ * weighs cardinality, skew towards the hottest values, documents without
+ * a key and, when production or logged queries are known, whether they
+ * filter on it.
+ */
+
+import { recordValueDistribution, mergeValueDistributions, finaliseValueDistribution, listFrequentValues } from './valueDistribution.js';
+import { getPartitionKeyValues, toPropertyPath } from '../utils/partitionKey.js';
+import { getContainerSchema } from '../utils/containerKey.js';
+import { parseQuery } from '../utils/queryParser.js';
+
+/**
+ * @typedef {'good'|'fair'|'poor'} PartitionKeyGrade
+ */
+
+// Cardinality and skew are only judged on samples of at least this many documents
+const MIN_DOCUMENTS = 20;
+
+// Fewer distinct key values than this cannot spread a growing container
+const LOW_CARDINALITY = 10;
+
+// Share of documents under one key value that makes it a hot partition
+// (and it must hold at least twice its fair share), and a critical one
+const HOT_KEY_SHARE = 0.2;
+const CRITICAL_KEY_SHARE = 0.5;
+
+// Share of documents without a key value that is critical rather than a warning
+const CRITICAL_MISSING_SHARE = 0.1;
+
+// Key values listed with their share of documents
+const TOP_KEYS = 5;
+
+// Stand-ins counted for documents without a usable key value
+const MISSING_KEY = '(missing)';
+const NULL_KEY = '(null)';
+
+// Separator between the levels of a hierarchical key value
+const LEVEL_SEPARATOR = ' / ';
+
+/**
+ * Counts a document's partition key value in the state.
+ * Documents without the key, or with a non-scalar value, count as
+ * (missing); a null value counts as (null).
+ * @param {object} state - Schema state (state.partitionKeys is created on demand)
+ * @param {object} doc - Document just walked
+ * @param {string[]} [partitionKeyPaths] - Partition key paths, e.g. ['/tenantId', '/userId']
+ * @param {function(string, *): *} [redact] - Redacts each level's value, given its property path
+ */
+export function recordPartitionKey(state, doc, partitionKeyPaths, redact = null) {
+  if (!partitionKeyPaths?.length) return;
+
+  const record = state.partitionKeys ??= { paths: [...partitionKeyPaths], missing: 0, nulls: 0 };
+  const values = getPartitionKeyValues(doc, partitionKeyPaths);
+
+  let key;
+  if (values.some(value => value === undefined || (value !== null && typeof value === 'object'))) {
+    record.missing++;
+    key = MISSING_KEY;
+  } else if (values.some(value => value === null)) {
+    record.nulls++;
+    key = NULL_KEY;
+  } else {
+    key = values
+      .map((value, i) => String(redact ? redact(toPropertyPath(partitionKeyPaths[i]), value) : value))
+      .join(LEVEL_SEPARATOR);
+  }
+  recordValueDistribution(record, key);
+}
+
+/**
+ * Combines the partition key counts of two states.
+ * @param {object|undefined} a - state.partitionKeys
+ * @param {object|undefined} b - state.partitionKeys
+ * @returns {object|undefined} New merged counts; neither input is modified
+ */
+export function mergePartitionKeys(a, b) {
+  if (!a || !b) return structuredClone(a || b);
+
+  return {
+    paths: [...a.paths],
+    missing: a.missing + b.missing,
+    nulls: a.nulls + b.nulls,
+    distribution: mergeValueDistributions(a.distribution, b.distribution)
+  };
+}
+
+/**
+ * Grades a partition key from the sampled key values:
+ * { paths, grade, reasons: [{ severity, message }], documents, distinct,
+ *   distinctIsEstimate, topKeys: [{ value, count, share }], missing, nulls,
+ *   queried, levels? }.
+ * Critical reasons make the key poor and warnings fair; info reasons
+ * explain without counting against it. Hierarchical keys also list the
+ * distinct values of each level. `queried` is null until
+ * assessPartitionKeyQueries judges it.
+ * @param {object} partitionKeys - state.partitionKeys
+ * @param {object} properties - Finalised schema properties
+ * @returns {object} Partition key health
+ */
+export function assessPartitionKey(partitionKeys, properties) {
+  const { paths, missing, nulls, distribution } = partitionKeys;
+  const documents = distribution.total;
+  const { distinct, distinctIsEstimate } = finaliseValueDistribution(distribution, ['string']);
+  const keyName = paths.map(toPropertyPath).join(', ');
+
+  const topKeys = listFrequentValues(distribution)
+    .slice(0, TOP_KEYS)
+    .map(({ value, count }) => ({ value, count, share: round(count / documents) }));
+
+  const reasons = [];
+  const judged = documents >= MIN_DOCUMENTS;
+
+  // Cardinality: every logical partition is capped at 20 GB and one partition's throughput
+  if (judged && distinct <= 1) {
+    reasons.push(critical(`Every sampled document has the same key value, so the container cannot spread across partitions`));
+  } else if (judged && distinct < LOW_CARDINALITY) {
+    reasons.push(critical(`Only ${distinct} distinct key values in ${documents.toLocaleString()} sampled documents; each logical partition is limited to 20 GB`));
+  }
+
+  // Skew towards the hottest key value
+  const hottest = topKeys[0];
+  if (judged && distinct > 1 && hottest && ![MISSING_KEY, NULL_KEY].includes(hottest.value) &&
+      hottest.share >= HOT_KEY_SHARE && hottest.share >= 2 / distinct) {
+    const message = `Hot key: \`${hottest.value}\` holds ${formatShare(hottest.share)} of sampled documents`;
+    reasons.push(hottest.share >= CRITICAL_KEY_SHARE ? critical(message) : warning(message));
+  }
+
+  // Documents without a key all land in one logical partition
+  for (const [count, description] of [[missing, `lack \`${keyName}\``], [nulls, `have a null \`${keyName}\``]]) {
+    if (count === 0) continue;
+    const share = count / documents;
+    const message = `${formatShare(share)} of sampled documents ${description} and share a single logical partition`;
+    reasons.push(share >= CRITICAL_MISSING_SHARE ? critical(message) : warning(message));
+  }
+
+  const health = {
+    paths: [...paths],
+    grade: gradeReasons(reasons),
+    reasons,
+    documents,
+    distinct,
+    distinctIsEstimate,
+    topKeys,
+    missing,
+    nulls,
+    queried: null
+  };
+
+  // Hierarchical keys: how finely each level splits the documents
+  if (paths.length > 1) {
+    health.levels = paths.map(path => ({
+      path,
+      distinct: properties[toPropertyPath(path)]?.distribution?.distinct ?? 0
+    }));
+    const [first] = health.levels;
+    if (judged && first.distinct < LOW_CARDINALITY && distinct >= LOW_CARDINALITY) {
+      reasons.push(info(`First level \`${toPropertyPath(first.path)}\` has ${first.distinct} distinct values; queries on it alone are routed to the partitions holding them`));
+    }
+  }
+
+  return health;
+}
+
+/**
+ * Judges whether the queries run against a container filter on its
+ * partition key; those that do not fan out to every partition. Only
+ * production or logged queries can tell, since the sample queries are
+ * generated from the key itself. Without any, `queried` stays null.
+ * @param {object} health - From assessPartitionKey, updated in place
+ * @param {string[]} queries - Production or logged SQL queries
+ * @returns {object} The updated health
+ */
+export function assessPartitionKeyQueries(health, queries) {
+  if (queries.length === 0) return health;
+
+  const keyName = health.paths.map(toPropertyPath).join(', ');
+  const firstLevel = toPropertyPath(health.paths[0]);
+  health.queried = queries.some(query => parseQuery(query).equalities.includes(firstLevel));
+  if (!health.queried) {
+    const subject = queries.length === 1 ? 'The production query does not filter' : `None of the ${queries.length} production queries filter`;
+    health.reasons.push(warning(`${subject} on \`${keyName}\`, so each fans out across all partitions`));
+    health.grade = gradeReasons(health.reasons);
+  }
+  return health;
+}
+
+/**
+ * Lists containers whose partition key is graded fair or poor, poor first.
+ * @param {object} databases - analysisData.databases
+ * @param {object} containerSchemas - analysisData.containerSchemas
+ * @returns {{database: string, container: string, health: object}[]}
+ */
+export function getPartitionKeyWarnings(databases, containerSchemas) {
+  const warnings = [];
+  for (const [dbName, dbInfo] of Object.entries(databases)) {
+    for (const containerName of dbInfo.containers) {
+      const health = getContainerSchema(containerSchemas, dbName, containerName)?.partitionKeyHealth;
+      if (health && health.grade !== 'good') {
+        warnings.push({ database: dbName, container: containerName, health });
+      }
+    }
+  }
+  return warnings.sort((a, b) => (a.health.grade === 'poor' ? 0 : 1) - (b.health.grade === 'poor' ? 0 : 1));
+}
+
+/**
+ * Formats a grade for display, e.g. "Poor".
+ */
+export function formatPartitionKeyGrade(grade) {
+  return grade.charAt(0).toUpperCase() + grade.slice(1);
+}
+
+function gradeReasons(reasons) {
+  return reasons.some(reason => reason.severity === 'critical') ? 'poor'
+    : reasons.some(reason => reason.severity === 'warning') ? 'fair' : 'good';
+}
+
+function critical(message) {
+  return { severity: 'critical', message };
+}
+
+function warning(message) {
+  return { severity: 'warning', message };
+}
+
+function info(message) {
+  return { severity: 'info', message };
+}
+
+function formatShare(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,110 @@
+/**
+ * Query usage from logged production queries: how often each distinct
+ * query ran, which ones fan out across partitions because they do not pin
+ * the partition key, and which properties the queries filter, sort on or
+ * select. Properties are marked with the number of queries using them so
+ * property tables can show it.
+ */
+
+import { parseQuery } from '../utils/queryParser.js';
+import { toPropertyPath } from '../utils/partitionKey.js';
+
+// Most frequent queries listed per container
+const TOP_QUERIES = 10;
+
+// Queried paths missing from the schema listed per container
+const MAX_UNMATCHED_PATHS = 10;
+
+/**
+ * Summarises a container's logged queries:
+ * { executions, distinct, crossPartition: { executions, queries } | null,
+ *   topQueries: [{ query, count, crossPartition, requestCharge }], unmatchedPaths }.
+ * Each queried property in the schema gets
+ * `queryUse: { queries, executions, filters, sorts, projections }`, counting
+ * distinct queries except for executions. A query is cross-partition when it
+ * lacks an equality filter on any level of the partition key; without a
+ * known partition key this is not judged (null).
+ * @param {object} schema - Finalised schema with containerInfo (properties are annotated in place)
+ * @param {import('../cosmos/queryLog.js').LoggedQuery[]} entries - Logged queries for the container
+ * @returns {object} Query usage
+ */
+export function applyQueryLog(schema, entries) {
+  const partitionKeyPaths = (schema.containerInfo?.partitionKey || []).map(toPropertyPath);
+
+  // Identical text apart from whitespace is the same query
+  const byText = new Map();
+  for (const { query, requestCharge } of entries) {
+    const text = query.replace(/\s+/g, ' ');
+    const entry = byText.get(text) || { query: text, count: 0, charge: 0, charged: 0 };
+    entry.count++;
+    if (requestCharge !== null) {
+      entry.charge += requestCharge;
+      entry.charged++;
+    }
+    byText.set(text, entry);
+  }
+
+  const usage = {};
+  const queries = [...byText.values()].map(entry => {
+    const parsed = parseQuery(entry.query);
+    const roles = { filters: parsed.filters, sorts: parsed.orderBy.map(({ path }) => path), projections: parsed.projections };
+
+    for (const path of new Set(Object.values(roles).flat())) {
+      const use = usage[path] ??= { queries: 0, executions: 0, filters: 0, sorts: 0, projections: 0 };
+      use.queries++;
+      use.executions += entry.count;
+      for (const [role, paths] of Object.entries(roles)) {
+        if (paths.includes(path)) use[role]++;
+      }
+    }
+
+    return {
+      query: entry.query,
+      count: entry.count,
+      crossPartition: partitionKeyPaths.length > 0
+        ? !partitionKeyPaths.every(path => parsed.equalities.includes(path))
+        : null,
+      requestCharge: entry.charged > 0 ? round(entry.charge / entry.charged) : null
+    };
+  });
+
+  // System properties such as _ts are never in schemas, so do not count as unmatched
+  const unmatchedPaths = [];
+  for (const [path, use] of Object.entries(usage)) {
+    if (schema.properties[path]) {
+      schema.properties[path].queryUse = use;
+    } else if (!path.startsWith('_')) {
+      unmatchedPaths.push(path);
+    }
+  }
+
+  const crossPartition = queries.filter(query => query.crossPartition);
+  return {
+    executions: entries.length,
+    distinct: queries.length,
+    crossPartition: partitionKeyPaths.length > 0
+      ? { executions: crossPartition.reduce((sum, query) => sum + query.count, 0), queries: crossPartition.length }
+      : null,
+    topQueries: queries
+      .sort((a, b) => b.count - a.count || a.query.localeCompare(b.query))
+      .slice(0, TOP_QUERIES),
+    unmatchedPaths: unmatchedPaths.sort().slice(0, MAX_UNMATCHED_PATHS)
+  };
+}
+
+/**
+ * Describes how a property is queried, e.g. "Used in 3 queries (filter, sort)".
+ * @param {object} queryUse - prop.queryUse
+ * @returns {string} Description
+ */
+export function describeQueryUse(queryUse) {
+  const roles = [['filters', 'filter'], ['sorts', 'sort'], ['projections', 'select']]
+    .filter(([key]) => queryUse[key] > 0)
+    .map(([, label]) => label);
+  const count = queryUse.queries === 1 ? '1 query' : `${queryUse.queries.toLocaleString()} queries`;
+  return `Used in ${count} (${roles.join(', ')})`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
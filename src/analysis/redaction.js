@@ -0,0 +1,216 @@
+/**
+ * Redaction of sampled values, so published documentation and the cache
+ * never hold real emails, names or phone numbers.
+ *
+ * Values are redacted as documents are walked, before they are kept as
+ * examples, enum candidates, value distributions or partition key counts, so
+ * neither the schema state (incremental state in .cosmoscache) nor snapshots
+ * see the originals. Counts and lengths are still measured on the real
+ * values, but values a rule redacts leave no numeric ranges, percentiles,
+ * date ranges or outliers behind, since those would repeat them.
+ *
+ * Rules match a property path glob, a detected type, or both, and choose:
+ *   keep  leave the value as it is
+ *   drop  keep no examples
+ *   mask  hide all but the first character, e.g. "J*** *****", "a**@e******.com"
+ *   hash  a short SHA-256 digest, e.g. "sha256:5f2b9c0e81d4"
+ *   fake  a stand-in of the same kind, e.g. "user-5f2b9c@example.com"
+ * The first matching rule wins. Custom rules are checked before the
+ * defaults, which mask every value detected as an email, phone number, URL
+ * or JWT.
+ *
+ * Masks of different values can look alike, so where values are counted
+ * (distributions, enum candidates, partition keys) dropped and masked values
+ * are hashed instead and repeats still show.
+ *
+ * Properties only known to be PII once the schema is classified (an `ssn`
+ * or `postcode` held as plain text) are concealed when it is finalised:
+ * their examples are masked and their enum values, distributions and value
+ * ranges left out, unless a keep rule matches them.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { compilePathGlob } from '../utils/pathGlob.js';
+
+export const REDACTION_ACTIONS = ['keep', 'drop', 'mask', 'hash', 'fake'];
+
+// Checked after custom rules
+const DEFAULT_RULES = [
+  { type: 'email', action: 'mask' },
+  { type: 'phone', action: 'mask' },
+  { type: 'url', action: 'mask' },
+  { type: 'jwt', action: 'mask' }
+];
+
+// Used when no salt is given, so digests are never unsalted; analyze() keeps a salt in the cache instead
+const PROCESS_SALT = randomBytes(16).toString('hex');
+
+// Hex digits of the digest kept by hash, and used to tell fakes apart
+const HASH_LENGTH = 12;
+const FAKE_ID_LENGTH = 6;
+
+// Masks keep a first character only of parts at least this long; shorter ones would barely be hidden
+const MIN_PREFIX_LENGTH = 3;
+
+// Rules are compiled once per redaction settings object and reused for every value
+const compiledRedactors = new WeakMap();
+let defaultRedactor = null;
+
+/**
+ * Builds the redaction applied to sampled values.
+ * Only scalars (strings, numbers, booleans) are redacted; anything else is
+ * returned unchanged. Hashes and fakes are deterministic, so equal values
+ * stay equal. Without a salt, a random one is used for the life of the
+ * process, so digests of known values cannot be looked up.
+ * @param {object} [redaction] - Redaction settings: { enabled, rules: [{ path, type, action }], salt }
+ * @returns {function(string, *, string, boolean=): *|null} `(path, value, type, distinct)` returning the
+ *   value to keep, or null to keep nothing. With distinct, dropped and masked values are hashed instead.
+ *   Its `conceals(path, type)` tells whether a rule other than keep applies, and `keeps(path, type)` whether a
+ *   keep rule does. Null when redaction is turned off.
+ */
+export function createRedactor(redaction) {
+  if (redaction?.enabled === false) return null;
+  if (!redaction) return defaultRedactor ??= compileRedactor({});
+  if (!compiledRedactors.has(redaction)) compiledRedactors.set(redaction, compileRedactor(redaction));
+  return compiledRedactors.get(redaction);
+}
+
+function compileRedactor({ rules = [], salt = '' }) {
+  salt ||= PROCESS_SALT;
+  const compiled = [...rules, ...DEFAULT_RULES].map(compileRule);
+
+  const redact = (path, value, type, distinct = false) => {
+    if (!isScalar(value)) return value;
+
+    const rule = compiled.find(candidate => candidate.matches(path, type));
+    const action = distinct && (rule?.action === 'drop' || rule?.action === 'mask') ? 'hash' : rule?.action;
+    const text = String(value);
+    switch (action) {
+      case 'drop':
+        return null;
+      case 'mask':
+        return maskValue(text, type);
+      case 'hash':
+        return `sha256:${digest(text, salt).slice(0, HASH_LENGTH)}`;
+      case 'fake':
+        return fakeValue(text, type, path, digest(text, salt));
+      default:
+        return value;
+    }
+  };
+
+  redact.conceals = (path, type) => {
+    const rule = compiled.find(candidate => candidate.matches(path, type));
+    return Boolean(rule) && rule.action !== 'keep';
+  };
+  redact.keeps = (path, type) => compiled.find(candidate => candidate.matches(path, type))?.action === 'keep';
+  return redact;
+}
+
+/**
+ * Conceals the values of finalised properties classified as PII that no
+ * rule redacted while sampling: examples are masked, and the values kept
+ * for enum detection, distribution values, number and date ranges are dropped. Concealed
+ * properties are marked `redacted`, so they are never enums or query filters.
+ * @param {object} properties - Classified schema properties (modified in place)
+ * @param {function} redact - Redactor from createRedactor, for its keep rules
+ * @returns {string[]} Paths of the properties concealed
+ */
+export function concealClassifiedValues(properties, redact) {
+  const concealed = [];
+  for (const prop of Object.values(properties)) {
+    if (prop.classification?.label !== 'PII' || prop.redacted) continue;
+    if (prop.types.some(type => redact.keeps(prop.path, type))) continue;
+
+    const type = prop.types.find(candidate => candidate !== 'null');
+    prop.examples = (prop.examples || []).map(value => (isScalar(value) ? maskValue(String(value), type) : value));
+    delete prop.allValues;
+    delete prop.enumValues;
+    delete prop.isEnum;
+    if (prop.distribution) prop.distribution = { ...prop.distribution, kind: null, values: [] };
+    if (prop.stats) {
+      delete prop.stats.numbers;
+      delete prop.stats.dates;
+    }
+    prop.redacted = true;
+    concealed.push(prop.path);
+  }
+  return concealed;
+}
+
+/**
+ * Compiles a rule. Every matcher it has must match: `path` is a glob that
+ * also covers everything nested beneath it ("customer" redacts
+ * "customer.email"), `type` a detected type, custom types included.
+ */
+function compileRule(rule) {
+  const path = rule.path ? compilePathGlob(rule.path, { nested: true }) : null;
+  return {
+    action: rule.action,
+    matches: (propertyPath, type) => (!path || path.test(propertyPath)) && (!rule.type || rule.type === type)
+  };
+}
+
+/**
+ * Hides all but the first character of each part that identifies someone:
+ * the local part and domain name of an email (its top-level domain stays),
+ * everything after the host of a URL, and all but the last two digits of a
+ * phone number. Parts too short to keep a character of are hidden whole.
+ */
+function maskValue(text, type) {
+  if (type === 'email') {
+    const at = text.lastIndexOf('@');
+    const labels = text.slice(at + 1).split('.');
+    const domain = labels.map((label, i) => (i === labels.length - 1 ? label : maskText(label)));
+    return `${maskText(text.slice(0, at))}@${domain.join('.')}`;
+  }
+  if (type === 'url') {
+    try {
+      const url = new URL(text);
+      return url.pathname === '/' && !url.search && !url.hash ? url.origin : `${url.origin}/***`;
+    } catch {
+      return maskText(text);
+    }
+  }
+  if (type === 'phone') {
+    const digits = text.replace(/\D/g, '').length;
+    let seen = 0;
+    return text.replace(/\d/g, digit => (++seen > digits - 2 ? digit : '*'));
+  }
+  return maskText(text);
+}
+
+function maskText(text) {
+  const keepsPrefix = text.match(/[\p{L}\p{N}]/gu)?.length >= MIN_PREFIX_LENGTH;
+  return text.replace(/[\p{L}\p{N}]/gu, (char, offset) => (offset === 0 && keepsPrefix ? char : '*'));
+}
+
+/**
+ * Makes a stand-in that still looks like the original kind of value.
+ * Phone numbers use the 555-01xx range reserved for fiction.
+ */
+function fakeValue(text, type, path, hash) {
+  const id = hash.slice(0, FAKE_ID_LENGTH);
+  switch (type) {
+    case 'email':
+      return `user-${id}@example.com`;
+    case 'url':
+      return `https://example.com/${id}`;
+    case 'phone':
+      return `+1 555-01${String(parseInt(id, 16) % 100).padStart(2, '0')}`;
+    case 'guid':
+      return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-4${hash.slice(13, 16)}-8${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+    default: {
+      const name = path.split('.').pop().replace(/\[\]/g, '') || 'value';
+      return `${name}-${id}`;
+    }
+  }
+}
+
+function digest(text, salt) {
+  return createHash('sha256').update(`${salt}${text}`).digest('hex');
+}
+
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+}
@@ -4,6 +4,9 @@
  */
 
 import { getDistinctValues, checkIdsExist } from '../cosmos/client.js';
+import { createRequestMeter } from '../cosmos/requestMeter.js';
+import { getContainerKey } from '../utils/containerKey.js';
+import { areCompatibleTypes } from './typeDetector.js';
 
 /**
  * Validation result for referential integrity check.
@@ -24,9 +27,10 @@ import { getDistinctValues, checkIdsExist } from '../cosmos/client.js';
  * @param {import('@azure/cosmos').CosmosClient} client - Cosmos client
  * @param {import('./relationships.js').Relationship} relationship - Relationship to validate
  * @param {number} sampleSize - Maximum FK values to check
+ * @param {object} [meter] - Request meter (see cosmos/requestMeter.js)
  * @returns {Promise<ReferentialIntegrityResult>}
  */
-export async function validateReferentialIntegrity(client, relationship, sampleSize = 1000) {
+export async function validateReferentialIntegrity(client, relationship, sampleSize = 1000, meter = createRequestMeter()) {
   const { fromDatabase, fromContainer, fromProperty, toDatabase, toContainer, isOrphan } = relationship;
 
   // Skip orphan relationships (no target container)
@@ -45,7 +49,7 @@ export async function validateReferentialIntegrity(client, relationship, sampleS
   try {
     // Get sample of FK values from source container
     const fkValues = await getDistinctValues(
-      client, fromDatabase, fromContainer, fromProperty, sampleSize
+      client, fromDatabase, fromContainer, fromProperty, sampleSize, meter
     );
 
     if (fkValues.length === 0) {
@@ -77,7 +81,7 @@ export async function validateReferentialIntegrity(client, relationship, sampleS
 
     // Check how many exist in target container
     const existingIds = await checkIdsExist(
-      client, toDatabase, toContainer, validFkValues
+      client, toDatabase, toContainer, validFkValues, meter
     );
 
     const matchedCount = existingIds.length;
@@ -174,8 +178,8 @@ export function validateTypeConsistency(relationship, sourceSchema, targetSchema
   const fkTypes = new Set(fkProp.types || []);
   const idTypes = new Set(idProp.types || []);
 
-  // Check for type overlap
-  const overlap = [...fkTypes].filter(t => idTypes.has(t));
+  // Check for type overlap (large integer ids can read as epochs, numeric string ids as numericString)
+  const overlap = [...fkTypes].filter(t => [...idTypes].some(idType => areCompatibleTypes(t, idType)));
 
   if (overlap.length === 0) {
     return {
@@ -187,7 +191,7 @@ export function validateTypeConsistency(relationship, sourceSchema, targetSchema
     };
   }
 
-  if (fkTypes.size === 1 && idTypes.size === 1 && overlap.length === 1) {
+  if (fkTypes.size === 1 && idTypes.size === 1 && idTypes.has(overlap[0])) {
     return {
       consistent: true,
       confidence: 90,
@@ -336,9 +340,10 @@ export function detectDenormalization(relationship, sourceSchema) {
  * @param {import('@azure/cosmos').CosmosClient} client - Cosmos client
  * @param {import('./relationships.js').Relationship} relationship - Relationship to analyse
  * @param {number} sampleSize - Maximum FK values to analyse
+ * @param {object} [meter] - Request meter (see cosmos/requestMeter.js)
  * @returns {Promise<CardinalityResult>}
  */
-export async function analyseCardinality(client, relationship, sampleSize = 1000) {
+export async function analyseCardinality(client, relationship, sampleSize = 1000, meter = createRequestMeter()) {
   const { fromDatabase, fromContainer, fromProperty, isOrphan } = relationship;
 
   if (isOrphan) {
@@ -365,7 +370,10 @@ export async function analyseCardinality(client, relationship, sampleSize = 1000
 
   try {
     const container = client.database(fromDatabase).container(fromContainer);
-    const { resources: results } = await container.items.query(querySpec).fetchAll();
+    const { resources: results } = await meter.run(
+      getContainerKey(fromDatabase, fromContainer),
+      () => container.items.query(querySpec).fetchAll()
+    );
 
     if (results.length === 0) {
       return {
@@ -3,6 +3,9 @@
  * Identifies foreign key-like relationships based on property names and patterns.
  */
 
+import { getContainerKey } from '../utils/containerKey.js';
+import { isReferenceType } from './typeDetector.js';
+
 /**
  * Container information for relationship matching.
  * @typedef {Object} ContainerInfo
@@ -39,7 +42,7 @@ export function detectRelationships(containerName, databaseName, schema, allCont
   const properties = schema.properties || {};
 
   for (const prop of Object.values(properties)) {
-    const refs = findReferencesInProperty(prop, containerName, allContainers);
+    const refs = findReferencesInProperty(prop, containerName, allContainers, schema.objectPatterns);
 
     for (const ref of refs) {
       const matchResult = matchToContainer(ref.targetName, allContainers, containerName, databaseName);
@@ -74,8 +77,9 @@ export function detectRelationships(containerName, databaseName, schema, allCont
  * @param {object} prop - Property to analyse
  * @param {string} sourceContainer - Name of source container
  * @param {ContainerInfo[]} allContainers - All known containers for name matching
+ * @param {Array} [objectPatterns] - Configured object patterns of the schema
  */
-function findReferencesInProperty(prop, sourceContainer, allContainers) {
+function findReferencesInProperty(prop, sourceContainer, allContainers, objectPatterns = []) {
   const refs = [];
   const path = prop.path;
   const name = prop.name;
@@ -102,8 +106,8 @@ function findReferencesInProperty(prop, sourceContainer, allContainers) {
     }
   }
 
-  // Pattern 4: Reference pattern types (ReferenceObject, SimpleReference)
-  if (prop.types && (prop.types.includes('ReferenceObject') || prop.types.includes('SimpleReference'))) {
+  // Pattern 4: Reference pattern types (ReferenceObject, SimpleReference and configured reference patterns)
+  if (prop.types && prop.types.some(type => isReferenceType(type, objectPatterns))) {
     const targetName = name.toLowerCase();
     if (targetName !== sourceContainer.toLowerCase()) {
       refs.push({ propertyPath: path, targetName });
@@ -211,6 +215,7 @@ function isDuplicateRelationship(existing, newRel) {
   return existing.some(r =>
     r.fromContainer === newRel.fromContainer &&
     r.toContainer === newRel.toContainer &&
+    r.toDatabase === newRel.toDatabase &&
     r.fromProperty === newRel.fromProperty
   );
 }
@@ -241,16 +246,30 @@ export function invertRelationships(relationships) {
 }
 
 /**
- * Groups relationships by source container.
+ * Gets the container key for one end of a relationship.
+ * Falls back to the bare name when the database is unknown (e.g. orphans).
+ * @param {Relationship} rel - Relationship
+ * @param {'from'|'to'} end - Which end of the relationship
+ * @returns {string} Container key
+ */
+export function getRelationshipEndpointKey(rel, end) {
+  const database = end === 'from' ? rel.fromDatabase : rel.toDatabase;
+  const container = end === 'from' ? rel.fromContainer : rel.toContainer;
+  return database ? getContainerKey(database, container) : container;
+}
+
+/**
+ * Groups relationships by source container key.
  */
 export function groupRelationshipsByContainer(relationships) {
   const grouped = {};
 
   for (const rel of relationships) {
-    if (!grouped[rel.fromContainer]) {
-      grouped[rel.fromContainer] = [];
+    const key = getRelationshipEndpointKey(rel, 'from');
+    if (!grouped[key]) {
+      grouped[key] = [];
     }
-    grouped[rel.fromContainer].push(rel);
+    grouped[key].push(rel);
   }
 
   return grouped;
@@ -265,7 +284,7 @@ export function getUniqueRelationshipsForERD(relationships) {
 
   for (const rel of relationships) {
     // Create a normalised key (alphabetical order of containers)
-    const containers = [rel.fromContainer, rel.toContainer].sort();
+    const containers = [getRelationshipEndpointKey(rel, 'from'), getRelationshipEndpointKey(rel, 'to')].sort();
     const key = `${containers[0]}|${containers[1]}|${rel.fromProperty}`;
 
     if (!seen.has(key) && !rel.isOrphan) {
@@ -1,12 +1,47 @@
-import { detectType, isReferenceType } from './typeDetector.js';
+import { detectType, resolveObjectPatterns, getDeclaredObjectPatterns, isNumericType, isTextType } from './typeDetector.js';
+import { recordValueStats, mergeValueStats, finaliseValueStats } from './valueStats.js';
+import { recordValueDistribution, mergeValueDistributions, finaliseValueDistribution } from './valueDistribution.js';
+import { recordDocumentQuality, mergeQualityStates, mergePropertyQuality, findDataQualityIssues } from './dataQuality.js';
+import { recordPropertySizes, mergePropertySizes, buildSizeProfile } from './sizeProfile.js';
+import { recordTimestamp, mergeTimestamps, mergePropertyTimestamps, finalisePropertyTimestamps } from './freshness.js';
+import { recordPartitionKey, mergePartitionKeys, assessPartitionKey } from './partitionKeyHealth.js';
+import { recordSensitiveValues, mergeSensitiveValues, classifyProperties } from './classification.js';
+import { createRedactor, concealClassifiedValues } from './redaction.js';
+import { compareProperties } from '../versioning/schemaComparer.js';
+import { compilePathGlob } from '../utils/pathGlob.js';
 
 // Cosmos DB internal fields to exclude
 const COSMOS_METADATA_FIELDS = ['_rid', '_self', '_etag', '_ts', '_attachments'];
 
+// Compiled excludePaths, so folding documents one at a time does not rebuild them
+const compiledExcludePaths = new WeakMap();
+
+// Caps on the sample values kept per property (examples, enum candidates)
+const MAX_EXAMPLES = 5;
+const MAX_ARRAY_ITEM_EXAMPLES = 3;
+const MAX_TRACKED_VALUES = 50;
+
+// Discriminator detection: root-level string fields with at most this many
+// values are tracked as candidates, and variants need this many documents
+const MAX_VARIANTS = 20;
+const MIN_VARIANT_DOCUMENTS = 2;
+
+// Share of a container's optional properties that a discriminator must explain
+// (always or never present within each variant)
+const DISCRIMINATOR_THRESHOLD = 0.8;
+
+// Root fields recognised as a schema version when none is configured. A bare
+// `version` more often counts revisions of the document than of its shape,
+// so it has to be named.
+const VERSION_FIELD_NAMES = ['schemaVersion', 'schema_version', '_v', '__v', 'docVersion', 'documentVersion'];
+
+// Property changes highlighted between adjacent schema versions
+const VERSION_CHANGE_TYPES = ['ADDED', 'REMOVED', 'TYPE_CHANGED', 'OPTIONALITY_CHANGED'];
+
 /**
  * Infers schema from an array of sampled documents.
  * @param {object[]} documents - Array of documents to analyse
- * @param {object} config - Optional configuration (typeDetection settings)
+ * @param {object} config - Optional configuration (typeDetection settings, excludePaths)
  * @returns {object} Inferred schema with property details
  */
 export function inferSchema(documents, config = {}) {
@@ -14,34 +49,570 @@ export function inferSchema(documents, config = {}) {
     return { properties: {}, documentCount: 0 };
   }
 
+  const state = createSchemaState();
+  for (const doc of documents) {
+    addDocumentToState(state, doc, config);
+  }
+
+  return finaliseSchemaState(state, config);
+}
+
+/**
+ * Creates an empty schema state (the schema accumulator).
+ * The state holds raw counts (occurrences, types, sample values) and is
+ * plain JSON, so it can be persisted, documents folded in later, and
+ * states built from different samples merged.
+ *
+ * `variants` and `versions` count properties per value of each discriminator
+ * and schema-version candidate field:
+ * { field: { value: { documentCount, properties: { path: counts } } } },
+ * with null marking fields ruled out (wrong value type or too many values).
+ * `quality` (added with the first document) holds document sizes and depths
+ * for data quality checks, and `timestamps` the oldest and newest _ts sampled
+ * (each property keeps its own as firstSeen/lastSeen, and its total
+ * serialised size as bytes). `partitionKeys` counts partition key values
+ * when the partition key paths are configured. String properties count
+ * values that look sensitive as sensitiveValues, for classification.
+ * @returns {{documentCount: number, properties: object, variants: object, versions: object}}
+ */
+export function createSchemaState() {
+  return { documentCount: 0, properties: {}, variants: {}, versions: {} };
+}
+
+/**
+ * Folds one document into a schema state.
+ * @param {object} state - State from createSchemaState (modified in place)
+ * @param {object} doc - Document to record
+ * @param {object} config - Optional configuration (typeDetection settings, excludePaths, discriminator, versionField,
+ *   partitionKey paths, redaction)
+ * @returns {object} The same state
+ */
+export function addDocumentToState(state, doc, config = {}) {
   const customPatterns = config.typeDetection?.customPatterns || [];
+  const objectPatterns = resolveObjectPatterns(config.typeDetection);
+  const detect = (value, name) => detectType(value, customPatterns, objectPatterns, name);
+  const excludePatterns = compileExcludePaths(config.excludePaths);
+  const redact = createRedactor(config.redaction);
+  const trackVariants = config.discriminator !== false;
+  const trackVersions = config.versionField !== false;
+
+  state.documentCount++;
+
+  const touched = new Map();
+  walkObject(doc, '', state.properties, detect, excludePatterns, touched, redact);
+  recordDocumentQuality(state, doc, touched);
+  recordPropertySizes(state, doc);
+  recordTimestamp(state, doc, touched);
+  recordPartitionKey(state, doc, config.partitionKey,
+    redact && ((path, value) => redact(path, value, detect(value, path.split('.').pop()), true)));
+  if (trackVariants) recordVariants(state, doc, touched, redact);
+  if (trackVersions) recordVersions(state, doc, touched, config.versionField, redact);
+  return state;
+}
+
+/**
+ * Folds a stream of document pages into a schema state, one document at a
+ * time, so a sample never has to be held in memory as a whole.
+ * @param {object} state - State from createSchemaState (modified in place)
+ * @param {AsyncIterable<object[]>|Iterable<object[]>} pages - Pages of documents, e.g. from sampleDocumentPages
+ * @param {object} config - Optional configuration (typeDetection settings, excludePaths)
+ * @param {function(number): void} [onPage] - Called after each page with the state's document count
+ * @returns {Promise<object>} The same state
+ */
+export async function addPagesToState(state, pages, config = {}, onPage) {
+  for await (const page of pages) {
+    for (const doc of page) {
+      addDocumentToState(state, doc, config);
+    }
+    onPage?.(state.documentCount);
+  }
+  return state;
+}
+
+/**
+ * Combines two schema states, as if every document had been added to one.
+ * Counts are summed and value lists unioned up to the usual caps, so the
+ * kept examples depend on merge order. Neither input is modified.
+ * @param {object} a - Schema state
+ * @param {object} b - Schema state
+ * @returns {object} New merged state
+ */
+export function mergeSchemaStates(a, b) {
+  const merged = {
+    documentCount: a.documentCount + b.documentCount,
+    properties: structuredClone(a.properties)
+  };
+
+  for (const [path, prop] of Object.entries(b.properties)) {
+    const target = merged.properties[path];
+    if (!target) {
+      merged.properties[path] = structuredClone(prop);
+      continue;
+    }
+
+    target.occurrences += prop.occurrences;
+    target.nullCount += prop.nullCount;
+    prop.types.forEach(type => addUnique(target.types, type));
+    if (prop.redacted) target.redacted = true;
+
+    const maxExamples = target.isArrayItem ? MAX_ARRAY_ITEM_EXAMPLES : MAX_EXAMPLES;
+    for (const example of prop.examples) {
+      if (target.examples.length >= maxExamples) break;
+      addUnique(target.examples, example);
+    }
+    for (const value of prop.allValues) {
+      if (target.allValues.length >= MAX_TRACKED_VALUES) break;
+      addUnique(target.allValues, value);
+    }
+
+    if (target.stats || prop.stats) {
+      target.stats = mergeValueStats(target.stats, prop.stats);
+    }
+    if (target.distribution || prop.distribution) {
+      target.distribution = mergeValueDistributions(target.distribution, prop.distribution);
+    }
+    if (target.quality || prop.quality) {
+      target.quality = mergePropertyQuality(target.quality, prop.quality);
+    }
+    mergePropertyTimestamps(target, prop);
+    mergePropertySizes(target, prop);
+    mergeSensitiveValues(target, prop);
+
+    if (!target.isArrayItem) {
+      target.isArray = target.isArray || prop.isArray;
+      (prop.arrayItemTypes || []).forEach(type => addUnique(target.arrayItemTypes, type));
+    }
+  }
+
+  if (a.quality || b.quality) {
+    merged.quality = mergeQualityStates(a.quality, b.quality);
+  }
+  if (a.timestamps || b.timestamps) {
+    merged.timestamps = mergeTimestamps(a.timestamps, b.timestamps);
+  }
+  if (a.partitionKeys || b.partitionKeys) {
+    merged.partitionKeys = mergePartitionKeys(a.partitionKeys, b.partitionKeys);
+  }
+  merged.variants = mergeGroups(a.variants || {}, b.variants || {});
+  merged.versions = mergeGroups(a.versions || {}, b.versions || {});
+  return merged;
+}
+
+/**
+ * Combines the per-value counts (variants or versions) of two states. A field
+ * ruled out in either state, or with too many values once combined, is ruled out.
+ */
+function mergeGroups(a, b) {
+  const merged = structuredClone(a);
+
+  for (const [field, values] of Object.entries(b)) {
+    if (!(field in merged)) {
+      merged[field] = structuredClone(values);
+      continue;
+    }
+    if (merged[field] === null || values === null) {
+      merged[field] = null;
+      continue;
+    }
+
+    for (const [value, variant] of Object.entries(values)) {
+      const target = merged[field][value];
+      if (!target) {
+        merged[field][value] = structuredClone(variant);
+        continue;
+      }
+      target.documentCount += variant.documentCount;
+      for (const [path, counts] of Object.entries(variant.properties)) {
+        addGroupCounts(target.properties, path, counts);
+      }
+    }
+
+    if (Object.keys(merged[field]).length > MAX_VARIANTS) {
+      merged[field] = null;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Produces a schema from a state: frequencies, optionality and enum
+ * detection are derived from the counts. The state is left untouched.
+ * @param {object} state - Schema state
+ * @param {object} config - Optional configuration (enum detection, excludePaths, classification)
+ * @returns {object} Inferred schema with property details
+ */
+export function finaliseSchemaState(state, config = {}) {
+  if (state.documentCount === 0) {
+    return { properties: {}, documentCount: 0 };
+  }
 
   const schema = {
-    properties: {},
-    documentCount: documents.length
+    properties: structuredClone(state.properties),
+    documentCount: state.documentCount
   };
 
-  // Process each document
-  for (const doc of documents) {
-    walkObject(doc, '', schema.properties, documents.length, customPatterns);
+  if (config.excludePaths?.length > 0) {
+    schema.excludedPaths = [...config.excludePaths];
+  }
+
+  // Configured object patterns in use, so outputs can name and describe them
+  const objectPatterns = getDeclaredObjectPatterns(config.typeDetection, Object.values(state.properties).flatMap(prop => prop.types));
+  if (objectPatterns.length > 0) {
+    schema.objectPatterns = objectPatterns;
+  }
+
+  // Outliers and other anomalies, from the evidence gathered while sampling
+  const dataQuality = findDataQualityIssues(state);
+  if (dataQuality) {
+    schema.dataQuality = dataQuality;
+  }
+
+  // Document sizes, the largest documents and the properties taking up most bytes
+  const sizeProfile = buildSizeProfile(state);
+  if (sizeProfile) {
+    schema.sizeProfile = sizeProfile;
+  }
+
+  // Sensitivity labels from property names, sampled values and custom rules
+  if (config.classification?.enabled !== false) {
+    classifyProperties(schema.properties, config.classification);
+  }
+
+  // Value profiles (ranges, lengths, percentiles) and distributions from the raw counts
+  for (const prop of Object.values(schema.properties)) {
+    if (prop.stats) prop.stats = finaliseValueStats(prop.stats);
+    if (prop.distribution) prop.distribution = finaliseValueDistribution(prop.distribution, prop.types);
+    delete prop.quality;
+    delete prop.bytes;
+    delete prop.sensitiveValues;
+  }
+
+  // Values of properties classified as PII that no redaction rule covered
+  const redact = createRedactor(config.redaction);
+  if (redact) {
+    const concealed = concealClassifiedValues(schema.properties, redact);
+    if (schema.dataQuality && concealed.length > 0) {
+      schema.dataQuality.issues = schema.dataQuality.issues
+        .filter(issue => issue.kind !== 'numericOutlier' || !concealed.includes(issue.propertyPath));
+    }
+  }
+
+  // When each property was first and last written, and which look phased out
+  finalisePropertyTimestamps(schema.properties, state.timestamps, config.freshness);
+
+  // How well the partition key spreads the sampled documents
+  if (state.partitionKeys) {
+    schema.partitionKeyHealth = assessPartitionKey(state.partitionKeys, schema.properties);
   }
 
   // Calculate required/optional based on occurrence frequency
-  calculateOptionality(schema.properties, documents.length);
+  calculateOptionality(schema.properties, state.documentCount);
 
   // Detect enum-like fields if enabled
   const enumConfig = config.typeDetection?.enumDetection;
   if (enumConfig?.enabled !== false) {
-    detectEnumFields(schema.properties, documents.length, enumConfig);
+    detectEnumFields(schema.properties, state.documentCount, enumConfig);
+  }
+
+  // Split single-table containers into variants by their discriminator
+  if (config.discriminator !== false) {
+    const discriminator = findDiscriminator(schema, state.variants || {}, config.discriminator);
+    if (discriminator) {
+      schema.discriminator = discriminator;
+      schema.properties[discriminator.property].isDiscriminator = true;
+    }
+  }
+
+  // Split half-migrated containers by their schema version field
+  if (config.versionField !== false) {
+    const schemaVersions = findSchemaVersions(schema, state.versions || {}, config.versionField);
+    if (schemaVersions) {
+      schema.schemaVersions = schemaVersions;
+      schema.properties[schemaVersions.property].isVersionField = true;
+    }
   }
 
   return schema;
 }
 
+/**
+ * Appends a value to a list unless already present.
+ * State lists stand in for Sets so the state stays JSON-serialisable.
+ */
+function addUnique(list, value) {
+  if (!list.includes(value)) {
+    list.push(value);
+  }
+}
+
+/**
+ * Records the properties a document touched against each discriminator
+ * candidate value it holds.
+ * @param {object} state - Schema state
+ * @param {object} doc - Document just walked
+ * @param {Map<string, object>} touched - Per-path counts for this document
+ * @param {function|null} [redact] - Redaction for the recorded values
+ */
+function recordVariants(state, doc, touched, redact = null) {
+  state.variants ??= {};
+
+  for (const [field, value] of Object.entries(doc)) {
+    // Skip metadata, excluded paths, missing values and ruled-out fields
+    if (!touched.has(field) || value === null || value === undefined) continue;
+    if (state.variants[field] === null) continue;
+
+    if (typeof value !== 'string') {
+      state.variants[field] = null;
+      continue;
+    }
+
+    addToGroup(state.variants, field, redactGroupValue(redact, field, value, touched), touched);
+  }
+}
+
+/**
+ * Records the properties a document touched against its schema version,
+ * for the configured version field or any recognised one.
+ * @param {object} state - Schema state
+ * @param {object} doc - Document just walked
+ * @param {Map<string, object>} touched - Per-path counts for this document
+ * @param {string|null} [versionField] - Configured version field
+ * @param {function|null} [redact] - Redaction for the recorded values
+ */
+function recordVersions(state, doc, touched, versionField, redact = null) {
+  state.versions ??= {};
+  const candidates = typeof versionField === 'string' ? [versionField] : VERSION_FIELD_NAMES;
+
+  for (const field of candidates) {
+    const value = doc[field];
+    if (!touched.has(field) || value === null || value === undefined) continue;
+    if (state.versions[field] === null) continue;
+
+    if (typeof value !== 'number' && typeof value !== 'string') {
+      state.versions[field] = null;
+      continue;
+    }
+
+    addToGroup(state.versions, field, String(redactGroupValue(redact, field, value, touched)), touched);
+  }
+}
+
+/**
+ * Redacts a root field's value before it names a group, hashing rather than
+ * dropping or masking so different values stay apart.
+ */
+function redactGroupValue(redact, field, value, touched) {
+  return redact ? redact(field, value, touched.get(field).types[0], true) : value;
+}
+
+/**
+ * Adds a document's touched paths to the counts for one field value,
+ * ruling the field out once it has more than MAX_VARIANTS values.
+ */
+function addToGroup(groups, field, value, touched) {
+  const values = groups[field] ??= {};
+  if (!values[value]) {
+    if (Object.keys(values).length >= MAX_VARIANTS) {
+      groups[field] = null;
+      return;
+    }
+    values[value] = { documentCount: 0, properties: {} };
+  }
+
+  const group = values[value];
+  group.documentCount++;
+  for (const [path, counts] of touched) {
+    addGroupCounts(group.properties, path, counts);
+  }
+}
+
+function addGroupCounts(properties, path, counts) {
+  const target = properties[path] ??= { occurrences: 0, nullCount: 0, types: [] };
+  target.occurrences += counts.occurrences;
+  target.nullCount += counts.nullCount;
+  counts.types.forEach(type => addUnique(target.types, type));
+}
+
+/**
+ * Notes a property occurrence in the current document's touched paths,
+ * with the smallest and largest numbers it held unless they are redacted.
+ */
+function touch(touched, path, type, value, concealed = false) {
+  if (!touched) return;
+  const counts = touched.get(path) || { occurrences: 0, nullCount: 0, types: [] };
+  counts.occurrences++;
+  if (value === null) counts.nullCount++;
+  addUnique(counts.types, type);
+  if (typeof value === 'number' && Number.isFinite(value) && !concealed) {
+    counts.min = counts.min === undefined ? value : Math.min(counts.min, value);
+    counts.max = counts.max === undefined ? value : Math.max(counts.max, value);
+  }
+  touched.set(path, counts);
+}
+
+/**
+ * Picks the discriminator and builds a sub-schema per value.
+ * A named discriminator is used as long as it was tracked. Otherwise the
+ * candidate must be present in (nearly) every document and split the
+ * container's optional properties into sets that are always or never present
+ * within each variant, with at least two variants owning properties no other
+ * variant has. Lifecycle fields like `status`, where later states add to
+ * earlier ones, therefore do not qualify.
+ * @returns {object|null} { property, detected, variants } or null
+ */
+function findDiscriminator(schema, variants, named) {
+  const candidates = typeof named === 'string' ? [named] : Object.keys(variants);
+  let best = null;
+
+  for (const field of candidates) {
+    const values = variants[field];
+    const prop = schema.properties[field];
+    if (!values || !prop || Object.keys(values).length < 2) continue;
+
+    const built = buildGroupSchemas(schema, values);
+    built.forEach(variant => Object.assign(variant.properties[field], { isEnum: true, enumValues: [variant.value], examples: [variant.value] }));
+    if (typeof named === 'string') {
+      return { property: field, detected: false, variants: built };
+    }
+
+    const score = scoreDiscriminator(schema, field, built);
+    if (prop.isRequired && score !== null && (!best || score > best.score)) {
+      best = { score, property: field, variants: built };
+    }
+  }
+
+  return best && { property: best.property, detected: true, variants: best.variants };
+}
+
+/**
+ * Builds a sub-schema per field value (variant or version), in natural
+ * order. Property details (examples, enum values) come from the whole
+ * container; occurrence counts, types and optionality are the group's own.
+ * Value profiles and distributions describe the whole container, so groups
+ * leave them out.
+ */
+function buildGroupSchemas(schema, values) {
+  return Object.entries(values)
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([value, group]) => {
+      const properties = {};
+      for (const [path, counts] of Object.entries(group.properties)) {
+        if (!schema.properties[path]) continue;
+        properties[path] = { ...groupProperty(schema.properties[path]), ...structuredClone(counts) };
+      }
+      calculateOptionality(properties, group.documentCount);
+
+      return {
+        value,
+        documentCount: group.documentCount,
+        frequency: group.documentCount / schema.documentCount,
+        properties
+      };
+    });
+}
+
+/**
+ * Picks the schema version field and builds a sub-schema per version,
+ * oldest first. Documents without a version come first, as version null,
+ * since they usually predate the field. Each version after the first lists
+ * the properties added, removed or changed since the one before.
+ * @returns {object|null} { property, detected, versions } or null
+ */
+function findSchemaVersions(schema, versions, named) {
+  const candidates = typeof named === 'string' ? [named] : VERSION_FIELD_NAMES;
+  const field = candidates
+    .filter(name => versions[name] && schema.properties[name])
+    .sort((a, b) => schema.properties[b].occurrences - schema.properties[a].occurrences)[0];
+  if (!field) return null;
+
+  const numeric = schema.properties[field].types.every(type => isNumericType(type) || type === 'null');
+  const built = buildGroupSchemas(schema, versions[field]).map(version => {
+    version.properties[field].examples = [version.value];
+    return numeric ? { ...version, value: Number(version.value) } : version;
+  });
+  const unversioned = buildUnversionedSchema(schema, versions[field]);
+  const all = unversioned ? [unversioned, ...built] : built;
+  if (all.length < 2) return null;
+
+  for (let i = 1; i < all.length; i++) {
+    all[i].changes = compareProperties(all[i - 1].properties, all[i].properties)
+      .filter(change => VERSION_CHANGE_TYPES.includes(change.changeType))
+      .map(({ propertyPath, changeType, description }) => ({ propertyPath, changeType, description }));
+  }
+
+  return { property: field, detected: typeof named !== 'string', versions: all };
+}
+
+/**
+ * Sub-schema of the documents without a version, derived by subtracting
+ * every version's counts from the container's.
+ */
+function buildUnversionedSchema(schema, values) {
+  const groups = Object.values(values);
+  const sum = count => groups.reduce((total, group) => total + count(group), 0);
+
+  const documentCount = schema.documentCount - sum(group => group.documentCount);
+  if (documentCount <= 0) return null;
+
+  const properties = {};
+  for (const [path, prop] of Object.entries(schema.properties)) {
+    const occurrences = prop.occurrences - sum(group => group.properties[path]?.occurrences || 0);
+    if (occurrences <= 0) continue;
+    const nullCount = prop.nullCount - sum(group => group.properties[path]?.nullCount || 0);
+    properties[path] = { ...groupProperty(prop), occurrences, nullCount };
+  }
+  calculateOptionality(properties, documentCount);
+
+  return { value: null, documentCount, frequency: documentCount / schema.documentCount, properties };
+}
+
+/**
+ * Copies a container property into a group without its container-wide
+ * value profile and distribution.
+ */
+function groupProperty(prop) {
+  const { stats, distribution, ...rest } = structuredClone(prop);
+  return rest;
+}
+
+/**
+ * Share of the container's optional root properties a discriminator explains,
+ * or null when it does not partition the properties at all.
+ */
+function scoreDiscriminator(schema, field, variants) {
+  if (variants.some(variant => variant.documentCount < MIN_VARIANT_DOCUMENTS)) return null;
+
+  const optional = Object.values(schema.properties)
+    .filter(prop => !prop.parentPath && !prop.isRequired && prop.path !== field);
+  if (optional.length === 0) return null;
+
+  const frequencyIn = (variant, path) => variant.properties[path]?.frequency || 0;
+  const explained = optional.filter(prop => variants.every(variant => {
+    const frequency = frequencyIn(variant, prop.path);
+    return frequency >= 0.95 || frequency <= 0.05;
+  }));
+
+  const owners = variants.filter(variant => optional.some(prop =>
+    frequencyIn(variant, prop.path) >= 0.95 &&
+    variants.every(other => other === variant || frequencyIn(other, prop.path) <= 0.05)
+  ));
+
+  const score = explained.length / optional.length;
+  return owners.length >= 2 && score >= DISCRIMINATOR_THRESHOLD ? score : null;
+}
+
+function detectDefault(value, name) {
+  return detectType(value, [], undefined, name);
+}
+
 /**
  * Recursively walks an object and records property information.
+ * `detect(value, name)` detects the type of each value, with the configured patterns;
+ * `touched`, when given, collects per-path counts for the current document;
+ * `redact`, when given, redacts the values kept as samples.
  */
-function walkObject(obj, basePath, properties, totalDocs, customPatterns = []) {
+function walkObject(obj, basePath, properties, detect = detectDefault, excludePatterns = [], touched = null, redact = null) {
   if (obj === null || obj === undefined) {
     return;
   }
@@ -54,20 +625,25 @@ function walkObject(obj, basePath, properties, totalDocs, customPatterns = []) {
 
     const path = basePath ? `${basePath}.${key}` : key;
 
+    // Skip excluded paths (and everything beneath them)
+    if (excludePatterns.some(regex => regex.test(path))) {
+      continue;
+    }
+
     // Initialize property record if not exists
     if (!properties[path]) {
       properties[path] = {
         path,
         name: key,
         parentPath: basePath || null,
-        types: new Set(),
+        types: [],
         occurrences: 0,
-        examples: new Set(),
+        examples: [],
         nullCount: 0,
-        allValues: new Set(),  // Track all unique values for enum detection
+        allValues: [],  // Track all unique values for enum detection
         children: {},
         isArray: false,
-        arrayItemTypes: new Set()
+        arrayItemTypes: []
       };
     }
 
@@ -80,38 +656,64 @@ function walkObject(obj, basePath, properties, totalDocs, customPatterns = []) {
     }
 
     // Detect and record type
-    const type = detectType(value, customPatterns);
-    prop.types.add(type);
+    const type = detect(value, key);
+    addUnique(prop.types, type);
+    const concealed = Boolean(redact?.conceals(path, type));
+    touch(touched, path, type, value, concealed);
+    recordValueStats(prop, value, type, concealed);
+    recordSensitiveValues(prop, value, type);
 
-    // Track all unique values for enum detection (limit to prevent memory issues)
-    if (type === 'string' && value !== null && prop.allValues.size < 50) {
-      prop.allValues.add(value);
+    // Only redacted values are kept: hashed where they are counted, so repeats still show
+    const counted = redact ? redact(path, value, type, true) : value;
+    const sample = redact ? redact(path, value, type) : value;
+    recordValueDistribution(prop, counted);
+
+    // Track all unique values for enum detection (limit to prevent memory issues).
+    // Redacted values are left out, so their hashes never become enum values.
+    if (concealed) {
+      prop.redacted = true;
+    } else if (isTextType(type) && value !== null && prop.allValues.length < MAX_TRACKED_VALUES) {
+      addUnique(prop.allValues, value);
     }
 
     // Record example value (limit to 5 unique examples)
-    if (prop.examples.size < 5 && value !== null && value !== undefined) {
-      const example = formatExample(value, type);
+    if (prop.examples.length < MAX_EXAMPLES && sample !== null && sample !== undefined) {
+      const example = formatExample(sample, type);
       if (example) {
-        prop.examples.add(example);
+        addUnique(prop.examples, example);
       }
     }
 
     // Handle arrays
     if (Array.isArray(value)) {
       prop.isArray = true;
-      processArray(value, path, properties, prop, totalDocs, customPatterns);
+      processArray(value, path, properties, prop, detect, excludePatterns, touched, redact);
     }
     // Handle nested objects (but not special patterns)
     else if (type === 'object' && typeof value === 'object') {
-      walkObject(value, path, properties, totalDocs, customPatterns);
+      walkObject(value, path, properties, detect, excludePatterns, touched, redact);
     }
   }
 }
 
+/**
+ * Compiles excluded property path globs (e.g. 'payload', 'audit.*', 'items[].secret').
+ * A pattern also excludes everything nested beneath the matched path.
+ */
+function compileExcludePaths(excludePaths) {
+  if (!excludePaths || excludePaths.length === 0) return [];
+  if (compiledExcludePaths.has(excludePaths)) return compiledExcludePaths.get(excludePaths);
+
+  const patterns = excludePaths.map(pattern => compilePathGlob(pattern, { nested: true }));
+
+  compiledExcludePaths.set(excludePaths, patterns);
+  return patterns;
+}
+
 /**
  * Processes array items and records their types/schema.
  */
-function processArray(arr, basePath, properties, parentProp, totalDocs, customPatterns = []) {
+function processArray(arr, basePath, properties, parentProp, detect = detectDefault, excludePatterns = [], touched = null, redact = null) {
   const itemPath = `${basePath}[]`;
 
   // Initialize array item record
@@ -120,11 +722,11 @@ function processArray(arr, basePath, properties, parentProp, totalDocs, customPa
       path: itemPath,
       name: '[]',
       parentPath: basePath,
-      types: new Set(),
+      types: [],
       occurrences: 0,
-      examples: new Set(),
+      examples: [],
       nullCount: 0,
-      allValues: new Set(),
+      allValues: [],
       children: {},
       isArrayItem: true
     };
@@ -134,31 +736,41 @@ function processArray(arr, basePath, properties, parentProp, totalDocs, customPa
 
   for (const item of arr) {
     itemProp.occurrences++;
-    const itemType = detectType(item, customPatterns);
-    itemProp.types.add(itemType);
-    parentProp.arrayItemTypes.add(itemType);
+    const itemType = detect(item, parentProp.name);
+    addUnique(itemProp.types, itemType);
+    addUnique(parentProp.arrayItemTypes, itemType);
+    const concealed = Boolean(redact?.conceals(itemPath, itemType));
+    touch(touched, itemPath, itemType, item, concealed);
+    recordValueStats(itemProp, item, itemType, concealed);
+    recordSensitiveValues(itemProp, item, itemType);
+
+    const counted = redact ? redact(itemPath, item, itemType, true) : item;
+    const sample = redact ? redact(itemPath, item, itemType) : item;
+    recordValueDistribution(itemProp, counted);
 
     // Track null values
     if (item === null) {
       itemProp.nullCount++;
     }
 
-    // Track all unique values for enum detection
-    if (itemType === 'string' && item !== null && itemProp.allValues.size < 50) {
-      itemProp.allValues.add(item);
+    // Track all unique values for enum detection, leaving redacted values out
+    if (concealed) {
+      itemProp.redacted = true;
+    } else if (isTextType(itemType) && item !== null && itemProp.allValues.length < MAX_TRACKED_VALUES) {
+      addUnique(itemProp.allValues, item);
     }
 
     // Record example
-    if (itemProp.examples.size < 3) {
-      const example = formatExample(item, itemType);
+    if (itemProp.examples.length < MAX_ARRAY_ITEM_EXAMPLES) {
+      const example = formatExample(sample, itemType);
       if (example) {
-        itemProp.examples.add(example);
+        addUnique(itemProp.examples, example);
       }
     }
 
     // If array items are objects, walk them too
     if (itemType === 'object' && typeof item === 'object' && item !== null) {
-      walkObject(item, itemPath, properties, totalDocs, customPatterns);
+      walkObject(item, itemPath, properties, detect, excludePatterns, touched, redact);
     }
   }
 }
@@ -174,6 +786,22 @@ function formatExample(value, type) {
   switch (type) {
     case 'guid':
     case 'datetime':
+    case 'date':
+    case 'time':
+    case 'duration':
+    case 'email':
+    case 'url':
+    case 'phone':
+    case 'ipv4':
+    case 'ipv6':
+    case 'jwt':
+    case 'base64':
+    case 'currencyCode':
+    case 'countryCode':
+    case 'languageCode':
+    case 'semver':
+    case 'hexColour':
+    case 'numericString':
     case 'string':
       // Truncate long strings
       const str = String(value);
@@ -181,6 +809,8 @@ function formatExample(value, type) {
 
     case 'integer':
     case 'number':
+    case 'epochSeconds':
+    case 'epochMillis':
     case 'boolean':
       return String(value);
 
@@ -189,6 +819,8 @@ function formatExample(value, type) {
     case 'LookupObject':
     case 'SimpleReference':
     case 'CaseInsensitiveString':
+    case 'GeoPoint':
+    case 'GeoPolygon':
       // For pattern objects, show structure indicator
       return `{${Object.keys(value).join(', ')}}`;
 
@@ -203,7 +835,8 @@ function formatExample(value, type) {
       return `[${value.length} items]`;
 
     default:
-      return null;
+      // Configured object patterns show their structure; custom string types have no example
+      return typeof value === 'object' && !Array.isArray(value) ? `{${Object.keys(value).join(', ')}}` : null;
   }
 }
 
@@ -214,16 +847,6 @@ function formatExample(value, type) {
  */
 function calculateOptionality(properties, totalDocs, threshold = 0.95) {
   for (const prop of Object.values(properties)) {
-    // Convert Sets to Arrays for serialization
-    prop.types = Array.from(prop.types);
-    prop.examples = Array.from(prop.examples);
-    if (prop.arrayItemTypes) {
-      prop.arrayItemTypes = Array.from(prop.arrayItemTypes);
-    }
-    if (prop.allValues) {
-      prop.allValues = Array.from(prop.allValues);
-    }
-
     // Calculate frequency
     prop.frequency = prop.occurrences / totalDocs;
     prop.isRequired = prop.frequency >= threshold;
@@ -255,10 +878,11 @@ function detectEnumFields(properties, totalDocs, config = {}) {
   const minFrequency = config.minFrequency || 0.8;
 
   for (const prop of Object.values(properties)) {
-    // Only consider string properties with limited unique values
-    if (!prop.types.includes('string')) continue;
+    // Only consider text properties (strings and codes) with limited unique values
+    if (!prop.types.some(isTextType)) continue;
     if (!prop.allValues || prop.allValues.length === 0) continue;
     if (prop.allValues.length > maxValues) continue;
+    if (prop.redacted) continue;
     if (prop.frequency < minFrequency) continue;
 
     // This looks like an enum
@@ -285,8 +909,8 @@ function detectComputedFields(properties) {
   ];
 
   for (const prop of Object.values(properties)) {
-    // Only consider string properties with multiple unique values
-    if (!prop.types.includes('string')) continue;
+    // Only consider text properties with multiple unique values
+    if (!prop.types.some(isTextType)) continue;
     if (!prop.allValues || prop.allValues.length < 3) continue;
     if (prop.isEnum) continue;  // Skip enums
 
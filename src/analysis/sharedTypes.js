@@ -0,0 +1,233 @@
+/**
+ * Shared types: nested object shapes, such as an address or an amount of
+ * money, that recur across containers or at several paths of one container.
+ *
+ * Each nested object (or object array item) is fingerprinted by its keys and
+ * their value types, recursively, with types of one family treated alike so
+ * an integer amount in one container matches a decimal one in another.
+ * Shapes found at two or more places are named after the properties holding
+ * them ("shippingAddress" and "billingAddress" give "Address") and documented
+ * once, so property tables, JSON Schema `$defs` and the Shared Types page
+ * refer to the name instead of repeating the shape.
+ */
+
+import { isNumericType, isTextType } from './typeDetector.js';
+import { getChildProperties } from './schemaInferrer.js';
+import { parseContainerKey } from '../utils/containerKey.js';
+
+// Places a shape must occur in before it is shared
+const MIN_OCCURRENCES = 2;
+
+// Keys a shape must have; single-key objects are too generic to name
+const MIN_KEYS = 2;
+
+// Share of its parent's occurrences a key needs to count as required
+const REQUIRED_THRESHOLD = 0.95;
+
+/**
+ * @typedef {object} SharedTypeProperty
+ * @property {string} path - Path relative to the shape, e.g. "city", "geo.lat" or "lines[]"
+ * @property {string} name - Key name
+ * @property {string[]} types - Detected types across all occurrences
+ * @property {boolean} required - Present whenever its parent is, in every occurrence
+ * @property {string|null} sharedType - Name of the shared type the key holds, whose keys are not repeated
+ */
+
+/**
+ * @typedef {object} SharedType
+ * @property {string} name - Type name, e.g. "Address"
+ * @property {string} fingerprint - Keys and value types of the shape
+ * @property {SharedTypeProperty[]} properties - Keys of the shape, nested keys included
+ * @property {{containerKey: string, database: string|null, container: string, path: string}[]} occurrences
+ *   Where the shape occurs, ordered by container and path
+ */
+
+/**
+ * Finds nested object shapes occurring at two or more places.
+ * @param {Object.<string, object>} containerSchemas - Finalised schemas keyed by container key
+ * @returns {{types: SharedType[], byContainer: Object.<string, Object.<string, string>>}}
+ *   Shared types ordered by name, and the type name at each path that holds one, per container key
+ */
+export function findSharedTypes(containerSchemas) {
+  const groups = new Map();
+
+  const containerKeys = Object.keys(containerSchemas).sort();
+  for (const containerKey of containerKeys) {
+    const { properties } = containerSchemas[containerKey];
+    const signatures = new Map();
+
+    for (const prop of Object.values(properties)) {
+      if (!isShape(prop, properties)) continue;
+      const fingerprint = describeKeys(prop.path, properties, signatures);
+      const occurrences = groups.get(fingerprint) || [];
+      occurrences.push({ containerKey, ...parseContainerKey(containerKey), path: prop.path });
+      groups.set(fingerprint, occurrences);
+    }
+  }
+
+  const recurring = [...groups.entries()]
+    .filter(([, occurrences]) => occurrences.length >= MIN_OCCURRENCES)
+    .map(([fingerprint, occurrences]) => ({
+      fingerprint,
+      occurrences: occurrences.sort((a, b) => a.containerKey.localeCompare(b.containerKey) || a.path.localeCompare(b.path))
+    }))
+    // The most widespread shape gets a contested name
+    .sort((a, b) => b.occurrences.length - a.occurrences.length || a.fingerprint.localeCompare(b.fingerprint));
+
+  const byContainer = {};
+  const taken = new Set();
+  for (const group of recurring) {
+    group.name = chooseName(group.occurrences.map(occurrence => occurrence.path), taken);
+    for (const { containerKey, path } of group.occurrences) {
+      (byContainer[containerKey] ??= {})[path] = group.name;
+    }
+  }
+
+  const types = recurring.map(({ name, fingerprint, occurrences }) => ({
+    name,
+    fingerprint,
+    properties: describeProperties(occurrences, containerSchemas, byContainer),
+    occurrences
+  }));
+
+  return { types: types.sort((a, b) => a.name.localeCompare(b.name)), byContainer };
+}
+
+/**
+ * Checks if a property holds only objects (or null) with enough keys to be a shape.
+ */
+function isShape(prop, properties) {
+  const types = prop.types.filter(type => type !== 'null');
+  return types.length === 1 && types[0] === 'object' &&
+    getKeys(properties, prop.path).length >= MIN_KEYS;
+}
+
+function getKeys(properties, path) {
+  return getChildProperties(properties, path).filter(child => child.name !== '[]');
+}
+
+/**
+ * Describes the keys of an object and their value types, in key order, e.g.
+ * "city:string,geo:{lat:number,lng:number}".
+ */
+function describeKeys(path, properties, signatures) {
+  if (signatures.has(path)) return signatures.get(path);
+
+  const description = getKeys(properties, path)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(child => `${child.name}:${describeValue(child, properties, signatures)}`)
+    .join(',');
+  signatures.set(path, description);
+  return description;
+}
+
+/**
+ * Describes what a property holds: nested keys in braces, array items in
+ * brackets, otherwise its types by family.
+ */
+function describeValue(prop, properties, signatures) {
+  if (prop.isArray) {
+    const item = properties[`${prop.path}[]`];
+    return `[${item ? describeValue(item, properties, signatures) : describeTypes(prop.arrayItemTypes || [])}]`;
+  }
+  const types = prop.types.filter(type => type !== 'null');
+  if (types.length === 1 && types[0] === 'object' && getKeys(properties, prop.path).length > 0) {
+    return `{${describeKeys(prop.path, properties, signatures)}}`;
+  }
+  return describeTypes(types);
+}
+
+function describeTypes(types) {
+  const families = types
+    .filter(type => type !== 'null')
+    .map(type => (isNumericType(type) ? 'number' : isTextType(type) ? 'string' : type));
+  return [...new Set(families)].sort().join('|') || 'null';
+}
+
+/**
+ * Lists a shape's keys, with types merged across its occurrences. Keys
+ * holding another shared type are listed by that type's name only.
+ */
+function describeProperties(occurrences, containerSchemas, byContainer) {
+  const merged = new Map();
+
+  for (const { containerKey, path: base } of occurrences) {
+    const properties = containerSchemas[containerKey].properties;
+    const shared = byContainer[containerKey];
+
+    const visit = path => {
+      for (const child of getChildProperties(properties, path)) {
+        const relative = child.path.slice(base.length).replace(/^\./, '');
+        const entry = merged.get(relative) || {
+          path: relative,
+          name: child.name,
+          types: [],
+          required: true,
+          sharedType: shared[child.path] || null
+        };
+        for (const type of child.types) {
+          if (!entry.types.includes(type)) entry.types.push(type);
+        }
+        const parent = properties[path];
+        if (child.name !== '[]' && child.occurrences < parent.occurrences * REQUIRED_THRESHOLD) {
+          entry.required = false;
+        }
+        merged.set(relative, entry);
+
+        if (!entry.sharedType) visit(child.path);
+      }
+    };
+    visit(base);
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Names a shape after the properties holding it: the trailing words they
+ * share, or else the most common of them, in PascalCase. Array items take
+ * the singular of the array name, and taken names get a number.
+ */
+function chooseName(paths, taken) {
+  const names = paths.map(path => {
+    const last = path.split('.').pop();
+    return last.endsWith('[]') ? singularise(last.replace(/\[\]/g, '')) : last;
+  });
+
+  const words = names.map(splitWords);
+  const common = [];
+  for (let i = 1; words.every(list => list.length >= i); i++) {
+    const word = words[0][words[0].length - i].toLowerCase();
+    if (!words.every(list => list[list.length - i].toLowerCase() === word)) break;
+    common.unshift(words[0][words[0].length - i]);
+  }
+
+  let parts = common;
+  if (parts.length === 0) {
+    const counts = new Map();
+    for (const name of names) counts.set(name, (counts.get(name) || 0) + 1);
+    const [mostCommon] = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+    parts = splitWords(mostCommon);
+  }
+
+  let base = parts.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('') || 'Shape';
+  if (/^\d/.test(base)) base = `Type${base}`;
+
+  let name = base;
+  for (let suffix = 2; taken.has(name); suffix++) {
+    name = `${base}${suffix}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+function splitWords(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(Boolean);
+}
+
+function singularise(name) {
+  if (/ies$/.test(name)) return name.replace(/ies$/, 'y');
+  if (/(s|x|z|ch|sh)es$/.test(name)) return name.replace(/es$/, '');
+  if (/[^s]s$/.test(name)) return name.slice(0, -1);
+  return name;
+}
@@ -0,0 +1,108 @@
+/**
+ * Document size profile: the spread of sampled document sizes, the largest
+ * documents, how close they come to the Cosmos DB item size limit and which
+ * properties (arrays included) account for most of the bytes.
+ * Document sizes are gathered with the data quality evidence; bytes per
+ * property are kept on each property record in the schema state.
+ */
+
+import { finaliseSummary } from './valueStats.js';
+
+// Cosmos DB rejects items larger than 2 MB
+export const ITEM_SIZE_LIMIT = 2 * 1024 * 1024;
+
+// Largest documents at or beyond this share of the limit are close to it
+const NEAR_LIMIT_SHARE = 0.5;
+
+// Properties listed as the biggest contributors
+const MAX_TOP_PROPERTIES = 10;
+
+/**
+ * Adds the serialised size of every property in a document to its record
+ * in the state (prop.bytes). Array items count towards `path[]` as well as
+ * the array itself. Sizes are UTF-8 bytes of the JSON, as Cosmos DB stores it.
+ * @param {object} state - Schema state
+ * @param {object} doc - Document just walked
+ */
+export function recordPropertySizes(state, doc) {
+  measure(doc, '', state.properties);
+}
+
+/**
+ * Folds one property state's byte count into another's.
+ * @param {object} target - Property state (modified in place)
+ * @param {object} source - Property state of the same path
+ */
+export function mergePropertySizes(target, source) {
+  if (source.bytes === undefined) return;
+  target.bytes = (target.bytes || 0) + source.bytes;
+}
+
+/**
+ * Builds the size profile of a sample:
+ * { sizes: { min, max, mean, p50, p90, p99 }, largest: [{ id, bytes }],
+ *   limitShare, nearLimit, topProperties: [{ path, bytes, averageBytes, share, isArray }] }.
+ * Top properties are root properties and arrays at any depth, by total bytes.
+ * @param {object} state - Schema state (raw, before finalising)
+ * @returns {object|null} Size profile, or null for an empty sample
+ */
+export function buildSizeProfile(state) {
+  const sizes = state.quality?.sizes;
+  if (!sizes?.count) return null;
+
+  const topProperties = Object.values(state.properties)
+    .filter(prop => prop.bytes > 0 && (!prop.parentPath || prop.isArray))
+    .sort((a, b) => b.bytes - a.bytes)
+    .slice(0, MAX_TOP_PROPERTIES)
+    .map(prop => ({
+      path: prop.path,
+      bytes: prop.bytes,
+      averageBytes: Math.round(prop.bytes / prop.occurrences),
+      share: Math.round((prop.bytes / sizes.sum) * 1000) / 1000,
+      isArray: Boolean(prop.isArray)
+    }));
+
+  const limitShare = sizes.max / ITEM_SIZE_LIMIT;
+  return {
+    sizes: finaliseSummary(sizes),
+    largest: state.quality.largest.map(({ id, value }) => ({ id, bytes: value })),
+    limitShare: Math.round(limitShare * 1000) / 1000,
+    nearLimit: limitShare >= NEAR_LIMIT_SHARE,
+    topProperties
+  };
+}
+
+/**
+ * Formats how much of the item size limit a document uses, e.g. "12.5%".
+ */
+export function formatLimitShare(limitShare) {
+  return `${Math.round(limitShare * 1000) / 10}%`;
+}
+
+/**
+ * Serialised size of a value, attributed to its path along the way.
+ * @returns {number} UTF-8 bytes of JSON.stringify(value)
+ */
+function measure(value, path, properties) {
+  let bytes;
+
+  if (Array.isArray(value)) {
+    bytes = 2 + Math.max(0, value.length - 1);
+    for (const item of value) {
+      bytes += measure(item, `${path}[]`, properties);
+    }
+  } else if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, child]) => child !== undefined);
+    bytes = 2 + Math.max(0, entries.length - 1);
+    for (const [key, child] of entries) {
+      bytes += Buffer.byteLength(JSON.stringify(key)) + 1;
+      bytes += measure(child, path ? `${path}.${key}` : key, properties);
+    }
+  } else {
+    bytes = Buffer.byteLength(JSON.stringify(value) ?? 'null');
+  }
+
+  const prop = path && properties[path];
+  if (prop) prop.bytes = (prop.bytes || 0) + bytes;
+  return bytes;
+}
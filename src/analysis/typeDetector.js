@@ -1,13 +1,134 @@
 /**
  * Type detection for Cosmos DB document values.
  * Detects specific types from values: guid, datetime, integer, number, boolean, etc.
+ *
+ * String detectors run in two tiers. Distinctive formats (GUIDs, dates and
+ * times, emails, URLs, phone numbers, IP addresses, JWTs) are checked before
+ * custom patterns; looser ones that ordinary text can match by chance
+ * (codes, version numbers, colours, numeric strings, base64) after them, so
+ * a custom pattern can claim such values first.
+ *
+ * Objects are matched against object patterns: declared shapes of required
+ * and optional keys with the types their values must have. The built-in
+ * patterns below are defaults; configured ones are checked first, replace a
+ * built-in of the same name, and `builtInObjectPatterns: false` turns the
+ * built-ins off. GeoJSON is a standard and always detected.
  */
 
+import { isIPv4, isIPv6 } from 'net';
+
 // UUID/GUID pattern
 const GUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-// ISO 8601 datetime patterns
-const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?)?$/;
+// ISO 8601 date and time patterns: a date with a time (and optional offset), a date alone, a time of day
+const ISO_DATETIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+const ISO_DATE_REGEX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// ISO 8601 duration, e.g. P3Y6M4DT12H30M5S, PT15M, P2W
+const DURATION_REGEX = /^-?P(?=\d|T\d)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+
+// JSON Web Token: base64url header (always starting `{"`), payload and optional signature
+const JWT_REGEX = /^eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+
+// Semantic version, with an optional leading "v"
+const SEMVER_REGEX = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(-[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?(\+[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?$/;
+
+// CSS hex colour: #rgb, #rgba, #rrggbb or #rrggbbaa
+const HEX_COLOUR_REGEX = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Numbers held as strings, e.g. "42", "-0.5", "00123"
+const NUMERIC_STRING_REGEX = /^[+-]?\d+(\.\d+)?$/;
+
+// Padded base64. Shorter strings, and ones without a mix of cases and digits
+// or a + or /, are usually words or identifiers.
+const BASE64_REGEX = /^([A-Za-z0-9+/]{4})+([A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const MIN_BASE64_LENGTH = 24;
+
+// Integers read as Unix time when they fall between 2000-01-01 and 2100-01-01
+// and the property is named like a timestamp, so byte counts and large ids are not
+const MIN_EPOCH_SECONDS = 946684800;
+const MAX_EPOCH_SECONDS = 4102444800;
+
+// Timestamp names: createdAt, expiryTime, lastLoginTs, updated_at, ts, epoch, createdEpochMs
+const TIMESTAMP_NAME_REGEX = /[a-z0-9](At|On|Time|Timestamp|Date|Ts)$|(^|_)(at|on|time|timestamp|date|ts)$|^(created|updated|modified|deleted|expires|expiry)$|[Ee]poch/;
+
+// ISO 4217 currency codes in use. ALL (Albanian lek) and TOP (Tongan pa'anga)
+// are left out, as uppercase words they are more often filter values.
+const CURRENCY_CODES = new Set((
+  'AED AFN AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP BYN BZD ' +
+  'CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP ' +
+  'GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD ' +
+  'KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN ' +
+  'NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP ' +
+  'SLE SLL SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TRY TTD TWD TZS UAH UGX USD UYU UZS VED VES ' +
+  'VND VUV WST XAF XCD XOF XPF YER ZAR ZMW ZWL'
+).split(' '));
+
+// ISO 3166-1 alpha-2 country codes, less AM, PM, NA and ID, which mostly
+// stand for times of day, "not applicable" and identifiers
+const COUNTRY_CODES = new Set((
+  'AD AE AF AG AI AL AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT ' +
+  'BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG ' +
+  'EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN ' +
+  'HR HT HU IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK ' +
+  'LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NC NE NF ' +
+  'NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD ' +
+  'SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW ' +
+  'TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+).split(' '));
+
+// ISO 639-1 language codes, alone or with a script and/or region subtag (en-GB, zh-Hant-TW)
+const LANGUAGE_CODES = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de ' +
+  'dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia ' +
+  'id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo ' +
+  'lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ' +
+  'ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk ' +
+  'tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' '));
+const LANGUAGE_TAG_REGEX = /^([a-z]{2})(-[A-Z][a-z]{3})?(-([A-Z]{2}|\d{3}))?$/;
+
+// Codes that are also English words only count with a subtag ("it-IT", not "it")
+const AMBIGUOUS_LANGUAGE_CODES = new Set(['am', 'an', 'as', 'be', 'he', 'hi', 'id', 'is', 'it', 'my', 'na', 'no', 'or', 'so', 'to']);
+
+// Type families whose members mix freely in one property: a numeric string
+// among plain strings or a date among datetimes is not a data quality problem
+const TYPE_FAMILIES = [
+  ['integer', 'number', 'epochSeconds', 'epochMillis'],
+  ['string', 'numericString', 'currencyCode', 'countryCode', 'languageCode'],
+  ['datetime', 'date']
+];
+
+// Default object patterns. Value types are 'any', a JSON kind (string,
+// number, integer, boolean, object, array, null) or a detected type (guid, datetime, ...)
+const BUILT_IN_OBJECT_PATTERNS = [
+  // { Value: "ISO string", Epoch: number }
+  { name: 'DateTimeObject', displayName: 'DateTime', required: { Value: 'any', Epoch: 'number' } },
+  // { Id: "guid", Name: "string", Code: "string" }, embedded references
+  { name: 'ReferenceObject', displayName: 'Reference', required: { Id: 'guid', Name: 'any', Code: 'any' }, additionalKeys: true, reference: true },
+  // { Id: number, Name: "string", Code: "string" }, lookup table entries
+  { name: 'LookupObject', displayName: 'Lookup', required: { Id: 'number', Name: 'any', Code: 'any' }, additionalKeys: true, reference: true },
+  // { Value: "string", Lower: "string" }
+  { name: 'CaseInsensitiveString', displayName: 'CIString', required: { Value: 'string', Lower: 'string' } },
+  // { Id: "guid", Reference: "string" } (like Product in orders)
+  { name: 'SimpleReference', displayName: 'Reference', required: { Id: 'guid', Reference: 'any' }, reference: true }
+].map(normaliseObjectPattern);
+
+// JSON kinds an object pattern can require of a value, as opposed to detected types
+const VALUE_KINDS = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+// Resolved object patterns per typeDetection settings, so folding documents one at a time does not rebuild them
+const resolvedObjectPatterns = new WeakMap();
 
 // Email pattern (simplified RFC 5322)
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -30,9 +151,12 @@ const PHONE_PATTERNS = [
  * Detects the type of a value.
  * @param {any} value - The value to detect type for
  * @param {Array} customPatterns - Optional custom patterns from config
+ * @param {Array} objectPatterns - Object patterns from resolveObjectPatterns (defaults to the built-ins)
+ * @param {string|null} [name] - Name of the property holding the value; integers are only read as
+ *   Unix timestamps under a timestamp-like name
  * @returns {string} The detected type
  */
-export function detectType(value, customPatterns = []) {
+export function detectType(value, customPatterns = [], objectPatterns = BUILT_IN_OBJECT_PATTERNS, name = null) {
   if (value === null) {
     return 'null';
   }
@@ -52,7 +176,7 @@ export function detectType(value, customPatterns = []) {
   }
 
   if (jsType === 'number') {
-    return Number.isInteger(value) ? 'integer' : 'number';
+    return detectNumberType(value, name);
   }
 
   if (jsType === 'string') {
@@ -60,12 +184,35 @@ export function detectType(value, customPatterns = []) {
   }
 
   if (jsType === 'object') {
-    return detectObjectPattern(value);
+    return detectObjectPattern(value, customPatterns, objectPatterns);
   }
 
   return jsType;
 }
 
+/**
+ * Detects Unix timestamps among numbers. Only integers in the range of
+ * recent dates held by a property named like a timestamp count, so counts,
+ * byte sizes, ids and prices stay integers and numbers.
+ */
+function detectNumberType(value, name) {
+  if (!Number.isInteger(value)) return 'number';
+  if (!name || !TIMESTAMP_NAME_REGEX.test(name)) return 'integer';
+  if (value >= MIN_EPOCH_SECONDS && value < MAX_EPOCH_SECONDS) return 'epochSeconds';
+  if (value >= MIN_EPOCH_SECONDS * 1000 && value < MAX_EPOCH_SECONDS * 1000) return 'epochMillis';
+  return 'integer';
+}
+
+/**
+ * Checks that the YYYY-MM-DD a value starts with exists, so 2024-02-30 is
+ * not taken for a date (Date.parse rolls it over to March).
+ */
+function isCalendarDate(value) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
 /**
  * Detects specific types within string values.
  * @param {string} value - The string value to analyze
@@ -81,10 +228,19 @@ function detectStringType(value, customPatterns = []) {
     return 'guid';
   }
 
-  // Check for ISO datetime
-  if (ISO_DATE_REGEX.test(value)) {
+  // Check for ISO dates, times and durations
+  if (ISO_DATETIME_REGEX.test(value) && isCalendarDate(value)) {
     return 'datetime';
   }
+  if (ISO_DATE_REGEX.test(value) && isCalendarDate(value)) {
+    return 'date';
+  }
+  if (TIME_REGEX.test(value)) {
+    return 'time';
+  }
+  if (DURATION_REGEX.test(value)) {
+    return 'duration';
+  }
 
   // Check for email
   if (EMAIL_REGEX.test(value)) {
@@ -103,6 +259,17 @@ function detectStringType(value, customPatterns = []) {
     }
   }
 
+  // Check for IP addresses and JWTs
+  if (isIPv4(value)) {
+    return 'ipv4';
+  }
+  if (isIPv6(value)) {
+    return 'ipv6';
+  }
+  if (JWT_REGEX.test(value)) {
+    return 'jwt';
+  }
+
   // Check custom patterns
   for (const pattern of customPatterns) {
     try {
@@ -115,71 +282,174 @@ function detectStringType(value, customPatterns = []) {
     }
   }
 
-  return 'string';
+  return detectLooseStringType(value);
 }
 
 /**
- * Detects common object patterns in the data.
+ * Detects string formats that ordinary text can match by chance, after
+ * custom patterns have had their turn.
  */
-function detectObjectPattern(obj) {
-  const keys = Object.keys(obj).sort();
-  const keyString = keys.join(',');
+function detectLooseStringType(value) {
+  if (CURRENCY_CODES.has(value)) {
+    return 'currencyCode';
+  }
+  if (COUNTRY_CODES.has(value)) {
+    return 'countryCode';
+  }
 
-  // DateTimeObject pattern: { Value: "ISO string", Epoch: number }
-  if (keys.length === 2 && keys.includes('Value') && keys.includes('Epoch')) {
-    if (typeof obj.Epoch === 'number') {
-      return 'DateTimeObject';
-    }
+  const tag = value.match(LANGUAGE_TAG_REGEX);
+  if (tag && LANGUAGE_CODES.has(tag[1]) && (tag[2] || tag[3] || !AMBIGUOUS_LANGUAGE_CODES.has(tag[1]))) {
+    return 'languageCode';
   }
 
-  // ReferenceObject pattern: { Id: "guid", Name: "string", Code: "string" }
-  if (keys.includes('Id') && keys.includes('Name') && keys.includes('Code')) {
-    if (typeof obj.Id === 'string' && GUID_REGEX.test(obj.Id)) {
-      return 'ReferenceObject';
-    }
+  if (SEMVER_REGEX.test(value)) {
+    return 'semver';
+  }
+  if (HEX_COLOUR_REGEX.test(value)) {
+    return 'hexColour';
+  }
+  if (NUMERIC_STRING_REGEX.test(value)) {
+    return 'numericString';
+  }
+  if (value.length >= MIN_BASE64_LENGTH && BASE64_REGEX.test(value) &&
+      (/[+/=]/.test(value) || (/[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value)))) {
+    return 'base64';
   }
 
-  // LookupObject pattern: { Id: number, Name: "string", Code: "string" }
-  if (keys.includes('Id') && keys.includes('Name') && keys.includes('Code')) {
-    if (typeof obj.Id === 'number') {
-      return 'LookupObject';
-    }
+  return 'string';
+}
+
+/**
+ * Detects common object patterns in the data.
+ */
+function detectObjectPattern(obj, customPatterns, objectPatterns) {
+  // GeoJSON Point and Polygon, which Cosmos DB can index spatially
+  if (obj.type === 'Point' && isPosition(obj.coordinates)) {
+    return 'GeoPoint';
+  }
+  if (obj.type === 'Polygon' && Array.isArray(obj.coordinates) && obj.coordinates.length > 0 &&
+      obj.coordinates.every(ring => Array.isArray(ring) && ring.every(isPosition))) {
+    return 'GeoPolygon';
   }
 
-  // CaseInsensitiveString pattern: { Value: "string", Lower: "string" }
-  if (keys.length === 2 && keys.includes('Value') && keys.includes('Lower')) {
-    if (typeof obj.Value === 'string' && typeof obj.Lower === 'string') {
-      return 'CaseInsensitiveString';
-    }
+  const pattern = objectPatterns.find(candidate => matchesObjectPattern(obj, candidate, customPatterns, objectPatterns));
+  return pattern ? pattern.name : 'object';
+}
+
+/**
+ * Checks an object against an object pattern: every required key present,
+ * every present key with a value of its declared type, and no other keys
+ * unless the pattern allows them.
+ */
+function matchesObjectPattern(obj, pattern, customPatterns, objectPatterns) {
+  const matches = (key, valueType) => [valueType].flat().some(candidate => (VALUE_KINDS[candidate]
+    ? VALUE_KINDS[candidate](obj[key])
+    : detectType(obj[key], customPatterns, objectPatterns, key) === candidate));
+
+  for (const [key, valueType] of Object.entries(pattern.required)) {
+    if (!Object.hasOwn(obj, key) || !matches(key, valueType)) return false;
   }
+  for (const [key, valueType] of Object.entries(pattern.optional)) {
+    if (Object.hasOwn(obj, key) && !matches(key, valueType)) return false;
+  }
+  return pattern.additionalKeys ||
+    Object.keys(obj).every(key => Object.hasOwn(pattern.required, key) || Object.hasOwn(pattern.optional, key));
+}
 
-  // SimpleReference pattern: { Id: "guid", Reference: "string" } (like Product in orders)
-  if (keys.length === 2 && keys.includes('Id') && keys.includes('Reference')) {
-    if (typeof obj.Id === 'string' && GUID_REGEX.test(obj.Id)) {
-      return 'SimpleReference';
-    }
+/**
+ * A GeoJSON position: longitude, latitude and optional altitude.
+ */
+function isPosition(value) {
+  return Array.isArray(value) && (value.length === 2 || value.length === 3) &&
+    value.every(coordinate => typeof coordinate === 'number');
+}
+
+/**
+ * Resolves the object patterns in effect: configured ones first, then the
+ * built-ins they do not replace. A configured pattern with `enabled: false`
+ * turns off the built-in of its name.
+ * @param {object} [typeDetection] - typeDetection settings: { objectPatterns, builtInObjectPatterns }
+ * @returns {Array} Patterns in the order they are checked
+ */
+export function resolveObjectPatterns(typeDetection) {
+  if (!typeDetection) return BUILT_IN_OBJECT_PATTERNS;
+  if (!resolvedObjectPatterns.has(typeDetection)) {
+    const declared = (typeDetection.objectPatterns || []).map(normaliseObjectPattern);
+    const builtIns = typeDetection.builtInObjectPatterns === false
+      ? []
+      : BUILT_IN_OBJECT_PATTERNS.filter(builtIn => !declared.some(pattern => pattern.name === builtIn.name));
+    resolvedObjectPatterns.set(typeDetection, [...declared.filter(pattern => pattern.enabled), ...builtIns]);
   }
+  return resolvedObjectPatterns.get(typeDetection);
+}
+
+/**
+ * Lists the configured object patterns a schema uses, so outputs can describe
+ * them without the configuration. Built-ins are left out: every output knows them.
+ * @param {object} [typeDetection] - typeDetection settings
+ * @param {string[]} types - Types detected in the schema
+ * @returns {Array} Pattern definitions: { name, displayName, required, optional, additionalKeys, reference }
+ */
+export function getDeclaredObjectPatterns(typeDetection, types) {
+  return (typeDetection?.objectPatterns || [])
+    .map(normaliseObjectPattern)
+    .filter(pattern => pattern.enabled && types.includes(pattern.name))
+    .map(({ enabled, ...pattern }) => pattern);
+}
 
-  return 'object';
+/**
+ * Finds the definition of an object pattern type.
+ * @param {string} type - Detected type
+ * @param {Array} [objectPatterns] - Configured patterns, checked before the built-ins
+ * @returns {object|undefined} The pattern, or undefined when the type is not an object pattern
+ */
+export function findObjectPattern(type, objectPatterns = []) {
+  return objectPatterns.find(pattern => pattern.name === type) ||
+    BUILT_IN_OBJECT_PATTERNS.find(pattern => pattern.name === type);
+}
+
+function normaliseObjectPattern(pattern) {
+  return {
+    name: pattern.name,
+    displayName: pattern.displayName || pattern.name,
+    required: pattern.required || {},
+    optional: pattern.optional || {},
+    additionalKeys: pattern.additionalKeys === true,
+    reference: pattern.reference === true,
+    enabled: pattern.enabled !== false
+  };
 }
 
 /**
  * Gets a display-friendly type name.
  * @param {string} type - The internal type name
  * @param {Array} customPatterns - Optional custom patterns for display name lookup
+ * @param {Array} objectPatterns - Optional configured object patterns (schema.objectPatterns)
  */
-export function getTypeDisplayName(type, customPatterns = []) {
+export function getTypeDisplayName(type, customPatterns = [], objectPatterns = []) {
   const displayNames = {
-    'DateTimeObject': 'DateTime',
-    'ReferenceObject': 'Reference',
-    'LookupObject': 'Lookup',
-    'CaseInsensitiveString': 'CIString',
-    'SimpleReference': 'Reference',
+    'GeoPoint': 'GeoJSON Point',
+    'GeoPolygon': 'GeoJSON Polygon',
     'guid': 'GUID',
     'datetime': 'DateTime',
+    'date': 'Date',
+    'time': 'Time',
+    'duration': 'Duration',
+    'epochSeconds': 'Epoch (s)',
+    'epochMillis': 'Epoch (ms)',
     'email': 'Email',
     'url': 'URL',
     'phone': 'Phone',
+    'ipv4': 'IPv4',
+    'ipv6': 'IPv6',
+    'jwt': 'JWT',
+    'base64': 'Base64',
+    'currencyCode': 'Currency',
+    'countryCode': 'Country',
+    'languageCode': 'Language',
+    'semver': 'SemVer',
+    'hexColour': 'Hex Colour',
+    'numericString': 'Numeric String',
     'integer': 'Integer',
     'number': 'Number',
     'boolean': 'Boolean',
@@ -195,12 +465,38 @@ export function getTypeDisplayName(type, customPatterns = []) {
     return customPattern.displayName;
   }
 
-  return displayNames[type] || type;
+  return findObjectPattern(type, objectPatterns)?.displayName || displayNames[type] || type;
 }
 
 /**
  * Checks if a type is a reference pattern (potential FK).
+ * @param {string} type - Detected type
+ * @param {Array} [objectPatterns] - Configured object patterns (schema.objectPatterns)
+ */
+export function isReferenceType(type, objectPatterns = []) {
+  return findObjectPattern(type, objectPatterns)?.reference === true;
+}
+
+/**
+ * Checks if a type holds numbers (integers, floats and Unix timestamps).
+ */
+export function isNumericType(type) {
+  return TYPE_FAMILIES[0].includes(type);
+}
+
+/**
+ * Checks if a type is free text or a code whose values can repeat, so it is
+ * tracked for enum detection: plain strings, numeric strings and currency,
+ * country and language codes.
+ */
+export function isTextType(type) {
+  return TYPE_FAMILIES[1].includes(type);
+}
+
+/**
+ * Checks if two types can mix in one property without either being out of
+ * place, such as an integer among numbers or a date among datetimes.
  */
-export function isReferenceType(type) {
-  return ['ReferenceObject', 'SimpleReference', 'LookupObject'].includes(type);
+export function areCompatibleTypes(a, b) {
+  return a === b || TYPE_FAMILIES.some(family => family.includes(a) && family.includes(b));
 }
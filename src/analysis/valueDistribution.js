@@ -0,0 +1,259 @@
+/**
+ * Per-property value distributions: how often each value occurs and an
+ * approximate distinct count.
+ * Counts are exact until a property has more than MAX_COUNTED_VALUES
+ * distinct values, then kept as a Space-Saving summary of the most frequent
+ * ones, with the count each entry inherited as its possible error. Distinct
+ * counts come from a HyperLogLog sketch. Like the rest of the
+ * schema state, both are plain JSON and can be merged across samples.
+ */
+
+import { isNumericType } from './typeDetector.js';
+
+// Distinct values counted per property before switching to a top-N summary
+const MAX_COUNTED_VALUES = 100;
+
+// Fields with at most this many values show every value as a histogram
+const MAX_HISTOGRAM_VALUES = 20;
+
+// Values listed for higher-cardinality string fields
+const TOP_VALUES = 10;
+
+// HyperLogLog precision: 2^8 registers, roughly 6.5% standard error
+const HLL_PRECISION = 8;
+const HLL_REGISTERS = 1 << HLL_PRECISION;
+
+/**
+ * Records one value in a property's raw distribution. Only scalar values
+ * (strings, numbers, booleans) are counted.
+ * @param {object} prop - Property record in the schema state (prop.distribution is created on demand)
+ * @param {*} value - Value seen
+ */
+export function recordValueDistribution(prop, value) {
+  if (!isScalar(value)) return;
+
+  const distribution = prop.distribution ??= createDistribution();
+  const key = String(value);
+
+  distribution.total++;
+  countValue(distribution, key, 1);
+  addToSketch(distribution.registers, key);
+}
+
+/**
+ * Combines the raw distributions of two property records.
+ * @param {object|undefined} a - Raw distribution
+ * @param {object|undefined} b - Raw distribution
+ * @returns {object|undefined} New merged distribution; neither input is modified
+ */
+export function mergeValueDistributions(a, b) {
+  if (!a || !b) return structuredClone(a || b);
+
+  const merged = structuredClone(a);
+  merged.total += b.total;
+  merged.exact = a.exact && b.exact;
+  merged.errors ??= {};
+
+  // A value missing from an evicted summary may have been counted up to its smallest count
+  const missedA = a.exact ? 0 : minCount(a.counts);
+  const missedB = b.exact ? 0 : minCount(b.counts);
+  for (const key of Object.keys(a.counts)) {
+    if (b.counts[key] === undefined && missedB) merged.errors[key] = (merged.errors[key] || 0) + missedB;
+  }
+  for (const [key, count] of Object.entries(b.counts)) {
+    const error = (b.errors?.[key] || 0) + (a.counts[key] === undefined ? missedA : 0);
+    merged.counts[key] = (merged.counts[key] || 0) + count;
+    if (error) merged.errors[key] = (merged.errors[key] || 0) + error;
+  }
+  trimCounts(merged);
+  merged.registers = a.registers.map((rank, i) => Math.max(rank, b.registers[i]));
+  return merged;
+}
+
+/**
+ * Turns a raw distribution into the one shown in documentation:
+ * { distinct, distinctIsEstimate, kind: 'histogram'|'top'|null, values: [{ value, count, frequency }] }.
+ * Low-cardinality fields list every value and higher-cardinality strings
+ * their most frequent values, as long as some value surely repeats. The
+ * distinct count never exceeds the values seen.
+ * @param {object|undefined} distribution - Raw distribution
+ * @param {string[]} types - Types recorded for the property
+ * @returns {object|undefined} Value distribution
+ */
+export function finaliseValueDistribution(distribution, types = []) {
+  if (!distribution) return undefined;
+
+  const distinctCounted = Object.keys(distribution.counts).length;
+  const distinct = distribution.exact
+    ? distinctCounted
+    : Math.min(distribution.total, Math.max(distinctCounted, estimateDistinct(distribution.registers)));
+  const values = listFrequentValues(distribution)
+    .map(({ value, count }) => ({ value, count, frequency: count / distribution.total }));
+
+  // Values that never repeat (ids, timestamps) say nothing about the distribution
+  const repeats = values[0]?.count > 1;
+  let kind = null;
+  if (repeats && distribution.exact && distinct <= MAX_HISTOGRAM_VALUES) {
+    kind = 'histogram';
+  } else if (repeats && types.some(type => !isNumericType(type) && !['boolean', 'null'].includes(type))) {
+    kind = 'top';
+  }
+
+  return {
+    distinct,
+    distinctIsEstimate: !distribution.exact,
+    kind,
+    values: kind === 'histogram' ? values : kind === 'top' ? values.slice(0, TOP_VALUES) : []
+  };
+}
+
+/**
+ * Lists counted values, most frequent first. Once the summary has evicted
+ * values, entries are only kept when they surely occurred more than once:
+ * a value seen once can otherwise look frequent through the count it
+ * inherited.
+ * @param {object} distribution - Raw distribution
+ * @returns {{value: string, count: number}[]}
+ */
+export function listFrequentValues(distribution) {
+  const errors = distribution.errors || {};
+  return Object.entries(distribution.counts)
+    .filter(([key, count]) => distribution.exact || count - (errors[key] || 0) > 1)
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Describes a distribution's values for compact tables.
+ * @param {object} distribution - Finalised distribution
+ * @returns {string} e.g. "`Completed` 97%, `Pending` 2%, `Cancelled` 1%"
+ */
+export function describeValueDistribution(distribution) {
+  if (!distribution?.kind) return '-';
+  const listed = distribution.values.map(({ value, frequency }) => `\`${formatValue(value)}\` ${formatPercent(frequency)}`);
+  const more = distribution.distinct - distribution.values.length;
+  return more > 0 ? `${listed.join(', ')} (+${more.toLocaleString()} more)` : listed.join(', ');
+}
+
+/**
+ * Formats a distinct count, marking estimates with "~".
+ */
+export function formatDistinctCount(distribution) {
+  return `${distribution.distinctIsEstimate ? '~' : ''}${distribution.distinct.toLocaleString()}`;
+}
+
+/**
+ * Formats a share as a percentage, keeping small shares visible.
+ */
+export function formatPercent(frequency) {
+  if (frequency > 0 && frequency < 0.01) return '<1%';
+  return `${Math.round(frequency * 100)}%`;
+}
+
+/**
+ * Shortens a value for display, keeping it safe inside backticks.
+ */
+export function formatValue(value) {
+  const text = value.replace(/`/g, "'");
+  return text.length > 30 ? `${text.slice(0, 27)}...` : text;
+}
+
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function createDistribution() {
+  return { total: 0, exact: true, counts: {}, errors: {}, registers: new Array(HLL_REGISTERS).fill(0) };
+}
+
+/**
+ * Counts a value. Once the summary is full, a new value takes over the
+ * least frequent entry and inherits its count (Space-Saving), so frequent
+ * values stay listed while counts become upper bounds. The inherited count
+ * is kept as the entry's error.
+ */
+function countValue(distribution, key, count) {
+  const { counts } = distribution;
+  if (counts[key] !== undefined) {
+    counts[key] += count;
+    return;
+  }
+  if (distribution.exact && Object.keys(counts).length < MAX_COUNTED_VALUES) {
+    counts[key] = count;
+    return;
+  }
+
+  distribution.exact = false;
+  const errors = distribution.errors ??= {};
+  let minKey = null;
+  for (const candidate in counts) {
+    if (minKey === null || counts[candidate] < counts[minKey]) minKey = candidate;
+  }
+  const inherited = counts[minKey];
+  delete counts[minKey];
+  delete errors[minKey];
+  counts[key] = inherited + count;
+  errors[key] = inherited;
+}
+
+function minCount(counts) {
+  return Math.min(...Object.values(counts));
+}
+
+/**
+ * Keeps the MAX_COUNTED_VALUES most frequent entries after a merge.
+ */
+function trimCounts(distribution) {
+  const entries = Object.entries(distribution.counts);
+  if (entries.length <= MAX_COUNTED_VALUES) return;
+
+  distribution.exact = false;
+  distribution.counts = Object.fromEntries(
+    entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_COUNTED_VALUES)
+  );
+  distribution.errors = Object.fromEntries(
+    Object.entries(distribution.errors || {}).filter(([key]) => distribution.counts[key] !== undefined)
+  );
+}
+
+/**
+ * Adds a value to a HyperLogLog sketch: the first bits of its hash pick a
+ * register, which keeps the longest run of leading zeros seen in the rest.
+ */
+function addToSketch(registers, key) {
+  const hash = hashString(key);
+  const index = hash >>> (32 - HLL_PRECISION);
+  const rest = (hash << HLL_PRECISION) >>> 0;
+  const rank = rest === 0 ? 32 - HLL_PRECISION + 1 : Math.clz32(rest) + 1;
+  if (rank > registers[index]) registers[index] = rank;
+}
+
+function estimateDistinct(registers) {
+  const m = registers.length;
+  const alpha = 0.7213 / (1 + 1.079 / m);
+  const estimate = alpha * m * m / registers.reduce((sum, rank) => sum + 2 ** -rank, 0);
+
+  // Small-range correction (linear counting)
+  const empty = registers.filter(rank => rank === 0).length;
+  if (estimate <= 2.5 * m && empty > 0) {
+    return Math.round(m * Math.log(m / empty));
+  }
+  return Math.round(estimate);
+}
+
+/**
+ * 32-bit FNV-1a hash with a final avalanche step.
+ */
+function hashString(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
@@ -0,0 +1,250 @@
+/**
+ * Per-property value profiles: numeric ranges and percentiles, string
+ * lengths, date ranges and array lengths.
+ * Raw stats live in the schema state, so like the rest of the state they are
+ * plain JSON, can be folded one value at a time and merged across samples.
+ */
+
+// Values kept per property for percentiles. Beyond this the sample is halved
+// and only every `rate`-th value is kept, so percentiles become approximate.
+const MAX_PERCENTILE_SAMPLE = 1000;
+
+// Percentiles reported for numbers and array lengths
+const PERCENTILES = [50, 90, 99];
+
+/**
+ * Records one value in a property's raw stats.
+ * @param {object} prop - Property record in the schema state (prop.stats is created on demand)
+ * @param {*} value - Value seen
+ * @param {string} type - Type detected for the value
+ * @param {boolean} [concealed] - The value is redacted, so only its length is recorded, not the value itself
+ */
+export function recordValueStats(prop, value, type, concealed = false) {
+  if (value === null || value === undefined) return;
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    if (concealed) return;
+    addToSummary(getStats(prop).numbers ??= createSummary(true), value);
+  } else if (typeof value === 'string') {
+    addToSummary(getStats(prop).lengths ??= createSummary(false), value.length);
+  } else if (Array.isArray(value)) {
+    addToSummary(getStats(prop).arrayLengths ??= createSummary(true), value.length);
+  }
+
+  const date = concealed ? null : readDate(value, type);
+  if (typeof date === 'string' && !isNaN(Date.parse(date))) {
+    addToDateRange(getStats(prop).dates ??= { earliest: null, latest: null }, date);
+  }
+}
+
+/**
+ * Combines the raw stats of two property records.
+ * @param {object|undefined} a - Raw stats
+ * @param {object|undefined} b - Raw stats
+ * @returns {object|undefined} New merged stats; neither input is modified
+ */
+export function mergeValueStats(a, b) {
+  if (!a || !b) return structuredClone(a || b);
+
+  const merged = {};
+  for (const key of ['numbers', 'lengths', 'arrayLengths']) {
+    if (a[key] || b[key]) merged[key] = mergeSummaries(a[key], b[key]);
+  }
+  if (a.dates || b.dates) {
+    merged.dates = structuredClone(a.dates || b.dates);
+    if (a.dates && b.dates) {
+      addToDateRange(merged.dates, b.dates.earliest);
+      addToDateRange(merged.dates, b.dates.latest);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Turns raw stats into the profile shown in documentation:
+ * numbers: { min, max, mean, p50, p90, p99 }, lengths: { min, max, mean },
+ * dates: { earliest, latest }, arrayLengths: { min, max, mean, p50, p90, p99 }.
+ * @param {object|undefined} stats - Raw stats
+ * @returns {object|undefined} Value profile
+ */
+export function finaliseValueStats(stats) {
+  if (!stats) return undefined;
+
+  const profile = {};
+  if (stats.numbers) profile.numbers = finaliseSummary(stats.numbers);
+  if (stats.lengths) profile.lengths = finaliseSummary(stats.lengths);
+  if (stats.dates) profile.dates = { ...stats.dates };
+  if (stats.arrayLengths) profile.arrayLengths = finaliseSummary(stats.arrayLengths);
+  return profile;
+}
+
+/**
+ * Describes a property's value profile for documentation tables.
+ * Date ranges take precedence over string lengths for date-time strings.
+ * @param {object} prop - Finalised schema property
+ * @returns {string|null} e.g. "1 – 30, mean 20, p50 20, p90 28, p99 30"
+ */
+export function describeValueStats(prop) {
+  const stats = prop.stats;
+  if (!stats) return null;
+
+  const parts = [];
+  if (stats.dates) {
+    parts.push(`${stats.dates.earliest.slice(0, 10)} → ${stats.dates.latest.slice(0, 10)}`);
+  } else if (stats.lengths) {
+    parts.push(`${formatRange(stats.lengths)} chars, mean ${stats.lengths.mean}`);
+  }
+  if (stats.numbers) {
+    parts.push(`${formatRange(stats.numbers)}, ${formatDistribution(stats.numbers)}`);
+  }
+  if (stats.arrayLengths) {
+    parts.push(`${formatRange(stats.arrayLengths)} items, ${formatDistribution(stats.arrayLengths)}`);
+  }
+
+  return parts.length > 0 ? parts.join('; ') : null;
+}
+
+function formatRange({ min, max }) {
+  return min === max ? `${min}` : `${min} – ${max}`;
+}
+
+function formatDistribution(summary) {
+  const percentiles = PERCENTILES.map(percentile => `p${percentile} ${summary[`p${percentile}`]}`);
+  return [`mean ${summary.mean}`, ...percentiles].join(', ');
+}
+
+function getStats(prop) {
+  return prop.stats ??= {};
+}
+
+/**
+ * Creates a numeric summary (count, min, max, sum), optionally with a
+ * percentile sample.
+ * @param {boolean} withSample - Whether to keep values for percentiles
+ */
+export function createSummary(withSample) {
+  const summary = { count: 0, min: null, max: null, sum: 0 };
+  if (withSample) Object.assign(summary, { sample: [], rate: 1 });
+  return summary;
+}
+
+/**
+ * Adds a value to a numeric summary.
+ */
+export function addToSummary(summary, value) {
+  summary.count++;
+  summary.sum += value;
+  summary.min = summary.min === null ? value : Math.min(summary.min, value);
+  summary.max = summary.max === null ? value : Math.max(summary.max, value);
+
+  // Every kept value stands for `rate` values seen
+  if (summary.sample && (summary.count - 1) % summary.rate === 0) {
+    summary.sample.push(value);
+    compactSample(summary);
+  }
+}
+
+/**
+ * Combines two numeric summaries; neither input is modified.
+ */
+export function mergeSummaries(a, b) {
+  if (!a || !b) return structuredClone(a || b);
+
+  const merged = {
+    count: a.count + b.count,
+    min: Math.min(a.min, b.min),
+    max: Math.max(a.max, b.max),
+    sum: a.sum + b.sum
+  };
+  if (a.sample && b.sample) {
+    // Bring both samples to the same rate so every kept value weighs the same
+    const rate = Math.max(a.rate, b.rate);
+    merged.sample = [...thinSample(a.sample, rate / a.rate), ...thinSample(b.sample, rate / b.rate)];
+    merged.rate = rate;
+    compactSample(merged);
+  }
+  return merged;
+}
+
+/**
+ * Halves a percentile sample that has outgrown its cap, doubling its rate.
+ */
+function compactSample(summary) {
+  while (summary.sample.length > MAX_PERCENTILE_SAMPLE) {
+    summary.sample = thinSample(summary.sample, 2);
+    summary.rate *= 2;
+  }
+}
+
+/**
+ * Keeps every `step`-th value of a sample in sorted order, so the kept
+ * values still spread across the whole distribution.
+ */
+function thinSample(sample, step) {
+  if (step === 1) return [...sample];
+  return [...sample]
+    .sort((a, b) => a - b)
+    .filter((_, i) => i % step === step - 1);
+}
+
+/**
+ * Turns a numeric summary into { min, max, mean } plus p50, p90 and p99
+ * when it kept a percentile sample.
+ */
+export function finaliseSummary(summary) {
+  const result = {
+    min: summary.min,
+    max: summary.max,
+    mean: round(summary.sum / summary.count)
+  };
+
+  if (summary.sample?.length > 0) {
+    for (const percentile of PERCENTILES) {
+      result[`p${percentile}`] = getPercentile(summary, percentile);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Nearest-rank percentile of a summary's sample.
+ * @param {object} summary - Summary created with a sample
+ * @param {number} percentile - 0 to 100
+ * @returns {number|null} The value, or null without a sample
+ */
+export function getPercentile(summary, percentile) {
+  if (!summary.sample?.length) return null;
+  const sorted = [...summary.sample].sort((a, b) => a - b);
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Reads the date a value holds as an ISO string, or null when it holds none.
+ * Epoch timestamps are converted so date ranges read the same for every form.
+ */
+function readDate(value, type) {
+  switch (type) {
+    case 'datetime':
+    case 'date':
+      return value;
+    case 'DateTimeObject':
+      return value.Value;
+    case 'epochSeconds':
+      return new Date(value * 1000).toISOString();
+    case 'epochMillis':
+      return new Date(value).toISOString();
+    default:
+      return null;
+  }
+}
+
+function addToDateRange(range, date) {
+  if (range.earliest === null || Date.parse(date) < Date.parse(range.earliest)) range.earliest = date;
+  if (range.latest === null || Date.parse(date) > Date.parse(range.latest)) range.latest = date;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,560 @@
+/**
+ * Analysis pipeline for CosmosMapper.
+ *
+ * Samples documents, infers schemas, detects relationships and optionally
+ * compares against a previous snapshot. Returns the analysis data without
+ * writing anything, so it can be embedded in other Node services.
+ */
+
+import { readFile } from 'fs/promises';
+import * as cosmosSource from './cosmos/client.js';
+import * as fileSource from './cosmos/fileSource.js';
+import { readQueryLog } from './cosmos/queryLog.js';
+import { createSchemaState, addDocumentToState, addPagesToState, finaliseSchemaState } from './analysis/schemaInferrer.js';
+import { detectRelationships } from './analysis/relationships.js';
+import { buildFreshness } from './analysis/freshness.js';
+import { adviseIndexingPolicy } from './analysis/indexingAdvisor.js';
+import { applyQueryLog } from './analysis/queryUsage.js';
+import { assessPartitionKeyQueries } from './analysis/partitionKeyHealth.js';
+import { generateSampleQueries } from './output/queryGenerator.js';
+import { calculateConfidenceBatch, getConfidenceStats } from './analysis/confidenceCalculator.js';
+import { resolveConfig, shouldIncludeContainer, resolveContainerConfig, matchesContainer } from './config/index.js';
+import { loadSnapshot, getLatestSnapshot, migrateSnapshot } from './versioning/snapshotManager.js';
+import { loadIncrementalState, saveIncrementalState, getStateFingerprint } from './versioning/incrementalState.js';
+import { loadRedactionSalt } from './versioning/redactionSalt.js';
+import { compareSnapshots } from './versioning/schemaComparer.js';
+import { classifyChanges } from './versioning/changeClassifier.js';
+import { silentLogger } from './utils/logger.js';
+import { getContainerKey, getDisplayNames } from './utils/containerKey.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { createRequestMeter, isBudgetExhausted } from './cosmos/requestMeter.js';
+
+// Documents between progress lines while sampling large containers
+const PROGRESS_INTERVAL = 10000;
+
+/**
+ * Analysis result consumed by the renderers and snapshot manager.
+ * @typedef {Object} AnalysisData
+ * @property {Object.<string, {containers: string[]}>} databases - Analysed databases
+ * @property {Object.<string, object>} containerSchemas - Inferred schema per container, keyed "database/container"
+ * @property {import('./analysis/relationships.js').Relationship[]} relationships - Detected relationships
+ * @property {string} timestamp - ISO timestamp of the run
+ * @property {number} sampleSize - Documents sampled per container
+ * @property {object} sampling - Default sampling strategy (containers may override it, see schema.sampling)
+ * @property {object} [requestUnits] - RU consumed per container and overall (live runs only), see cosmos/requestMeter.js
+ * @property {object} [comparison] - Classified comparison with the baseline snapshot
+ * @property {object} [baseline] - Metadata of the snapshot compared against
+ */
+
+/**
+ * Analyse a Cosmos DB account (or offline export).
+ *
+ * @param {object} options - Configuration, same shape as cosmosmapper.config.json.
+ *   Also accepts `client` (an existing CosmosClient) and `baseline` (a loaded snapshot to diff against).
+ *   With `incremental` set, per-container state is read from and written to the cache directory.
+ * @param {object} [hooks] - Runtime hooks
+ * @param {object} [hooks.logger] - Logger receiving progress output (silent by default)
+ * @returns {Promise<AnalysisData>}
+ */
+export async function analyze(options = {}, { logger = silentLogger } = {}) {
+  const config = resolveConfig(options);
+
+  // Read from an export directory (offline) or connect to Cosmos DB.
+  // Both sources expose the same functions, taking the connection as first argument.
+  let source;
+  let connection;
+  if (config.input) {
+    logger.info(`Reading exported documents...`);
+    logger.debug(`Input directory: ${config.input}`);
+    source = fileSource;
+    connection = config.input;
+  } else {
+    logger.info(`Connecting to Cosmos DB...`);
+    const authType = config.key ? 'key-based' : 'Azure AD';
+    logger.item(`Using ${authType} authentication`);
+    logger.debug(`Endpoint: ${config.endpoint}`);
+    source = cosmosSource;
+    connection = config.client || cosmosSource.createCosmosClient(config.endpoint, config.key);
+  }
+
+  // Validation queries need a live account
+  const client = config.input ? null : connection;
+
+  // Production queries steer the indexing advice
+  const { enabled: indexAdviceEnabled, queryFile } = config.indexAdvice;
+  const productionQueries = indexAdviceEnabled && queryFile ? await loadProductionQueries(queryFile) : {};
+
+  // Logged queries annotate the schemas and count as production queries too
+  let queryLog = [];
+  if (config.queryLog) {
+    const { entries, skipped } = await readQueryLog(config.queryLog);
+    queryLog = entries;
+    logger.item(`Query log: ${entries.length} queries${skipped > 0 ? `, ${skipped} ${skipped === 1 ? 'row' : 'rows'} without a container or query skipped` : ''}`);
+  }
+
+  // Every live query is metered against the run's RU budget
+  const { concurrency, requestUnitBudget, maxRetries } = config.throttling;
+  const meter = createRequestMeter({ budget: requestUnitBudget, maxRetries });
+
+  // Discover all databases in the account
+  const allDatabases = await source.listDatabases(connection, meter);
+  logger.success(`${config.input ? 'Loaded export' : 'Connected'}. Found ${allDatabases.length} databases.`);
+
+  // Build list of databases to analyse
+  const databasesToAnalyse = {};
+
+  // If DATABASES is specified, filter to those; otherwise use all
+  const databasesToProcess = config.databases.length > 0
+    ? config.databases
+    : allDatabases;
+
+  if (config.databases.length > 0) {
+    logger.item(`Filtering to specified databases: ${config.databases.join(', ')}`);
+  } else {
+    logger.item(`Documenting all ${allDatabases.length} databases`);
+  }
+
+  for (const dbName of databasesToProcess) {
+    if (!allDatabases.includes(dbName)) {
+      logger.warn(`Database '${dbName}' not found - skipping.`);
+    } else {
+      databasesToAnalyse[dbName] = { containers: [] };
+    }
+  }
+
+  if (Object.keys(databasesToAnalyse).length === 0) {
+    throw new Error('No valid databases to analyse.');
+  }
+
+  // Discover containers in each database
+  logger.section('Discovering containers...');
+
+  for (const [dbName, dbInfo] of Object.entries(databasesToAnalyse)) {
+    const allDbContainers = await source.listContainers(connection, dbName, meter);
+
+    // Apply --container filter if specified
+    let containers;
+    if (config.container) {
+      containers = allDbContainers.filter(c => c === config.container);
+      if (containers.length === 0) {
+        logger.debug(`Container '${config.container}' not found in ${dbName}`);
+      }
+    } else {
+      // Filter containers based on include/exclude patterns
+      containers = allDbContainers.filter(c => shouldIncludeContainer(c, config));
+    }
+
+    dbInfo.containers = containers;
+
+    if (containers.length < allDbContainers.length) {
+      logger.item(`${dbName}: ${containers.length}/${allDbContainers.length} containers (filtered)`);
+    } else {
+      logger.item(`${dbName}: ${containers.length} containers`);
+    }
+    logger.debug(`Containers: ${containers.join(', ')}`);
+  }
+
+  // Check if --container was specified but not found anywhere
+  if (config.container) {
+    const totalContainers = Object.values(databasesToAnalyse)
+      .reduce((sum, db) => sum + db.containers.length, 0);
+    if (totalContainers === 0) {
+      throw new Error(`Container '${config.container}' not found in any database.`);
+    }
+  }
+
+  // Build list of all containers for relationship matching
+  const allContainers = [];
+  for (const [dbName, dbInfo] of Object.entries(databasesToAnalyse)) {
+    for (const containerName of dbInfo.containers) {
+      allContainers.push({
+        name: containerName,
+        database: dbName
+      });
+    }
+  }
+
+  // Sample documents and infer schemas, several containers at a time
+  logger.section(`Analysing ${allContainers.length} containers...`);
+  logger.debug(`Concurrency: ${concurrency}${requestUnitBudget ? `, RU budget: ${requestUnitBudget}` : ''}`);
+
+  // Incremental runs need the change feed, which exports don't have
+  const incremental = Boolean(config.incremental && client);
+  if (config.incremental && !client) {
+    logger.warn('Incremental analysis requires a live connection - sampling in full.');
+  } else if (incremental && config.full) {
+    logger.item('Full run requested - ignoring stored incremental state');
+  }
+
+  // Hashes kept in the cache must match between runs, so an unset salt is made once per cache
+  const usesCache = incremental || config.snapshot || config.diff || config.diffFrom;
+  if (usesCache && config.redaction.enabled !== false && !config.redaction.salt) {
+    config.redaction = { ...config.redaction, salt: await loadRedactionSalt(config.versioning.cacheDir) };
+  }
+
+  const displayNames = getDisplayNames(allContainers.map(c => getContainerKey(c.database, c.name)));
+  const context = {
+    source, connection, config, allContainers, meter, logger, displayNames, incremental, productionQueries, queryLog
+  };
+  const results = await mapWithConcurrency(allContainers, concurrency, ({ database, name }) =>
+    analyseContainer(context, database, name)
+  );
+
+  // Collect in discovery order so output does not depend on timing
+  const containerSchemas = {};
+  const allRelationships = [];
+  const validatedContainers = new Set();
+  const skippedContainers = [];
+
+  allContainers.forEach(({ database, name }, i) => {
+    const result = results[i];
+    const containerKey = getContainerKey(database, name);
+
+    if (result.skipped) {
+      skippedContainers.push(containerKey);
+    }
+    if (!result.schema) return;
+
+    containerSchemas[containerKey] = result.schema;
+    allRelationships.push(...result.relationships);
+    if (result.validate) {
+      validatedContainers.add(containerKey);
+    }
+  });
+
+  if (meter.exhausted) {
+    logger.warn(`Request unit budget of ${requestUnitBudget} RU exhausted - ${skippedContainers.length} container(s) not analysed, results are partial.`);
+  }
+
+  // Validate relationships and calculate confidence scores.
+  // Validation can be switched on or off per source container.
+  const toValidate = allRelationships.filter(rel => validatedContainers.has(getContainerKey(rel.fromDatabase, rel.fromContainer)));
+  const heuristicOnly = allRelationships.filter(rel => !toValidate.includes(rel));
+
+  if (toValidate.length > 0 && client && !meter.exhausted) {
+    logger.section('Validating relationships...');
+    await calculateConfidenceBatch(
+      toValidate,
+      containerSchemas,
+      client,
+      config.validation.weights,
+      { concurrency, meter }
+    );
+    const stats = getConfidenceStats(toValidate);
+    logger.item(`Validated ${stats.validated} relationships`);
+    logger.item(`Average confidence: ${stats.averageScore}%`);
+  } else if (toValidate.length > 0) {
+    logger.warn(client
+      ? 'Request unit budget exhausted - skipping relationship validation, using heuristics only.'
+      : 'Relationship validation requires a live connection - using heuristics only.');
+    heuristicOnly.push(...toValidate);
+  }
+
+  if (heuristicOnly.length > 0) {
+    // Calculate confidence without data validation (heuristics only)
+    await calculateConfidenceBatch(
+      heuristicOnly,
+      containerSchemas,
+      null,
+      config.validation.weights
+    );
+  }
+
+  const analysisData = {
+    databases: databasesToAnalyse,
+    containerSchemas,
+    relationships: allRelationships,
+    timestamp: new Date().toISOString(),
+    sampleSize: config.sampleSize,
+    sampling: config.sampling
+  };
+
+  if (client) {
+    analysisData.requestUnits = { ...meter.summary(), skippedContainers };
+  }
+
+  // Schema versioning: compare with a baseline snapshot if requested
+  const baseline = config.baseline || await loadBaselineSnapshot(config, logger);
+  if (baseline) {
+    const rawComparison = compareSnapshots(migrateSnapshot(baseline), analysisData);
+    analysisData.comparison = classifyChanges(rawComparison);
+    analysisData.baseline = baseline.metadata || null;
+  }
+
+  return analysisData;
+}
+
+/**
+ * Sample one container, infer its schema and detect its relationships.
+ * Containers not started before the RU budget runs out are skipped.
+ * @returns {Promise<{schema?: object, relationships?: object[], validate?: boolean, skipped?: boolean}>}
+ */
+async function analyseContainer(context, dbName, containerName) {
+  const { source, connection, config, allContainers, meter, logger, displayNames } = context;
+  const displayName = displayNames.get(getContainerKey(dbName, containerName));
+
+  if (meter.exhausted) {
+    logger.debug(`Skipping ${displayName}: request unit budget exhausted`);
+    return { skipped: true };
+  }
+
+  try {
+    // Container metadata first: sampling counts partition key values
+    const containerInfo = await source.getContainerInfo(connection, dbName, containerName, meter);
+
+    // Apply containerOverrides for this container
+    const containerConfig = {
+      ...resolveContainerConfig(config, dbName, containerName),
+      partitionKey: containerInfo.partitionKey
+    };
+    const { sampling, freshness: freshnessConfig, costs: costsConfig, indexAdvice } = containerConfig;
+    logger.debug(`Sampling ${displayName} (${sampling.strategy})...`);
+
+    // Fetch stats and write activity in parallel with sampling
+    const [{ state, incremental }, containerStats, activity] = await Promise.all([
+      buildSchemaState(context, dbName, containerName, containerConfig),
+      source.getContainerStats(connection, dbName, containerName, meter),
+      freshnessConfig.enabled
+        ? source.getWriteActivity(connection, dbName, containerName, freshnessConfig.windows, meter)
+        : null
+    ]);
+
+    if (state.documentCount === 0) {
+      logger.container(displayName, 0, 'empty');
+      return {};
+    }
+
+    // Infer schema
+    const schema = finaliseSchemaState(state, containerConfig);
+
+    // Add container metadata to schema
+    schema.containerInfo = {
+      database: dbName,
+      partitionKey: containerInfo.partitionKey,
+      indexingPolicy: containerInfo.indexingPolicy,
+      defaultTtl: containerInfo.defaultTtl,
+      uniqueKeyPolicy: containerInfo.uniqueKeyPolicy
+    };
+
+    // Add stats, sizing the container from the sampled documents
+    const meanSize = schema.sizeProfile?.sizes.mean || 0;
+    schema.stats = {
+      documentCount: containerStats.documentCount,
+      avgDocumentSizeBytes: Math.round(meanSize),
+      estimatedSizeBytes: Math.round(containerStats.documentCount * meanSize)
+    };
+
+    // What a point read and the documented sample queries cost
+    const sampleQueries = generateSampleQueries(containerName, schema);
+    if (costsConfig.enabled) {
+      const costs = await source.measureRequestCharges(
+        connection, dbName, containerName, containerInfo.partitionKey, sampleQueries, meter
+      );
+      if (costs) {
+        schema.costs = costs;
+      }
+    }
+
+    // How the logged production queries use the container
+    const loggedQueries = context.queryLog.filter(entry =>
+      entry.container === containerName && (!entry.database || entry.database === dbName)
+    );
+    if (loggedQueries.length > 0) {
+      schema.queryUsage = applyQueryLog(schema, loggedQueries);
+    }
+
+    // Queries known to run against the container, from the query file and the log
+    const productionQueries = [
+      ...Object.entries(context.productionQueries)
+        .filter(([pattern]) => matchesContainer(pattern, dbName, containerName))
+        .flatMap(([, list]) => list),
+      ...new Set(loggedQueries.map(({ query }) => query))
+    ];
+
+    // Whether the indexing policy suits the schema and the queries run against it
+    if (indexAdvice.enabled) {
+      const queries = [
+        ...sampleQueries.map(({ query }) => ({ query, source: 'sample' })),
+        ...productionQueries.map(query => ({ query, source: 'production' }))
+      ];
+      const indexingAdvice = adviseIndexingPolicy(schema, queries);
+      if (indexingAdvice) {
+        schema.indexingAdvice = indexingAdvice;
+        const failing = indexingAdvice.findings.filter(finding => finding.severity === 'critical');
+        if (failing.length > 0) {
+          const more = failing.length > 1 ? ` (and ${failing.length - 1} more)` : '';
+          logger.warn(`${displayName}: ${failing[0].message.replace(/`/g, '')}${more} - see Indexing Advice.`);
+        }
+      }
+    }
+
+    // When the container was last written to, and how busy it is
+    const freshness = freshnessConfig.enabled && buildFreshness(state.timestamps, activity, freshnessConfig);
+    if (freshness) {
+      schema.freshness = freshness;
+      if (freshness.isStale) {
+        logger.warn(`${displayName}: no writes for ${freshness.daysSinceLastWrite} days - container may be stale.`);
+      }
+    }
+
+    // A poorly chosen partition key is expensive to fix later
+    if (schema.partitionKeyHealth) {
+      assessPartitionKeyQueries(schema.partitionKeyHealth, productionQueries);
+    }
+    if (schema.partitionKeyHealth?.grade === 'poor') {
+      const reason = schema.partitionKeyHealth.reasons.find(r => r.severity === 'critical');
+      logger.warn(`${displayName}: partition key graded poor - ${reason.message.replace(/`/g, '')}.`);
+    }
+
+    // Record which strategy produced the schema
+    schema.sampling = { ...sampling, sampleSize: containerConfig.sampleSize };
+    if (incremental) {
+      schema.sampling.incremental = incremental;
+    }
+
+    // Detect relationships
+    const relationships = detectRelationships(
+      containerName,
+      dbName,
+      schema,
+      allContainers
+    );
+
+    logger.container(displayName, state.documentCount, 'ok');
+    logger.debug(`Found ${Object.keys(schema.properties).length} properties, ${relationships.length} relationships`);
+    logger.debug(`Partition key: ${containerInfo.partitionKey.join(', ') || 'none'}`);
+    logger.debug(`Document count: ~${containerStats.documentCount}`);
+
+    return { schema, relationships, validate: containerConfig.validation.enabled };
+  } catch (error) {
+    if (isBudgetExhausted(error)) {
+      logger.container(displayName, 0, 'skipped');
+      return { skipped: true };
+    }
+    logger.container(displayName, 0, 'error');
+    logger.error(`  Failed to analyse: ${error.message}`, error);
+    return {};
+  }
+}
+
+/**
+ * Build a container's schema state from a fresh sample or, on incremental
+ * runs, by folding documents changed since the last run into the stored state.
+ * The change feed has no deletes, and an updated document is counted again,
+ * so incremental counts describe document versions seen rather than the
+ * container's current contents. Use --full to start over.
+ * @returns {Promise<{state: object, incremental: {changedDocuments: number, since: string}|null}>}
+ */
+async function buildSchemaState(context, dbName, containerName, containerConfig) {
+  const { source, connection, config, meter, logger, displayNames } = context;
+  const containerKey = getContainerKey(dbName, containerName);
+  const displayName = displayNames.get(containerKey);
+  const { cacheDir } = config.versioning;
+  const { sampleSize } = containerConfig;
+  const sample = () => addPagesToState(
+    createSchemaState(),
+    source.sampleDocumentPages(connection, dbName, containerName, sampleSize, containerConfig.sampling, meter),
+    containerConfig,
+    createProgressReporter(logger, displayName, sampleSize)
+  );
+
+  if (!context.incremental) {
+    return { state: await sample(), incremental: null };
+  }
+
+  const fingerprint = getStateFingerprint(containerConfig);
+  const stored = config.full ? null : await loadIncrementalState(containerKey, cacheDir);
+
+  if (stored?.fingerprint === fingerprint) {
+    const state = stored.schemaState;
+    let { continuationToken } = stored;
+    let changedDocuments = 0;
+    const report = createProgressReporter(logger, displayName);
+
+    for await (const page of source.readChangePages(connection, dbName, containerName, continuationToken, meter)) {
+      for (const doc of page.documents) {
+        addDocumentToState(state, doc, containerConfig);
+      }
+      changedDocuments += page.documents.length;
+      continuationToken = page.continuationToken;
+      report(changedDocuments);
+    }
+
+    await saveIncrementalState(containerKey, { fingerprint, continuationToken, schemaState: state }, cacheDir);
+    logger.debug(`${displayName}: folded in ${changedDocuments} changed documents`);
+    return { state, incremental: { changedDocuments, since: stored.updatedAt } };
+  }
+
+  if (stored) {
+    logger.debug(`${displayName}: settings changed since the stored state - sampling afresh`);
+  }
+
+  // Take the token before sampling so writes made meanwhile are picked up next run
+  const continuationToken = await source.getChangeFeedToken(connection, dbName, containerName, meter);
+  const state = await sample();
+  await saveIncrementalState(containerKey, { fingerprint, continuationToken, schemaState: state }, cacheDir);
+  return { state, incremental: null };
+}
+
+/**
+ * Reports progress through a large sample every PROGRESS_INTERVAL documents.
+ * Samples smaller than the interval stay quiet.
+ * @returns {function(number): void} Called with the running document count
+ */
+function createProgressReporter(logger, displayName, total) {
+  let next = PROGRESS_INTERVAL;
+  return count => {
+    if (count < next) return;
+    logger.progress(displayName, count, total);
+    next = (Math.floor(count / PROGRESS_INTERVAL) + 1) * PROGRESS_INTERVAL;
+  };
+}
+
+/**
+ * Load the production queries file: a JSON object mapping container globs
+ * (the container name or "database/container") to arrays of SQL queries.
+ * @returns {Promise<Object.<string, string[]>>} Queries keyed by container glob
+ */
+async function loadProductionQueries(queryFile) {
+  let queries;
+  try {
+    queries = JSON.parse(await readFile(queryFile, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read production queries ${queryFile}: ${error.message}`);
+  }
+
+  const valid = queries !== null && typeof queries === 'object' && !Array.isArray(queries) &&
+    Object.values(queries).every(list => Array.isArray(list) && list.every(query => typeof query === 'string'));
+  if (!valid) {
+    throw new Error(`Production queries ${queryFile} must map container patterns to arrays of SQL queries`);
+  }
+  return queries;
+}
+
+/**
+ * Load the snapshot to diff against when --diff or --diff-from is set.
+ * @returns {Promise<object|null>} Snapshot or null if none requested/found
+ */
+async function loadBaselineSnapshot(config, logger) {
+  if (!config.diff && !config.diffFrom) {
+    return null;
+  }
+
+  logger.section('Comparing with previous snapshot...');
+
+  try {
+    const snapshot = config.diffFrom
+      ? await loadSnapshot(config.diffFrom, config.versioning.cacheDir)
+      : await getLatestSnapshot(config.versioning.cacheDir);
+
+    if (!snapshot) {
+      logger.warn('No previous snapshot found for comparison.');
+      logger.item('Run with --snapshot to create a baseline snapshot first.');
+    }
+
+    return snapshot;
+  } catch (error) {
+    logger.warn(`Could not compare snapshots: ${error.message}`);
+    return null;
+  }
+}
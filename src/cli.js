@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * CosmosMapper command-line interface.
+ *
+ * Thin wrapper around the library API: loads configuration, runs analyze(),
+ * writes the rendered outputs and manages snapshots.
+ */
+
+import 'dotenv/config';
+
+// Allow self-signed certs for local emulator
+if (process.env.COSMOS_ENDPOINT?.includes('localhost')) {
+  process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+}
+import { analyze } from './analyze.js';
+import { render, writeRendered } from './output/index.js';
+import { getConfidenceStats } from './analysis/confidenceCalculator.js';
+import { logger } from './utils/logger.js';
+import { loadConfig } from './config/index.js';
+import { saveSnapshot, pruneSnapshots } from './versioning/snapshotManager.js';
+import { formatDiffForConsole, generateDiffMarkdown } from './output/diffReportGenerator.js';
+
+/**
+ * Run the analysis and generate documentation.
+ * Extracted to support watch mode re-runs.
+ */
+async function runAnalysis(config) {
+  logger.header('1.8');
+
+  try {
+    const analysisData = await analyze(config, { logger });
+    const { containerSchemas, relationships: allRelationships, comparison, timestamp } = analysisData;
+
+    // Summary statistics
+    logger.section('Analysis Summary');
+    logger.stat('Containers analysed', Object.keys(containerSchemas).length);
+    logger.stat('Relationships detected', allRelationships.filter(r => !r.isOrphan).length);
+    logger.stat('Orphan references', allRelationships.filter(r => r.isOrphan).length);
+    logger.stat('Cross-database relationships', allRelationships.filter(r => r.isCrossDatabase).length);
+
+    // Show confidence breakdown if available
+    const confStats = getConfidenceStats(allRelationships);
+    if (confStats.total > 0) {
+      logger.stat('High confidence', confStats.byLevel.high);
+      logger.stat('Medium confidence', confStats.byLevel.medium);
+      logger.stat('Low confidence', confStats.byLevel.low + confStats.byLevel['very-low']);
+    }
+
+    // Request units consumed per container (live runs only)
+    if (analysisData.requestUnits) {
+      const { consumed, budget, throttled, byContainer, skippedContainers } = analysisData.requestUnits;
+      logger.stat('Request units consumed', budget ? `${consumed} of ${budget} RU` : `${consumed} RU`);
+      if (throttled > 0) {
+        logger.stat('Throttled requests retried', throttled);
+      }
+      if (skippedContainers.length > 0) {
+        logger.stat('Containers skipped (RU budget)', skippedContainers.length);
+      }
+      const byCost = Object.entries(byContainer).sort(([, a], [, b]) => b - a);
+      for (const [containerKey, ru] of byCost) {
+        logger.item(`${containerKey}: ${ru} RU`, 2);
+      }
+    }
+
+    // Generate documentation
+    logger.section('Generating documentation...');
+
+    // Schema versioning: report comparison with previous snapshot
+    if (comparison) {
+      // Output comparison summary
+      console.log(formatDiffForConsole(comparison));
+
+      if (comparison.summary.totalChanges > 0) {
+        logger.stat('Total changes', comparison.summary.totalChanges);
+        logger.stat('Breaking changes', comparison.summary.breakingChanges);
+
+        // Generate markdown diff report
+        await generateDiffMarkdown(comparison, {
+          baselineId: analysisData.baseline?.id || 'unknown',
+          currentTimestamp: timestamp
+        }, config.output);
+        logger.item('Change report generated: schema-changes.md');
+      }
+    }
+
+    // Save snapshot if --snapshot flag provided
+    if (config.snapshot) {
+      logger.section('Saving snapshot...');
+
+      try {
+        const snapshotResult = await saveSnapshot(analysisData, {
+          name: config.snapshotName,
+          cacheDir: config.versioning.cacheDir
+        });
+
+        const name = snapshotResult.name || snapshotResult.id;
+        logger.item(`Snapshot saved: ${name}`);
+
+        // Prune old snapshots based on retention policy
+        const deleted = await pruneSnapshots(config.versioning.retention, config.versioning.cacheDir);
+        if (deleted > 0) {
+          logger.item(`Pruned ${deleted} old snapshot(s)`);
+        }
+      } catch (error) {
+        logger.warn(`Could not save snapshot: ${error.message}`);
+      }
+    }
+
+    // Generate outputs based on configured formats
+    const renderOptions = { branding: config.branding, jsonSchema: config.jsonSchema };
+
+    if (config.formats.includes('markdown')) {
+      await writeRendered(await render(analysisData, 'markdown', renderOptions), config.output);
+      logger.item('Markdown documentation generated');
+    }
+
+    if (config.formats.includes('html')) {
+      const [htmlPath] = await writeRendered(await render(analysisData, 'html', renderOptions), config.output);
+      logger.item(`HTML report generated: ${htmlPath}`);
+    }
+
+    if (config.formats.includes('jsonschema')) {
+      const schemaFiles = await writeRendered(await render(analysisData, 'jsonschema', renderOptions), config.output);
+      logger.item(`JSON Schema files generated: ${schemaFiles.length} schemas`);
+    }
+
+    if (config.formats.includes('quality')) {
+      const [qualityPath] = await writeRendered(await render(analysisData, 'quality', renderOptions), config.output);
+      logger.item(`Data quality report generated: ${qualityPath}`);
+    }
+
+    logger.done(config.output);
+
+    // Return exit code based on breaking changes
+    if (config.versioning.failOnBreaking && comparison?.summary?.breakingChanges > 0) {
+      logger.error(`Exiting with error: ${comparison.summary.breakingChanges} breaking change(s) detected.`);
+      return { exitCode: 1 };
+    }
+
+    return { exitCode: 0 };
+
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`, error);
+    return { exitCode: 1 };
+  }
+}
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  // Load configuration
+  let config;
+  try {
+    config = await loadConfig();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  // Set log level based on config
+  logger.setLevel(config.logLevel);
+  logger.debug(`Log level: ${config.logLevel}`);
+  logger.debug(`Watch mode: ${config.watch}`);
+  logger.debug(`Container filter: ${config.container || 'none'}`);
+
+  // Watch mode
+  if (config.watch) {
+    logger.watch('Starting watch mode - press Ctrl+C to stop');
+    logger.watch('Watching for changes in Cosmos DB...');
+
+    // Re-runs only fold in documents changed since the previous tick
+    const watchConfig = { ...config, incremental: true };
+
+    // Initial run
+    await runAnalysis(watchConfig);
+
+    // Set up interval for periodic re-runs
+    const intervalMs = 30000; // 30 seconds
+    logger.watch(`Will re-check every ${intervalMs / 1000} seconds`);
+
+    const interval = setInterval(async () => {
+      logger.watch('Re-running analysis...');
+      // --full only applies to the initial run
+      await runAnalysis({ ...watchConfig, full: false });
+    }, intervalMs);
+
+    // Handle Ctrl+C gracefully
+    process.on('SIGINT', () => {
+      logger.watch('Stopping watch mode...');
+      clearInterval(interval);
+      process.exit(0);
+    });
+
+    // Keep process alive
+    process.stdin.resume();
+  } else {
+    // Single run mode
+    const result = await runAnalysis(config);
+    process.exit(result.exitCode);
+  }
+}
+
+// Run
+main();
@@ -10,10 +10,45 @@
 import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { resolve } from 'path';
+import { SAMPLING_STRATEGIES, DEFAULT_SAMPLING } from '../cosmos/sampling.js';
+import { CLASSIFICATION_LABELS } from '../analysis/classification.js';
+import { REDACTION_ACTIONS } from '../analysis/redaction.js';
 
 const DEFAULT_CONFIG = {
   output: './output',
+  input: null,        // Export directory for offline analysis (--input flag)
+  queryLog: null,     // Exported diagnostic query log, JSON or CSV (--query-log flag)
   sampleSize: 100,
+  sampling: { ...DEFAULT_SAMPLING }, // Strategy and its options; per container through containerOverrides
+  excludePaths: [],   // Property paths to leave out of schemas (e.g. 'payload.*')
+  discriminator: null, // Root property splitting documents into variants (null = detect, false = off)
+  versionField: null, // Root property holding the document schema version (null = detect, false = off)
+  freshness: {
+    enabled: true,            // Profile write activity from _ts (newest write, writes per day)
+    windows: [30],            // Days counted back from now, one aggregate query each on live runs
+    staleAfterDays: 90,       // Warn when nothing was written for this many days (0 = never)
+    deprecatedAfterDays: 30   // Mark properties missing from sampled documents this much newer (0 = never)
+  },
+  costs: {
+    enabled: true             // Measure request charges of a point read and the sample queries on live runs
+  },
+  indexAdvice: {
+    enabled: true,            // Compare the indexing policy with the schema and queries, suggest a better one
+    queryFile: null           // JSON file of production queries keyed by container glob (--index-queries flag)
+  },
+  classification: {
+    enabled: true,            // Label properties Public, Internal, Confidential or PII from names and values
+    defaultLabel: null,       // Label for properties nothing flags, e.g. 'Internal' (null = leave unlabelled)
+    rules: []                 // Custom rules, first match wins: { label, name, path, type, reason }
+  },
+  redaction: {
+    enabled: true,            // Redact sampled values before they are kept (emails, phones and URLs are masked)
+    rules: [],                // Custom rules, checked before the defaults: { path, type, action: 'keep'|'drop'|'mask'|'hash'|'fake' }
+    salt: ''                  // Prefixed to values before hashing, so hashes cannot be matched against known values ('' = random, kept in the cache directory)
+  },
+  containerOverrides: {}, // Per-container settings keyed by glob, e.g. { "shop/events-*": { sampleSize: 1000 } }
+  incremental: false, // Fold change feed updates into stored schema state (--incremental)
+  full: false,        // Ignore stored incremental state and sample afresh (--full)
   databases: [],      // Empty = all databases
   container: null,    // Single container to document (--container flag)
   containers: {
@@ -25,7 +60,8 @@ const DEFAULT_CONFIG = {
   watch: false,       // Watch mode for continuous regeneration
   jsonSchema: {
     draft: '2020-12',       // JSON Schema draft version ('draft-07' or '2020-12')
-    includeExamples: true   // Include example values in schema
+    includeExamples: true,  // Include example values in schema
+    includeValueBounds: true // Add minimum/maximum, maxLength and minItems/maxItems seen in the sample
   },
   branding: {
     logo: null,             // Path to logo image or URL
@@ -37,6 +73,8 @@ const DEFAULT_CONFIG = {
   },
   typeDetection: {
     customPatterns: [],  // User-defined type patterns: { name, pattern, displayName }
+    objectPatterns: [],  // User-defined object shapes: { name, displayName, required, optional, additionalKeys, reference }
+    builtInObjectPatterns: true, // Detect DateTimeObject, ReferenceObject, LookupObject, CaseInsensitiveString, SimpleReference
     enumDetection: {
       enabled: true,      // Detect enum-like fields
       maxUniqueValues: 10, // Max distinct values to be considered enum
@@ -53,6 +91,11 @@ const DEFAULT_CONFIG = {
       namingPattern: 0.20
     }
   },
+  throttling: {
+    concurrency: 4,        // Containers sampled (and relationships validated) in parallel
+    requestUnitBudget: 0,  // Max request units per run; stops with partial results when spent (0 = unlimited)
+    maxRetries: 5          // Retries after a throttled (429) response, waiting for retry-after
+  },
   versioning: {
     cacheDir: '.cosmoscache',  // Where to store snapshots
     retention: 10,              // Number of unnamed snapshots to keep
@@ -94,12 +137,48 @@ function parseCliArgs(args = process.argv.slice(2)) {
       parsed.configPath = args[++i];
     } else if (arg === '--output' && args[i + 1]) {
       parsed.output = args[++i];
+    } else if (arg === '--input' && args[i + 1]) {
+      parsed.input = args[++i];
+    } else if (arg === '--query-log' && args[i + 1]) {
+      parsed.queryLog = args[++i];
     } else if (arg === '--sample-size' && args[i + 1]) {
       parsed.sampleSize = parseInt(args[++i], 10);
+    } else if (arg === '--incremental') {
+      parsed.incremental = true;
+    } else if (arg === '--full') {
+      parsed.full = true;
+    } else if (arg === '--discriminator' && args[i + 1]) {
+      parsed.discriminator = args[++i];
+    } else if (arg === '--no-discriminator') {
+      parsed.discriminator = false;
+    } else if (arg === '--version-field' && args[i + 1]) {
+      parsed.versionField = args[++i];
+    } else if (arg === '--no-version-field') {
+      parsed.versionField = false;
+    } else if (arg === '--stale-after' && args[i + 1]) {
+      parsed.freshness = { ...parsed.freshness, staleAfterDays: parseFloat(args[++i]) };
+    } else if (arg === '--no-freshness') {
+      parsed.freshness = { ...parsed.freshness, enabled: false };
+    } else if (arg === '--no-costs') {
+      parsed.costs = { enabled: false };
+    } else if (arg === '--index-queries' && args[i + 1]) {
+      parsed.indexAdvice = { ...parsed.indexAdvice, queryFile: args[++i] };
+    } else if (arg === '--no-index-advice') {
+      parsed.indexAdvice = { ...parsed.indexAdvice, enabled: false };
+    } else if (arg === '--no-classification') {
+      parsed.classification = { enabled: false };
+    } else if (arg === '--no-redaction') {
+      parsed.redaction = { enabled: false };
+    } else if (arg === '--sampling' && args[i + 1]) {
+      parsed.sampling = { strategy: args[++i] };
     } else if (arg === '--databases' && args[i + 1]) {
       parsed.databases = args[++i].split(',').map(s => s.trim()).filter(Boolean);
     } else if (arg === '--format' && args[i + 1]) {
       parsed.formats = args[++i].split(',').map(s => s.trim()).filter(Boolean);
+    } else if (arg === '--concurrency' && args[i + 1]) {
+      parsed.throttling = { ...parsed.throttling, concurrency: parseInt(args[++i], 10) };
+    } else if (arg === '--ru-budget' && args[i + 1]) {
+      parsed.throttling = { ...parsed.throttling, requestUnitBudget: parseFloat(args[++i]) };
     } else if (arg === '--validate') {
       parsed.validation = { enabled: true };
     } else if (arg === '--no-validate') {
@@ -169,10 +248,26 @@ function parseEnvVars() {
     env.sampleSize = parseInt(process.env.SAMPLE_SIZE, 10);
   }
 
+  if (process.env.SAMPLING_STRATEGY) {
+    env.sampling = { strategy: process.env.SAMPLING_STRATEGY };
+  }
+
   if (process.env.OUTPUT_DIR) {
     env.output = process.env.OUTPUT_DIR;
   }
 
+  if (process.env.COSMOS_INPUT_DIR) {
+    env.input = process.env.COSMOS_INPUT_DIR;
+  }
+
+  if (process.env.CONCURRENCY) {
+    env.throttling = { ...env.throttling, concurrency: parseInt(process.env.CONCURRENCY, 10) };
+  }
+
+  if (process.env.RU_BUDGET) {
+    env.throttling = { ...env.throttling, requestUnitBudget: parseFloat(process.env.RU_BUDGET) };
+  }
+
   if (process.env.VALIDATE_RELATIONSHIPS) {
     const val = process.env.VALIDATE_RELATIONSHIPS.toLowerCase();
     env.validation = { enabled: val === 'true' || val === '1' };
@@ -217,25 +312,191 @@ export function shouldIncludeContainer(containerName, config) {
   return true;
 }
 
+/**
+ * Check if a container override pattern applies to a container.
+ * Patterns match the container name or "database/container".
+ */
+export function matchesContainer(pattern, databaseName, containerName) {
+  return matchesPattern(containerName, [pattern]) ||
+    matchesPattern(`${databaseName}/${containerName}`, [pattern]);
+}
+
+/**
+ * Resolve the effective configuration for a single container.
+ * Applies every matching containerOverrides entry in order, so later
+ * entries win. Nested sections merge key by key; arrays are replaced.
+ * @param {object} config - Complete configuration
+ * @param {string} databaseName - Database name
+ * @param {string} containerName - Container name
+ * @returns {object} Configuration with overrides applied
+ */
+export function resolveContainerConfig(config, databaseName, containerName) {
+  const effective = {
+    ...config,
+    sampling: { ...config.sampling },
+    typeDetection: {
+      ...config.typeDetection,
+      enumDetection: { ...config.typeDetection?.enumDetection }
+    },
+    validation: { ...config.validation },
+    freshness: { ...config.freshness },
+    costs: { ...config.costs },
+    indexAdvice: { ...config.indexAdvice },
+    classification: { ...config.classification },
+    redaction: { ...config.redaction }
+  };
+
+  for (const [pattern, override] of Object.entries(config.containerOverrides || {})) {
+    if (!matchesContainer(pattern, databaseName, containerName)) continue;
+
+    if (override.sampleSize !== undefined) {
+      effective.sampleSize = override.sampleSize;
+    }
+    if (override.sampling) {
+      Object.assign(effective.sampling, typeof override.sampling === 'string'
+        ? { strategy: override.sampling }
+        : override.sampling);
+    }
+    if (override.typeDetection?.customPatterns) {
+      effective.typeDetection.customPatterns = override.typeDetection.customPatterns;
+    }
+    if (override.typeDetection?.objectPatterns) {
+      effective.typeDetection.objectPatterns = override.typeDetection.objectPatterns;
+    }
+    if (override.typeDetection?.builtInObjectPatterns !== undefined) {
+      effective.typeDetection.builtInObjectPatterns = override.typeDetection.builtInObjectPatterns;
+    }
+    Object.assign(effective.typeDetection.enumDetection, override.typeDetection?.enumDetection);
+    Object.assign(effective.validation, override.validation);
+    Object.assign(effective.freshness, override.freshness);
+    Object.assign(effective.costs, override.costs);
+    if (override.indexAdvice?.enabled !== undefined) {
+      effective.indexAdvice.enabled = override.indexAdvice.enabled;
+    }
+    Object.assign(effective.classification, override.classification);
+    Object.assign(effective.redaction, override.redaction);
+    if (override.excludePaths) {
+      effective.excludePaths = override.excludePaths;
+    }
+    if (override.discriminator !== undefined) {
+      effective.discriminator = override.discriminator;
+    }
+    if (override.versionField !== undefined) {
+      effective.versionField = override.versionField;
+    }
+  }
+
+  return effective;
+}
+
 /**
  * Validate configuration
  */
 function validateConfig(config) {
   const errors = [];
 
-  if (!config.endpoint) {
-    errors.push('endpoint is required (set COSMOS_ENDPOINT environment variable)');
+  // Offline analysis reads from an export directory instead of a live account
+  if (!config.endpoint && !config.input) {
+    errors.push('endpoint is required (set COSMOS_ENDPOINT environment variable or use --input for offline analysis)');
   }
 
   if (config.sampleSize && (isNaN(config.sampleSize) || config.sampleSize < 1)) {
     errors.push('sampleSize must be a positive number');
   }
 
+  if (!isValidPropertySetting(config.discriminator)) {
+    errors.push('discriminator must be a property name, null (detect) or false (off)');
+  }
+
+  if (!isValidPropertySetting(config.versionField)) {
+    errors.push('versionField must be a property name, null (detect) or false (off)');
+  }
+
+  for (const [pattern, override] of Object.entries(config.containerOverrides || {})) {
+    if (override?.discriminator !== undefined && !isValidPropertySetting(override.discriminator)) {
+      errors.push(`containerOverrides["${pattern}"].discriminator must be a property name, null (detect) or false (off)`);
+    }
+    if (override?.versionField !== undefined && !isValidPropertySetting(override.versionField)) {
+      errors.push(`containerOverrides["${pattern}"].versionField must be a property name, null (detect) or false (off)`);
+    }
+    if (override?.sampleSize !== undefined && (isNaN(override.sampleSize) || override.sampleSize < 1)) {
+      errors.push(`containerOverrides["${pattern}"].sampleSize must be a positive number`);
+    }
+    if (override?.excludePaths && !Array.isArray(override.excludePaths)) {
+      errors.push(`containerOverrides["${pattern}"].excludePaths must be an array`);
+    }
+    if (override?.freshness) {
+      errors.push(...validateFreshness(override.freshness, `containerOverrides["${pattern}"].freshness`));
+    }
+    if (override?.classification) {
+      errors.push(...validateClassification(override.classification, `containerOverrides["${pattern}"].classification`));
+    }
+    if (override?.redaction) {
+      errors.push(...validateRedaction(override.redaction, `containerOverrides["${pattern}"].redaction`));
+    }
+    if (override?.typeDetection) {
+      errors.push(...validateObjectPatterns(override.typeDetection, `containerOverrides["${pattern}"].typeDetection`));
+    }
+  }
+
+  if (config.throttling) {
+    const { concurrency, requestUnitBudget, maxRetries } = config.throttling;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      errors.push('throttling.concurrency must be a positive integer');
+    }
+    if (isNaN(requestUnitBudget) || requestUnitBudget < 0) {
+      errors.push('throttling.requestUnitBudget must be zero (unlimited) or a positive number');
+    }
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+      errors.push('throttling.maxRetries must be zero or a positive integer');
+    }
+  }
+
+  if (config.freshness) {
+    errors.push(...validateFreshness(config.freshness, 'freshness'));
+  }
+
+  if (config.classification) {
+    errors.push(...validateClassification(config.classification, 'classification'));
+  }
+
+  if (config.redaction) {
+    errors.push(...validateRedaction(config.redaction, 'redaction'));
+  }
+
+  if (config.typeDetection) {
+    errors.push(...validateObjectPatterns(config.typeDetection, 'typeDetection'));
+  }
+
+  if (config.indexAdvice?.queryFile !== null && config.indexAdvice?.queryFile !== undefined &&
+      (typeof config.indexAdvice.queryFile !== 'string' || config.indexAdvice.queryFile.length === 0)) {
+    errors.push('indexAdvice.queryFile must be a file path or null');
+  }
+
+  if (config.queryLog !== null && config.queryLog !== undefined &&
+      (typeof config.queryLog !== 'string' || config.queryLog.length === 0)) {
+    errors.push('queryLog must be a file path or null');
+  }
+
   if (config.formats && !Array.isArray(config.formats)) {
     errors.push('formats must be an array');
   }
 
-  const validFormats = ['markdown', 'html', 'jsonschema'];
+  if (config.sampling) {
+    const overrideSampling = Object.values(config.containerOverrides || {}).map(override => override?.sampling);
+    const strategies = [config.sampling, ...overrideSampling]
+      .map(entry => (typeof entry === 'string' ? entry : entry?.strategy))
+      .filter(Boolean);
+    const invalidStrategies = strategies.filter(s => !SAMPLING_STRATEGIES.includes(s));
+    if (invalidStrategies.length > 0) {
+      errors.push(`invalid sampling strategy: ${invalidStrategies.join(', ')}. Valid: ${SAMPLING_STRATEGIES.join(', ')}`);
+    }
+    if (config.sampling.containers !== undefined) {
+      errors.push('sampling.containers is not supported; set sampling per container in containerOverrides, e.g. { "events-*": { "sampling": { "strategy": "timeBucketed" } } }');
+    }
+  }
+
+  const validFormats = ['markdown', 'html', 'jsonschema', 'quality'];
   if (config.formats) {
     const invalidFormats = config.formats.filter(f => !validFormats.includes(f));
     if (invalidFormats.length > 0) {
@@ -246,6 +507,196 @@ function validateConfig(config) {
   return errors;
 }
 
+/**
+ * Settings naming a root property (discriminator, versionField) accept a
+ * name, null to detect one, or false to turn the feature off.
+ */
+function isValidPropertySetting(value) {
+  return value === null || value === undefined || value === false ||
+    (typeof value === 'string' && value.length > 0);
+}
+
+/**
+ * Validate freshness settings (or an override's subset of them).
+ * @returns {string[]} Errors, prefixed with where the settings came from
+ */
+function validateFreshness(freshness, prefix) {
+  const errors = [];
+  const { windows, staleAfterDays, deprecatedAfterDays } = freshness;
+  if (windows !== undefined && (!Array.isArray(windows) || !windows.every(days => typeof days === 'number' && days > 0))) {
+    errors.push(`${prefix}.windows must be an array of positive day counts`);
+  }
+  if (staleAfterDays !== undefined && (isNaN(staleAfterDays) || staleAfterDays < 0)) {
+    errors.push(`${prefix}.staleAfterDays must be zero (never stale) or a positive number`);
+  }
+  if (deprecatedAfterDays !== undefined && (isNaN(deprecatedAfterDays) || deprecatedAfterDays < 0)) {
+    errors.push(`${prefix}.deprecatedAfterDays must be zero (never deprecated) or a positive number`);
+  }
+  return errors;
+}
+
+/**
+ * Validate classification settings (or an override's subset of them).
+ * @returns {string[]} Errors, prefixed with where the settings came from
+ */
+function validateClassification(classification, prefix) {
+  const errors = [];
+  const labels = CLASSIFICATION_LABELS.join(', ');
+  const { defaultLabel, rules } = classification;
+  if (defaultLabel !== undefined && defaultLabel !== null && !CLASSIFICATION_LABELS.includes(defaultLabel)) {
+    errors.push(`${prefix}.defaultLabel must be null or one of: ${labels}`);
+  }
+  if (rules === undefined) return errors;
+  if (!Array.isArray(rules)) {
+    errors.push(`${prefix}.rules must be an array`);
+    return errors;
+  }
+  rules.forEach((rule, i) => {
+    if (!CLASSIFICATION_LABELS.includes(rule?.label)) {
+      errors.push(`${prefix}.rules[${i}].label must be one of: ${labels}`);
+    }
+    if (!rule?.name && !rule?.path && !rule?.type) {
+      errors.push(`${prefix}.rules[${i}] needs a name, path or type to match`);
+    }
+    if (rule?.name) {
+      try {
+        new RegExp(rule.name);
+      } catch {
+        errors.push(`${prefix}.rules[${i}].name is not a valid regular expression`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate redaction settings (or an override's subset of them).
+ * @returns {string[]} Errors, prefixed with where the settings came from
+ */
+function validateRedaction(redaction, prefix) {
+  const errors = [];
+  const { rules, salt } = redaction;
+  if (salt !== undefined && typeof salt !== 'string') {
+    errors.push(`${prefix}.salt must be a string`);
+  }
+  if (rules === undefined) return errors;
+  if (!Array.isArray(rules)) {
+    errors.push(`${prefix}.rules must be an array`);
+    return errors;
+  }
+  rules.forEach((rule, i) => {
+    if (!REDACTION_ACTIONS.includes(rule?.action)) {
+      errors.push(`${prefix}.rules[${i}].action must be one of: ${REDACTION_ACTIONS.join(', ')}`);
+    }
+    if (!rule?.path && !rule?.type) {
+      errors.push(`${prefix}.rules[${i}] needs a path or type to match`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate object pattern settings (or an override's subset of them).
+ * @returns {string[]} Errors, prefixed with where the settings came from
+ */
+function validateObjectPatterns(typeDetection, prefix) {
+  const errors = [];
+  const { objectPatterns, builtInObjectPatterns } = typeDetection;
+  if (builtInObjectPatterns !== undefined && typeof builtInObjectPatterns !== 'boolean') {
+    errors.push(`${prefix}.builtInObjectPatterns must be true or false`);
+  }
+  if (objectPatterns === undefined) return errors;
+  if (!Array.isArray(objectPatterns)) {
+    errors.push(`${prefix}.objectPatterns must be an array`);
+    return errors;
+  }
+  const isTypeName = type => typeof type === 'string' && type.length > 0;
+  objectPatterns.forEach((pattern, i) => {
+    const at = `${prefix}.objectPatterns[${i}]`;
+    if (!isTypeName(pattern?.name)) {
+      errors.push(`${at}.name must be a non-empty string`);
+    }
+    // A disabled entry only names the built-in it turns off
+    if (pattern?.enabled === false) return;
+    for (const section of ['required', 'optional']) {
+      const keys = pattern?.[section];
+      if (keys === undefined && section === 'optional') continue;
+      if (typeof keys !== 'object' || keys === null || Array.isArray(keys) ||
+          (section === 'required' && Object.keys(keys).length === 0)) {
+        errors.push(section === 'required'
+          ? `${at}.required must map at least one key to a value type`
+          : `${at}.optional must map keys to value types`);
+        continue;
+      }
+      for (const [key, type] of Object.entries(keys)) {
+        if (!isTypeName(type) && !(Array.isArray(type) && type.length > 0 && type.every(isTypeName))) {
+          errors.push(`${at}.${section}.${key} must be a type name or an array of type names`);
+        }
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Merge a nested config section across layers, lowest precedence first.
+ */
+function mergeSection(layers, key) {
+  return Object.assign({}, DEFAULT_CONFIG[key], ...layers.map(layer => layer?.[key]));
+}
+
+/**
+ * Merge configuration layers over the defaults.
+ * Later layers take precedence; nested sections are merged key by key.
+ */
+function mergeConfigLayers(...layers) {
+  const config = Object.assign({}, DEFAULT_CONFIG, ...layers);
+
+  // Ensure nested objects are properly merged
+  config.containers = mergeSection(layers, 'containers');
+  config.versioning = mergeSection(layers, 'versioning');
+  config.jsonSchema = mergeSection(layers, 'jsonSchema');
+  config.branding = mergeSection(layers, 'branding');
+  config.sampling = mergeSection(layers, 'sampling');
+  config.throttling = mergeSection(layers, 'throttling');
+  config.freshness = mergeSection(layers, 'freshness');
+  config.costs = mergeSection(layers, 'costs');
+  config.indexAdvice = mergeSection(layers, 'indexAdvice');
+  config.classification = mergeSection(layers, 'classification');
+  config.redaction = mergeSection(layers, 'redaction');
+
+  config.validation = {
+    ...mergeSection(layers, 'validation'),
+    weights: Object.assign(
+      {},
+      DEFAULT_CONFIG.validation.weights,
+      ...layers.map(layer => layer?.validation?.weights)
+    )
+  };
+
+  config.typeDetection = {
+    ...mergeSection(layers, 'typeDetection'),
+    enumDetection: Object.assign(
+      {},
+      DEFAULT_CONFIG.typeDetection.enumDetection,
+      ...layers.map(layer => layer?.typeDetection?.enumDetection)
+    )
+  };
+  config.typeDetection.customPatterns = config.typeDetection.customPatterns || [];
+
+  return config;
+}
+
+/**
+ * Throw if the configuration has errors.
+ */
+function assertValidConfig(config) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Configuration errors:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
 /**
  * Load and merge configuration from all sources
  *
@@ -267,76 +718,28 @@ export async function loadConfig(cliArgs = process.argv.slice(2)) {
   const envConfig = parseEnvVars();
 
   // Merge: defaults <- file <- env <- cli
-  const config = {
-    ...DEFAULT_CONFIG,
-    ...fileConfig,
-    ...envConfig,
-    ...cli
-  };
-
-  // Ensure nested objects are properly merged
-  config.containers = {
-    ...DEFAULT_CONFIG.containers,
-    ...fileConfig?.containers,
-    ...cli.containers
-  };
-
-  config.validation = {
-    ...DEFAULT_CONFIG.validation,
-    ...fileConfig?.validation,
-    ...envConfig?.validation,
-    ...cli.validation,
-    weights: {
-      ...DEFAULT_CONFIG.validation.weights,
-      ...fileConfig?.validation?.weights
-    }
-  };
-
-  config.versioning = {
-    ...DEFAULT_CONFIG.versioning,
-    ...fileConfig?.versioning,
-    ...cli.versioning
-  };
-
-  config.typeDetection = {
-    ...DEFAULT_CONFIG.typeDetection,
-    ...fileConfig?.typeDetection,
-    customPatterns: fileConfig?.typeDetection?.customPatterns || DEFAULT_CONFIG.typeDetection.customPatterns,
-    enumDetection: {
-      ...DEFAULT_CONFIG.typeDetection.enumDetection,
-      ...fileConfig?.typeDetection?.enumDetection
-    }
-  };
-
-  config.jsonSchema = {
-    ...DEFAULT_CONFIG.jsonSchema,
-    ...fileConfig?.jsonSchema
-  };
-
-  config.branding = {
-    ...DEFAULT_CONFIG.branding,
-    ...fileConfig?.branding,
-    ...cli.branding
-  };
-
-  // Copy versioning flags from CLI
-  if (cli.snapshot !== undefined) config.snapshot = cli.snapshot;
-  if (cli.snapshotName !== undefined) config.snapshotName = cli.snapshotName;
-  if (cli.diff !== undefined) config.diff = cli.diff;
-  if (cli.diffFrom !== undefined) config.diffFrom = cli.diffFrom;
+  const config = mergeConfigLayers(fileConfig, envConfig, cli);
 
   // Clean up internal properties
   delete config.configPath;
 
-  // Validate
-  const errors = validateConfig(config);
-  if (errors.length > 0) {
-    throw new Error(`Configuration errors:\n  - ${errors.join('\n  - ')}`);
-  }
+  assertValidConfig(config);
 
   return config;
 }
 
+/**
+ * Resolve programmatic options against the defaults.
+ * Used by the library API, which does not read files, env vars or CLI args.
+ * @param {object} options - Partial configuration
+ * @returns {object} Complete, validated configuration
+ */
+export function resolveConfig(options = {}) {
+  const config = mergeConfigLayers(options);
+  assertValidConfig(config);
+  return config;
+}
+
 /**
  * Get default config for documentation/examples
  */
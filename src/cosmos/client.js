@@ -1,5 +1,9 @@
-import { CosmosClient } from '@azure/cosmos';
+import { CosmosClient, ChangeFeedStartFrom } from '@azure/cosmos';
 import { DefaultAzureCredential } from '@azure/identity';
+import { normaliseSampling, createReservoir, splitQuota, getTimeBuckets } from './sampling.js';
+import { createRequestMeter, isBudgetExhausted } from './requestMeter.js';
+import { getContainerKey } from '../utils/containerKey.js';
+import { getPartitionKeyValue } from '../utils/partitionKey.js';
 
 /**
  * Creates an authenticated Cosmos DB client.
@@ -16,12 +20,18 @@ export function createCosmosClient(endpoint, key) {
   }
 }
 
+/**
+ * Every function below accepts an optional request meter (see requestMeter.js)
+ * as its last argument. It records the request units each query consumes,
+ * retries throttled requests and enforces the run's RU budget.
+ */
+
 /**
  * Lists all databases in the Cosmos account.
  * @returns {Promise<string[]>} Array of database names
  */
-export async function listDatabases(client) {
-  const { resources } = await client.databases.readAll().fetchAll();
+export async function listDatabases(client, meter = createRequestMeter()) {
+  const { resources } = await meter.run(null, () => client.databases.readAll().fetchAll());
   return resources.map(db => db.id);
 }
 
@@ -29,47 +39,268 @@ export async function listDatabases(client) {
  * Lists all containers in a database.
  * @returns {Promise<string[]>} Array of container names
  */
-export async function listContainers(client, databaseName) {
+export async function listContainers(client, databaseName, meter = createRequestMeter()) {
   const database = client.database(databaseName);
-  const { resources } = await database.containers.readAll().fetchAll();
+  const { resources } = await meter.run(null, () => database.containers.readAll().fetchAll());
   return resources.map(container => container.id);
 }
 
+// Documents requested per page when streaming a sample
+const PAGE_SIZE = 1000;
+
 /**
- * Samples the most recent N documents from a container.
+ * Samples N documents from a container using the configured strategy.
+ * Collects every page from sampleDocumentPages; prefer that for large samples.
  * @param {CosmosClient} client - The Cosmos client
  * @param {string} databaseName - Database name
  * @param {string} containerName - Container name
  * @param {number} limit - Maximum documents to sample (default 100)
+ * @param {object|string} [sampling] - Sampling options (see sampling.js), default 'recent'
+ * @param {object} [meter] - Request meter
  * @returns {Promise<object[]>} Array of sampled documents
  */
-export async function sampleDocuments(client, databaseName, containerName, limit = 100) {
-  const container = client.database(databaseName).container(containerName);
+export async function sampleDocuments(client, databaseName, containerName, limit = 100, sampling, meter = createRequestMeter()) {
+  const documents = [];
+  for await (const page of sampleDocumentPages(client, databaseName, containerName, limit, sampling, meter)) {
+    documents.push(...page);
+  }
+  return documents;
+}
 
-  const query = {
-    query: 'select * from c order by c._ts desc offset 0 limit @limit',
-    parameters: [{ name: '@limit', value: limit }]
-  };
+/**
+ * Streams a container's sample one page at a time, so callers can process
+ * documents without holding the whole sample in memory. Ordered and
+ * time-bucketed samples are read page by page from the query; random and
+ * stratified samples hold only their reservoir (at most `limit` documents).
+ * @param {CosmosClient} client - The Cosmos client
+ * @param {string} databaseName - Database name
+ * @param {string} containerName - Container name
+ * @param {number} limit - Maximum documents to sample (default 100)
+ * @param {object|string} [sampling] - Sampling options (see sampling.js), default 'recent'
+ * @param {object} [meter] - Request meter
+ * @returns {AsyncGenerator<object[]>} Pages of up to 1000 documents
+ */
+export async function* sampleDocumentPages(client, databaseName, containerName, limit = 100, sampling, meter = createRequestMeter()) {
+  const container = client.database(databaseName).container(containerName);
+  const options = normaliseSampling(sampling);
+  const requests = meter.forContainer(getContainerKey(databaseName, containerName));
 
   try {
-    const { resources } = await container.items.query(query).fetchAll();
-    return resources;
+    switch (options.strategy) {
+      case 'oldest':
+        yield* sampleOrdered(container, limit, 'asc', requests);
+        break;
+      case 'random':
+        yield* sampleRandom(container, limit, options, requests);
+        break;
+      case 'stratified':
+        yield* sampleStratified(container, limit, options, requests);
+        break;
+      case 'timeBucketed':
+        yield* sampleTimeBucketed(container, limit, options, requests);
+        break;
+      default:
+        yield* sampleOrdered(container, limit, 'desc', requests);
+    }
   } catch (error) {
     // Handle empty containers or access issues gracefully
     if (error.code === 404) {
-      return [];
+      return;
     }
     throw error;
   }
 }
 
+/**
+ * Newest or oldest N documents by _ts.
+ */
+async function* sampleOrdered(container, limit, direction, requests) {
+  const query = {
+    query: `select * from c order by c._ts ${direction} offset 0 limit @limit`,
+    parameters: [{ name: '@limit', value: limit }]
+  };
+
+  yield* readQueryPages(container, query, requests);
+}
+
+/**
+ * Reservoir sample over a paged scan, following continuation tokens until
+ * the container (or maxScan) is exhausted. Only the first maxScan documents
+ * in scan order can be drawn, so larger containers are not sampled
+ * uniformly. Scans stop early, keeping the documents seen so far, when the
+ * RU budget runs out.
+ */
+async function* sampleRandom(container, limit, options, requests) {
+  const reservoir = createReservoir(limit);
+  const iterator = container.items.query('select * from c', { maxItemCount: PAGE_SIZE });
+
+  while (iterator.hasMoreResults() && !scanLimitReached(reservoir, options.maxScan) && !requests.exhausted) {
+    const { resources } = await requests.run(() => iterator.fetchNext());
+    for (const doc of resources || []) {
+      if (scanLimitReached(reservoir, options.maxScan)) break;
+      reservoir.add(doc);
+    }
+  }
+
+  yield* toPages(reservoir.items());
+}
+
+/**
+ * Equal share per physical partition. Each feed range is read through the
+ * change feed (queries cannot target a single physical partition) and
+ * reservoir-sampled, splitting the scan budget across ranges.
+ */
+async function* sampleStratified(container, limit, options, requests) {
+  // Metered like every other request, so a spent RU budget stops it
+  const feedRanges = await requests.run(() => container.getFeedRanges());
+  if (feedRanges.length <= 1) {
+    yield* sampleRandom(container, limit, options, requests);
+    return;
+  }
+
+  const quotas = splitQuota(limit, feedRanges.length);
+  const scanPerRange = options.maxScan ? Math.ceil(options.maxScan / feedRanges.length) : 0;
+
+  for (let i = 0; i < feedRanges.length; i++) {
+    if (quotas[i] === 0) continue;
+
+    const reservoir = createReservoir(quotas[i]);
+    const iterator = container.items.getChangeFeedIterator({
+      maxItemCount: PAGE_SIZE,
+      changeFeedStartFrom: ChangeFeedStartFrom.Beginning(feedRanges[i])
+    });
+
+    while (iterator.hasMoreResults && !scanLimitReached(reservoir, scanPerRange) && !requests.exhausted) {
+      const response = await requests.run(() => iterator.readNext());
+      // 304 Not Modified: caught up with the range
+      if (response.statusCode === 304 || !response.result?.length) break;
+      for (const doc of response.result) {
+        if (scanLimitReached(reservoir, scanPerRange)) break;
+        reservoir.add(doc);
+      }
+    }
+
+    yield* toPages(reservoir.items());
+  }
+}
+
+/**
+ * Equal share of the newest documents in each time bucket.
+ * Quota left unused by sparse buckets is not redistributed, so gaps in
+ * history show up as a smaller sample rather than more recent documents.
+ */
+async function* sampleTimeBucketed(container, limit, options, requests) {
+  const buckets = getTimeBuckets(options);
+  const quotas = splitQuota(limit, buckets.length);
+
+  for (let i = 0; i < buckets.length; i++) {
+    if (quotas[i] === 0) continue;
+    if (requests.exhausted) break;
+
+    const query = {
+      query: 'select * from c where c._ts >= @start and c._ts < @end order by c._ts desc offset 0 limit @limit',
+      parameters: [
+        { name: '@start', value: buckets[i].start },
+        { name: '@end', value: buckets[i].end },
+        { name: '@limit', value: quotas[i] }
+      ]
+    };
+    yield* readQueryPages(container, query, requests);
+  }
+}
+
+/**
+ * Reads a query one page at a time. Once the RU budget runs out the
+ * pages already read are kept and the rest of the query is abandoned.
+ */
+async function* readQueryPages(container, query, requests) {
+  const iterator = container.items.query(query, { maxItemCount: PAGE_SIZE });
+
+  while (iterator.hasMoreResults()) {
+    const { resources } = await requests.run(() => iterator.fetchNext());
+    if (resources?.length) yield resources;
+    if (requests.exhausted) break;
+  }
+}
+
+function* toPages(documents) {
+  for (let i = 0; i < documents.length; i += PAGE_SIZE) {
+    yield documents.slice(i, i + PAGE_SIZE);
+  }
+}
+
+function scanLimitReached(reservoir, maxScan) {
+  return maxScan > 0 && reservoir.seen >= maxScan;
+}
+
+/**
+ * Gets a change feed continuation token for the current end of the container.
+ * Reading from it later returns only documents written after this call.
+ * @returns {Promise<string>} Continuation token
+ */
+export async function getChangeFeedToken(client, databaseName, containerName, meter = createRequestMeter()) {
+  const container = client.database(databaseName).container(containerName);
+  const iterator = container.items.getChangeFeedIterator({
+    changeFeedStartFrom: ChangeFeedStartFrom.Now()
+  });
+
+  const response = await meter.run(getContainerKey(databaseName, containerName), () => iterator.readNext());
+  return response.continuationToken;
+}
+
+/**
+ * Reads every document created or updated since a continuation token.
+ * Collects every page from readChangePages.
+ * @returns {Promise<{documents: object[], continuationToken: string}>}
+ */
+export async function readChanges(client, databaseName, containerName, continuationToken, meter = createRequestMeter()) {
+  const documents = [];
+  let token = continuationToken;
+
+  for await (const page of readChangePages(client, databaseName, containerName, continuationToken, meter)) {
+    documents.push(...page.documents);
+    token = page.continuationToken;
+  }
+
+  return { documents, continuationToken: token };
+}
+
+/**
+ * Streams the documents created or updated since a continuation token, one
+ * change feed page at a time, each with the token to resume after it.
+ * Deletes are not visible in the change feed. Stops early when the RU
+ * budget runs out.
+ * @returns {AsyncGenerator<{documents: object[], continuationToken: string}>}
+ */
+export async function* readChangePages(client, databaseName, containerName, continuationToken, meter = createRequestMeter()) {
+  const container = client.database(databaseName).container(containerName);
+  const requests = meter.forContainer(getContainerKey(databaseName, containerName));
+  const iterator = container.items.getChangeFeedIterator({
+    maxItemCount: PAGE_SIZE,
+    changeFeedStartFrom: ChangeFeedStartFrom.Continuation(continuationToken)
+  });
+
+  let token = continuationToken;
+
+  while (iterator.hasMoreResults && !requests.exhausted) {
+    const response = await requests.run(() => iterator.readNext());
+    token = response.continuationToken || token;
+    // 304 Not Modified: no further changes, but the token may still have moved on
+    if (response.statusCode === 304 || !response.result?.length) {
+      yield { documents: [], continuationToken: token };
+      break;
+    }
+    yield { documents: response.result, continuationToken: token };
+  }
+}
+
 /**
  * Gets container metadata including partition key and indexing policy.
  * @returns {Promise<object>} Container properties
  */
-export async function getContainerInfo(client, databaseName, containerName) {
+export async function getContainerInfo(client, databaseName, containerName, meter = createRequestMeter()) {
   const container = client.database(databaseName).container(containerName);
-  const { resource } = await container.read();
+  const { resource } = await meter.run(getContainerKey(databaseName, containerName), () => container.read());
   return {
     id: resource.id,
     partitionKey: resource.partitionKey?.paths || [],
@@ -80,41 +311,111 @@ export async function getContainerInfo(client, databaseName, containerName) {
 }
 
 /**
- * Gets container statistics (document count, size).
- * Note: These are approximate values from Cosmos DB.
- * @returns {Promise<object>} Container statistics
+ * Gets container statistics (document count).
+ * Document sizes come from the sample's size profile instead (see sizeProfile.js).
+ * Note: The count is approximate for containers being written to.
+ * @returns {Promise<{documentCount: number}>} Container statistics
+ * @throws When the RU budget is spent
  */
-export async function getContainerStats(client, databaseName, containerName) {
+export async function getContainerStats(client, databaseName, containerName, meter = createRequestMeter()) {
+  try {
+    const countQuery = { query: 'SELECT VALUE COUNT(1) FROM c' };
+    const countResult = await queryContainer(client, databaseName, containerName, countQuery, meter);
+    return { documentCount: countResult[0] || 0 };
+  } catch (error) {
+    // A spent RU budget ends the container like any other metered request
+    if (isBudgetExhausted(error)) throw error;
+    // Return zero on other errors (e.g., empty container)
+    return { documentCount: 0 };
+  }
+}
+
+// Items fetched when measuring a query: the first page is enough to compare
+// queries without paying for full scans
+const MEASURE_PAGE_SIZE = 100;
+
+/**
+ * Measures what typical requests cost: a point read of one document, by id
+ * and partition key as an application would read it, and the first page of
+ * each query. Each is measured on its own, so one failing leaves the others.
+ * @param {CosmosClient} client - The Cosmos client
+ * @param {string} databaseName - Database name
+ * @param {string} containerName - Container name
+ * @param {string[]} partitionKeyPaths - Partition key paths, e.g. ['/customerId']
+ * @param {{name: string, query: string}[]} queries - Queries to measure, e.g. from generateSampleQueries
+ * @param {object} [meter] - Request meter
+ * @returns {Promise<{pointRead: {requestCharge: number, bytes: number}|null,
+ *   queries: {name: string, query: string, requestCharge: number, itemCount: number}[]}|null>}
+ *   Charges in RU, or null when every request fails
+ */
+export async function measureRequestCharges(client, databaseName, containerName, partitionKeyPaths, queries, meter = createRequestMeter()) {
   const container = client.database(databaseName).container(containerName);
+  const requests = meter.forContainer(getContainerKey(databaseName, containerName));
 
+  let pointRead = null;
   try {
-    // Get approximate count via aggregate query
-    const countQuery = { query: 'SELECT VALUE COUNT(1) FROM c' };
-    const { resources: countResult } = await container.items.query(countQuery).fetchAll();
-    const documentCount = countResult[0] || 0;
+    const { resources: [doc] = [] } = await requests.run(() => container.items.query('SELECT TOP 1 * FROM c').fetchNext());
+    if (doc) {
+      const partitionKey = getPartitionKeyValue(doc, partitionKeyPaths);
+      const response = await requests.run(() => container.item(doc.id, partitionKey).read());
+      pointRead = { requestCharge: roundCharge(response.requestCharge), bytes: Buffer.byteLength(JSON.stringify(doc)) };
+    }
+  } catch (error) {
+    // Measure the queries without it (e.g. a document the read cannot address)
+  }
+
+  const measured = [];
+  for (const { name, query } of queries) {
+    try {
+      const iterator = container.items.query(query, { maxItemCount: MEASURE_PAGE_SIZE });
+      const response = await requests.run(() => iterator.fetchNext());
+      measured.push({ name, query, requestCharge: roundCharge(response.requestCharge), itemCount: response.resources?.length || 0 });
+    } catch (error) {
+      // Skip queries the container rejects (e.g. property names that need quoting),
+      // and keep what was measured when the rest fail (e.g. RU budget spent mid-container)
+      if (error.code !== 400) break;
+    }
+  }
+
+  return pointRead || measured.length > 0 ? { pointRead, queries: measured } : null;
+}
 
-    // Get sample documents to estimate average size
-    const sampleQuery = { query: 'SELECT * FROM c OFFSET 0 LIMIT 50' };
-    const { resources: samples } = await container.items.query(sampleQuery).fetchAll();
+function roundCharge(requestCharge) {
+  return Math.round((Number(requestCharge) || 0) * 100) / 100;
+}
 
-    let avgDocumentSize = 0;
-    if (samples.length > 0) {
-      const totalSize = samples.reduce((sum, doc) => sum + JSON.stringify(doc).length, 0);
-      avgDocumentSize = Math.round(totalSize / samples.length);
+/**
+ * Estimates write activity from _ts, which Cosmos DB updates on every create
+ * and replace: the newest _ts in the container and how many documents were
+ * last written within each window. A document written several times counts
+ * once and deletes are not seen, so counts are a lower bound on writes.
+ * @param {CosmosClient} client - The Cosmos client
+ * @param {string} databaseName - Database name
+ * @param {string} containerName - Container name
+ * @param {number[]} windows - Window lengths in days, counted back from now
+ * @param {object} [meter] - Request meter
+ * @returns {Promise<{lastWrite: number|null, windows: {days: number, writes: number}[]}|null>}
+ *   Epoch seconds and counts, or null when the queries fail
+ */
+export async function getWriteActivity(client, databaseName, containerName, windows, meter = createRequestMeter()) {
+  try {
+    const [newest] = await queryContainer(client, databaseName, containerName, { query: 'SELECT VALUE MAX(c._ts) FROM c' }, meter);
+    const now = Math.floor(Date.now() / 1000);
+    const counts = [];
+
+    for (const days of windows) {
+      const countQuery = {
+        query: 'SELECT VALUE COUNT(1) FROM c WHERE c._ts >= @since',
+        parameters: [{ name: '@since', value: now - days * 24 * 60 * 60 }]
+      };
+      const [writes] = await queryContainer(client, databaseName, containerName, countQuery, meter);
+      counts.push({ days, writes: writes || 0 });
     }
 
-    return {
-      documentCount,
-      avgDocumentSizeBytes: avgDocumentSize,
-      estimatedSizeBytes: documentCount * avgDocumentSize
-    };
+    return { lastWrite: typeof newest === 'number' ? newest : null, windows: counts };
   } catch (error) {
-    // Return zeros on error (e.g., empty container)
-    return {
-      documentCount: 0,
-      avgDocumentSizeBytes: 0,
-      estimatedSizeBytes: 0
-    };
+    // Leave freshness to the sample (e.g. RU budget spent mid-container)
+    return null;
   }
 }
 
@@ -124,11 +425,15 @@ export async function getContainerStats(client, databaseName, containerName) {
  * @param {string} databaseName - Database name
  * @param {string} containerName - Container name
  * @param {object} querySpec - Query specification with query and parameters
+ * @param {object} [meter] - Request meter
  * @returns {Promise<object[]>} Query results
  */
-export async function queryContainer(client, databaseName, containerName, querySpec) {
+export async function queryContainer(client, databaseName, containerName, querySpec, meter = createRequestMeter()) {
   const container = client.database(databaseName).container(containerName);
-  const { resources } = await container.items.query(querySpec).fetchAll();
+  const { resources } = await meter.run(
+    getContainerKey(databaseName, containerName),
+    () => container.items.query(querySpec).fetchAll()
+  );
   return resources;
 }
 
@@ -140,9 +445,10 @@ export async function queryContainer(client, databaseName, containerName, queryS
  * @param {string} containerName - Container name
  * @param {string} propertyPath - Property path (e.g., 'CustomerId' or 'Customer.Id')
  * @param {number} limit - Maximum values to retrieve
+ * @param {object} [meter] - Request meter
  * @returns {Promise<any[]>} Array of distinct values
  */
-export async function getDistinctValues(client, databaseName, containerName, propertyPath, limit = 1000) {
+export async function getDistinctValues(client, databaseName, containerName, propertyPath, limit = 1000, meter = createRequestMeter()) {
   // Handle nested property paths by building accessor
   const accessor = propertyPath.split('.').reduce((acc, part) => `${acc}["${part}"]`, 'c');
 
@@ -152,7 +458,7 @@ export async function getDistinctValues(client, databaseName, containerName, pro
   };
 
   try {
-    return await queryContainer(client, databaseName, containerName, querySpec);
+    return await queryContainer(client, databaseName, containerName, querySpec, meter);
   } catch (error) {
     // Return empty array on query errors (e.g., property doesn't exist)
     if (error.code === 400) {
@@ -168,9 +474,10 @@ export async function getDistinctValues(client, databaseName, containerName, pro
  * @param {string} databaseName - Database name
  * @param {string} containerName - Container name
  * @param {string[]} ids - Array of IDs to check
+ * @param {object} [meter] - Request meter
  * @returns {Promise<string[]>} Array of IDs that exist
  */
-export async function checkIdsExist(client, databaseName, containerName, ids) {
+export async function checkIdsExist(client, databaseName, containerName, ids, meter = createRequestMeter()) {
   if (!ids || ids.length === 0) return [];
 
   // Filter out null/undefined values
@@ -189,7 +496,7 @@ export async function checkIdsExist(client, databaseName, containerName, ids) {
     };
 
     try {
-      const chunkResults = await queryContainer(client, databaseName, containerName, querySpec);
+      const chunkResults = await queryContainer(client, databaseName, containerName, querySpec, meter);
       results.push(...chunkResults);
     } catch (error) {
       // Skip chunk on error, continue with others
@@ -0,0 +1,344 @@
+/**
+ * File-based document source for offline analysis.
+ * Mirrors the client.js API but reads exported documents from disk.
+ *
+ * Expected layout:
+ *   <inputDir>/<database>/<container>.json        JSON array of documents
+ *   <inputDir>/<database>/<container>.ndjson      One document per line (.jsonl also accepted)
+ *   <inputDir>/<database>/<container>.meta.json   Optional container metadata sidecar
+ */
+
+import { readFile, readdir, stat } from 'fs/promises';
+import { join, extname, basename } from 'path';
+import { normaliseSampling, createReservoir, splitQuota, getTimeBuckets } from './sampling.js';
+
+const DOCUMENT_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+const METADATA_SUFFIX = '.meta.json';
+
+// Documents per page when streaming a sample
+const PAGE_SIZE = 1000;
+
+// Exports being read, keyed by container, shared by the calls that overlap
+// (sampling, stats and write activity run side by side) so each export is
+// parsed once and held in memory once
+const openExports = new Map();
+
+/**
+ * Lists all databases in the export directory.
+ * @param {string} inputDir - Root export directory
+ * @returns {Promise<string[]>} Array of database names
+ */
+export async function listDatabases(inputDir) {
+  const entries = await readdir(inputDir, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Lists all containers exported for a database.
+ * @returns {Promise<string[]>} Array of container names
+ */
+export async function listContainers(inputDir, databaseName) {
+  const files = await readdir(join(inputDir, databaseName));
+  const containers = new Set();
+
+  for (const file of files) {
+    if (file.endsWith(METADATA_SUFFIX)) continue;
+    const ext = extname(file);
+    if (DOCUMENT_EXTENSIONS.includes(ext)) {
+      containers.add(basename(file, ext));
+    }
+  }
+
+  return Array.from(containers).sort();
+}
+
+/**
+ * Samples N documents from an exported container using the configured strategy.
+ * Strategies match the live sampler, except that stratified sampling groups by
+ * partition key value since an export carries no physical partition layout.
+ * @param {string} inputDir - Root export directory
+ * @param {string} databaseName - Database name
+ * @param {string} containerName - Container name
+ * @param {number} limit - Maximum documents to sample (default 100)
+ * @param {object|string} [sampling] - Sampling options (see sampling.js), default 'recent'
+ * @returns {Promise<object[]>} Array of sampled documents
+ */
+export async function sampleDocuments(inputDir, databaseName, containerName, limit = 100, sampling) {
+  return withContainerDocuments(inputDir, databaseName, containerName, documents =>
+    sampleExport(inputDir, databaseName, containerName, documents, limit, sampling)
+  );
+}
+
+async function sampleExport(inputDir, databaseName, containerName, documents, limit, sampling) {
+  const options = normaliseSampling(sampling);
+
+  switch (options.strategy) {
+    case 'oldest':
+      return sortByTimestamp(documents, 1).slice(0, limit);
+    case 'random':
+      return reservoirSample(documents, limit, options.maxScan);
+    case 'stratified': {
+      const { partitionKey } = await getContainerInfo(inputDir, databaseName, containerName);
+      return sampleByPartitionKey(documents, limit, partitionKey, options.maxScan);
+    }
+    case 'timeBucketed':
+      return sampleByTimeBucket(documents, limit, options);
+    default:
+      return sortByTimestamp(documents, -1).slice(0, limit);
+  }
+}
+
+/**
+ * Streams an exported container's sample in pages, matching the live
+ * sampler's API. The export file is still read whole, so this bounds the
+ * memory used downstream of sampling rather than the read itself.
+ * @returns {AsyncGenerator<object[]>} Pages of up to 1000 documents
+ */
+export async function* sampleDocumentPages(inputDir, databaseName, containerName, limit = 100, sampling) {
+  const documents = await sampleDocuments(inputDir, databaseName, containerName, limit, sampling);
+  for (let i = 0; i < documents.length; i += PAGE_SIZE) {
+    yield documents.slice(i, i + PAGE_SIZE);
+  }
+}
+
+/**
+ * Orders documents by _ts (1 = oldest first, -1 = newest first).
+ */
+function sortByTimestamp(documents, direction) {
+  return documents
+    .slice()
+    .sort((a, b) => direction * ((a._ts || 0) - (b._ts || 0)));
+}
+
+function reservoirSample(documents, limit, maxScan) {
+  const reservoir = createReservoir(limit);
+  const scanned = maxScan > 0 ? documents.slice(0, maxScan) : documents;
+  scanned.forEach(doc => reservoir.add(doc));
+  return reservoir.items();
+}
+
+/**
+ * Equal share per partition key value, reservoir-sampled within each group.
+ * Falls back to a plain random sample when the partition key is unknown.
+ */
+function sampleByPartitionKey(documents, limit, partitionKeyPaths, maxScan) {
+  if (!partitionKeyPaths?.length) {
+    return reservoirSample(documents, limit, maxScan);
+  }
+
+  const scanned = maxScan > 0 ? documents.slice(0, maxScan) : documents;
+  const groups = new Map();
+  for (const doc of scanned) {
+    const key = JSON.stringify(partitionKeyPaths.map(path => getPathValue(doc, path)));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(doc);
+  }
+
+  // Small groups leave quota unused, so hand it on to the larger ones
+  const sorted = Array.from(groups.values()).sort((a, b) => a.length - b.length);
+  const sample = [];
+  let remaining = limit;
+  sorted.forEach((group, i) => {
+    const share = Math.ceil(remaining / (sorted.length - i));
+    const picked = reservoirSample(group, Math.min(share, remaining), 0);
+    sample.push(...picked);
+    remaining -= picked.length;
+  });
+
+  return sample;
+}
+
+function sampleByTimeBucket(documents, limit, options) {
+  const buckets = getTimeBuckets(options);
+  const quotas = splitQuota(limit, buckets.length);
+  const newestFirst = sortByTimestamp(documents, -1);
+
+  return buckets.flatMap((bucket, i) => newestFirst
+    .filter(doc => doc._ts >= bucket.start && doc._ts < bucket.end)
+    .slice(0, quotas[i]));
+}
+
+/**
+ * Reads a partition key path such as '/customer/id' from a document.
+ */
+function getPathValue(doc, path) {
+  return path
+    .split('/')
+    .filter(Boolean)
+    .reduce((value, part) => (value == null ? undefined : value[part]), doc);
+}
+
+/**
+ * Gets container metadata from the optional sidecar file.
+ * Accepts the container resource shape returned by Cosmos DB
+ * (e.g. `az cosmosdb sql container show` output) or a flattened form.
+ * @returns {Promise<object>} Container properties
+ */
+export async function getContainerInfo(inputDir, databaseName, containerName) {
+  const metadataPath = join(inputDir, databaseName, `${containerName}${METADATA_SUFFIX}`);
+
+  let metadata = {};
+  try {
+    metadata = JSON.parse(await readFile(metadataPath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to parse metadata file ${metadataPath}: ${error.message}`);
+    }
+  }
+
+  // az CLI output nests the container definition under resource
+  const resource = metadata.resource || metadata;
+  const partitionKey = Array.isArray(resource.partitionKey)
+    ? resource.partitionKey
+    : resource.partitionKey?.paths || [];
+
+  return {
+    id: resource.id || containerName,
+    partitionKey,
+    indexingPolicy: resource.indexingPolicy || null,
+    defaultTtl: resource.defaultTtl,
+    uniqueKeyPolicy: resource.uniqueKeyPolicy || null
+  };
+}
+
+/**
+ * Gets container statistics from the full export.
+ * Unlike the live client the count is exact for the exported data set.
+ * @returns {Promise<{documentCount: number}>} Container statistics
+ */
+export async function getContainerStats(inputDir, databaseName, containerName) {
+  return withContainerDocuments(inputDir, databaseName, containerName, documents => ({ documentCount: documents.length }));
+}
+
+/**
+ * Exports have no request charges to measure.
+ * @returns {Promise<null>}
+ */
+export async function measureRequestCharges() {
+  return null;
+}
+
+/**
+ * Counts write activity from the exported documents' _ts, matching the live
+ * client: the newest _ts and how many documents were last written within
+ * each window counted back from now.
+ * @param {number[]} windows - Window lengths in days
+ * @returns {Promise<{lastWrite: number|null, windows: {days: number, writes: number}[]}>}
+ */
+export async function getWriteActivity(inputDir, databaseName, containerName, windows) {
+  const timestamps = await withContainerDocuments(inputDir, databaseName, containerName, documents =>
+    documents.map(doc => doc._ts).filter(ts => typeof ts === 'number')
+  );
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    lastWrite: timestamps.length > 0 ? timestamps.reduce((max, ts) => Math.max(max, ts)) : null,
+    windows: windows.map(days => ({
+      days,
+      writes: timestamps.filter(ts => ts >= now - days * 24 * 60 * 60).length
+    }))
+  };
+}
+
+/**
+ * Runs `use` on a container's exported documents, sharing one read with
+ * any other call for the container still in progress. The documents are
+ * released once the last of them finishes.
+ * @param {function(object[]): *} use - Called with the parsed documents
+ * @returns {Promise<*>} What `use` returns
+ */
+async function withContainerDocuments(inputDir, databaseName, containerName, use) {
+  const key = join(inputDir, databaseName, containerName);
+  let entry = openExports.get(key);
+  if (!entry) {
+    entry = { users: 0, documents: readContainerDocuments(inputDir, databaseName, containerName) };
+    openExports.set(key, entry);
+  }
+
+  entry.users++;
+  try {
+    return await use(await entry.documents);
+  } finally {
+    if (--entry.users === 0) openExports.delete(key);
+  }
+}
+
+/**
+ * Reads every exported document for a container.
+ * @returns {Promise<object[]>} Parsed documents
+ */
+async function readContainerDocuments(inputDir, databaseName, containerName) {
+  const filePath = await findDocumentFile(inputDir, databaseName, containerName);
+  if (!filePath) {
+    return [];
+  }
+
+  const content = await readFile(filePath, 'utf-8');
+  return extname(filePath) === '.json'
+    ? parseJsonArray(content, filePath)
+    : parseNdjson(content, filePath);
+}
+
+/**
+ * Locates the export file for a container, trying each supported extension.
+ * @returns {Promise<string|null>} File path or null if none exists
+ */
+async function findDocumentFile(inputDir, databaseName, containerName) {
+  for (const ext of DOCUMENT_EXTENSIONS) {
+    const filePath = join(inputDir, databaseName, `${containerName}${ext}`);
+    try {
+      const info = await stat(filePath);
+      if (info.isFile()) {
+        return filePath;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses a JSON array export.
+ */
+function parseJsonArray(content, filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error(`Expected a JSON array of documents in ${filePath}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Parses a newline-delimited JSON export, skipping blank lines.
+ */
+function parseNdjson(content, filePath) {
+  const documents = [];
+  const lines = content.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    try {
+      documents.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Failed to parse ${filePath} line ${i + 1}: ${error.message}`);
+    }
+  }
+
+  return documents;
+}
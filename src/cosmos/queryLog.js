@@ -0,0 +1,176 @@
+/**
+ * Reads the queries run against an account from exported Cosmos DB
+ * diagnostic logs (the QueryRuntimeStatistics category, optionally joined
+ * with DataPlaneRequests for request charges).
+ *
+ * Accepted exports:
+ *   .csv             Log Analytics query results with a header row
+ *   .json            An array of rows, a Log Analytics API response ({ tables })
+ *                    or a storage account archive ({ records })
+ *   .ndjson/.jsonl   One row per line, as diagnostic settings archive them
+ *
+ * Column names are matched loosely, so both the AzureDiagnostics form
+ * (collectionname_s, querytext_s) and the resource-specific form
+ * (CollectionName, QueryText) work. Archived rows nest them under `properties`.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+
+/**
+ * @typedef {object} LoggedQuery
+ * @property {string|null} database - Database name, when logged
+ * @property {string} container - Container name
+ * @property {string} query - Query text
+ * @property {number|null} requestCharge - Request units charged, when logged
+ */
+
+// Normalised column names for each field, in order of preference
+const COLUMNS = {
+  database: ['databasename', 'database'],
+  container: ['collectionname', 'containername', 'collection', 'container'],
+  query: ['querytext', 'query'],
+  requestCharge: ['requestcharge']
+};
+
+/**
+ * Reads an exported query log.
+ * @param {string} filePath - Path to the export
+ * @returns {Promise<{entries: LoggedQuery[], skipped: number}>} Logged queries, and how many
+ *   rows were skipped for lacking a container or query text
+ */
+export async function readQueryLog(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read query log ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return parseQueryLog(content, extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json');
+  } catch (error) {
+    throw new Error(`Failed to parse query log ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Parses the content of an exported query log.
+ * @param {string} content - File content
+ * @param {'csv'|'json'} format - CSV, or any of the JSON forms (JSON lines included)
+ * @returns {{entries: LoggedQuery[], skipped: number}}
+ */
+export function parseQueryLog(content, format) {
+  const rows = format === 'csv' ? parseCsvRows(content) : parseJsonRows(content);
+
+  const entries = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const entry = toLoggedQuery(row);
+    if (entry) {
+      entries.push(entry);
+    } else {
+      skipped++;
+    }
+  }
+  return { entries, skipped };
+}
+
+/**
+ * Reads a row's fields, or null when it lacks a container or query text
+ * (such as DataPlaneRequests rows for point operations).
+ */
+function toLoggedQuery(row) {
+  const fields = {};
+  for (const [key, value] of Object.entries({ ...row, ...row.properties })) {
+    // "collectionname_s", "CollectionName" and "collectionName" all become "collectionname"
+    fields[key.toLowerCase().replace(/_[sdgb]$/, '').replace(/[^a-z]/g, '')] = value;
+  }
+  const read = name => COLUMNS[name].map(column => fields[column]).find(value => value !== undefined && value !== '');
+
+  const container = read('container');
+  const query = read('query');
+  if (typeof container !== 'string' || typeof query !== 'string' || !query.trim()) return null;
+
+  const requestCharge = parseFloat(read('requestCharge'));
+  return {
+    database: read('database') || null,
+    container,
+    query: query.trim(),
+    requestCharge: Number.isFinite(requestCharge) ? requestCharge : null
+  };
+}
+
+/**
+ * Reads rows from the JSON forms of an export.
+ */
+function parseJsonRows(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    // One row per line
+    return content.split('\n').filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`line ${i + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.records)) return parsed.records;
+  if (Array.isArray(parsed?.tables)) {
+    // Log Analytics API: column definitions and rows of values
+    return parsed.tables.flatMap(table => table.rows.map(values =>
+      Object.fromEntries(table.columns.map((column, i) => [column.name, values[i]]))
+    ));
+  }
+  throw new Error('expected an array of rows, { records } or { tables }');
+}
+
+/**
+ * Reads rows from CSV with a header row. Quoted fields may hold commas,
+ * line breaks and doubled quotes, as in queries exported from Log Analytics.
+ */
+function parseCsvRows(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(values => values.some(value => value !== ''));
+  return rows.map(values => Object.fromEntries(header.map((name, i) => [name.replace(/^\uFEFF/, ''), values[i]])));
+}
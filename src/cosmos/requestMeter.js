@@ -0,0 +1,127 @@
+/**
+ * Request unit accounting and throttling control for live queries.
+ *
+ * Every Cosmos DB request made through a meter has its requestCharge
+ * recorded against a container, is retried after a 429 (honouring the
+ * server's retry-after), and is refused once the run's budget is spent.
+ */
+
+export const BUDGET_EXHAUSTED = 'RU_BUDGET_EXHAUSTED';
+
+const DEFAULT_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a request meter.
+ * @param {object} [options]
+ * @param {number} [options.budget=0] - Request units allowed for the run (0 = unlimited)
+ * @param {number} [options.maxRetries=5] - Retries after a throttled (429) response
+ * @param {function} [options.sleep] - Delay function, replaceable in tests
+ */
+export function createRequestMeter({ budget = 0, maxRetries = 5, sleep = wait } = {}) {
+  const byContainer = {};
+  let consumed = 0;
+  let throttled = 0;
+
+  const record = (containerKey, charge) => {
+    const ru = Number(charge) || 0;
+    consumed += ru;
+    if (containerKey) {
+      byContainer[containerKey] = (byContainer[containerKey] || 0) + ru;
+    }
+  };
+
+  return {
+    /**
+     * Runs a request, recording its charge against a container.
+     * @param {string|null} containerKey - Container the request reads (null for account-level requests)
+     * @param {function(): Promise<object>} request - Returns an SDK response with requestCharge
+     * @returns {Promise<object>} The SDK response
+     */
+    async run(containerKey, request) {
+      for (let attempt = 0; ; attempt++) {
+        if (this.exhausted) {
+          const error = new Error(`Request unit budget of ${budget} RU exhausted`);
+          error.code = BUDGET_EXHAUSTED;
+          throw error;
+        }
+
+        try {
+          const response = await request();
+          record(containerKey, response?.requestCharge);
+          return response;
+        } catch (error) {
+          // Throttled requests are still charged
+          record(containerKey, error.headers?.['x-ms-request-charge']);
+          if (error.code !== 429 || attempt >= maxRetries) {
+            throw error;
+          }
+          throttled++;
+          await sleep(getRetryAfter(error, attempt));
+        }
+      }
+    },
+
+    /**
+     * Binds the meter to one container.
+     * @param {string} containerKey - Container key (database/container)
+     * @returns {{run: function(function(): Promise<object>): Promise<object>, exhausted: boolean}}
+     */
+    forContainer(containerKey) {
+      const meter = this;
+      return {
+        run: request => meter.run(containerKey, request),
+        get exhausted() {
+          return meter.exhausted;
+        }
+      };
+    },
+
+    get exhausted() {
+      return budget > 0 && consumed >= budget;
+    },
+
+    get consumed() {
+      return consumed;
+    },
+
+    /**
+     * Summary for the analysis result.
+     * @returns {{budget: number, consumed: number, throttled: number, exhausted: boolean, byContainer: Object.<string, number>}}
+     */
+    summary() {
+      return {
+        budget,
+        consumed: round(consumed),
+        throttled,
+        exhausted: this.exhausted,
+        byContainer: Object.fromEntries(
+          Object.entries(byContainer).map(([key, ru]) => [key, round(ru)])
+        )
+      };
+    }
+  };
+}
+
+/**
+ * Checks whether an error means the run's budget has been spent.
+ */
+export function isBudgetExhausted(error) {
+  return error?.code === BUDGET_EXHAUSTED;
+}
+
+/**
+ * Milliseconds to wait before retrying a throttled request.
+ * Uses the server's retry-after when present, otherwise backs off exponentially.
+ */
+function getRetryAfter(error, attempt) {
+  const retryAfter = Number(error.retryAfterInMs ?? error.headers?.['x-ms-retry-after-ms']);
+  if (retryAfter > 0) return retryAfter;
+  return Math.min(DEFAULT_RETRY_MS * 2 ** attempt, MAX_RETRY_MS);
+}
+
+function round(ru) {
+  return Math.round(ru * 100) / 100;
+}
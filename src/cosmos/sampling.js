@@ -0,0 +1,130 @@
+/**
+ * Sampling strategies shared by the live and file document sources.
+ *
+ * recent       - Newest N documents by _ts (default)
+ * oldest       - Oldest N documents by _ts
+ * random       - Uniform reservoir sample over a scan of the container
+ * stratified   - Equal share per physical partition (per partition key value offline)
+ * timeBucketed - Equal share per time bucket (e.g. per month over the last year)
+ */
+
+export const SAMPLING_STRATEGIES = ['recent', 'oldest', 'random', 'stratified', 'timeBucketed'];
+
+// Defaults for the sampling section of the configuration
+export const DEFAULT_SAMPLING = {
+  strategy: 'recent',   // One of SAMPLING_STRATEGIES
+  maxScan: 10000,       // random/stratified: max documents scanned (0 = whole container)
+  bucketUnit: 'month',  // timeBucketed: 'day', 'week' or 'month'
+  bucketCount: 12       // timeBucketed: number of buckets back from now
+};
+
+const BUCKET_SECONDS = {
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60
+};
+
+/**
+ * Creates a fixed-size reservoir (Algorithm R).
+ * Every item added has an equal chance of ending up in the sample.
+ * @param {number} size - Reservoir capacity
+ * @param {function} [random=Math.random] - Random number source in [0, 1)
+ */
+export function createReservoir(size, random = Math.random) {
+  const items = [];
+  let seen = 0;
+
+  return {
+    add(item) {
+      seen++;
+      if (items.length < size) {
+        items.push(item);
+        return;
+      }
+      const slot = Math.floor(random() * seen);
+      if (slot < size) {
+        items[slot] = item;
+      }
+    },
+    get seen() {
+      return seen;
+    },
+    items() {
+      return items.slice();
+    }
+  };
+}
+
+/**
+ * Splits a sample size into near-equal shares, larger shares first.
+ * @param {number} limit - Total documents
+ * @param {number} parts - Number of strata
+ * @returns {number[]} Share per stratum, summing to limit
+ */
+export function splitQuota(limit, parts) {
+  if (parts <= 0) return [];
+  const base = Math.floor(limit / parts);
+  const remainder = limit % parts;
+  return Array.from({ length: parts }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+/**
+ * Builds time bucket boundaries counted back from now, newest first.
+ * Months are treated as 30 days so buckets have equal width.
+ * @param {object} sampling - Sampling options (bucketUnit, bucketCount)
+ * @param {number} [now=Date.now()] - Reference time in milliseconds
+ * @returns {{start: number, end: number}[]} Bucket bounds in epoch seconds (end exclusive)
+ */
+export function getTimeBuckets(sampling, now = Date.now()) {
+  const width = BUCKET_SECONDS[sampling.bucketUnit] || BUCKET_SECONDS.month;
+  const count = sampling.bucketCount || DEFAULT_SAMPLING.bucketCount;
+  const end = Math.floor(now / 1000) + 1;
+
+  return Array.from({ length: count }, (_, i) => ({
+    start: end - (i + 1) * width,
+    end: end - i * width
+  }));
+}
+
+/**
+ * Fills in defaults for sampling options.
+ * @param {object|string} [sampling] - Sampling options or a bare strategy name
+ * @returns {object} Complete sampling options
+ */
+export function normaliseSampling(sampling) {
+  if (typeof sampling === 'string') {
+    return { ...DEFAULT_SAMPLING, strategy: sampling };
+  }
+  return { ...DEFAULT_SAMPLING, ...sampling };
+}
+
+/**
+ * Describes a sampling strategy for documentation pages.
+ * @param {object} sampling - Sampling options recorded on the schema
+ * @returns {string} e.g. "random (reservoir over the first 10,000 documents scanned)"
+ */
+export function describeSampling(sampling) {
+  const description = describeStrategy(sampling);
+  const incremental = sampling?.incremental;
+  if (!incremental) return description;
+
+  const since = incremental.since.slice(0, 10);
+  return `${description}, then ${incremental.changedDocuments.toLocaleString()} changed documents since ${since}`;
+}
+
+function describeStrategy(sampling) {
+  if (!sampling?.strategy) return 'recent';
+
+  switch (sampling.strategy) {
+    case 'random':
+      return sampling.maxScan
+        ? `random (reservoir over the first ${sampling.maxScan.toLocaleString()} documents scanned)`
+        : 'random (reservoir over all documents)';
+    case 'stratified':
+      return 'stratified (equal share per partition)';
+    case 'timeBucketed':
+      return `time-bucketed (${sampling.bucketCount} × ${sampling.bucketUnit})`;
+    default:
+      return sampling.strategy;
+  }
+}
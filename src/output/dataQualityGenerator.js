@@ -0,0 +1,26 @@
+/**
+ * Generates a machine-readable data quality report from analysis results.
+ */
+
+/**
+ * Renders the data quality issues of every container as one JSON document.
+ * Containers sampled too thinly to judge are listed with `issues: null`.
+ * `classification` maps each labelled property path to its label.
+ * @param {object} data - Analysis results
+ * @returns {string} Serialised report
+ */
+export function renderDataQualityReport(data) {
+  const containers = {};
+
+  for (const [containerKey, schema] of Object.entries(data.containerSchemas)) {
+    containers[containerKey] = {
+      documentCount: schema.documentCount,
+      issues: schema.dataQuality?.issues ?? null,
+      classification: Object.fromEntries(Object.values(schema.properties || {})
+        .filter(prop => prop.classification)
+        .map(prop => [prop.path, prop.classification.label]))
+    };
+  }
+
+  return JSON.stringify({ generatedAt: data.timestamp, containers }, null, 2);
+}
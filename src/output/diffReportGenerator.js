@@ -37,6 +37,9 @@ export function formatDiffForConsole(comparison) {
   if (summary.containersRemoved > 0) {
     lines.push(`  - ${summary.containersRemoved} container(s) removed`);
   }
+  if (summary.containersChanged > 0) {
+    lines.push(`  ~ ${summary.containersChanged} container(s) with changed write activity`);
+  }
   if (summary.propertiesAdded > 0) {
     lines.push(`  + ${summary.propertiesAdded} property(s) added`);
   }
@@ -76,8 +79,9 @@ export function formatDiffForConsole(comparison) {
     }
   }
 
-  // Additive changes detail (only show first few)
-  const additiveChanges = getAdditiveChanges(comparison);
+  // Additive changes detail (only show first few), ones worth a look first
+  const additiveChanges = getAdditiveChanges(comparison)
+    .sort((a, b) => (b.impact === 'warning') - (a.impact === 'warning'));
   if (additiveChanges.length > 0) {
     lines.push('');
     lines.push('Additive Changes:');
@@ -85,7 +89,7 @@ export function formatDiffForConsole(comparison) {
 
     const toShow = additiveChanges.slice(0, 10);
     for (const change of toShow) {
-      lines.push(`  🟢 ${change.description}`);
+      lines.push(`  ${change.impact === 'warning' ? '🟡' : '🟢'} ${change.description}`);
     }
 
     if (additiveChanges.length > 10) {
@@ -129,6 +133,7 @@ export async function generateDiffMarkdown(comparison, metadata, outputDir) {
   lines.push('|--------|-------|');
   lines.push(`| Containers added | ${summary.containersAdded} |`);
   lines.push(`| Containers removed | ${summary.containersRemoved} |`);
+  lines.push(`| Write activity changed | ${summary.containersChanged || 0} |`);
   lines.push(`| Properties added | ${summary.propertiesAdded} |`);
   lines.push(`| Properties removed | ${summary.propertiesRemoved} |`);
   lines.push(`| Properties changed | ${summary.propertiesChanged} |`);
@@ -248,7 +253,7 @@ export function generateDiffHtmlSection(comparison) {
           <div class="text-xs text-gray-500">Removed</div>
         </div>
         <div class="text-center p-3 bg-yellow-50 rounded-lg">
-          <div class="text-2xl font-bold text-yellow-600">${summary.propertiesChanged + summary.relationshipsChanged}</div>
+          <div class="text-2xl font-bold text-yellow-600">${summary.propertiesChanged + summary.relationshipsChanged + (summary.containersChanged || 0)}</div>
           <div class="text-xs text-gray-500">Changed</div>
         </div>
       </div>
@@ -401,11 +406,14 @@ function formatChangeType(changeType) {
   const mapping = {
     'ADDED': 'Property Added',
     'REMOVED': 'Property Removed',
+    'OUT_OF_SAMPLE': 'Fell Out of Sample',
     'TYPE_CHANGED': 'Type Changed',
     'OPTIONALITY_CHANGED': 'Optionality Changed',
     'FREQUENCY_CHANGED': 'Frequency Changed',
+    'CLASSIFICATION_CHANGED': 'Classification Changed',
     'CONTAINER_ADDED': 'Container Added',
     'CONTAINER_REMOVED': 'Container Removed',
+    'ACTIVITY_CHANGED': 'Write Activity Changed',
     'RELATIONSHIP_ADDED': 'Relationship Added',
     'RELATIONSHIP_REMOVED': 'Relationship Removed',
     'CARDINALITY_CHANGED': 'Cardinality Changed',
@@ -9,6 +9,27 @@ import ejs from 'ejs';
 import { getTypeDisplayName } from '../analysis/typeDetector.js';
 import { getRootProperties } from '../analysis/schemaInferrer.js';
 import { generateERD, generateSimpleERD } from './mermaidGenerator.js';
+import { describeSampling } from '../cosmos/sampling.js';
+import { describeValueStats } from '../analysis/valueStats.js';
+import { formatDistinctCount, formatPercent, formatValue } from '../analysis/valueDistribution.js';
+import { DATA_QUALITY_LABELS } from '../analysis/dataQuality.js';
+import { formatLastWriteAge, formatWritesPerDay } from '../analysis/freshness.js';
+import { formatLimitShare } from '../analysis/sizeProfile.js';
+import { buildCostSummary } from '../analysis/costSummary.js';
+import { findSharedTypes } from '../analysis/sharedTypes.js';
+import { getPartitionKeyWarnings, formatPartitionKeyGrade } from '../analysis/partitionKeyHealth.js';
+import { listIndexingAdvice, formatWriteChange } from '../analysis/indexingAdvisor.js';
+import { describeQueryUse } from '../analysis/queryUsage.js';
+import { listSensitiveProperties, listSensitiveContainers, describeClassification } from '../analysis/classification.js';
+import { getContainerKey, getContainerSchema, getDisplayNames } from '../utils/containerKey.js';
+
+// Badge colours per classification label
+const CLASSIFICATION_COLOURS = {
+  Public: 'bg-green-100 text-green-800',
+  Internal: 'bg-slate-100 text-slate-700',
+  Confidential: 'bg-orange-100 text-orange-800',
+  PII: 'bg-red-100 text-red-800'
+};
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -30,11 +51,27 @@ function formatBytes(bytes) {
  * @param {object} branding - Optional branding configuration
  */
 export async function generateHtmlDocumentation(data, outputDir, branding = {}) {
-  const { databases, containerSchemas, relationships, timestamp } = data;
-
   // Ensure output directory exists
   await mkdir(outputDir, { recursive: true });
 
+  const html = await renderHtmlDocumentation(data, branding);
+
+  // Write the output file
+  const outputPath = join(outputDir, 'schema-report.html');
+  await writeFile(outputPath, html);
+
+  return outputPath;
+}
+
+/**
+ * Renders the HTML report without touching the output directory.
+ * @param {object} data - Analysis results
+ * @param {object} branding - Optional branding configuration
+ * @returns {Promise<string>} Rendered HTML
+ */
+export async function renderHtmlDocumentation(data, branding = {}) {
+  const { databases, containerSchemas, relationships, timestamp } = data;
+
   // Read the template
   const templatePath = join(__dirname, '..', 'templates', 'report.ejs');
   const template = await readFile(templatePath, 'utf-8');
@@ -51,9 +88,9 @@ export async function generateHtmlDocumentation(data, outputDir, branding = {})
   for (const [dbName, dbInfo] of Object.entries(databases)) {
     const dbSchemas = {};
     for (const containerName of dbInfo.containers) {
-      const schema = containerSchemas[`${dbName}.${containerName}`] || containerSchemas[containerName];
+      const schema = getContainerSchema(containerSchemas, dbName, containerName);
       if (schema) {
-        dbSchemas[containerName] = schema;
+        dbSchemas[getContainerKey(dbName, containerName)] = schema;
       }
     }
 
@@ -63,11 +100,15 @@ export async function generateHtmlDocumentation(data, outputDir, branding = {})
     );
 
     const dbRelationships = relationships.filter(r =>
-      dbInfo.containers.includes(r.fromContainer) || dbInfo.containers.includes(r.toContainer)
+      (r.fromDatabase === dbName && dbInfo.containers.includes(r.fromContainer)) ||
+      (r.toDatabase === dbName && dbInfo.containers.includes(r.toContainer))
     ).filter(r => !r.isOrphan);
 
     // Simple ERD (relationships only, no properties)
-    databaseSimpleERDs[dbName] = generateSimpleERD(dbInfo.containers, dbIntraRelationships);
+    databaseSimpleERDs[dbName] = generateSimpleERD(
+      dbInfo.containers.map(containerName => getContainerKey(dbName, containerName)),
+      dbIntraRelationships
+    );
 
     // Detailed ERD (with properties)
     databaseERDs[dbName] = generateERD(dbSchemas, dbRelationships, {
@@ -76,8 +117,15 @@ export async function generateHtmlDocumentation(data, outputDir, branding = {})
     });
   }
 
+  // Short container names unless the same name exists in several databases
+  const displayNames = getDisplayNames(Object.entries(databases).flatMap(([dbName, dbInfo]) =>
+    dbInfo.containers.map(containerName => getContainerKey(dbName, containerName))
+  ));
+  const containerLabel = (dbName, containerName) =>
+    displayNames.get(getContainerKey(dbName, containerName)) || containerName;
+
   // Render the template
-  const html = ejs.render(template, {
+  return ejs.render(template, {
     databases,
     containerSchemas,
     relationships,
@@ -85,10 +133,32 @@ export async function generateHtmlDocumentation(data, outputDir, branding = {})
     simpleERD,
     databaseERDs,
     databaseSimpleERDs,
+    costSummary: buildCostSummary(data),
+    sharedTypes: findSharedTypes(containerSchemas),
+    partitionKeyWarnings: getPartitionKeyWarnings(databases, containerSchemas),
+    indexingAdvice: listIndexingAdvice(databases, containerSchemas),
+    sensitiveContainers: listSensitiveContainers(databases, containerSchemas),
+    classificationColours: CLASSIFICATION_COLOURS,
     // Helper functions
     getRootProperties,
     getTypeDisplayName,
     formatBytes,
+    describeSampling,
+    describeValueStats,
+    formatDistinctCount,
+    formatPercent,
+    formatValue,
+    DATA_QUALITY_LABELS,
+    formatLastWriteAge,
+    formatWritesPerDay,
+    formatLimitShare,
+    formatPartitionKeyGrade,
+    formatWriteChange,
+    describeQueryUse,
+    describeClassification,
+    listSensitiveProperties,
+    getContainerSchema,
+    containerLabel,
     // Branding
     branding: {
       logo: branding.logo || null,
@@ -99,10 +169,4 @@ export async function generateHtmlDocumentation(data, outputDir, branding = {})
       customCss: branding.customCss || null
     }
   });
-
-  // Write the output file
-  const outputPath = join(outputDir, 'schema-report.html');
-  await writeFile(outputPath, html);
-
-  return outputPath;
 }
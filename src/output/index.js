@@ -0,0 +1,67 @@
+/**
+ * Output rendering for the library API.
+ * Renders analysis results to in-memory files so callers decide where they go.
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { renderDocumentation } from './markdownGenerator.js';
+import { renderHtmlDocumentation } from './htmlGenerator.js';
+import { renderJsonSchemas } from './jsonSchemaGenerator.js';
+import { renderDataQualityReport } from './dataQualityGenerator.js';
+
+export const OUTPUT_FORMATS = ['markdown', 'html', 'jsonschema', 'quality'];
+
+/**
+ * Render analysis results in a single format.
+ * @param {object} analysisData - Result of analyze()
+ * @param {string} format - 'markdown', 'html', 'jsonschema' or 'quality'
+ * @param {object} [options] - Format options
+ * @param {object} [options.branding] - HTML branding configuration
+ * @param {object} [options.jsonSchema] - JSON Schema configuration
+ * @returns {Promise<Object.<string, string>>} File content keyed by path relative to the output directory
+ */
+export async function render(analysisData, format, options = {}) {
+  switch (format) {
+    case 'markdown':
+      return renderDocumentation(analysisData);
+
+    case 'html':
+      return {
+        'schema-report.html': await renderHtmlDocumentation(analysisData, options.branding)
+      };
+
+    case 'jsonschema': {
+      const files = {};
+      for (const [filename, content] of Object.entries(renderJsonSchemas(analysisData, options.jsonSchema))) {
+        files[`schemas/${filename}`] = content;
+      }
+      return files;
+    }
+
+    case 'quality':
+      return { 'data-quality.json': renderDataQualityReport(analysisData) };
+
+    default:
+      throw new Error(`Unknown output format '${format}'. Valid: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Write rendered files to an output directory.
+ * @param {Object.<string, string>} files - Result of render()
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<string[]>} Paths of written files
+ */
+export async function writeRendered(files, outputDir) {
+  const written = [];
+
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = join(outputDir, relativePath);
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, content);
+    written.push(filePath);
+  }
+
+  return written;
+}
@@ -4,8 +4,10 @@
  */
 
 import { writeFile, mkdir } from 'fs/promises';
-import { join } from 'path';
+import { join, dirname } from 'path';
 import { getRootProperties, getChildProperties } from '../analysis/schemaInferrer.js';
+import { findSharedTypes } from '../analysis/sharedTypes.js';
+import { parseContainerKey } from '../utils/containerKey.js';
 
 // JSON Schema draft URLs
 const DRAFT_URLS = {
@@ -13,6 +15,12 @@ const DRAFT_URLS = {
   '2020-12': 'https://json-schema.org/draft/2020-12/schema'
 };
 
+// Where each draft keeps reusable definitions
+const DEFINITIONS_KEYWORDS = {
+  'draft-07': 'definitions',
+  '2020-12': '$defs'
+};
+
 // Map CosmosMapper types to JSON Schema types
 const TYPE_MAPPING = {
   'string': { type: 'string' },
@@ -21,12 +29,46 @@ const TYPE_MAPPING = {
   'email': { type: 'string', format: 'email' },
   'url': { type: 'string', format: 'uri' },
   'phone': { type: 'string', pattern: '^[+]?[0-9\\s\\-().]+$' },
+  'date': { type: 'string', format: 'date' },
+  'time': { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?$' },
+  'duration': { type: 'string', format: 'duration' },
+  'ipv4': { type: 'string', format: 'ipv4' },
+  'ipv6': { type: 'string', format: 'ipv6' },
+  'jwt': { type: 'string', pattern: '^eyJ[A-Za-z0-9_-]*\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]*$' },
+  'base64': { type: 'string', contentEncoding: 'base64' },
+  'currencyCode': { type: 'string', pattern: '^[A-Z]{3}$' },
+  'countryCode': { type: 'string', pattern: '^[A-Z]{2}$' },
+  'languageCode': { type: 'string', pattern: '^[a-z]{2}(-[A-Z][a-z]{3})?(-([A-Z]{2}|\\d{3}))?$' },
+  'semver': { type: 'string', pattern: '^v?(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(-[0-9A-Za-z.-]+)?(\\+[0-9A-Za-z.-]+)?$' },
+  'hexColour': { type: 'string', pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$' },
+  'numericString': { type: 'string', pattern: '^[+-]?\\d+(\\.\\d+)?$' },
   'integer': { type: 'integer' },
   'number': { type: 'number' },
+  'epochSeconds': { type: 'integer', 'x-format': 'unix-seconds' },
+  'epochMillis': { type: 'integer', 'x-format': 'unix-milliseconds' },
   'boolean': { type: 'boolean' },
   'null': { type: 'null' },
   'array': { type: 'array' },
-  'object': { type: 'object' }
+  'object': { type: 'object' },
+  'GeoPoint': {
+    type: 'object',
+    properties: {
+      type: { const: 'Point' },
+      coordinates: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 3 }
+    },
+    required: ['type', 'coordinates']
+  },
+  'GeoPolygon': {
+    type: 'object',
+    properties: {
+      type: { const: 'Polygon' },
+      coordinates: {
+        type: 'array',
+        items: { type: 'array', items: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 3 }, minItems: 4 }
+      }
+    },
+    required: ['type', 'coordinates']
+  }
 };
 
 // Reference object types that should be treated as objects
@@ -41,11 +83,17 @@ const REFERENCE_TYPES = [
 /**
  * Maps a CosmosMapper type to JSON Schema type definition.
  * @param {string} cosmosType - Type from CosmosMapper
+ * @param {Array} [objectPatterns] - Configured object patterns of the schema (schema.objectPatterns)
  * @returns {object} JSON Schema type definition
  */
-export function mapTypeToJsonSchema(cosmosType) {
+export function mapTypeToJsonSchema(cosmosType, objectPatterns = []) {
+  const pattern = objectPatterns.find(candidate => candidate.name === cosmosType);
+  if (pattern) {
+    return buildObjectPatternSchema(pattern, objectPatterns);
+  }
+
   if (TYPE_MAPPING[cosmosType]) {
-    return { ...TYPE_MAPPING[cosmosType] };
+    return structuredClone(TYPE_MAPPING[cosmosType]);
   }
 
   // Reference object types -> object
@@ -57,15 +105,53 @@ export function mapTypeToJsonSchema(cosmosType) {
   return { type: 'string' };
 }
 
+/**
+ * Builds the schema of a configured object pattern from its declared keys.
+ * Keys typed 'any' accept anything; several types become anyOf.
+ */
+function buildObjectPatternSchema(pattern, objectPatterns) {
+  const keys = { ...pattern.required, ...pattern.optional };
+  const properties = {};
+  for (const [key, valueType] of Object.entries(keys)) {
+    const schemas = [valueType].flat().map(type => {
+      if (type === 'any') return {};
+      // Nested patterns are left as plain objects, so patterns naming each other cannot recurse forever
+      if (objectPatterns.some(candidate => candidate.name === type)) return { type: 'object' };
+      return mapTypeToJsonSchema(type);
+    });
+    properties[key] = schemas.length === 1 ? schemas[0] : { anyOf: schemas };
+  }
+
+  const schema = { type: 'object', properties };
+  if (Object.keys(pattern.required).length > 0) {
+    schema.required = Object.keys(pattern.required);
+  }
+  if (!pattern.additionalKeys) {
+    schema.additionalProperties = false;
+  }
+  return schema;
+}
+
 /**
  * Converts a property to JSON Schema format.
  * @param {object} prop - Property from CosmosMapper schema
  * @param {object} allProperties - All properties (for nested objects)
  * @param {object} config - JSON Schema config options
+ * @param {Array} [objectPatterns] - Configured object patterns of the schema (schema.objectPatterns)
+ * @param {{names: Object.<string, string>, prefix: string, used: Set<string>}} [sharedRefs] - Shared type
+ *   names by property path, referenced with `$ref` under prefix instead of being inlined; names are added to used
  * @returns {object} JSON Schema property definition
  */
-export function convertPropertyToJsonSchema(prop, allProperties, config = {}) {
+export function convertPropertyToJsonSchema(prop, allProperties, config = {}, objectPatterns = [], sharedRefs = null) {
+  const sharedType = sharedRefs?.names[prop.path];
+  if (sharedType) {
+    sharedRefs.used.add(sharedType);
+    const ref = { $ref: `${sharedRefs.prefix}${sharedType}` };
+    return prop.isNullable || prop.types?.includes('null') ? { anyOf: [ref, { type: 'null' }] } : ref;
+  }
+
   const includeExamples = config.includeExamples !== false;
+  const includeValueBounds = config.includeValueBounds !== false;
 
   // Handle multiple types
   const types = prop.types || [];
@@ -73,6 +159,7 @@ export function convertPropertyToJsonSchema(prop, allProperties, config = {}) {
   // Filter out null for nullable handling
   const nonNullTypes = types.filter(t => t !== 'null');
   const isNullable = prop.isNullable || types.includes('null');
+  const distinctTypes = dropFormattedVariants(nonNullTypes);
 
   let schema = {};
 
@@ -90,10 +177,10 @@ export function convertPropertyToJsonSchema(prop, allProperties, config = {}) {
     const itemProp = allProperties[itemPath];
 
     if (itemProp) {
-      schema.items = convertPropertyToJsonSchema(itemProp, allProperties, config);
+      schema.items = convertPropertyToJsonSchema(itemProp, allProperties, config, objectPatterns, sharedRefs);
     } else if (prop.arrayItemTypes?.length > 0) {
       // Use array item types if available
-      schema.items = buildTypeSchema(prop.arrayItemTypes, config);
+      schema.items = buildTypeSchema(prop.arrayItemTypes, objectPatterns);
     } else {
       schema.items = {};
     }
@@ -112,7 +199,7 @@ export function convertPropertyToJsonSchema(prop, allProperties, config = {}) {
         // Skip array item markers
         if (child.name === '[]') continue;
 
-        schema.properties[child.name] = convertPropertyToJsonSchema(child, allProperties, config);
+        schema.properties[child.name] = convertPropertyToJsonSchema(child, allProperties, config, objectPatterns, sharedRefs);
 
         if (child.isRequired && !child.isNullable) {
           requiredFields.push(child.name);
@@ -125,18 +212,23 @@ export function convertPropertyToJsonSchema(prop, allProperties, config = {}) {
     }
   }
   // Handle single type
-  else if (nonNullTypes.length === 1) {
-    Object.assign(schema, mapTypeToJsonSchema(nonNullTypes[0]));
+  else if (distinctTypes.length === 1) {
+    Object.assign(schema, mapTypeToJsonSchema(distinctTypes[0], objectPatterns));
   }
   // Handle multiple types (use oneOf)
-  else if (nonNullTypes.length > 1) {
-    schema.oneOf = nonNullTypes.map(t => mapTypeToJsonSchema(t));
+  else if (distinctTypes.length > 1) {
+    schema.oneOf = distinctTypes.map(t => mapTypeToJsonSchema(t, objectPatterns));
   }
   // Default to string
   else {
     schema.type = 'string';
   }
 
+  // Add bounds observed in the sample
+  if (includeValueBounds && prop.stats && !prop.isEnum) {
+    addValueBounds(schema, prop.stats);
+  }
+
   // Add nullable support
   if (isNullable && schema.type && schema.type !== 'null') {
     // JSON Schema 2020-12 style: use array for type
@@ -149,6 +241,11 @@ export function convertPropertyToJsonSchema(prop, allProperties, config = {}) {
     }
   }
 
+  // Sensitivity label, as an annotation validators ignore
+  if (prop.classification) {
+    schema['x-classification'] = prop.classification.label;
+  }
+
   // Add examples
   if (includeExamples && prop.examples?.length > 0) {
     // Filter out object/array examples, use only primitives
@@ -163,64 +260,198 @@ export function convertPropertyToJsonSchema(prop, allProperties, config = {}) {
   return schema;
 }
 
+/**
+ * Adds minimum/maximum, maxLength and minItems/maxItems from a property's
+ * value profile. Bounds describe the sample, not a guaranteed contract.
+ */
+function addValueBounds(schema, stats) {
+  if ((schema.type === 'integer' || schema.type === 'number') && stats.numbers) {
+    schema.minimum = stats.numbers.min;
+    schema.maximum = stats.numbers.max;
+  } else if (schema.type === 'string' && stats.lengths) {
+    schema.maxLength = stats.lengths.max;
+  } else if (schema.type === 'array' && stats.arrayLengths) {
+    schema.minItems = stats.arrayLengths.min;
+    schema.maxItems = stats.arrayLengths.max;
+  }
+}
+
 /**
  * Builds a type schema from multiple types.
  */
-function buildTypeSchema(types, config) {
+function buildTypeSchema(types, objectPatterns) {
   const nonNullTypes = types.filter(t => t !== 'null');
 
   if (nonNullTypes.length === 0) {
     return {};
   }
 
-  if (nonNullTypes.length === 1) {
-    return mapTypeToJsonSchema(nonNullTypes[0]);
+  const distinctTypes = dropFormattedVariants(nonNullTypes);
+  if (distinctTypes.length === 1) {
+    return mapTypeToJsonSchema(distinctTypes[0], objectPatterns);
   }
 
   return {
-    oneOf: nonNullTypes.map(t => mapTypeToJsonSchema(t))
+    oneOf: distinctTypes.map(t => mapTypeToJsonSchema(t, objectPatterns))
   };
 }
 
+/**
+ * Drops formatted types (dates, codes, epochs) when the plain type they
+ * refine is also present: any string already matches `{ type: 'string' }`,
+ * and oneOf fails when a value matches more than one branch. Integers are
+ * dropped alongside numbers for the same reason.
+ */
+function dropFormattedVariants(types) {
+  const plain = types.filter(t => TYPE_MAPPING[t] && Object.keys(TYPE_MAPPING[t]).length === 1).map(t => TYPE_MAPPING[t].type);
+  return types.filter(t => {
+    const mapping = TYPE_MAPPING[t];
+    if (mapping?.type === 'integer' && plain.includes('number')) return false;
+    return !mapping || Object.keys(mapping).length === 1 || !plain.includes(mapping.type);
+  });
+}
+
 /**
  * Converts a container schema to JSON Schema format.
- * @param {string} containerName - Container name
+ * @param {string} containerKey - Container key (database/container) or bare container name
  * @param {object} schema - CosmosMapper schema
  * @param {object} config - JSON Schema config options
+ * @param {{names: Object.<string, string>, definitions: Object.<string, {schema: object, uses: string[]}>}} [shared]
+ *   Shared type names by property path in this container, and every shared type's definition
+ *   (from buildSharedTypeSchemas); the ones used are added under `$defs` (`definitions` in draft-07)
  * @returns {object} JSON Schema document
  */
-export function convertToJsonSchema(containerName, schema, config = {}) {
+export function convertToJsonSchema(containerKey, schema, config = {}, shared = null) {
   const draft = config.draft || '2020-12';
   const schemaUrl = DRAFT_URLS[draft] || DRAFT_URLS['2020-12'];
+  const { database, container } = parseContainerKey(containerKey);
+  const sharedRefs = shared ? { names: shared.names, prefix: getDefinitionsPrefix(draft), used: new Set() } : null;
 
   const jsonSchema = {
     $schema: schemaUrl,
-    $id: `${containerName}.schema.json`,
-    title: containerName,
-    description: `Schema inferred from Cosmos DB container '${containerName}'`,
+    $id: getSchemaFilename(containerKey),
+    title: container,
+    description: database
+      ? `Schema inferred from Cosmos DB container '${container}' in database '${database}'`
+      : `Schema inferred from Cosmos DB container '${container}'`,
     type: 'object'
   };
 
-  // Get root properties
-  const rootProps = getRootProperties(schema.properties);
+  // Discriminated containers validate against exactly one variant
+  if (schema.discriminator) {
+    const { property, variants } = schema.discriminator;
+    jsonSchema.properties = {
+      [property]: { type: 'string', enum: variants.map(variant => variant.value) }
+    };
+    jsonSchema.required = [property];
+    jsonSchema.oneOf = variants.map(variant => {
+      const variantSchema = { title: variant.value, type: 'object', ...convertRootProperties(variant.properties, config, schema.objectPatterns, sharedRefs) };
+      variantSchema.properties[property] = { const: variant.value };
+      return variantSchema;
+    });
+  } else {
+    Object.assign(jsonSchema, convertRootProperties(schema.properties, config, schema.objectPatterns, sharedRefs));
+  }
+
+  if (sharedRefs?.used.size > 0) {
+    jsonSchema[DEFINITIONS_KEYWORDS[draft] || '$defs'] = collectDefinitions(sharedRefs.used, shared.definitions);
+  }
+
+  return jsonSchema;
+}
+
+/**
+ * Converts root-level properties to JSON Schema properties and required list.
+ * @returns {{properties: object, required?: string[]}}
+ */
+function convertRootProperties(allProperties, config, objectPatterns = [], sharedRefs = null) {
   const properties = {};
   const requiredFields = [];
 
-  for (const prop of rootProps) {
-    properties[prop.name] = convertPropertyToJsonSchema(prop, schema.properties, config);
+  for (const prop of getRootProperties(allProperties)) {
+    properties[prop.name] = convertPropertyToJsonSchema(prop, allProperties, config, objectPatterns, sharedRefs);
 
     if (prop.isRequired && !prop.isNullable) {
       requiredFields.push(prop.name);
     }
   }
 
-  jsonSchema.properties = properties;
+  return requiredFields.length > 0 ? { properties, required: requiredFields } : { properties };
+}
+
+/**
+ * Builds a JSON Schema definition for each shared type from its first
+ * occurrence. Definitions describe the shape only: examples, enums, value
+ * bounds and classifications differ between the places a shape occurs, so
+ * they are left out, types are merged across occurrences and a key is
+ * required when present wherever its parent is.
+ * @param {{types: import('../analysis/sharedTypes.js').SharedType[], byContainer: object}} sharedTypes - Result of findSharedTypes()
+ * @param {Object.<string, object>} containerSchemas - Schemas keyed by container key
+ * @param {object} config - JSON Schema config options
+ * @returns {Object.<string, {schema: object, uses: string[]}>} Definitions by type name, with the shared types each refers to
+ */
+export function buildSharedTypeSchemas(sharedTypes, containerSchemas, config = {}) {
+  const prefix = getDefinitionsPrefix(config.draft || '2020-12');
+  const definitions = {};
+
+  for (const type of sharedTypes.types) {
+    const [{ containerKey, path }] = type.occurrences;
+    const { properties: allProperties, objectPatterns } = containerSchemas[containerKey];
+    const sharedRefs = { names: sharedTypes.byContainer[containerKey], prefix, used: new Set() };
+
+    // The shape's keys as seen across all occurrences
+    const shapeProperties = { ...allProperties };
+    for (const prop of type.properties) {
+      const fullPath = `${path}.${prop.path}`;
+      shapeProperties[fullPath] = {
+        ...allProperties[fullPath],
+        types: prop.types,
+        isRequired: prop.required,
+        isNullable: prop.types.includes('null'),
+        isEnum: false,
+        examples: [],
+        stats: null,
+        classification: null
+      };
+    }
+
+    const properties = {};
+    const required = [];
+    for (const child of getChildProperties(shapeProperties, path)) {
+      if (child.name === '[]') continue;
+      properties[child.name] = convertPropertyToJsonSchema(child, shapeProperties, config, objectPatterns, sharedRefs);
+      if (child.isRequired && !child.isNullable) {
+        required.push(child.name);
+      }
+    }
 
-  if (requiredFields.length > 0) {
-    jsonSchema.required = requiredFields;
+    const schema = { title: type.name, type: 'object', properties };
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    definitions[type.name] = { schema, uses: [...sharedRefs.used] };
   }
 
-  return jsonSchema;
+  return definitions;
+}
+
+/**
+ * Gathers the definitions a schema refers to, and those they refer to in turn, by name.
+ */
+function collectDefinitions(used, definitions) {
+  const names = new Set();
+  const visit = name => {
+    if (names.has(name) || !definitions[name]) return;
+    names.add(name);
+    definitions[name].uses.forEach(visit);
+  };
+  used.forEach(visit);
+
+  return Object.fromEntries([...names].sort().map(name => [name, definitions[name].schema]));
+}
+
+function getDefinitionsPrefix(draft) {
+  return `#/${DEFINITIONS_KEYWORDS[draft] || '$defs'}/`;
 }
 
 /**
@@ -230,27 +461,56 @@ export function convertToJsonSchema(containerName, schema, config = {}) {
  * @param {object} config - JSON Schema config options
  */
 export async function generateJsonSchemas(data, outputDir, config = {}) {
-  const { containerSchemas } = data;
-
   // Create schemas subdirectory
   const schemasDir = join(outputDir, 'schemas');
   await mkdir(schemasDir, { recursive: true });
 
   const generatedFiles = [];
 
-  for (const [containerName, schema] of Object.entries(containerSchemas)) {
-    const jsonSchema = convertToJsonSchema(containerName, schema, config);
-
-    const filename = `${sanitizeFilename(containerName)}.schema.json`;
+  for (const [filename, content] of Object.entries(renderJsonSchemas(data, config))) {
     const filepath = join(schemasDir, filename);
 
-    await writeFile(filepath, JSON.stringify(jsonSchema, null, 2));
+    await mkdir(dirname(filepath), { recursive: true });
+    await writeFile(filepath, content);
     generatedFiles.push(filepath);
   }
 
   return generatedFiles;
 }
 
+/**
+ * Renders JSON Schema documents for all containers without writing them.
+ * @param {object} data - Analysis results
+ * @param {object} config - JSON Schema config options
+ * @returns {Object.<string, string>} Serialised schemas keyed by path relative to the schemas directory
+ */
+export function renderJsonSchemas(data, config = {}) {
+  const { containerSchemas } = data;
+  const files = {};
+
+  // Shapes recurring across containers are defined once per schema and referenced
+  const sharedTypes = findSharedTypes(containerSchemas);
+  const definitions = buildSharedTypeSchemas(sharedTypes, containerSchemas, config);
+
+  for (const [containerKey, schema] of Object.entries(containerSchemas)) {
+    const names = sharedTypes.byContainer[containerKey] || {};
+    const jsonSchema = convertToJsonSchema(containerKey, schema, config, { names, definitions });
+    files[getSchemaFilename(containerKey)] = JSON.stringify(jsonSchema, null, 2);
+  }
+
+  return files;
+}
+
+/**
+ * Gets the schema file path for a container, one folder per database
+ * (e.g. 'shop/orders.schema.json'). Bare names stay at the top level.
+ */
+function getSchemaFilename(containerKey) {
+  const { database, container } = parseContainerKey(containerKey);
+  const filename = `${sanitizeFilename(container)}.schema.json`;
+  return database ? `${sanitizeFilename(database)}/${filename}` : filename;
+}
+
 /**
  * Sanitizes a container name for use as a filename.
  */
@@ -3,11 +3,24 @@
  */
 
 import { writeFile, mkdir } from 'fs/promises';
-import { join } from 'path';
+import { join, dirname } from 'path';
 import { getTypeDisplayName } from '../analysis/typeDetector.js';
 import { getRootProperties, getChildProperties } from '../analysis/schemaInferrer.js';
 import { generateERD, generateSimpleERD } from './mermaidGenerator.js';
 import { generateSampleQueries, formatQueriesAsMarkdown } from './queryGenerator.js';
+import { describeSampling } from '../cosmos/sampling.js';
+import { describeValueStats } from '../analysis/valueStats.js';
+import { describeValueDistribution, formatDistinctCount, formatPercent, formatValue } from '../analysis/valueDistribution.js';
+import { DATA_QUALITY_LABELS } from '../analysis/dataQuality.js';
+import { formatLastWriteAge, formatWritesPerDay } from '../analysis/freshness.js';
+import { formatLimitShare } from '../analysis/sizeProfile.js';
+import { buildCostSummary } from '../analysis/costSummary.js';
+import { getPartitionKeyWarnings, formatPartitionKeyGrade } from '../analysis/partitionKeyHealth.js';
+import { listIndexingAdvice, formatWriteChange } from '../analysis/indexingAdvisor.js';
+import { describeQueryUse } from '../analysis/queryUsage.js';
+import { listSensitiveProperties, listSensitiveContainers } from '../analysis/classification.js';
+import { findSharedTypes } from '../analysis/sharedTypes.js';
+import { getContainerKey, getContainerSchema } from '../utils/containerKey.js';
 
 /**
  * Generates all documentation files.
@@ -15,42 +28,72 @@ import { generateSampleQueries, formatQueriesAsMarkdown } from './queryGenerator
  * @param {string} outputDir - Output directory path
  */
 export async function generateDocumentation(data, outputDir) {
-  const { databases, containerSchemas, relationships, timestamp } = data;
-
   // Ensure output directory exists
   await mkdir(outputDir, { recursive: true });
 
-  // Generate main index page
-  await generateIndexPage(data, outputDir);
+  const files = renderDocumentation(data);
+
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = join(outputDir, relativePath);
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, content);
+  }
+}
+
+/**
+ * Renders all documentation pages without touching the filesystem.
+ * @param {object} data - Analysis results
+ * @returns {Object.<string, string>} Page content keyed by path relative to the output directory
+ */
+export function renderDocumentation(data) {
+  const { databases, containerSchemas, relationships, timestamp } = data;
+  const files = {};
+  const sharedTypes = findSharedTypes(containerSchemas);
+
+  // Main index page
+  files['index.md'] = generateIndexPage(data);
 
-  // Generate per-database documentation
+  // Per-database documentation
   for (const [dbName, dbInfo] of Object.entries(databases)) {
-    const dbDir = join(outputDir, sanitisePath(dbName));
-    await mkdir(dbDir, { recursive: true });
+    const dbDir = sanitisePath(dbName);
 
     // Database overview page
-    await generateDatabaseOverview(dbName, dbInfo, containerSchemas, relationships, dbDir, timestamp);
+    files[`${dbDir}/_overview.md`] = generateDatabaseOverview(dbName, dbInfo, containerSchemas, relationships, timestamp);
 
     // Per-container pages
     for (const containerName of dbInfo.containers) {
-      const schema = containerSchemas[`${dbName}.${containerName}`] || containerSchemas[containerName];
+      const schema = getContainerSchema(containerSchemas, dbName, containerName);
       if (schema) {
-        await generateContainerPage(containerName, dbName, schema, relationships, dbDir, timestamp);
+        const sharedPaths = getContainerSchema(sharedTypes.byContainer, dbName, containerName);
+        files[`${dbDir}/${sanitisePath(containerName)}.md`] = generateContainerPage(containerName, dbName, schema, relationships, timestamp, sharedPaths);
       }
     }
   }
 
-  // Generate cross-database relationships page
+  // Cross-database relationships page
   const crossDbRels = relationships.filter(r => r.isCrossDatabase);
   if (crossDbRels.length > 0) {
-    await generateCrossDatabasePage(crossDbRels, outputDir, timestamp);
+    files['_cross-database.md'] = generateCrossDatabasePage(crossDbRels, timestamp);
   }
+
+  // Account-level sizes and request charges
+  const costSummary = buildCostSummary(data);
+  if (costSummary) {
+    files['_cost-summary.md'] = generateCostSummaryPage(costSummary, timestamp);
+  }
+
+  // Nested shapes recurring across containers and paths
+  if (sharedTypes.types.length > 0) {
+    files['_shared-types.md'] = generateSharedTypesPage(sharedTypes.types, timestamp);
+  }
+
+  return files;
 }
 
 /**
  * Generates the main index page.
  */
-async function generateIndexPage(data, outputDir) {
+function generateIndexPage(data) {
   const { databases, containerSchemas, relationships, timestamp } = data;
 
   const lines = [
@@ -110,25 +153,86 @@ async function generateIndexPage(data, outputDir) {
     lines.push('');
   }
 
+  // Containers whose partition key needs attention
+  const keyWarnings = getPartitionKeyWarnings(databases, containerSchemas);
+  if (keyWarnings.length > 0) {
+    lines.push('## Partition Key Warnings');
+    lines.push('');
+    for (const { database, container, health } of keyWarnings) {
+      const reason = health.reasons.find(r => r.severity === 'critical') || health.reasons.find(r => r.severity === 'warning');
+      const link = `[${database}/${container}](./${sanitisePath(database)}/${sanitisePath(container)}.md)`;
+      lines.push(`- ${link} **${formatPartitionKeyGrade(health.grade)}**: ${reason.message}`);
+    }
+    lines.push('');
+  }
 
-  await writeFile(join(outputDir, 'index.md'), lines.join('\n'));
+  // Containers whose indexing policy could be improved
+  const indexingAdvice = listIndexingAdvice(databases, containerSchemas);
+  if (indexingAdvice.length > 0) {
+    lines.push('## Indexing Advice');
+    lines.push('');
+    for (const { database, container, advice } of indexingAdvice) {
+      const link = `[${database}/${container}](./${sanitisePath(database)}/${sanitisePath(container)}.md)`;
+      lines.push(`- ${link}: ${countFindings(advice.findings)}; suggested policy changes index terms per write by ${formatWriteChange(advice.writeChange)}`);
+    }
+    lines.push('');
+  }
+
+  // Containers holding personal or confidential data
+  const sensitiveContainers = listSensitiveContainers(databases, containerSchemas);
+  if (sensitiveContainers.length > 0) {
+    lines.push('## Sensitive Data');
+    lines.push('');
+    for (const { database, container, counts } of sensitiveContainers) {
+      const link = `[${database}/${container}](./${sanitisePath(database)}/${sanitisePath(container)}.md)`;
+      lines.push(`- ${link}: ${counts.map(({ label, count }) => `${count} ${label}`).join(', ')}`);
+    }
+    lines.push('');
+  }
+
+  // Cost summary
+  const costSummary = buildCostSummary(data);
+  if (costSummary) {
+    lines.push('## Cost Summary');
+    lines.push('');
+    lines.push(`Estimated data size ${formatBytes(costSummary.totals.estimatedBytes)} across ${costSummary.containers.length} containers.`);
+    if (costSummary.totals.nearLimit > 0) {
+      lines.push(`${costSummary.totals.nearLimit} container(s) hold documents close to the 2 MB item size limit.`);
+    }
+    lines.push('See [Cost Summary](./_cost-summary.md) for document sizes and request charges per container.');
+    lines.push('');
+  }
+
+  // Nested shapes documented once
+  const { types: sharedTypes } = findSharedTypes(containerSchemas);
+  if (sharedTypes.length > 0) {
+    lines.push('## Shared Types');
+    lines.push('');
+    for (const type of sharedTypes) {
+      lines.push(`- [${type.name}](./_shared-types.md#${type.name.toLowerCase()}): used in ${type.occurrences.length} places`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
 }
 
 /**
  * Generates database overview page.
  */
-async function generateDatabaseOverview(dbName, dbInfo, containerSchemas, relationships, dbDir, timestamp) {
+function generateDatabaseOverview(dbName, dbInfo, containerSchemas, relationships, timestamp) {
   // Filter relationships for this database
   const dbRelationships = relationships.filter(r =>
-    dbInfo.containers.includes(r.fromContainer) || dbInfo.containers.includes(r.toContainer)
+    (r.fromDatabase === dbName && dbInfo.containers.includes(r.fromContainer)) ||
+    (r.toDatabase === dbName && dbInfo.containers.includes(r.toContainer))
   );
 
   // Filter schemas for this database
   const dbSchemas = {};
   for (const containerName of dbInfo.containers) {
-    const schema = containerSchemas[`${dbName}.${containerName}`] || containerSchemas[containerName];
+    const schema = getContainerSchema(containerSchemas, dbName, containerName);
     if (schema) {
-      dbSchemas[containerName] = schema;
+      dbSchemas[getContainerKey(dbName, containerName)] = schema;
     }
   }
 
@@ -167,23 +271,31 @@ async function generateDatabaseOverview(dbName, dbInfo, containerSchemas, relati
   ];
 
   for (const containerName of dbInfo.containers) {
-    const schema = dbSchemas[containerName];
+    const schema = dbSchemas[getContainerKey(dbName, containerName)];
     const propCount = schema ? Object.keys(schema.properties).filter(p => !p.includes('.')).length : 0;
-    const relCount = dbRelationships.filter(r => r.fromContainer === containerName && !r.isOrphan).length;
+    const relCount = dbRelationships.filter(r => r.fromContainer === containerName && r.fromDatabase === dbName && !r.isOrphan).length;
 
     lines.push(`| [${containerName}](./${sanitisePath(containerName)}.md) | ${propCount} | ${relCount} |`);
   }
-
   lines.push('');
+
+  // Write activity from _ts
+  const withFreshness = dbInfo.containers
+    .map(containerName => ({ containerName, freshness: dbSchemas[getContainerKey(dbName, containerName)]?.freshness }))
+    .filter(entry => entry.freshness);
+  if (withFreshness.length > 0) {
+    lines.push(generateWriteActivitySection(withFreshness));
+  }
+
   lines.push('[← Back to Index](../index.md)');
 
-  await writeFile(join(dbDir, '_overview.md'), lines.join('\n'));
+  return lines.join('\n');
 }
 
 /**
  * Generates container documentation page.
  */
-async function generateContainerPage(containerName, dbName, schema, relationships, dbDir, timestamp) {
+function generateContainerPage(containerName, dbName, schema, relationships, timestamp, sharedPaths = {}) {
   // Only show confirmed relationships for THIS container in THIS database (not orphans)
   const containerRels = relationships.filter(r =>
     r.fromContainer === containerName &&
@@ -214,6 +326,15 @@ async function generateContainerPage(containerName, dbName, schema, relationship
   lines.push('| Setting | Value |');
   lines.push('|---------|-------|');
   lines.push(`| **Partition Key** | ${formatPartitionKey(containerInfo.partitionKey)} |`);
+  if (schema.partitionKeyHealth) {
+    lines.push(`| **Partition Key Health** | ${formatPartitionKeyGrade(schema.partitionKeyHealth.grade)} |`);
+  }
+  if (schema.sampling) {
+    lines.push(`| **Sampling** | ${schema.sampling.sampleSize} documents, ${describeSampling(schema.sampling)} |`);
+  }
+  if (schema.excludedPaths?.length > 0) {
+    lines.push(`| **Excluded Paths** | ${schema.excludedPaths.map(p => `\`${p}\``).join(', ')} |`);
+  }
   if (containerInfo.defaultTtl !== undefined) {
     lines.push(`| **Default TTL** | ${formatTtl(containerInfo.defaultTtl)} |`);
   }
@@ -223,6 +344,11 @@ async function generateContainerPage(containerName, dbName, schema, relationship
   }
   lines.push('');
 
+  // How well the partition key spreads the documents
+  if (schema.partitionKeyHealth) {
+    lines.push(generatePartitionKeySection(schema.partitionKeyHealth));
+  }
+
   // Stats section
   if (stats.documentCount !== undefined) {
     lines.push('## Data Volume');
@@ -235,6 +361,14 @@ async function generateContainerPage(containerName, dbName, schema, relationship
     lines.push('');
   }
 
+  // Document sizes and what requests cost
+  if (schema.sizeProfile) {
+    lines.push(generateSizeProfileSection(schema.sizeProfile));
+  }
+  if (schema.costs) {
+    lines.push(generateRequestChargeSection(schema.costs));
+  }
+
   // Indexing policy section
   if (containerInfo.indexingPolicy) {
     lines.push('<details>');
@@ -245,24 +379,67 @@ async function generateContainerPage(containerName, dbName, schema, relationship
     lines.push('</details>');
     lines.push('');
   }
+  if (schema.indexingAdvice) {
+    lines.push(generateIndexingAdviceSection(schema.indexingAdvice));
+  }
 
   // Schema section
   lines.push('## Schema');
   lines.push('');
-  lines.push(generatePropertyTable(schema));
+  lines.push(generatePropertyTable(schema, schema.objectPatterns, sharedPaths));
   lines.push('');
 
-  // Nested objects
-  const nestedObjects = getNestedObjectPaths(schema);
+  // Variants of a single-table container
+  if (schema.discriminator) {
+    lines.push(generateVariantSection(schema.discriminator, schema.objectPatterns));
+  }
+
+  // Schema versions of a half-migrated container
+  if (schema.schemaVersions) {
+    lines.push(generateSchemaVersionSection(schema.schemaVersions, schema.objectPatterns));
+  }
+
+  // Value distributions
+  const distributed = Object.values(schema.properties).filter(prop => prop.distribution);
+  if (distributed.length > 0) {
+    lines.push(generateDistributionSection(distributed));
+  }
+
+  // Data quality
+  if (schema.dataQuality) {
+    lines.push(generateDataQualitySection(schema));
+  }
+
+  // Properties labelled Confidential or PII
+  const sensitive = listSensitiveProperties(schema.properties);
+  if (sensitive.length > 0) {
+    lines.push(generateClassificationSection(sensitive));
+  }
+
+  // Properties no longer written to
+  const deprecated = Object.values(schema.properties).filter(prop => prop.looksDeprecated);
+  if (deprecated.length > 0) {
+    lines.push(generateDeprecatedSection(deprecated));
+  }
+
+  // Nested objects, with shared types linked rather than repeated
+  const sharedRoots = Object.keys(sharedPaths);
+  const nestedObjects = getNestedObjectPaths(schema)
+    .filter(path => !sharedRoots.some(root => path.startsWith(`${root}.`) || path.startsWith(`${root}[]`)));
   if (nestedObjects.length > 0) {
     lines.push('## Nested Objects');
     lines.push('');
 
     for (const parentPath of nestedObjects) {
+      if (sharedPaths[parentPath]) {
+        lines.push(`**${parentPath}**: shared type ${linkSharedType(sharedPaths[parentPath], '../')}`);
+        lines.push('');
+        continue;
+      }
       lines.push(`<details>`);
       lines.push(`<summary><strong>${parentPath}</strong></summary>`);
       lines.push('');
-      lines.push(generateNestedPropertyTable(schema, parentPath));
+      lines.push(generateNestedPropertyTable(schema, parentPath, sharedPaths));
       lines.push('');
       lines.push('</details>');
       lines.push('');
@@ -306,6 +483,11 @@ async function generateContainerPage(containerName, dbName, schema, relationship
     }
   }
 
+  // The production queries seen in the query log
+  if (schema.queryUsage) {
+    lines.push(generateQueryUsageSection(schema.queryUsage, containerInfo.partitionKey));
+  }
+
   // Sample queries section
   const sampleQueries = generateSampleQueries(containerName, schema);
   if (sampleQueries.length > 0) {
@@ -319,26 +501,528 @@ async function generateContainerPage(containerName, dbName, schema, relationship
 
   lines.push('[← Back to Database Overview](./_overview.md) | [← Back to Index](../index.md)');
 
-  await writeFile(join(dbDir, `${sanitisePath(containerName)}.md`), lines.join('\n'));
+  return lines.join('\n');
 }
 
 /**
  * Generates property table for root-level properties.
+ * Variants and versions pass the object patterns of the schema they belong to.
  */
-function generatePropertyTable(schema) {
+function generatePropertyTable(schema, objectPatterns = schema.objectPatterns, sharedPaths = {}) {
   const props = getRootProperties(schema.properties);
   const lines = [
-    '| Property | Type | Status | Example | Notes |',
-    '|----------|------|--------|---------|-------|'
+    '| Property | Type | Status | Example | Values | Notes |',
+    '|----------|------|--------|---------|--------|-------|'
   ];
 
   for (const prop of props) {
-    const type = formatTypes(prop.types);
+    const type = formatPropertyType(prop, objectPatterns, sharedPaths);
     const status = formatOptionality(prop);
     const example = formatExamples(prop.examples);
+    const values = describeValueStats(prop) || '-';
     const notes = formatNotes(prop);
-    lines.push(`| ${prop.name} | ${type} | ${status} | ${example} | ${notes} |`);
+    lines.push(`| ${prop.name} | ${type} | ${status} | ${example} | ${values} | ${notes} |`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the variants section: a summary of discriminator values and a
+ * property table per variant.
+ */
+function generateVariantSection(discriminator, objectPatterns) {
+  const { property, detected, variants } = discriminator;
+  const lines = [
+    '## Variants',
+    '',
+    `Documents are discriminated by \`${property}\` (${detected ? 'detected' : 'configured'}).`,
+    '',
+    `| \`${property}\` | Documents | Share |`,
+    '|---|-----------|-------|'
+  ];
+
+  for (const variant of variants) {
+    lines.push(`| \`${variant.value}\` | ${variant.documentCount} | ${Math.round(variant.frequency * 100)}% |`);
+  }
+  lines.push('');
+
+  for (const variant of variants) {
+    lines.push(`### ${property} = ${variant.value}`);
+    lines.push('');
+    lines.push(generatePropertyTable(variant, objectPatterns));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the schema versions section: each version's share of documents,
+ * what changed from the version before, and a property table per version.
+ */
+function generateSchemaVersionSection(schemaVersions, objectPatterns) {
+  const { property, detected, versions } = schemaVersions;
+  const label = version => (version.value === null ? '*(unversioned)*' : `\`${version.value}\``);
+  const lines = [
+    '## Schema Versions',
+    '',
+    `Documents record their schema version in \`${property}\` (${detected ? 'detected' : 'configured'}).`,
+    '',
+    `| \`${property}\` | Documents | Share | Changes |`,
+    '|---|-----------|-------|---------|'
+  ];
+
+  for (const version of versions) {
+    const changes = version.changes ? formatVersionChangeSummary(version.changes) : '-';
+    lines.push(`| ${label(version)} | ${version.documentCount} | ${Math.round(version.frequency * 100)}% | ${changes} |`);
+  }
+  lines.push('');
+
+  for (const version of versions) {
+    lines.push(`### ${version.value === null ? 'Unversioned' : `${property} = ${version.value}`}`);
+    lines.push('');
+    if (version.changes?.length > 0) {
+      for (const change of version.changes) {
+        lines.push(`- ${change.description}`);
+      }
+      lines.push('');
+    }
+    lines.push('<details>');
+    lines.push('<summary>Properties</summary>');
+    lines.push('');
+    lines.push(generatePropertyTable(version, objectPatterns));
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Summarises version changes as counts, e.g. "+2 added, -1 removed".
+ */
+function formatVersionChangeSummary(changes) {
+  const count = type => changes.filter(change => change.changeType === type).length;
+  const parts = [];
+  if (count('ADDED')) parts.push(`+${count('ADDED')} added`);
+  if (count('REMOVED')) parts.push(`-${count('REMOVED')} removed`);
+  const changed = changes.length - count('ADDED') - count('REMOVED');
+  if (changed) parts.push(`${changed} changed`);
+  return parts.length > 0 ? parts.join(', ') : 'No changes';
+}
+
+/**
+ * Generates the value distributions section: distinct counts for every
+ * scalar property, with value shares where they are informative.
+ */
+function generateDistributionSection(props) {
+  const lines = [
+    '## Value Distributions',
+    '',
+    '| Property | Distinct | Values |',
+    '|----------|----------|--------|'
+  ];
+
+  for (const prop of props) {
+    lines.push(`| ${prop.path} | ${formatDistinctCount(prop.distribution)} | ${describeValueDistribution(prop.distribution).replace(/\|/g, '\\|')} |`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the data quality section: anomalies found in the sample with
+ * the documents that show them.
+ */
+function generateDataQualitySection(schema) {
+  const { issues } = schema.dataQuality;
+  const lines = ['## Data Quality', ''];
+
+  if (issues.length === 0) {
+    lines.push(`No anomalies found in ${schema.documentCount.toLocaleString()} sampled documents.`);
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  lines.push('| Issue | Details | Documents |');
+  lines.push('|-------|---------|-----------|');
+  for (const issue of issues) {
+    const documents = issue.documentIds.length > 0 ? issue.documentIds.map(id => `\`${id}\``).join(', ') : '-';
+    lines.push(`| ${DATA_QUALITY_LABELS[issue.kind] || issue.kind} | ${issue.description.replace(/\|/g, '\\|')} | ${documents} |`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the data classification section: properties labelled
+ * Confidential or PII and what gave them away.
+ */
+function generateClassificationSection(props) {
+  const lines = [
+    '## Data Classification',
+    '',
+    'These properties look personal or confidential. Check them before sharing sampled data.',
+    '',
+    '| Property | Label | Why |',
+    '|----------|-------|-----|'
+  ];
+
+  for (const prop of props) {
+    lines.push(`| ${prop.path} | **${prop.classification.label}** | ${prop.classification.reasons.join('; ').replace(/\|/g, '\\|')} |`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the section listing properties that look deprecated: present in
+ * older sampled documents but missing from the newer ones.
+ */
+function generateDeprecatedSection(props) {
+  const lines = [
+    '## Deprecated-Looking Properties',
+    '',
+    'These properties are missing from the newest sampled documents and may be being phased out.',
+    '',
+    '| Property | First Seen | Last Seen | Documents |',
+    '|----------|------------|-----------|-----------|'
+  ];
+
+  for (const prop of props) {
+    lines.push(`| ${prop.path} | ${prop.firstSeen.slice(0, 10)} | ${prop.lastSeen.slice(0, 10)} | ${prop.occurrences.toLocaleString()} |`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the write activity section of a database overview: when each
+ * container was last written to, estimated writes per day over each window
+ * and a warning for containers with no recent writes.
+ * @param {{containerName: string, freshness: object}[]} entries - Containers with a freshness profile
+ */
+function generateWriteActivitySection(entries) {
+  const lines = ['## Write Activity', ''];
+
+  for (const { containerName, freshness } of entries.filter(entry => entry.freshness.isStale)) {
+    lines.push(`> **Stale:** \`${containerName}\` has had no writes for ${freshness.daysSinceLastWrite.toLocaleString()} days (threshold: ${freshness.staleAfterDays} days).`);
+    lines.push('');
+  }
+
+  lines.push('| Container | Last Write | Writes/Day | Sampled `_ts` |');
+  lines.push('|-----------|------------|------------|---------------|');
+  for (const { containerName, freshness } of entries) {
+    const lastWrite = `${freshness.lastWrite.slice(0, 10)} (${formatLastWriteAge(freshness)})`;
+    const rates = freshness.windows.length > 0
+      ? freshness.windows.map(window => `${window.days}d ${formatWritesPerDay(window.writesPerDay)}`).join(' · ')
+      : '-';
+    const sampled = freshness.sampledOldest
+      ? `${freshness.sampledOldest.slice(0, 10)} → ${freshness.sampledNewest.slice(0, 10)}`
+      : '-';
+    lines.push(`| [${containerName}](./${sanitisePath(containerName)}.md) | ${lastWrite} | ${rates} | ${sampled} |`);
   }
+  lines.push('');
+  lines.push('*Writes per day are estimated from `_ts`, the last-modified time: a document updated several times counts once and deletes are not seen.*');
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the partition key health section: the grade with its reasons,
+ * the most frequent key values and, for hierarchical keys, each level.
+ */
+function generatePartitionKeySection(health) {
+  const distinct = `${health.distinctIsEstimate ? '~' : ''}${formatNumber(health.distinct)}`;
+  const lines = [
+    '## Partition Key Health',
+    '',
+    `**Grade: ${formatPartitionKeyGrade(health.grade)}** - ${distinct} distinct key values in ${formatNumber(health.documents)} sampled documents.`,
+    ''
+  ];
+
+  if (health.reasons.length > 0) {
+    const labels = { critical: 'Critical', warning: 'Warning', info: 'Note' };
+    for (const reason of health.reasons) {
+      lines.push(`- **${labels[reason.severity]}:** ${reason.message}`);
+    }
+    lines.push('');
+  }
+
+  if (health.levels) {
+    lines.push('| Level | Path | Distinct Values |');
+    lines.push('|-------|------|-----------------|');
+    health.levels.forEach((level, i) => {
+      lines.push(`| ${i + 1} | \`${level.path}\` | ${formatNumber(level.distinct)} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push('| Key Value | Documents | Share |');
+  lines.push('|-----------|-----------|-------|');
+  for (const key of health.topKeys) {
+    lines.push(`| \`${formatValue(key.value)}\` | ${formatNumber(key.count)} | ${formatPercent(key.share)} |`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the size profile section: the spread of document sizes, the
+ * largest documents against the item size limit and the properties taking
+ * up the most bytes.
+ */
+function generateSizeProfileSection(sizeProfile) {
+  const { sizes, largest, limitShare, nearLimit, topProperties } = sizeProfile;
+  const lines = [
+    '## Size Profile',
+    '',
+    '| Min | p50 | p90 | p99 | Max | Mean |',
+    '|-----|-----|-----|-----|-----|------|',
+    `| ${[sizes.min, sizes.p50, sizes.p90, sizes.p99, sizes.max, sizes.mean].map(formatBytes).join(' | ')} |`,
+    ''
+  ];
+
+  if (nearLimit) {
+    lines.push(`> **Near limit:** the largest sampled document uses ${formatLimitShare(limitShare)} of the 2 MB item size limit.`);
+  } else {
+    lines.push(`The largest sampled document uses ${formatLimitShare(limitShare)} of the 2 MB item size limit.`);
+  }
+  lines.push('');
+  if (largest.length > 0) {
+    lines.push(`**Largest documents:** ${largest.map(doc => `\`${doc.id}\` (${formatBytes(doc.bytes)})`).join(', ')}`);
+    lines.push('');
+  }
+
+  if (topProperties.length > 0) {
+    lines.push('| Property | Total | Avg/Document | Share |');
+    lines.push('|----------|-------|--------------|-------|');
+    for (const prop of topProperties) {
+      const name = prop.isArray ? `${prop.path} *(array)*` : prop.path;
+      lines.push(`| ${name} | ${formatBytes(prop.bytes)} | ${formatBytes(prop.averageBytes)} | ${Math.round(prop.share * 100)}% |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the request charge section: what a point read and the first
+ * page of each sample query cost when the container was analysed.
+ */
+function generateRequestChargeSection(costs) {
+  const lines = [
+    '## Request Charges',
+    '',
+    '| Request | RU | Items |',
+    '|---------|----|-------|'
+  ];
+
+  if (costs.pointRead) {
+    lines.push(`| Point read (${formatBytes(costs.pointRead.bytes)} document) | ${formatNumber(costs.pointRead.requestCharge)} | 1 |`);
+  }
+  for (const query of costs.queries) {
+    lines.push(`| ${query.name} | ${formatNumber(query.requestCharge)} | ${formatNumber(query.itemCount)} |`);
+  }
+  lines.push('');
+  lines.push('*Queries are charged for their first page only (up to 100 items), so full scans cost more.*');
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the indexing advice section: what was found in the policy,
+ * the estimated effect on writes and the suggested policy.
+ */
+function generateIndexingAdviceSection(advice) {
+  const { findings, queries, indexedTerms, writeChange, suggestedPolicy } = advice;
+  const countQueries = (count, kind) => `${formatNumber(count)} ${kind} ${count === 1 ? 'query' : 'queries'}`;
+  const checked = [countQueries(queries.sample, 'sample')];
+  if (queries.production > 0) {
+    checked.push(countQueries(queries.production, 'production'));
+  }
+
+  const lines = [
+    '## Indexing Advice',
+    '',
+    `Checked against the schema and ${checked.join(' and ')}.`,
+    ''
+  ];
+
+  const labels = { critical: 'Critical', warning: 'Warning', info: 'Note' };
+  for (const finding of findings) {
+    lines.push(`- **${labels[finding.severity]}:** ${finding.message}`);
+  }
+  lines.push('');
+  lines.push(`**Estimated write impact:** ${formatWriteChange(writeChange)} index terms per document ` +
+    `(~${formatNumber(indexedTerms.suggested)} instead of ~${formatNumber(indexedTerms.current)}). ` +
+    'The indexing share of each write\'s request charge changes by about as much.');
+  lines.push('');
+  lines.push('<details>');
+  lines.push('<summary><strong>Suggested Indexing Policy</strong></summary>');
+  lines.push('');
+  lines.push('```json');
+  lines.push(JSON.stringify(suggestedPolicy, null, 2));
+  lines.push('```');
+  lines.push('');
+  lines.push('</details>');
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the logged queries section: how often the container was
+ * queried, how much of it fans out across partitions and the most
+ * frequent queries.
+ */
+function generateQueryUsageSection(queryUsage, partitionKey) {
+  const { executions, distinct, crossPartition, topQueries, unmatchedPaths } = queryUsage;
+  const lines = [
+    '## Logged Queries',
+    '',
+    `${formatNumber(executions)} logged executions of ${formatNumber(distinct)} distinct ${distinct === 1 ? 'query' : 'queries'}.`,
+    ''
+  ];
+
+  if (crossPartition?.executions > 0) {
+    const keyName = formatPartitionKey(partitionKey);
+    lines.push(`> **Cross-partition:** ${formatNumber(crossPartition.executions)} executions (${formatPercent(crossPartition.executions / executions)}) ` +
+      `from ${formatNumber(crossPartition.queries)} ${crossPartition.queries === 1 ? 'query' : 'queries'} do not filter on ${keyName} with an equality, so they fan out across all partitions.`);
+    lines.push('');
+  }
+
+  const hasCharges = topQueries.some(query => query.requestCharge !== null);
+  lines.push(`| Runs |${hasCharges ? ' Avg RU |' : ''} Partitions | Query |`);
+  lines.push(`|------|${hasCharges ? '--------|' : ''}------------|-------|`);
+  for (const query of topQueries) {
+    const partitions = query.crossPartition === null ? '-' : query.crossPartition ? '**Cross**' : 'Single';
+    const charge = hasCharges ? ` ${query.requestCharge === null ? '-' : formatNumber(query.requestCharge)} |` : '';
+    lines.push(`| ${formatNumber(query.count)} |${charge} ${partitions} | \`${query.query.replace(/\|/g, '\\|')}\` |`);
+  }
+  lines.push('');
+
+  if (unmatchedPaths.length > 0) {
+    lines.push(`Queried but not in the sampled documents: ${unmatchedPaths.map(path => `\`${path}\``).join(', ')}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Counts indexing findings by severity, e.g. "1 critical, 2 notes".
+ */
+function countFindings(findings) {
+  const labels = { critical: ['critical', 'critical'], warning: ['warning', 'warnings'], info: ['note', 'notes'] };
+  return Object.entries(labels)
+    .map(([severity, [singular, plural]]) => {
+      const count = findings.filter(finding => finding.severity === severity).length;
+      return count > 0 ? `${count} ${count === 1 ? singular : plural}` : null;
+    })
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Generates the account-level cost summary page.
+ */
+function generateCostSummaryPage(costSummary, timestamp) {
+  const { containers, totals } = costSummary;
+  const lines = [
+    '# Cost Summary',
+    '',
+    `> Generated: ${timestamp}`,
+    '',
+    'Document sizes from the sampled documents and request charges measured at analysis time.',
+    ''
+  ];
+
+  for (const row of containers.filter(row => row.nearLimit)) {
+    lines.push(`> **Near limit:** \`${row.database}/${row.container}\` has a document using ${formatLimitShare(row.limitShare)} of the 2 MB item size limit.`);
+    lines.push('');
+  }
+
+  lines.push('| Container | Documents | Avg Size | Largest | Of Limit | Est. Size | Point Read | Avg Query | Costliest Query | Analysis |');
+  lines.push('|-----------|-----------|----------|---------|----------|-----------|------------|-----------|-----------------|----------|');
+  for (const row of containers) {
+    const link = `[${row.database}/${row.container}](./${sanitisePath(row.database)}/${sanitisePath(row.container)}.md)`;
+    const charge = value => (value === null ? '-' : `${formatNumber(value)} RU`);
+    lines.push(`| ${[
+      link,
+      row.documentCount === null ? '-' : formatNumber(row.documentCount),
+      row.averageBytes === null ? '-' : formatBytes(row.averageBytes),
+      row.maxBytes === null ? '-' : formatBytes(row.maxBytes),
+      row.limitShare === null ? '-' : formatLimitShare(row.limitShare),
+      row.estimatedBytes === null ? '-' : formatBytes(row.estimatedBytes),
+      charge(row.pointReadCharge),
+      charge(row.averageQueryCharge),
+      row.costliestQuery ? `${row.costliestQuery.name} (${charge(row.costliestQuery.requestCharge)})` : '-',
+      charge(row.analysisCharge)
+    ].join(' | ')} |`);
+  }
+  lines.push('');
+
+  lines.push(`**Estimated data size:** ${formatBytes(totals.estimatedBytes)}`);
+  if (totals.analysisCharge !== null) {
+    lines.push('');
+    lines.push(`**Consumed by this analysis:** ${formatNumber(totals.analysisCharge)} RU`);
+  }
+  lines.push('');
+  lines.push('[← Back to Index](./index.md)');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the page documenting each shared type once, with where it is used.
+ */
+function generateSharedTypesPage(sharedTypes, timestamp) {
+  const lines = [
+    '# Shared Types',
+    '',
+    `> Generated: ${timestamp}`,
+    '',
+    'Nested object shapes found at more than one place. Places share a type when their objects have the same keys with values of the same types.',
+    ''
+  ];
+
+  for (const type of sharedTypes) {
+    lines.push(`## ${type.name}`);
+    lines.push('');
+    lines.push('| Property | Type | Status |');
+    lines.push('|----------|------|--------|');
+    for (const prop of type.properties) {
+      const object = prop.sharedType && prop.types.includes('object') ? prop.sharedType : null;
+      const types = prop.types
+        .map(t => (t === 'object' && object ? linkSharedType(object) : getTypeDisplayName(t)))
+        .join(' \\| ');
+      lines.push(`| ${prop.path} | ${types} | ${prop.required ? 'Required' : 'Optional'} |`);
+    }
+    lines.push('');
+
+    lines.push('**Used in:**');
+    lines.push('');
+    for (const { database, container, path } of type.occurrences) {
+      const page = database
+        ? `[${database}/${container}](./${sanitisePath(database)}/${sanitisePath(container)}.md)`
+        : container;
+      lines.push(`- ${page}: \`${path}\``);
+    }
+    lines.push('');
+  }
+
+  lines.push('[← Back to Index](./index.md)');
 
   return lines.join('\n');
 }
@@ -362,6 +1046,9 @@ function formatOptionality(prop) {
  */
 function formatNotes(prop) {
   const notes = [];
+  if (prop.classification) {
+    notes.push(`**${prop.classification.label}**`);
+  }
   if (prop.isEnum && prop.enumValues) {
     const values = prop.enumValues.slice(0, 3).join(', ');
     notes.push(`Enum: ${values}${prop.enumValues.length > 3 ? '...' : ''}`);
@@ -369,25 +1056,38 @@ function formatNotes(prop) {
   if (prop.isComputed) {
     notes.push(`Computed (${prop.computedPattern})`);
   }
+  if (prop.isDiscriminator) {
+    notes.push('Discriminator');
+  }
+  if (prop.isVersionField) {
+    notes.push('Schema version');
+  }
+  if (prop.looksDeprecated) {
+    notes.push(`Deprecated? (last seen ${prop.lastSeen.slice(0, 10)})`);
+  }
+  if (prop.queryUse) {
+    notes.push(describeQueryUse(prop.queryUse));
+  }
   return notes.length > 0 ? notes.join('; ') : '-';
 }
 
 /**
  * Generates property table for nested object properties.
  */
-function generateNestedPropertyTable(schema, parentPath) {
+function generateNestedPropertyTable(schema, parentPath, sharedPaths = {}) {
   const props = getChildProperties(schema.properties, parentPath);
   const lines = [
-    '| Property | Type | Status | Example | Notes |',
-    '|----------|------|--------|---------|-------|'
+    '| Property | Type | Status | Example | Values | Notes |',
+    '|----------|------|--------|---------|--------|-------|'
   ];
 
   for (const prop of props) {
-    const type = formatTypes(prop.types);
+    const type = formatPropertyType(prop, schema.objectPatterns, sharedPaths);
     const status = formatOptionality(prop);
     const example = formatExamples(prop.examples);
+    const values = describeValueStats(prop) || '-';
     const notes = formatNotes(prop);
-    lines.push(`| ${prop.name} | ${type} | ${status} | ${example} | ${notes} |`);
+    lines.push(`| ${prop.name} | ${type} | ${status} | ${example} | ${values} | ${notes} |`);
   }
 
   return lines.join('\n');
@@ -416,14 +1116,41 @@ function getNestedObjectPaths(schema) {
 /**
  * Formats type array for display.
  */
-function formatTypes(types) {
+function formatTypes(types, objectPatterns) {
   if (!types || types.length === 0) return 'unknown';
 
   return types
-    .map(t => getTypeDisplayName(t))
+    .map(t => getTypeDisplayName(t, [], objectPatterns))
     .join(' \\| ');
 }
 
+/**
+ * Formats a property's types, linking objects and array items of a shared
+ * type to the Shared Types page.
+ */
+function formatPropertyType(prop, objectPatterns, sharedPaths = {}) {
+  const object = sharedPaths[prop.path];
+  const item = sharedPaths[`${prop.path}[]`];
+  if (!object && !item) return formatTypes(prop.types, objectPatterns);
+
+  return prop.types
+    .map(t => {
+      if (t === 'object' && object) return linkSharedType(object, '../');
+      if (t === 'array' && item) return `Array of ${linkSharedType(item, '../')}`;
+      return getTypeDisplayName(t, [], objectPatterns);
+    })
+    .join(' \\| ');
+}
+
+/**
+ * Links a shared type's section of the Shared Types page.
+ * @param {string} name - Type name
+ * @param {string} [root] - Path from the linking page to the output directory
+ */
+function linkSharedType(name, root = './') {
+  return `[${name}](${root}_shared-types.md#${name.toLowerCase()})`;
+}
+
 /**
  * Formats examples for display (escaped for markdown).
  */
@@ -438,7 +1165,7 @@ function formatExamples(examples) {
 /**
  * Generates cross-database relationships page.
  */
-async function generateCrossDatabasePage(crossDbRels, outputDir, timestamp) {
+function generateCrossDatabasePage(crossDbRels, timestamp) {
   // Separate ambiguous and non-ambiguous relationships
   const ambiguousRels = crossDbRels.filter(r => r.isAmbiguous);
   const definiteRels = crossDbRels.filter(r => !r.isAmbiguous);
@@ -465,19 +1192,19 @@ async function generateCrossDatabasePage(crossDbRels, outputDir, timestamp) {
   lines.push('|--------|----------|--------|------|');
 
   for (const rel of definiteRels) {
-    lines.push(`| ${rel.fromDatabase}.${rel.fromContainer} | ${rel.fromProperty} | ${rel.toDatabase}.${rel.toContainer} | ${rel.cardinality} |`);
+    lines.push(`| ${getContainerKey(rel.fromDatabase, rel.fromContainer)} | ${rel.fromProperty} | ${getContainerKey(rel.toDatabase, rel.toContainer)} | ${rel.cardinality} |`);
   }
 
   // Show ambiguous relationships with all possible databases
   for (const rel of ambiguousRels) {
-    const possibleTargets = rel.possibleDatabases.map(db => `${db}.${rel.toContainer}`).join(', ');
-    lines.push(`| ${rel.fromDatabase}.${rel.fromContainer} | ${rel.fromProperty} | ${rel.toContainer} *(ambiguous: ${possibleTargets})* | ${rel.cardinality} |`);
+    const possibleTargets = rel.possibleDatabases.map(db => getContainerKey(db, rel.toContainer)).join(', ');
+    lines.push(`| ${getContainerKey(rel.fromDatabase, rel.fromContainer)} | ${rel.fromProperty} | ${rel.toContainer} *(ambiguous: ${possibleTargets})* | ${rel.cardinality} |`);
   }
 
   lines.push('');
   lines.push('[← Back to Index](./index.md)');
 
-  await writeFile(join(outputDir, '_cross-database.md'), lines.join('\n'));
+  return lines.join('\n');
 }
 
 /**
@@ -4,11 +4,12 @@
 
 import { getTypeDisplayName } from '../analysis/typeDetector.js';
 import { getRootProperties } from '../analysis/schemaInferrer.js';
-import { getUniqueRelationshipsForERD } from '../analysis/relationships.js';
+import { getUniqueRelationshipsForERD, getRelationshipEndpointKey } from '../analysis/relationships.js';
+import { getContainerKey, getContainerSchema, getDisplayNames } from '../utils/containerKey.js';
 
 /**
  * Generates a complete Mermaid ERD diagram.
- * @param {object} containerSchemas - Map of container name to schema
+ * @param {object} containerSchemas - Map of container key (database/container) to schema
  * @param {object[]} relationships - All detected relationships
  * @param {object} options - Generation options
  * @returns {string} Mermaid ERD diagram code
@@ -28,23 +29,40 @@ export function generateERD(containerSchemas, relationships, options = {}) {
     lines.unshift(`%% ${title}`);
   }
 
+  const entities = createEntityNamer(Object.keys(containerSchemas), relationships);
+
   // Generate entity definitions
-  for (const [containerName, schema] of Object.entries(containerSchemas)) {
+  const variantLines = [];
+  for (const [containerKey, schema] of Object.entries(containerSchemas)) {
     const entityDef = generateEntityDefinition(
-      containerName,
+      containerKey,
       schema,
       relationships,
+      entities,
       { maxProperties: maxPropertiesPerEntity, showTypes, showKeys }
     );
     lines.push('');
     lines.push(...entityDef);
+
+    if (schema.discriminator) {
+      const variants = generateVariantEntities(
+        containerKey,
+        schema,
+        relationships,
+        entities,
+        { maxProperties: maxPropertiesPerEntity, showTypes, showKeys }
+      );
+      lines.push(...variants.definitions);
+      variantLines.push(...variants.links);
+    }
   }
 
   // Generate relationship lines
   lines.push('');
+  lines.push(...variantLines);
   const uniqueRels = getUniqueRelationshipsForERD(relationships);
   for (const rel of uniqueRels) {
-    const relLine = generateRelationshipLine(rel);
+    const relLine = generateRelationshipLine(rel, entities);
     if (relLine) {
       lines.push(`    ${relLine}`);
     }
@@ -53,27 +71,107 @@ export function generateERD(containerSchemas, relationships, options = {}) {
   return lines.join('\n');
 }
 
+/**
+ * Maps container keys and relationship endpoints to Mermaid entity names.
+ * Entities use the bare container name unless it is shared by several
+ * databases in the diagram. Schemas keyed by bare name are matched too.
+ * @param {string[]} entityKeys - Keys of the containers drawn as entities
+ * @param {object[]} relationships - Relationships drawn between them
+ */
+function createEntityNamer(entityKeys, relationships) {
+  const known = new Set(entityKeys);
+
+  const resolve = (rel, end) => {
+    const key = getRelationshipEndpointKey(rel, end);
+    const container = end === 'from' ? rel.fromContainer : rel.toContainer;
+    if (!known.has(key) && known.has(container)) return container;
+    return key;
+  };
+
+  const allKeys = new Set(entityKeys);
+  for (const rel of relationships) {
+    if (rel.isOrphan) continue;
+    allKeys.add(resolve(rel, 'from'));
+    allKeys.add(resolve(rel, 'to'));
+  }
+  const displayNames = getDisplayNames([...allKeys]);
+
+  return {
+    resolve,
+    name: key => sanitiseEntityName(displayNames.get(key) || key)
+  };
+}
+
 /**
  * Generates entity definition for a container.
  */
-function generateEntityDefinition(containerName, schema, relationships, options) {
-  const lines = [];
-  const props = getRootProperties(schema.properties || {});
+function generateEntityDefinition(containerKey, schema, relationships, entities, options) {
+  // Discriminated containers show the properties every variant shares
+  const props = getSharedProperties(schema);
+
+  const fkProperties = getForeignKeyProperties(containerKey, relationships, entities);
 
-  // Find which properties are FKs
-  const fkProperties = new Set(
+  return formatEntity(entities.name(containerKey), props, fkProperties, options, schema.objectPatterns);
+}
+
+/**
+ * Finds which root properties of a container are FKs.
+ */
+function getForeignKeyProperties(containerKey, relationships, entities) {
+  return new Set(
     relationships
-      .filter(r => r.fromContainer === containerName)
+      .filter(r => entities.resolve(r, 'from') === containerKey)
       .map(r => r.fromProperty.split('.')[0])
   );
+}
 
-  lines.push(`    ${sanitiseEntityName(containerName)} {`);
+/**
+ * Generates an entity per variant of a discriminated container, holding the
+ * properties that are not shared by every variant, linked to the container.
+ * @returns {{definitions: string[], links: string[]}}
+ */
+function generateVariantEntities(containerKey, schema, relationships, entities, options) {
+  const { property, variants } = schema.discriminator;
+  const fkProperties = getForeignKeyProperties(containerKey, relationships, entities);
+  const shared = new Set(getSharedProperties(schema).map(prop => prop.path));
+  const containerEntity = entities.name(containerKey);
+  const definitions = [];
+  const links = [];
+
+  for (const variant of variants) {
+    const entity = `${containerEntity}_${sanitiseEntityName(variant.value) || 'variant'}`;
+    const props = getRootProperties(variant.properties).filter(prop => !shared.has(prop.path));
+
+    definitions.push('');
+    definitions.push(...formatEntity(entity, props, fkProperties, options, schema.objectPatterns));
+    links.push(`    ${containerEntity} ||--o| ${entity} : "${property} = ${variant.value.replace(/"/g, "'")}"`);
+  }
+
+  return { definitions, links };
+}
+
+/**
+ * Root properties of a container, or for a discriminated container only
+ * those present in every variant.
+ */
+function getSharedProperties(schema) {
+  const props = getRootProperties(schema.properties || {});
+  if (!schema.discriminator) return props;
+  return props.filter(prop => schema.discriminator.variants.every(variant => variant.properties[prop.path]));
+}
+
+/**
+ * Formats an entity block, truncated to options.maxProperties.
+ */
+function formatEntity(name, props, fkProperties, options, objectPatterns) {
+  const lines = [];
+  lines.push(`    ${name} {`);
 
   // Limit properties shown
   const displayProps = props.slice(0, options.maxProperties);
 
   for (const prop of displayProps) {
-    const line = formatPropertyLine(prop, fkProperties, options);
+    const line = formatPropertyLine(prop, fkProperties, options, objectPatterns);
     lines.push(`        ${line}`);
   }
 
@@ -90,10 +188,10 @@ function generateEntityDefinition(containerName, schema, relationships, options)
 /**
  * Formats a single property line for the ERD entity.
  */
-function formatPropertyLine(prop, fkProperties, options) {
+function formatPropertyLine(prop, fkProperties, options, objectPatterns) {
   // Get primary type (first in list)
   const type = prop.types && prop.types.length > 0
-    ? sanitiseTypeName(prop.types[0])
+    ? sanitiseTypeName(prop.types[0], objectPatterns)
     : 'unknown';
 
   const name = sanitisePropertyName(prop.name);
@@ -120,9 +218,9 @@ function formatPropertyLine(prop, fkProperties, options) {
 /**
  * Generates a relationship line between entities.
  */
-function generateRelationshipLine(rel) {
-  const from = sanitiseEntityName(rel.fromContainer);
-  const to = sanitiseEntityName(rel.toContainer);
+function generateRelationshipLine(rel, entities) {
+  const from = entities.name(entities.resolve(rel, 'from'));
+  const to = entities.name(entities.resolve(rel, 'to'));
 
   // Determine cardinality symbols
   // ||--o{ means "one to many" (from has one, to has many)
@@ -166,13 +264,21 @@ function sanitisePropertyName(name) {
 }
 
 /**
- * Sanitises a type name for Mermaid.
+ * Sanitises a type name for Mermaid. Configured object patterns show as
+ * references or objects.
  */
-function sanitiseTypeName(type) {
+function sanitiseTypeName(type, objectPatterns = []) {
   const typeMap = {
     'guid': 'guid',
     'datetime': 'datetime',
+    'date': 'date',
+    'time': 'time',
+    'duration': 'duration',
+    'epochSeconds': 'int',
+    'epochMillis': 'int',
     'DateTimeObject': 'datetime',
+    'GeoPoint': 'point',
+    'GeoPolygon': 'polygon',
     'ReferenceObject': 'reference',
     'LookupObject': 'lookup',
     'SimpleReference': 'reference',
@@ -186,18 +292,26 @@ function sanitiseTypeName(type) {
     'null': 'null'
   };
 
+  const pattern = objectPatterns.find(candidate => candidate.name === type);
+  if (pattern) {
+    return pattern.reference ? 'reference' : 'object';
+  }
+
   return typeMap[type] || 'string';
 }
 
 /**
  * Generates a simplified ERD showing only relationships.
+ * @param {string[]} containerKeys - Container keys (database/container) to draw
+ * @param {object[]} relationships - Relationships between them
  */
-export function generateSimpleERD(containerNames, relationships) {
+export function generateSimpleERD(containerKeys, relationships) {
   const lines = ['erDiagram'];
+  const entities = createEntityNamer(containerKeys, relationships);
 
   // Add all containers as simple entities
-  for (const name of containerNames) {
-    lines.push(`    ${sanitiseEntityName(name)}`);
+  for (const key of containerKeys) {
+    lines.push(`    ${entities.name(key)}`);
   }
 
   lines.push('');
@@ -205,7 +319,7 @@ export function generateSimpleERD(containerNames, relationships) {
   // Add relationships
   const uniqueRels = getUniqueRelationshipsForERD(relationships);
   for (const rel of uniqueRels) {
-    const relLine = generateRelationshipLine(rel);
+    const relLine = generateRelationshipLine(rel, entities);
     if (relLine) {
       lines.push(`    ${relLine}`);
     }
@@ -224,14 +338,15 @@ export function generateDatabaseERDs(containerSchemas, relationships, databaseCo
     // Filter schemas and relationships for this database
     const dbSchemas = {};
     for (const name of containerNames) {
-      if (containerSchemas[name]) {
-        dbSchemas[name] = containerSchemas[name];
+      const schema = getContainerSchema(containerSchemas, dbName, name);
+      if (schema) {
+        dbSchemas[getContainerKey(dbName, name)] = schema;
       }
     }
 
     const dbRelationships = relationships.filter(r =>
-      containerNames.includes(r.fromContainer) ||
-      containerNames.includes(r.toContainer)
+      isInDatabase(r.fromDatabase, r.fromContainer, dbName, containerNames) ||
+      isInDatabase(r.toDatabase, r.toContainer, dbName, containerNames)
     );
 
     erds[dbName] = generateERD(dbSchemas, dbRelationships, {
@@ -241,3 +356,11 @@ export function generateDatabaseERDs(containerSchemas, relationships, databaseCo
 
   return erds;
 }
+
+/**
+ * Checks whether a relationship endpoint belongs to a database.
+ * Endpoints without a database match by container name alone.
+ */
+function isInDatabase(database, container, dbName, containerNames) {
+  return (!database || database === dbName) && containerNames.includes(container);
+}
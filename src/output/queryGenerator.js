@@ -2,6 +2,8 @@
  * Generates sample SQL queries for Cosmos DB containers based on schema.
  */
 
+import { toPropertyPath } from '../utils/partitionKey.js';
+
 /**
  * Generate sample queries for a container.
  * @param {string} containerName - Container name
@@ -11,7 +13,7 @@
 export function generateSampleQueries(containerName, schema) {
   const queries = [];
   const properties = schema.properties || {};
-  const partitionKey = schema.containerInfo?.partitionKey?.[0]?.replace(/^\//, '') || null;
+  const partitionKeyPaths = (schema.containerInfo?.partitionKey || []).map(toPropertyPath);
 
   // 1. Basic select all
   queries.push({
@@ -34,14 +36,17 @@ export function generateSampleQueries(containerName, schema) {
     query: 'SELECT VALUE COUNT(1) FROM c'
   });
 
-  // 4. Partition key query (if partition key exists and is in schema)
-  if (partitionKey && properties[partitionKey]) {
-    const pkType = properties[partitionKey].type;
-    const exampleValue = getExampleValue(pkType, partitionKey);
+  // 4. Partition key query (if partition key exists and every level is in schema)
+  if (partitionKeyPaths.length > 0 && partitionKeyPaths.every(path => properties[path])) {
+    const filters = partitionKeyPaths.map(path =>
+      `c.${path} = ${getExampleValue(properties[path].type, path.split('.').pop())}`
+    );
     queries.push({
-      name: `Query by partition key (${partitionKey})`,
-      description: 'Efficient single-partition query',
-      query: `SELECT * FROM c WHERE c.${partitionKey} = ${exampleValue}`
+      name: `Query by partition key (${partitionKeyPaths.join(', ')})`,
+      description: partitionKeyPaths.length > 1
+        ? 'Single-partition query on every level of the hierarchical key'
+        : 'Efficient single-partition query',
+      query: `SELECT * FROM c WHERE ${filters.join(' AND ')}`
     });
   }
 
@@ -67,9 +72,9 @@ export function generateSampleQueries(containerName, schema) {
     }
   }
 
-  // 6. Query by enum fields
+  // 6. Query by enum fields (never redacted ones, whose values are not real)
   const enumFields = Object.entries(properties)
-    .filter(([_, prop]) => prop.enumValues && prop.enumValues.length > 0)
+    .filter(([_, prop]) => prop.enumValues && prop.enumValues.length > 0 && !prop.redacted)
     .slice(0, 2);
 
   for (const [fieldName, prop] of enumFields) {
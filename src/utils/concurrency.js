@@ -0,0 +1,27 @@
+/**
+ * Bounded concurrency for independent async work.
+ */
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Results keep the order of the input.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (values below 1 are treated as 1)
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
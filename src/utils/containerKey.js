@@ -0,0 +1,67 @@
+/**
+ * Container identity helpers.
+ *
+ * Containers are identified as "database/container" throughout the pipeline.
+ * Cosmos DB resource ids cannot contain '/', so the key is unambiguous.
+ */
+
+const SEPARATOR = '/';
+
+/**
+ * Builds the identity key for a container.
+ * @param {string} databaseName - Database name
+ * @param {string} containerName - Container name
+ * @returns {string} Key such as "shop/orders"
+ */
+export function getContainerKey(databaseName, containerName) {
+  return `${databaseName}${SEPARATOR}${containerName}`;
+}
+
+/**
+ * Splits a container key into its parts.
+ * Bare names (from pre-2.0 snapshots or callers) have no database.
+ * @param {string} key - Container key
+ * @returns {{database: string|null, container: string}}
+ */
+export function parseContainerKey(key) {
+  const index = key.indexOf(SEPARATOR);
+  if (index === -1) {
+    return { database: null, container: key };
+  }
+  return { database: key.slice(0, index), container: key.slice(index + 1) };
+}
+
+/**
+ * Looks up a container's schema, accepting maps keyed by bare name
+ * so hand-built analysis data keeps working.
+ * @param {Object.<string, object>} containerSchemas - Schemas keyed by container key
+ * @param {string} databaseName - Database name
+ * @param {string} containerName - Container name
+ * @returns {object|undefined} Schema if found
+ */
+export function getContainerSchema(containerSchemas, databaseName, containerName) {
+  return containerSchemas[getContainerKey(databaseName, containerName)] || containerSchemas[containerName];
+}
+
+/**
+ * Chooses display names for a set of container keys.
+ * Containers show their bare name unless another database has a
+ * container of the same name, in which case the full key is kept.
+ * @param {string[]} keys - Container keys
+ * @returns {Map<string, string>} Display name per key
+ */
+export function getDisplayNames(keys) {
+  const databasesByName = new Map();
+  for (const key of keys) {
+    const { database, container } = parseContainerKey(key);
+    if (!databasesByName.has(container)) databasesByName.set(container, new Set());
+    databasesByName.get(container).add(database);
+  }
+
+  const names = new Map();
+  for (const key of keys) {
+    const { container } = parseContainerKey(key);
+    names.set(key, databasesByName.get(container).size > 1 ? key : container);
+  }
+  return names;
+}
@@ -125,12 +125,24 @@ export const logger = {
       ? `${COLORS.green}✓${COLORS.reset}`
       : status === 'empty'
         ? `${COLORS.yellow}○${COLORS.reset}`
-        : `${COLORS.red}✗${COLORS.reset}`;
+        : status === 'skipped'
+          ? `${COLORS.yellow}–${COLORS.reset}`
+          : `${COLORS.red}✗${COLORS.reset}`;
 
     const docLabel = docCount === 1 ? 'doc' : 'docs';
     console.log(`  ${statusIcon} ${name} (${docCount} ${docLabel})`);
   },
 
+  /**
+   * Logs progress through a long-running task, with a percentage when the total is known.
+   */
+  progress(label, current, total) {
+    if (!this.shouldLog()) return;
+    const count = total ? `${current}/${total}` : `${current}`;
+    const percent = total ? ` (${Math.min(100, Math.floor((current / total) * 100))}%)` : '';
+    console.log(`  ${COLORS.dim}…${COLORS.reset} ${label}: ${count} docs${percent}`);
+  },
+
   /**
    * Logs a summary statistic.
    */
@@ -172,3 +184,11 @@ export const logger = {
     console.log(`${COLORS.cyan}[watch]${COLORS.reset} ${message}`);
   }
 };
+
+/**
+ * Logger that discards all output.
+ * Default for the library API so embedding applications stay quiet.
+ */
+export const silentLogger = Object.fromEntries(
+  Object.keys(logger).map(method => [method, () => {}])
+);
@@ -0,0 +1,39 @@
+/**
+ * Partition key helpers.
+ *
+ * Cosmos DB partition keys are given as paths such as "/customerId" or
+ * "/tenant/id"; hierarchical keys have up to three paths, one per level.
+ */
+
+/**
+ * Reads each level of a document's partition key.
+ * @param {object} doc - Document
+ * @param {string[]} partitionKeyPaths - Partition key paths, e.g. ['/tenantId', '/userId']
+ * @returns {Array<*>} One value per path, undefined where the document lacks it
+ */
+export function getPartitionKeyValues(doc, partitionKeyPaths) {
+  return partitionKeyPaths.map(path =>
+    path.split('/').filter(Boolean).reduce((value, key) => value?.[key], doc)
+  );
+}
+
+/**
+ * A document's partition key value as the SDK takes it: a single value,
+ * or an array for hierarchical partition keys.
+ * @param {object} doc - Document
+ * @param {string[]} partitionKeyPaths - Partition key paths
+ * @returns {*} Partition key value
+ */
+export function getPartitionKeyValue(doc, partitionKeyPaths) {
+  const values = getPartitionKeyValues(doc, partitionKeyPaths);
+  return values.length > 1 ? values : values[0];
+}
+
+/**
+ * Converts a partition key path to the dotted property path used in schemas.
+ * @param {string} partitionKeyPath - e.g. "/tenant/id"
+ * @returns {string} e.g. "tenant.id"
+ */
+export function toPropertyPath(partitionKeyPath) {
+  return partitionKeyPath.split('/').filter(Boolean).join('.');
+}
@@ -0,0 +1,21 @@
+/**
+ * Property path globs.
+ *
+ * Config rules pick properties by dotted path, with `*` matching any run of
+ * characters, e.g. "customer.*" or "items[].secret".
+ */
+
+/**
+ * Compiles a property path glob into a regular expression.
+ * @param {string} pattern - Glob, e.g. "audit.*"
+ * @param {{nested?: boolean}} [options] - `nested` also matches the paths
+ *   beneath a matched one, e.g. "audit" matches "audit.by" and "audit[]"
+ * @returns {RegExp} Anchored expression testing a whole path
+ */
+export function compilePathGlob(pattern, { nested = false } = {}) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${nested ? '(\\.|\\[\\]|$)' : '$'}`);
+}
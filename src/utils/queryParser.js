@@ -0,0 +1,115 @@
+/**
+ * Lightweight reader for Cosmos DB SQL queries.
+ *
+ * Finds the property paths a query filters, sorts on and selects, in the
+ * dotted form used by schemas ("address.city", "tags[]", "lines[].sku").
+ * It is not a full SQL parser: string literals are blanked out and paths
+ * are picked out of the SELECT, WHERE and ORDER BY clauses by their
+ * aliases, which is enough to tell which properties a query needs indexed
+ * and whether it targets a single partition.
+ */
+
+// Keywords ending the WHERE and ORDER BY clauses
+const CLAUSE_END = '(?:\\bGROUP\\s+BY\\b|\\bORDER\\s+BY\\b|\\bOFFSET\\b|\\bLIMIT\\b|$)';
+
+/**
+ * @typedef {object} ParsedQuery
+ * @property {string[]} filters - Property paths referenced in the WHERE clause
+ * @property {string[]} equalities - Filtered paths compared with `=`, e.g. `c.tenantId = @tenant`
+ * @property {{path: string, order: 'ascending'|'descending'}[]} orderBy - ORDER BY paths in order
+ * @property {string[]} projections - Property paths referenced in the SELECT clause
+ */
+
+/**
+ * Reads the filtered, sorted and selected property paths of a query.
+ * JOIN aliases resolve to array items, so `JOIN t IN c.tags WHERE t = 'x'`
+ * filters on "tags[]".
+ * @param {string} query - SQL query, e.g. "SELECT * FROM c WHERE c.status = 'open'"
+ * @returns {ParsedQuery}
+ */
+export function parseQuery(query) {
+  const sql = blankStrings(query).replace(/\s+/g, ' ').trim();
+  const aliases = readAliases(sql);
+
+  const select = sql.match(/^SELECT\b(.*?)\bFROM\b/i)?.[1] || '';
+  const where = sql.match(new RegExp(`\\bWHERE\\b(.*?)${CLAUSE_END}`, 'i'))?.[1] || '';
+  const orderClause = sql.match(/\bORDER\s+BY\b(.*?)(?:\bOFFSET\b|\bLIMIT\b|$)/i)?.[1] || '';
+
+  const filters = unique(readPaths(where, aliases));
+  const projections = unique(readPaths(select, aliases));
+
+  // Equality on either side: c.status = 'open' or @id = c.id
+  const equalities = unique([
+    ...[...where.matchAll(/([A-Za-z_][\w.]*)\s*=(?!=)/g)].map(match => match[1]),
+    ...[...where.matchAll(/(?:^|[^<>!=])=\s*([A-Za-z_][\w.]*)/g)].map(match => match[1])
+  ].map(reference => resolve(reference, aliases)).filter(Boolean));
+
+  const orderBy = [];
+  for (const term of orderClause.split(',')) {
+    const [path] = readPaths(term, aliases);
+    if (path === undefined) continue;
+    orderBy.push({ path, order: /\bDESC\s*$/i.test(term.trim()) ? 'descending' : 'ascending' });
+  }
+
+  return { filters, equalities, orderBy, projections };
+}
+
+/**
+ * Maps each alias in the FROM and JOIN clauses to the property path it
+ * stands for: '' for the document itself, "tags[]" for `t IN c.tags`.
+ */
+function readAliases(sql) {
+  const aliases = new Map();
+
+  const iteration = sql.match(/\bFROM\s+(\w+)\s+IN\s+([\w.]+)/i);
+  if (iteration) {
+    // FROM t IN c.tags: the query runs over array items
+    const [, alias, source] = iteration;
+    aliases.set(alias, `${resolve(source, new Map([[source.split('.')[0], '']]))}[]`);
+  } else {
+    // FROM c, FROM orders o or FROM orders AS o
+    const from = sql.match(/\bFROM\s+(\w+)(?:\s+(?:AS\s+)?(?!(?:WHERE|JOIN|ORDER|GROUP|OFFSET|LIMIT)\b)(\w+))?/i);
+    aliases.set(from?.[2] || from?.[1] || 'c', '');
+  }
+
+  for (const [, alias, source] of sql.matchAll(/\bJOIN\s+(\w+)\s+IN\s+([\w.]+)/gi)) {
+    const base = resolve(source, aliases);
+    if (base !== undefined) aliases.set(alias, `${base}[]`);
+  }
+
+  return aliases;
+}
+
+/**
+ * Resolves `alias.a.b` to a property path, or undefined for an unknown alias.
+ */
+function resolve(reference, aliases) {
+  const [alias, ...keys] = reference.split('.');
+  if (!aliases.has(alias)) return undefined;
+  return [aliases.get(alias), ...keys].filter(Boolean).join('.').replace(/\.\[\]/g, '[]');
+}
+
+/**
+ * Lists the property paths referenced in a clause, in order of appearance.
+ * A bare document alias (as in `SELECT VALUE c`) is not a property.
+ */
+function readPaths(clause, aliases) {
+  const paths = [];
+  for (const match of clause.matchAll(/(^|[^\w.])([A-Za-z_]\w*(?:\.\w+)*)/g)) {
+    const path = resolve(match[2], aliases);
+    if (path) paths.push(path);
+  }
+  return paths;
+}
+
+function unique(paths) {
+  return [...new Set(paths)];
+}
+
+/**
+ * Replaces the contents of string literals so values cannot be mistaken
+ * for property paths.
+ */
+function blankStrings(query) {
+  return query.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, "''");
+}
@@ -3,6 +3,8 @@
  * Breaking changes may cause issues for consumers depending on the data.
  */
 
+import { isSensitiveLabel, rankLabel } from '../analysis/classification.js';
+
 /**
  * @typedef {'critical'|'warning'|'info'} ChangeImpact
  */
@@ -18,6 +20,10 @@ export function isBreakingPropertyChange(change) {
       // Property removal is always breaking - consumers may depend on it
       return true;
 
+    case 'OUT_OF_SAMPLE':
+      // Only the sample moved on - documents older than it may still hold the property
+      return false;
+
     case 'TYPE_CHANGED':
       // Type narrowing is breaking (e.g., string|number -> string)
       return isTypeNarrowing(change.before?.types, change.after?.types);
@@ -150,6 +156,16 @@ export function getPropertyChangeImpact(change) {
       : 'warning';
   }
 
+  // Personal or confidential data appearing needs a look, though nothing breaks
+  if (change.changeType === 'ADDED') {
+    return isSensitiveLabel(change.after?.classification?.label) ? 'warning' : 'info';
+  }
+  if (change.changeType === 'CLASSIFICATION_CHANGED') {
+    const before = rankLabel(change.before?.classification?.label);
+    const after = rankLabel(change.after?.classification?.label);
+    return after > before && isSensitiveLabel(change.after?.classification?.label) ? 'warning' : 'info';
+  }
+
   return 'info';
 }
 
@@ -178,6 +194,10 @@ export function getContainerChangeImpact(change) {
   if (isBreakingContainerChange(change)) {
     return 'critical';
   }
+  // A container that stopped being written to may have been abandoned or broken
+  if (change.changeType === 'ACTIVITY_CHANGED' && change.after?.isStale) {
+    return 'warning';
+  }
   return 'info';
 }
 
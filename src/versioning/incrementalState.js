@@ -0,0 +1,104 @@
+/**
+ * Persists per-container schema state for incremental analysis.
+ * Each container keeps its change feed continuation token and the raw
+ * schema state, so later runs only fold in documents changed since.
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { createHash } from 'crypto';
+import { parseContainerKey } from '../utils/containerKey.js';
+
+// 1.1 added discriminator candidates (schemaState.variants)
+// 1.2 added schema version candidates (schemaState.versions)
+// 1.3 added per-property value stats (properties[path].stats)
+// 1.4 added per-property value distributions (properties[path].distribution)
+// 1.5 added data quality evidence (quality, properties[path].quality)
+// 1.6 added the sampled _ts range (timestamps)
+// 1.7 added first and last _ts per property (properties[path].firstSeen/lastSeen)
+// 1.8 added serialised bytes per property (properties[path].bytes)
+// 1.9 added sampled partition key values (partitionKeys)
+// 1.10 reads integers as epoch timestamps only under timestamp-like names
+// 1.11 keeps redacted values out of enum candidates (redacted)
+// 1.12 keeps the possible error of each value counted after eviction (distribution errors)
+// 1.13 masks parts too short to keep a first character whole (redacted samples)
+const STATE_VERSION = '1.13';
+const INCREMENTAL_DIR = 'incremental';
+
+/**
+ * Path of the state file for a container.
+ * @param {string} containerKey - Container key (database/container)
+ * @param {string} cacheDir - Base cache directory
+ */
+function getStatePath(containerKey, cacheDir) {
+  const { database, container } = parseContainerKey(containerKey);
+  return join(cacheDir, INCREMENTAL_DIR, database || '', `${container}.json`);
+}
+
+/**
+ * Fingerprint of the settings that shape a container's schema state.
+ * A stored state is only reused while these settings are unchanged.
+ * @param {object} containerConfig - Effective configuration for the container
+ * @returns {string} SHA256 hash
+ */
+export function getStateFingerprint(containerConfig) {
+  const hash = createHash('sha256');
+  hash.update(JSON.stringify({
+    sampleSize: containerConfig.sampleSize,
+    sampling: containerConfig.sampling,
+    excludePaths: containerConfig.excludePaths || [],
+    customPatterns: containerConfig.typeDetection?.customPatterns || [],
+    objectPatterns: containerConfig.typeDetection?.objectPatterns || [],
+    builtInObjectPatterns: containerConfig.typeDetection?.builtInObjectPatterns !== false,
+    // Only whether candidates are tracked; which one is picked is decided afresh each run
+    trackVariants: containerConfig.discriminator !== false,
+    // A named version field is the only one tracked, so the name matters here
+    versionField: containerConfig.versionField ?? null,
+    partitionKey: containerConfig.partitionKey || [],
+    // Stored samples are already redacted, so other rules need a fresh sample
+    redaction: containerConfig.redaction ?? null
+  }));
+  return hash.digest('hex');
+}
+
+/**
+ * Load the stored state for a container.
+ * @param {string} containerKey - Container key (database/container)
+ * @param {string} [cacheDir='.cosmoscache'] - Cache directory path
+ * @returns {Promise<{fingerprint: string, continuationToken: string, updatedAt: string, schemaState: object}|null>}
+ */
+export async function loadIncrementalState(containerKey, cacheDir = '.cosmoscache') {
+  try {
+    const content = await readFile(getStatePath(containerKey, cacheDir), 'utf8');
+    const state = JSON.parse(content);
+    return state.version === STATE_VERSION ? state : null;
+  } catch (err) {
+    if (err.code === 'ENOENT' || err instanceof SyntaxError) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Save the state for a container.
+ * @param {string} containerKey - Container key (database/container)
+ * @param {object} state - Fingerprint, continuation token and schema state
+ * @param {string} [cacheDir='.cosmoscache'] - Cache directory path
+ * @returns {Promise<string>} Path written
+ */
+export async function saveIncrementalState(containerKey, state, cacheDir = '.cosmoscache') {
+  const filePath = getStatePath(containerKey, cacheDir);
+  await mkdir(dirname(filePath), { recursive: true });
+
+  const content = {
+    version: STATE_VERSION,
+    containerKey,
+    updatedAt: new Date().toISOString(),
+    fingerprint: state.fingerprint,
+    continuationToken: state.continuationToken,
+    schemaState: state.schemaState
+  };
+  await writeFile(filePath, JSON.stringify(content), 'utf8');
+  return filePath;
+}
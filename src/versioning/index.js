@@ -9,9 +9,16 @@ export {
   getLatestSnapshot,
   listSnapshots,
   pruneSnapshots,
-  deleteSnapshot
+  deleteSnapshot,
+  migrateSnapshot
 } from './snapshotManager.js';
 
+export {
+  loadIncrementalState,
+  saveIncrementalState,
+  getStateFingerprint
+} from './incrementalState.js';
+
 export {
   compareSnapshots,
   compareProperties,
@@ -0,0 +1,32 @@
+/**
+ * Salt for hashing redacted values when none is configured. It is random,
+ * created on first use and kept in the cache directory, so hashes in stored
+ * incremental state and snapshots match from run to run, yet cannot be
+ * reversed by hashing a list of candidate emails or names.
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+
+const SALT_FILE = 'redaction-salt';
+
+/**
+ * Reads the cache's salt, creating it when there is none yet.
+ * @param {string} [cacheDir='.cosmoscache'] - Cache directory path
+ * @returns {Promise<string>} Salt as hex
+ */
+export async function loadRedactionSalt(cacheDir = '.cosmoscache') {
+  const filePath = join(cacheDir, SALT_FILE);
+  try {
+    const salt = (await readFile(filePath, 'utf8')).trim();
+    if (salt) return salt;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const salt = randomBytes(32).toString('hex');
+  await mkdir(cacheDir, { recursive: true });
+  await writeFile(filePath, salt, 'utf8');
+  return salt;
+}
@@ -1,17 +1,29 @@
 /**
  * Compares two schema snapshots and identifies changes.
  * Used for detecting schema evolution and breaking changes.
+ * Containers are keyed "database/container"; migrate older snapshots first.
  */
 
+import { getRelationshipEndpointKey } from '../analysis/relationships.js';
+import { getActivityRate, formatWritesPerDay } from '../analysis/freshness.js';
+import { isSensitiveLabel } from '../analysis/classification.js';
+
+// Write rates must change by at least this factor to count as activity drift
+const ACTIVITY_CHANGE_RATIO = 2;
+
+// ...and the busier of the two rates must reach this many writes per day,
+// so near-idle containers do not flip between 0 and 1 write a day
+const MIN_ACTIVITY_RATE = 1;
+
 /**
- * @typedef {'ADDED'|'REMOVED'|'TYPE_CHANGED'|'OPTIONALITY_CHANGED'|'FREQUENCY_CHANGED'|'ENUM_VALUES_CHANGED'|'COMPUTED_CHANGED'} PropertyChangeType
+ * @typedef {'ADDED'|'REMOVED'|'OUT_OF_SAMPLE'|'TYPE_CHANGED'|'OPTIONALITY_CHANGED'|'FREQUENCY_CHANGED'|'ENUM_VALUES_CHANGED'|'COMPUTED_CHANGED'|'CLASSIFICATION_CHANGED'} PropertyChangeType
  * @typedef {'RELATIONSHIP_ADDED'|'RELATIONSHIP_REMOVED'|'CARDINALITY_CHANGED'|'CONFIDENCE_CHANGED'} RelationshipChangeType
- * @typedef {'CONTAINER_ADDED'|'CONTAINER_REMOVED'} ContainerChangeType
+ * @typedef {'CONTAINER_ADDED'|'CONTAINER_REMOVED'|'ACTIVITY_CHANGED'} ContainerChangeType
  */
 
 /**
  * @typedef {Object} PropertyChange
- * @property {string} container - Container name
+ * @property {string} container - Container key (database/container)
  * @property {string} propertyPath - Full property path
  * @property {PropertyChangeType} changeType
  * @property {object|null} before - Previous state (null if added)
@@ -30,8 +42,10 @@
 
 /**
  * @typedef {Object} ContainerChange
- * @property {string} container - Container name
+ * @property {string} container - Container key (database/container)
  * @property {ContainerChangeType} changeType
+ * @property {object} [before] - Previous freshness (ACTIVITY_CHANGED only)
+ * @property {object} [after] - Current freshness (ACTIVITY_CHANGED only)
  * @property {string} description - Human-readable description
  */
 
@@ -39,6 +53,7 @@
  * @typedef {Object} ComparisonSummary
  * @property {number} containersAdded
  * @property {number} containersRemoved
+ * @property {number} containersChanged - Containers whose write activity changed
  * @property {number} propertiesAdded
  * @property {number} propertiesRemoved
  * @property {number} propertiesChanged
@@ -60,10 +75,10 @@
 /**
  * Generate a unique key for a relationship.
  * @param {object} rel - Relationship object
- * @returns {string}
+ * @returns {string} e.g. "shop/orders.CustomerId->shop/customers"
  */
 function getRelationshipKey(rel) {
-  return `${rel.fromDatabase}.${rel.fromContainer}.${rel.fromProperty}->${rel.toDatabase}.${rel.toContainer}`;
+  return `${getRelationshipEndpointKey(rel, 'from')}.${rel.fromProperty}->${getRelationshipEndpointKey(rel, 'to')}`;
 }
 
 /**
@@ -73,7 +88,7 @@ function getRelationshipKey(rel) {
  * @returns {ComparisonResult}
  */
 export function compareSnapshots(baseline, current) {
-  const containerChanges = compareContainers(baseline, current);
+  const containerChanges = [...compareContainers(baseline, current), ...compareActivity(baseline, current)];
   const propertyChanges = {};
   const relationshipChanges = compareRelationships(
     baseline.relationships || [],
@@ -94,7 +109,8 @@ export function compareSnapshots(baseline, current) {
       const changes = compareProperties(
         baselineSchema.properties || {},
         currentSchema.properties || {},
-        container
+        container,
+        { sampledFrom: getSampledFrom(currentSchema.properties || {}) }
       );
       if (changes.length > 0) {
         propertyChanges[container] = changes;
@@ -150,29 +166,106 @@ export function compareContainers(baseline, current) {
   return changes;
 }
 
+/**
+ * Compare write activity of containers in both snapshots. A container going
+ * stale (or coming back) is a change, as is its write rate over the same
+ * window rising or falling by ACTIVITY_CHANGE_RATIO or more.
+ * Snapshots taken without freshness are not compared.
+ * @param {object} baseline - Previous snapshot
+ * @param {object} current - Current analysis or snapshot
+ * @returns {ContainerChange[]}
+ */
+export function compareActivity(baseline, current) {
+  const changes = [];
+  const currentSchemas = current.schemas || current.containerSchemas || {};
+
+  for (const [container, baselineSchema] of Object.entries(baseline.schemas || {})) {
+    const before = baselineSchema.freshness;
+    const after = currentSchemas[container]?.freshness;
+    if (!before || !after) continue;
+
+    if (!before.isStale && after.isStale) {
+      changes.push({
+        container,
+        changeType: 'ACTIVITY_CHANGED',
+        before,
+        after,
+        description: `Container '${container}' has gone stale: no writes for ${after.daysSinceLastWrite} days`
+      });
+      continue;
+    }
+    if (before.isStale && !after.isStale) {
+      changes.push({
+        container,
+        changeType: 'ACTIVITY_CHANGED',
+        before,
+        after,
+        description: `Container '${container}' is being written to again (last write ${after.lastWrite.slice(0, 10)})`
+      });
+      continue;
+    }
+
+    const beforeRate = getActivityRate(before);
+    const afterRate = getActivityRate(after);
+    if (!beforeRate || !afterRate || beforeRate.days !== afterRate.days) continue;
+
+    const high = Math.max(beforeRate.writesPerDay, afterRate.writesPerDay);
+    const low = Math.min(beforeRate.writesPerDay, afterRate.writesPerDay);
+    if (high < MIN_ACTIVITY_RATE || high < low * ACTIVITY_CHANGE_RATIO) continue;
+
+    const direction = afterRate.writesPerDay > beforeRate.writesPerDay ? 'rose' : 'fell';
+    changes.push({
+      container,
+      changeType: 'ACTIVITY_CHANGED',
+      before,
+      after,
+      description: `Write activity on '${container}' ${direction} from ${formatWritesPerDay(beforeRate.writesPerDay)} to ${formatWritesPerDay(afterRate.writesPerDay)} writes/day (${afterRate.days}-day window)`
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Oldest _ts in a sample, from the earliest firstSeen of its properties.
+ * @param {object} properties - Schema properties
+ * @returns {string|null} ISO timestamp, or null when the sample had no _ts
+ */
+function getSampledFrom(properties) {
+  const firstSeen = Object.values(properties).map(prop => prop.firstSeen).filter(Boolean);
+  return firstSeen.length > 0 ? firstSeen.reduce((oldest, ts) => (ts < oldest ? ts : oldest)) : null;
+}
+
 /**
  * Compare properties of a single container.
+ * A missing property last seen before the current sample begins
+ * (options.sampledFrom) is reported as OUT_OF_SAMPLE rather than REMOVED:
+ * older documents may still hold it.
  * @param {object} baselineProps - Previous properties
  * @param {object} currentProps - Current properties
  * @param {string} container - Container name for context
+ * @param {object} [options]
+ * @param {string|null} [options.sampledFrom] - Oldest _ts in the current sample (ISO)
  * @returns {PropertyChange[]}
  */
-export function compareProperties(baselineProps, currentProps, container = '') {
+export function compareProperties(baselineProps, currentProps, container = '', options = {}) {
+  const { sampledFrom = null } = options;
   const changes = [];
 
   const baselinePaths = new Set(Object.keys(baselineProps));
   const currentPaths = new Set(Object.keys(currentProps));
 
-  // Find added properties
+  // Find added properties, calling out personal or confidential ones
   for (const path of currentPaths) {
     if (!baselinePaths.has(path)) {
+      const label = currentProps[path].classification?.label;
       changes.push({
         container,
         propertyPath: path,
         changeType: 'ADDED',
         before: null,
         after: currentProps[path],
-        description: `New property '${path}' added`
+        description: isSensitiveLabel(label) ? `New ${label} property '${path}' added` : `New property '${path}' added`
       });
     }
   }
@@ -180,6 +273,18 @@ export function compareProperties(baselineProps, currentProps, container = '') {
   // Find removed properties
   for (const path of baselinePaths) {
     if (!currentPaths.has(path)) {
+      const { lastSeen } = baselineProps[path];
+      if (sampledFrom && lastSeen && lastSeen < sampledFrom) {
+        changes.push({
+          container,
+          propertyPath: path,
+          changeType: 'OUT_OF_SAMPLE',
+          before: baselineProps[path],
+          after: null,
+          description: `Property '${path}' not sampled: last seen ${lastSeen.slice(0, 10)}, before the current sample begins (${sampledFrom.slice(0, 10)})`
+        });
+        continue;
+      }
       changes.push({
         container,
         propertyPath: path,
@@ -310,6 +415,21 @@ export function compareProperties(baselineProps, currentProps, container = '') {
             : `Property '${path}' computed pattern changed from ${baseline.computedPattern} to ${current.computedPattern}`
         });
       }
+
+      // Check classification label changes
+      const baselineLabel = baseline.classification?.label || null;
+      const currentLabel = current.classification?.label || null;
+
+      if (baselineLabel !== currentLabel) {
+        changes.push({
+          container,
+          propertyPath: path,
+          changeType: 'CLASSIFICATION_CHANGED',
+          before: baseline,
+          after: current,
+          description: `Property '${path}' classification changed from ${baselineLabel || 'unlabelled'} to ${currentLabel || 'unlabelled'}`
+        });
+      }
     }
   }
 
@@ -344,7 +464,7 @@ export function compareRelationships(baselineRels, currentRels) {
         changeType: 'RELATIONSHIP_ADDED',
         before: null,
         after: rel,
-        description: `New relationship: ${rel.fromContainer}.${rel.fromProperty} -> ${rel.toContainer}`
+        description: `New relationship: ${getRelationshipEndpointKey(rel, 'from')}.${rel.fromProperty} -> ${getRelationshipEndpointKey(rel, 'to')}`
       });
     }
   }
@@ -357,7 +477,7 @@ export function compareRelationships(baselineRels, currentRels) {
         changeType: 'RELATIONSHIP_REMOVED',
         before: rel,
         after: null,
-        description: `Removed relationship: ${rel.fromContainer}.${rel.fromProperty} -> ${rel.toContainer}`
+        description: `Removed relationship: ${getRelationshipEndpointKey(rel, 'from')}.${rel.fromProperty} -> ${getRelationshipEndpointKey(rel, 'to')}`
       });
     }
   }
@@ -406,6 +526,7 @@ export function compareRelationships(baselineRels, currentRels) {
 function calculateSummary(containerChanges, propertyChanges, relationshipChanges) {
   const containersAdded = containerChanges.filter(c => c.changeType === 'CONTAINER_ADDED').length;
   const containersRemoved = containerChanges.filter(c => c.changeType === 'CONTAINER_REMOVED').length;
+  const containersChanged = containerChanges.filter(c => c.changeType === 'ACTIVITY_CHANGED').length;
 
   let propertiesAdded = 0;
   let propertiesRemoved = 0;
@@ -428,13 +549,14 @@ function calculateSummary(containerChanges, propertyChanges, relationshipChanges
   // Count breaking changes (will be updated by changeClassifier)
   const breakingChanges = containersRemoved + propertiesRemoved;
 
-  const totalChanges = containersAdded + containersRemoved +
+  const totalChanges = containersAdded + containersRemoved + containersChanged +
     propertiesAdded + propertiesRemoved + propertiesChanged +
     relationshipsAdded + relationshipsRemoved + relationshipsChanged;
 
   return {
     containersAdded,
     containersRemoved,
+    containersChanged,
     propertiesAdded,
     propertiesRemoved,
     propertiesChanged,
@@ -6,8 +6,9 @@
 import { mkdir, readdir, readFile, writeFile, unlink, stat } from 'fs/promises';
 import { join } from 'path';
 import { createHash } from 'crypto';
+import { getContainerKey } from '../utils/containerKey.js';
 
-const SNAPSHOT_VERSION = '1.0';
+const SNAPSHOT_VERSION = '2.0';
 const SNAPSHOTS_DIR = 'snapshots';
 
 /**
@@ -59,12 +60,15 @@ function buildSnapshot(analysisData, options = {}) {
     };
   }
 
-  // Extract container schemas
+  // Extract container schemas, with write activity so it can be diffed too
   for (const [containerKey, schema] of Object.entries(analysisData.containerSchemas || {})) {
     schemas[containerKey] = {
       properties: schema.properties || {},
       documentCount: schema.documentCount || 0
     };
+    if (schema.freshness) {
+      schemas[containerKey].freshness = schema.freshness;
+    }
   }
 
   const snapshotData = {
@@ -79,6 +83,7 @@ function buildSnapshot(analysisData, options = {}) {
       name: options.name || null,
       createdAt: new Date().toISOString(),
       sampleSize: analysisData.sampleSize || 100,
+      sampling: analysisData.sampling || null,
       databases: Object.keys(databases),
       containerCount: Object.keys(schemas).length,
       relationshipCount: (analysisData.relationships || []).length,
@@ -155,7 +160,7 @@ export async function loadSnapshot(identifier, cacheDir = '.cosmoscache') {
         }
       }
 
-      return snapshot;
+      return migrateSnapshot(snapshot);
     } catch (err) {
       if (err.code !== 'ENOENT') {
         throw err;
@@ -166,6 +171,35 @@ export async function loadSnapshot(identifier, cacheDir = '.cosmoscache') {
   return null;
 }
 
+/**
+ * Upgrade a snapshot to the current format.
+ * Version 1.0 keyed schemas by bare container name. Keys are qualified with
+ * the database that lists the container; when several databases share the
+ * name, the last one wins, since its schema overwrote the others at the time.
+ * @param {object} snapshot - Loaded snapshot
+ * @returns {object} Snapshot keyed by "database/container"
+ */
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || snapshot.version === SNAPSHOT_VERSION) {
+    return snapshot;
+  }
+
+  const owners = {};
+  for (const [dbName, dbInfo] of Object.entries(snapshot.databases || {})) {
+    for (const containerName of dbInfo.containers || []) {
+      owners[containerName] = dbName;
+    }
+  }
+
+  const schemas = {};
+  for (const [key, schema] of Object.entries(snapshot.schemas || {})) {
+    const owner = !key.includes('/') && owners[key];
+    schemas[owner ? getContainerKey(owner, key) : key] = schema;
+  }
+
+  return { ...snapshot, version: SNAPSHOT_VERSION, schemas };
+}
+
 /**
  * Get the most recent snapshot.
  * @param {string} [cacheDir='.cosmoscache'] - Cache directory path
@@ -183,7 +217,8 @@ export async function getLatestSnapshot(cacheDir = '.cosmoscache') {
     new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
   );
 
-  return loadSnapshot(sorted[0].id, cacheDir);
+  // Named snapshots are stored under their name rather than their id
+  return loadSnapshot(sorted[0].name || sorted[0].id, cacheDir);
 }
 
 /**
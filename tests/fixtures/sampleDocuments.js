@@ -21,7 +21,6 @@ export const invalidGuids = [
 
 // Valid datetime examples
 export const validDatetimes = [
-  '2024-01-15',
   '2024-01-15T10:30:00',
   '2024-01-15T10:30:00Z',
   '2024-01-15T10:30:00.123Z',
@@ -164,6 +163,24 @@ export const edgeCaseDocuments = {
   }
 };
 
+// Single-table container: orders and customers distinguished by `type`
+export const singleTableDocuments = [
+  { id: 'o1', type: 'order', status: 'open', total: 10, customerId: 'c1' },
+  { id: 'o2', type: 'order', status: 'closed', total: 20, customerId: 'c2' },
+  { id: 'o3', type: 'order', status: 'open', total: 30, customerId: 'c1' },
+  { id: 'c1', type: 'customer', status: 'open', name: 'Ann', email: 'ann@example.com' },
+  { id: 'c2', type: 'customer', status: 'closed', name: 'Bob', email: 'bob@example.com' }
+];
+
+// Half-migrated container: legacy documents without a version, then versions 2 and 3
+export const versionedDocuments = [
+  { id: 'u1', name: 'Ann', fax: '555-0100' },
+  { id: 'u2', name: 'Bob', fax: '555-0101' },
+  { id: 'u3', schemaVersion: 2, name: 'Cat', email: 'cat@example.com' },
+  { id: 'u4', schemaVersion: 2, name: 'Dan', email: 'dan@example.com' },
+  { id: 'u5', schemaVersion: 3, name: 'Eve', email: 'eve@example.com', phone: { mobile: '555-0102' } }
+];
+
 // Container configurations for relationship testing
 export const testContainers = [
   { name: 'stores', database: 'platform' },
@@ -0,0 +1,438 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { analyze } from '../../src/analyze.js';
+
+const TEST_INPUT_DIR = '.test-analyze-export';
+
+/**
+ * Minimal stand-in for a CosmosClient where every request costs `charge` RU.
+ * `changes` holds documents the change feed returns on its next read, and
+ * `partitionKeys` the key paths of containers not partitioned by /id.
+ */
+function createFakeClient(containers, charge = 10, changes = {}, partitionKeys = {}) {
+  const respond = body => Promise.resolve({ ...body, requestCharge: charge });
+  return {
+    databases: { readAll: () => ({ fetchAll: () => respond({ resources: [{ id: 'shop' }] }) }) },
+    database: () => ({
+      containers: {
+        readAll: () => ({ fetchAll: () => respond({ resources: Object.keys(containers).map(id => ({ id })) }) })
+      },
+      container: name => ({
+        read: () => respond({ resource: { id: name, partitionKey: { paths: partitionKeys[name] || ['/id'] } } }),
+        item: id => ({ read: () => respond({ resource: containers[name].find(doc => doc.id === id) }) }),
+        items: {
+          getChangeFeedIterator: () => ({
+            hasMoreResults: true,
+            readNext: () => {
+              const result = changes[name] || [];
+              changes[name] = [];
+              return respond({ result, statusCode: result.length ? 200 : 304, continuationToken: `after-${name}` });
+            }
+          }),
+          query: query => {
+            const resources = String(query.query || query).includes('COUNT(1)')
+              ? [containers[name].length]
+              : containers[name];
+            let pending = true;
+            return {
+              fetchAll: () => respond({ resources }),
+              hasMoreResults: () => pending,
+              fetchNext: () => {
+                pending = false;
+                return respond({ resources });
+              }
+            };
+          }
+        }
+      })
+    })
+  };
+}
+
+describe('analyze', () => {
+  beforeEach(async () => {
+    await rm(TEST_INPUT_DIR, { recursive: true, force: true });
+    await mkdir(join(TEST_INPUT_DIR, 'shop'), { recursive: true });
+
+    await writeFile(join(TEST_INPUT_DIR, 'shop', 'orders.json'), JSON.stringify([
+      { id: 'o1', CustomerId: 'c1', total: 10 },
+      { id: 'o2', CustomerId: 'c2', total: 20 }
+    ]));
+    await writeFile(join(TEST_INPUT_DIR, 'shop', 'customers.json'), JSON.stringify([
+      { id: 'c1', name: 'Ann' },
+      { id: 'c2', name: 'Bob' }
+    ]));
+    await writeFile(join(TEST_INPUT_DIR, 'shop', 'empty.json'), '[]');
+  });
+
+  afterEach(async () => {
+    await rm(TEST_INPUT_DIR, { recursive: true, force: true });
+  });
+
+  it('should return analysis data without writing output', async () => {
+    const data = await analyze({ input: TEST_INPUT_DIR });
+
+    expect(data.databases.shop.containers).toEqual(['customers', 'empty', 'orders']);
+    expect(Object.keys(data.containerSchemas).sort()).toEqual(['shop/customers', 'shop/orders']);
+    expect(data.sampleSize).toBe(100);
+    expect(data.timestamp).toBeDefined();
+  });
+
+  it('should record the sampling strategy per container', async () => {
+    const data = await analyze({
+      input: TEST_INPUT_DIR,
+      sampling: { strategy: 'random' },
+      containerOverrides: { 'shop/orders': { sampling: 'oldest' } }
+    });
+
+    expect(data.sampling.strategy).toBe('random');
+    expect(data.containerSchemas['shop/customers'].sampling).toMatchObject({ strategy: 'random', sampleSize: 100 });
+    expect(data.containerSchemas['shop/orders'].sampling.strategy).toBe('oldest');
+  });
+
+  it('should apply container overrides when inferring schemas', async () => {
+    const data = await analyze({
+      input: TEST_INPUT_DIR,
+      containerOverrides: {
+        'shop/orders': { sampleSize: 1, excludePaths: ['total'] }
+      }
+    });
+
+    expect(data.containerSchemas['shop/orders'].documentCount).toBe(1);
+    expect(data.containerSchemas['shop/orders'].properties.total).toBeUndefined();
+    expect(data.containerSchemas['shop/orders'].sampling.sampleSize).toBe(1);
+    expect(data.containerSchemas['shop/customers'].documentCount).toBe(2);
+  });
+
+  it('should only warn about validation for containers that enable it', async () => {
+    const warnings = [];
+    const logger = new Proxy({}, { get: (_, method) => (message) => method === 'warn' && warnings.push(message) });
+
+    await analyze({ input: TEST_INPUT_DIR }, { logger });
+    expect(warnings).toEqual([]);
+
+    await analyze({ input: TEST_INPUT_DIR, containerOverrides: { orders: { validation: { enabled: true } } } }, { logger });
+    expect(warnings).toEqual([expect.stringContaining('requires a live connection')]);
+  });
+
+  it('should detect relationships with heuristic confidence', async () => {
+    const data = await analyze({ input: TEST_INPUT_DIR });
+
+    const rel = data.relationships.find(r => r.fromProperty === 'CustomerId');
+    expect(rel.toContainer).toBe('customers');
+    expect(rel.confidence).toBeDefined();
+  });
+
+  it('should apply container filters from options', async () => {
+    const data = await analyze({ input: TEST_INPUT_DIR, container: 'orders' });
+
+    expect(data.databases.shop.containers).toEqual(['orders']);
+  });
+
+  it('should throw when the requested container does not exist', async () => {
+    await expect(analyze({ input: TEST_INPUT_DIR, container: 'missing' }))
+      .rejects.toThrow("Container 'missing' not found");
+  });
+
+  it('should throw when no requested database exists', async () => {
+    await expect(analyze({ input: TEST_INPUT_DIR, databases: ['nope'] }))
+      .rejects.toThrow('No valid databases');
+  });
+
+  it('should compare against a provided baseline snapshot', async () => {
+    const baseline = {
+      version: '1.0',
+      metadata: { id: 'base' },
+      databases: { shop: { containers: ['orders'] } },
+      schemas: { orders: { properties: { id: { types: ['string'] } } } },
+      relationships: []
+    };
+
+    const data = await analyze({ input: TEST_INPUT_DIR, baseline });
+
+    expect(data.comparison.summary.containersAdded).toBe(1);
+    expect(data.comparison.propertyChanges['shop/orders'].some(c => c.propertyPath === 'total')).toBe(true);
+    expect(data.baseline.id).toBe('base');
+  });
+
+  it('should keep same-named containers in different databases apart', async () => {
+    await mkdir(join(TEST_INPUT_DIR, 'archive'), { recursive: true });
+    await writeFile(join(TEST_INPUT_DIR, 'archive', 'orders.json'), JSON.stringify([
+      { id: 'a1', archivedAt: '2024-01-01T00:00:00Z' }
+    ]));
+
+    const data = await analyze({ input: TEST_INPUT_DIR });
+
+    expect(data.containerSchemas['shop/orders'].properties.total).toBeDefined();
+    expect(data.containerSchemas['archive/orders'].properties.archivedAt).toBeDefined();
+    expect(data.containerSchemas['archive/orders'].properties.total).toBeUndefined();
+  });
+
+  it('should profile write activity and warn about stale containers', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const day = 24 * 60 * 60;
+    await writeFile(join(TEST_INPUT_DIR, 'shop', 'orders.json'), JSON.stringify([
+      { id: 'o1', _ts: now - 2 * day },
+      { id: 'o2', _ts: now - 10 * day }
+    ]));
+    await writeFile(join(TEST_INPUT_DIR, 'shop', 'customers.json'), JSON.stringify([
+      { id: 'c1', _ts: now - 200 * day }
+    ]));
+    const warnings = [];
+    const logger = new Proxy({}, { get: (_, method) => (message) => method === 'warn' && warnings.push(message) });
+
+    const data = await analyze({ input: TEST_INPUT_DIR }, { logger });
+
+    const orders = data.containerSchemas['shop/orders'].freshness;
+    expect(orders.daysSinceLastWrite).toBe(2);
+    expect(orders.windows.map(w => [w.days, w.writes])).toEqual([[30, 2]]);
+    expect(data.containerSchemas['shop/customers'].freshness.isStale).toBe(true);
+    expect(warnings).toEqual(['customers: no writes for 200 days - container may be stale.']);
+
+    const disabled = await analyze({ input: TEST_INPUT_DIR, freshness: { enabled: false } });
+    expect(disabled.containerSchemas['shop/orders'].freshness).toBeUndefined();
+  });
+
+  it('should grade partition keys from the sampled key values and warn about poor ones', async () => {
+    const orders = Array.from({ length: 40 }, (_, i) => ({ id: `o${i}`, region: i % 2 ? 'eu' : 'us' }));
+    const client = createFakeClient({ orders, customers: [{ id: 'c1' }] }, 10, {}, { orders: ['/region'] });
+    const warnings = [];
+    const logger = new Proxy({}, { get: (_, method) => (message) => method === 'warn' && warnings.push(message) });
+
+    const data = await analyze({ endpoint: 'https://fake', client }, { logger });
+
+    expect(data.containerSchemas['shop/orders'].partitionKeyHealth).toMatchObject({ paths: ['/region'], grade: 'poor', distinct: 2 });
+    expect(data.containerSchemas['shop/customers'].partitionKeyHealth.grade).toBe('good');
+    expect(warnings).toContain('orders: partition key graded poor - Only 2 distinct key values in 40 sampled documents; each logical partition is limited to 20 GB.');
+  });
+
+  it('should report request units consumed per container on live runs', async () => {
+    const client = createFakeClient({ orders: [{ id: 'o1' }], customers: [{ id: 'c1' }] });
+
+    const data = await analyze({ endpoint: 'https://fake', client });
+
+    // Each container: sample, read and count queries, newest _ts and a count over the activity window,
+    // then a point read (found by a TOP 1 query) and the six sample queries an id-only schema gets
+    expect(data.requestUnits.byContainer).toEqual({ 'shop/orders': 130, 'shop/customers': 130 });
+    expect(data.requestUnits.consumed).toBe(280);
+    expect(data.requestUnits.skippedContainers).toEqual([]);
+  });
+
+  it('should measure request charges and size profiles on live runs', async () => {
+    const client = createFakeClient({ orders: [{ id: 'o1', total: 10 }, { id: 'o2', total: 20 }], customers: [{ id: 'c1' }] });
+
+    const data = await analyze({ endpoint: 'https://fake', client });
+    const orders = data.containerSchemas['shop/orders'];
+
+    expect(orders.costs.pointRead).toEqual({ requestCharge: 10, bytes: 22 });
+    expect(orders.costs.queries.map(query => query.name)).toContain('Get document by ID');
+    expect(orders.costs.queries[0]).toEqual({ name: 'Select all documents', query: 'SELECT * FROM c', requestCharge: 10, itemCount: 2 });
+    expect(orders.sizeProfile.sizes.max).toBe(22);
+    expect(orders.stats).toEqual({ documentCount: 2, avgDocumentSizeBytes: 22, estimatedSizeBytes: 44 });
+
+    const disabled = await analyze({ endpoint: 'https://fake', client, costs: { enabled: false } });
+    expect(disabled.containerSchemas['shop/orders'].costs).toBeUndefined();
+  });
+
+  it('should profile sizes but not charges on offline runs', async () => {
+    const data = await analyze({ input: TEST_INPUT_DIR });
+    const orders = data.containerSchemas['shop/orders'];
+
+    expect(orders.costs).toBeUndefined();
+    expect(orders.sizeProfile.topProperties.map(prop => prop.path)).toEqual(['id', 'CustomerId', 'total']);
+  });
+
+  it('should advise on the indexing policy from sample and production queries', async () => {
+    const queryFile = join(TEST_INPUT_DIR, 'queries.json');
+    await writeFile(join(TEST_INPUT_DIR, 'shop', 'orders.meta.json'), JSON.stringify({
+      indexingPolicy: { indexingMode: 'consistent', includedPaths: [{ path: '/*' }], excludedPaths: [{ path: '/total/?' }] }
+    }));
+    await writeFile(queryFile, JSON.stringify({
+      'shop/orders': ['SELECT * FROM c WHERE c.total > 10'],
+      'customers': ['SELECT * FROM c ORDER BY c.name, c.id DESC']
+    }));
+    const warnings = [];
+    const logger = new Proxy({}, { get: (_, method) => (message) => method === 'warn' && warnings.push(message) });
+
+    const data = await analyze({ input: TEST_INPUT_DIR, indexAdvice: { queryFile } }, { logger });
+    const orders = data.containerSchemas['shop/orders'].indexingAdvice;
+
+    expect(orders.findings.map(finding => finding.kind)).toEqual(['excluded']);
+    expect(orders.queries.production).toBe(1);
+    expect(orders.suggestedPolicy.excludedPaths).toEqual([]);
+    // Without a policy in the export there is nothing to compare against
+    expect(data.containerSchemas['shop/customers'].indexingAdvice).toBeUndefined();
+    expect(warnings).toEqual([]);
+
+    const disabled = await analyze({ input: TEST_INPUT_DIR, indexAdvice: { enabled: false, queryFile } });
+    expect(disabled.containerSchemas['shop/orders'].indexingAdvice).toBeUndefined();
+  });
+
+  it('should warn about indexing problems that make queries fail', async () => {
+    const queryFile = join(TEST_INPUT_DIR, 'queries.json');
+    await writeFile(join(TEST_INPUT_DIR, 'shop', 'customers.meta.json'), JSON.stringify({
+      indexingPolicy: { indexingMode: 'consistent', includedPaths: [{ path: '/*' }] }
+    }));
+    await writeFile(queryFile, JSON.stringify({ customers: ['SELECT * FROM c ORDER BY c.name, c.id DESC'] }));
+    const warnings = [];
+    const logger = new Proxy({}, { get: (_, method) => (message) => method === 'warn' && warnings.push(message) });
+
+    const data = await analyze({ input: TEST_INPUT_DIR, indexAdvice: { queryFile } }, { logger });
+
+    expect(data.containerSchemas['shop/customers'].indexingAdvice.suggestedPolicy.compositeIndexes).toEqual([[
+      { path: '/name', order: 'ascending' },
+      { path: '/id', order: 'descending' }
+    ]]);
+    expect(warnings).toContain('customers: ORDER BY name ASC, id DESC fails without a composite index - see Indexing Advice.');
+  });
+
+  it('should reject a malformed production query file', async () => {
+    const queryFile = join(TEST_INPUT_DIR, 'queries.json');
+    await writeFile(queryFile, JSON.stringify(['SELECT * FROM c']));
+
+    await expect(analyze({ input: TEST_INPUT_DIR, indexAdvice: { queryFile } }))
+      .rejects.toThrow('must map container patterns to arrays of SQL queries');
+  });
+
+  it('should annotate containers from a query log and check its queries against the index', async () => {
+    const queryLog = join(TEST_INPUT_DIR, 'queries.csv');
+    await writeFile(join(TEST_INPUT_DIR, 'shop', 'orders.meta.json'), JSON.stringify({
+      indexingPolicy: { indexingMode: 'consistent', includedPaths: [{ path: '/*' }], excludedPaths: [{ path: '/total/?' }] }
+    }));
+    await writeFile(queryLog, [
+      'databasename_s,collectionname_s,querytext_s,requestcharge_s',
+      'shop,orders,SELECT * FROM c WHERE c.total > 10,5',
+      'shop,orders,SELECT * FROM c WHERE c.total > 10,7',
+      'other,orders,SELECT * FROM c WHERE c.CustomerId = @id,1',
+      'shop,,SELECT * FROM c,1'
+    ].join('\n'));
+    const messages = [];
+    const logger = new Proxy({}, { get: () => (message) => messages.push(message) });
+
+    const data = await analyze({ input: TEST_INPUT_DIR, queryLog }, { logger });
+    const orders = data.containerSchemas['shop/orders'];
+
+    expect(orders.queryUsage.executions).toBe(2);
+    expect(orders.queryUsage.topQueries[0]).toMatchObject({ count: 2, requestCharge: 6 });
+    expect(orders.properties.total.queryUse.executions).toBe(2);
+    expect(orders.properties.CustomerId.queryUse).toBeUndefined();
+    expect(orders.indexingAdvice.findings.map(finding => finding.kind)).toEqual(['excluded']);
+    expect(orders.indexingAdvice.queries.production).toBe(1);
+    expect(data.containerSchemas['shop/customers'].queryUsage).toBeUndefined();
+    expect(messages).toContain('Query log: 3 queries, 1 row without a container or query skipped');
+  });
+
+  it('should stop with partial results when the RU budget is exhausted', async () => {
+    const client = createFakeClient({ orders: [{ id: 'o1' }], customers: [{ id: 'c1' }] });
+
+    const data = await analyze({
+      endpoint: 'https://fake',
+      client,
+      throttling: { concurrency: 1, requestUnitBudget: 50 }
+    });
+
+    expect(Object.keys(data.containerSchemas)).toEqual(['shop/orders']);
+    expect(data.requestUnits.exhausted).toBe(true);
+    expect(data.requestUnits.skippedContainers).toEqual(['shop/customers']);
+  });
+
+  it('should not record request units for offline runs', async () => {
+    const data = await analyze({ input: TEST_INPUT_DIR });
+    expect(data.requestUnits).toBeUndefined();
+  });
+
+  describe('incremental analysis', () => {
+    const cacheDir = join(TEST_INPUT_DIR, '.cache');
+    const options = client => ({ endpoint: 'https://fake', client, incremental: true, versioning: { cacheDir } });
+
+    it('should fold changed documents into the stored state', async () => {
+      const changes = {};
+      const client = createFakeClient({ orders: [{ id: 'o1', total: 1 }] }, 1, changes);
+      await analyze(options(client));
+
+      changes.orders = [{ id: 'o2', total: 2, coupon: 'SAVE10' }];
+      const data = await analyze(options(client));
+
+      const schema = data.containerSchemas['shop/orders'];
+      expect(schema.documentCount).toBe(2);
+      expect(schema.properties.coupon.frequency).toBe(0.5);
+      expect(schema.properties.id.allValues).toEqual(['o1', 'o2']);
+      expect(schema.sampling.incremental.changedDocuments).toBe(1);
+    });
+
+    it('should sample afresh when --full is set', async () => {
+      const changes = {};
+      const client = createFakeClient({ orders: [{ id: 'o1', total: 1 }] }, 1, changes);
+      await analyze(options(client));
+
+      changes.orders = [{ id: 'o2', coupon: 'SAVE10' }];
+      const data = await analyze({ ...options(client), full: true });
+
+      const schema = data.containerSchemas['shop/orders'];
+      expect(schema.documentCount).toBe(1);
+      expect(schema.properties.coupon).toBeUndefined();
+      expect(schema.sampling.incremental).toBeUndefined();
+    });
+
+    it('should sample afresh when container settings change', async () => {
+      const changes = {};
+      const client = createFakeClient({ orders: [{ id: 'o1', total: 1 }] }, 1, changes);
+      await analyze(options(client));
+
+      const data = await analyze({ ...options(client), excludePaths: ['total'] });
+
+      expect(data.containerSchemas['shop/orders'].sampling.incremental).toBeUndefined();
+      expect(data.containerSchemas['shop/orders'].properties.total).toBeUndefined();
+    });
+
+    it('should store only redacted sample values', async () => {
+      const client = createFakeClient({ orders: [{ id: 'o1', email: 'ann@example.com', note: 'leave at door' }] }, 1);
+      await analyze({ ...options(client), redaction: { rules: [{ path: 'note', action: 'drop' }] } });
+
+      const stored = await readFile(join(cacheDir, 'incremental', 'shop', 'orders.json'), 'utf-8');
+      expect(stored).toContain('a**@e******.com');
+      expect(stored).not.toContain('ann@example.com');
+      expect(stored).not.toContain('leave at door');
+    });
+
+    it('should fall back to full sampling for offline runs', async () => {
+      const data = await analyze({ input: TEST_INPUT_DIR, incremental: true, versioning: { cacheDir } });
+      expect(data.containerSchemas['shop/orders'].documentCount).toBe(2);
+    });
+  });
+
+  it('should report progress through a supplied logger', async () => {
+    const messages = [];
+    const logger = new Proxy({}, { get: () => (message) => messages.push(message) });
+
+    await analyze({ input: TEST_INPUT_DIR }, { logger });
+
+    expect(messages).toContain('Reading exported documents...');
+  });
+
+  it('should report progress through large samples', async () => {
+    const events = Array.from({ length: 25000 }, (_, i) => ({ id: `e${i}` }));
+    const client = createFakeClient({ events });
+    const progress = [];
+    const logger = new Proxy({}, {
+      get: (_, method) => (...args) => method === 'progress' && progress.push(args)
+    });
+
+    const data = await analyze({ endpoint: 'https://fake', client, sampleSize: 30000 }, { logger });
+
+    expect(data.containerSchemas['shop/events'].documentCount).toBe(25000);
+    expect(progress).toEqual([['events', 25000, 30000]]);
+  });
+
+  it('should not report progress for small samples', async () => {
+    const progress = [];
+    const logger = new Proxy({}, {
+      get: (_, method) => (...args) => method === 'progress' && progress.push(args)
+    });
+
+    await analyze({ input: TEST_INPUT_DIR }, { logger });
+
+    expect(progress).toEqual([]);
+  });
+});
@@ -21,6 +21,16 @@ describe('changeClassifier', () => {
       expect(isBreakingPropertyChange(change)).toBe(true);
     });
 
+    it('should NOT mark a property that fell out of the sample as breaking', () => {
+      const change = {
+        changeType: 'OUT_OF_SAMPLE',
+        before: { types: ['string'], lastSeen: '2023-06-01T00:00:00.000Z' },
+        after: null
+      };
+      expect(isBreakingPropertyChange(change)).toBe(false);
+      expect(getChangeImpact({ ...change, propertyPath: 'fax' })).toBe('info');
+    });
+
     it('should mark type narrowing as breaking', () => {
       const change = {
         changeType: 'TYPE_CHANGED',
@@ -169,11 +179,30 @@ describe('changeClassifier', () => {
       expect(getChangeImpact(change)).toBe('critical');
     });
 
+    it('should return warning for a container going stale', () => {
+      const change = { changeType: 'ACTIVITY_CHANGED', container: 'shop/orders', after: { isStale: true } };
+      expect(getChangeImpact(change)).toBe('warning');
+      expect(isBreakingContainerChange(change)).toBe(false);
+    });
+
     it('should return info for added property', () => {
       const change = { changeType: 'ADDED', propertyPath: 'newField' };
       expect(getChangeImpact(change)).toBe('info');
     });
 
+    it('should return warning for an added sensitive property', () => {
+      const change = { changeType: 'ADDED', propertyPath: 'ssn', after: { classification: { label: 'PII' } } };
+      expect(getChangeImpact(change)).toBe('warning');
+      expect(isBreakingPropertyChange(change)).toBe(false);
+    });
+
+    it('should return warning only when a classification becomes more sensitive', () => {
+      const raised = { changeType: 'CLASSIFICATION_CHANGED', propertyPath: 'notes', before: {}, after: { classification: { label: 'PII' } } };
+      const lowered = { changeType: 'CLASSIFICATION_CHANGED', propertyPath: 'region', before: { classification: { label: 'PII' } }, after: { classification: { label: 'Internal' } } };
+      expect(getChangeImpact(raised)).toBe('warning');
+      expect(getChangeImpact(lowered)).toBe('info');
+    });
+
     it('should return warning for breaking type change', () => {
       const change = {
         changeType: 'TYPE_CHANGED',
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { inferSchema, createSchemaState, addDocumentToState, mergeSchemaStates, finaliseSchemaState } from '../../src/analysis/schemaInferrer.js';
+import {
+  countClassifications,
+  listSensitiveProperties,
+  listSensitiveContainers,
+  describeClassification
+} from '../../src/analysis/classification.js';
+
+const customers = [
+  {
+    id: 'c1',
+    dateOfBirth: '1980-04-02',
+    billing_address: { line1: '1 High St', city: 'Leeds' },
+    card: '4111 1111 1111 1111',
+    iban: 'GB82 WEST 1234 5698 7654 32',
+    account: 'DE89370400440532013000',
+    lastLoginIp: '203.0.113.7',
+    taxRef: '123-45-6789',
+    region: 'SW1A 1AA',
+    contact: 'ann@example.com',
+    passwordHash: 'x',
+    status: 'active'
+  },
+  {
+    id: 'c2',
+    dateOfBirth: '1975-11-30',
+    billing_address: { line1: '2 Low Rd', city: 'York' },
+    card: '5555-5555-5555-4444',
+    iban: 'DE89 3704 0044 0532 0130 00',
+    account: 'GB82WEST12345698765432',
+    lastLoginIp: '2001:db8::1',
+    taxRef: 'AB 12 34 56 C',
+    region: 'LS1 4AP',
+    contact: 'bob@example.com',
+    passwordHash: 'y',
+    status: 'closed'
+  }
+];
+
+describe('classification', () => {
+  it('should label properties from their names', () => {
+    const { properties } = inferSchema(customers);
+
+    expect(properties.dateOfBirth.classification).toEqual({ label: 'PII', reasons: ['name suggests a date of birth'] });
+    expect(properties.billing_address.classification.label).toBe('PII');
+    expect(properties.passwordHash.classification).toEqual({ label: 'Confidential', reasons: ['name suggests a credential'] });
+    expect(properties.status.classification).toBeUndefined();
+    expect(properties.id.classification).toBeUndefined();
+  });
+
+  it('should only take address-like names for postal addresses', () => {
+    const label = name => inferSchema([{ [name]: 'x' }]).properties[name].classification?.label;
+
+    expect(['shippingAddress', 'zip', 'zipCode', 'postal_code', 'addressLine2'].map(label)).toEqual(['PII', 'PII', 'PII', 'PII', 'PII']);
+    expect(['useGzip', 'macAddress', 'serverIpAddress', 'walletAddress'].map(label)).toEqual([undefined, undefined, undefined, undefined]);
+  });
+
+  it('should label properties from their values', () => {
+    const { properties } = inferSchema(customers);
+    const reason = path => properties[path].classification?.reasons[0];
+
+    expect(reason('card')).toBe('100% of values are payment card numbers');
+    expect(reason('account')).toBe('100% of values are IBANs');
+    expect(reason('lastLoginIp')).toBe('100% of values are IP addresses');
+    expect(reason('taxRef')).toBe('100% of values are national ID numbers');
+    expect(reason('region')).toBe('100% of values are postcodes');
+    expect(reason('contact')).toBe('100% of values are email addresses');
+  });
+
+  it('should need most values to match and card numbers to pass the Luhn check', () => {
+    const { properties } = inferSchema([
+      { ref: '4111111111111112', note: '203.0.113.7' },
+      { ref: '4111111111111113', note: 'hello' },
+      { ref: '4111111111111111', note: 'world' }
+    ]);
+
+    expect(properties.ref.classification).toBeUndefined();
+    expect(properties.note.classification).toBeUndefined();
+  });
+
+  it('should pass labels down to nested properties and array items', () => {
+    const { properties } = inferSchema([
+      { billing_address: { line1: '1 High St', geo: { lat: 1 } }, emails: ['a@example.com'], previousAddresses: [{ town: 'Hull' }] }
+    ]);
+
+    expect(properties['billing_address.line1'].classification).toEqual({ label: 'PII', reasons: ['inside `billing_address`'] });
+    expect(properties['billing_address.geo.lat'].classification.label).toBe('PII');
+    expect(properties['emails[]'].classification.label).toBe('PII');
+    expect(properties['previousAddresses[].town'].classification.reasons).toEqual(['inside `previousAddresses[]`']);
+  });
+
+  it('should apply custom rules first, including to lower a label', () => {
+    const config = {
+      typeDetection: { customPatterns: [{ name: 'employeeId', pattern: '^EMP-\\d+$' }] },
+      classification: {
+        rules: [
+          { label: 'Confidential', name: '^salary', reason: 'HR data' },
+          { label: 'Internal', path: 'supportContact.*' },
+          { label: 'PII', type: 'employeeId' }
+        ]
+      }
+    };
+    const { properties } = inferSchema([
+      { salaryBand: 'B', staff: 'EMP-12', supportContact: { email: 'help@example.com' } }
+    ], config);
+
+    expect(properties.salaryBand.classification).toEqual({ label: 'Confidential', reasons: ['HR data'] });
+    expect(properties.staff.classification).toEqual({ label: 'PII', reasons: ['custom rule'] });
+    expect(properties['supportContact.email'].classification.label).toBe('Internal');
+  });
+
+  it('should give unflagged properties the default label, or none when turned off', () => {
+    const labelled = inferSchema(customers, { classification: { defaultLabel: 'Internal' } });
+    const off = inferSchema(customers, { classification: { enabled: false } });
+
+    expect(labelled.properties.status.classification).toEqual({ label: 'Internal', reasons: [] });
+    expect(labelled.properties.dateOfBirth.classification.label).toBe('PII');
+    expect(Object.values(off.properties).some(prop => prop.classification || prop.sensitiveValues)).toBe(false);
+  });
+
+  it('should classify merged states like a single sample', () => {
+    const a = addDocumentToState(createSchemaState(), customers[0]);
+    const b = addDocumentToState(createSchemaState(), { ...customers[1], card: 'n/a', lastLoginIp: null });
+
+    const { properties } = finaliseSchemaState(mergeSchemaStates(a, b));
+
+    expect(properties.card.classification.reasons).toEqual(['50% of values are payment card numbers']);
+    expect(properties.lastLoginIp.classification.reasons).toEqual(['100% of values are IP addresses']);
+  });
+
+  it('should summarise sensitive properties per schema and container', () => {
+    const schema = inferSchema(customers);
+
+    expect(countClassifications(schema.properties)).toEqual([
+      { label: 'PII', count: 11 },
+      { label: 'Confidential', count: 1 }
+    ]);
+    expect(listSensitiveProperties(schema.properties).map(prop => prop.path).slice(0, 3)).toEqual(['account', 'billing_address', 'billing_address.city']);
+    expect(listSensitiveContainers({ shop: { containers: ['customers', 'orders'] } }, { 'shop/customers': schema, 'shop/orders': inferSchema([{ id: 'o1' }]) }))
+      .toEqual([{ database: 'shop', container: 'customers', counts: [{ label: 'PII', count: 11 }, { label: 'Confidential', count: 1 }] }]);
+    expect(describeClassification(schema.properties.dateOfBirth.classification)).toBe('PII (name suggests a date of birth)');
+  });
+});
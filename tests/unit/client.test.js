@@ -0,0 +1,280 @@
+import { describe, it, expect } from 'vitest';
+import { sampleDocuments, sampleDocumentPages, readChanges, getContainerStats, getWriteActivity, measureRequestCharges } from '../../src/cosmos/client.js';
+import { createRequestMeter, isBudgetExhausted } from '../../src/cosmos/requestMeter.js';
+
+/**
+ * Stand-in for a CosmosClient whose queries return `pages` one fetchNext at a time.
+ */
+function createPagedClient(pages, { charge = 1, changePages = [] } = {}) {
+  const queries = [];
+  return {
+    queries,
+    database: () => ({
+      container: () => ({
+        items: {
+          query: (query, options) => {
+            queries.push({ query, options });
+            let next = 0;
+            return {
+              hasMoreResults: () => next < pages.length,
+              fetchNext: () => Promise.resolve({ resources: pages[next++], requestCharge: charge })
+            };
+          },
+          getChangeFeedIterator: () => {
+            let next = 0;
+            return {
+              hasMoreResults: true,
+              readNext: () => {
+                const result = changePages[next++] || [];
+                return Promise.resolve({
+                  result,
+                  statusCode: result.length ? 200 : 304,
+                  continuationToken: `token-${next}`,
+                  requestCharge: charge
+                });
+              }
+            };
+          }
+        }
+      })
+    })
+  };
+}
+
+async function collect(pages) {
+  const result = [];
+  for await (const page of pages) {
+    result.push(page);
+  }
+  return result;
+}
+
+describe('client', () => {
+  describe('sampleDocumentPages', () => {
+    it('should yield each query page as it is fetched', async () => {
+      const client = createPagedClient([[{ id: 'a' }, { id: 'b' }], [{ id: 'c' }]]);
+
+      const pages = await collect(sampleDocumentPages(client, 'shop', 'orders', 3, 'recent'));
+
+      expect(pages).toEqual([[{ id: 'a' }, { id: 'b' }], [{ id: 'c' }]]);
+      expect(client.queries[0].options.maxItemCount).toBe(1000);
+    });
+
+    it('should keep the pages read so far when the RU budget runs out', async () => {
+      const client = createPagedClient([[{ id: 'a' }], [{ id: 'b' }], [{ id: 'c' }]], { charge: 5 });
+      const meter = createRequestMeter({ budget: 10 });
+
+      const pages = await collect(sampleDocumentPages(client, 'shop', 'orders', 3, 'recent', meter));
+
+      expect(pages).toEqual([[{ id: 'a' }], [{ id: 'b' }]]);
+    });
+
+    it('should yield a random sample in pages of at most 1000', async () => {
+      const documents = Array.from({ length: 2500 }, (_, i) => ({ id: `d${i}` }));
+      const client = createPagedClient([documents.slice(0, 1000), documents.slice(1000)]);
+
+      const pages = await collect(sampleDocumentPages(client, 'shop', 'orders', 1500, 'random'));
+
+      expect(pages.map(page => page.length)).toEqual([1000, 500]);
+    });
+
+    it('should meter reading the feed ranges of a stratified sample', async () => {
+      const ranges = [];
+      const client = {
+        database: () => ({
+          container: () => ({
+            getFeedRanges: () => {
+              ranges.push('read');
+              return Promise.resolve(['range-1', 'range-2']);
+            }
+          })
+        })
+      };
+      const meter = createRequestMeter({ budget: 1 });
+      await meter.run('shop/orders', () => Promise.resolve({ requestCharge: 1 }));
+
+      const error = await collect(sampleDocumentPages(client, 'shop', 'orders', 10, 'stratified', meter)).catch(e => e);
+
+      expect(isBudgetExhausted(error)).toBe(true);
+      expect(ranges).toEqual([]);
+    });
+
+    it('should end without pages for a missing container', async () => {
+      const client = {
+        database: () => ({
+          container: () => ({
+            items: {
+              query: () => ({
+                hasMoreResults: () => true,
+                fetchNext: () => Promise.reject(Object.assign(new Error('Not found'), { code: 404 }))
+              })
+            }
+          })
+        })
+      };
+
+      expect(await collect(sampleDocumentPages(client, 'shop', 'gone', 10))).toEqual([]);
+    });
+  });
+
+  describe('sampleDocuments', () => {
+    it('should collect every page', async () => {
+      const client = createPagedClient([[{ id: 'a' }], [{ id: 'b' }]]);
+      expect(await sampleDocuments(client, 'shop', 'orders', 2)).toEqual([{ id: 'a' }, { id: 'b' }]);
+    });
+  });
+
+  describe('readChanges', () => {
+    it('should collect changed documents and the token after the last read', async () => {
+      const client = createPagedClient([], { changePages: [[{ id: 'a' }], [{ id: 'b' }]] });
+
+      const changes = await readChanges(client, 'shop', 'orders', 'token-0');
+
+      expect(changes.documents).toEqual([{ id: 'a' }, { id: 'b' }]);
+      expect(changes.continuationToken).toBe('token-3');
+    });
+  });
+
+  describe('getContainerStats', () => {
+    const createCountClient = fetchAll => ({
+      database: () => ({ container: () => ({ items: { query: () => ({ fetchAll }) } }) })
+    });
+
+    it('should count documents, or report none when the count fails', async () => {
+      expect(await getContainerStats(createCountClient(() => Promise.resolve({ resources: [42], requestCharge: 3 }))))
+        .toEqual({ documentCount: 42 });
+      expect(await getContainerStats(createCountClient(() => Promise.reject(new Error('Gone')))))
+        .toEqual({ documentCount: 0 });
+    });
+
+    it('should let a spent RU budget end the container', async () => {
+      const meter = createRequestMeter({ budget: 1 });
+      await meter.run('shop/orders', () => Promise.resolve({ requestCharge: 1 }));
+
+      const error = await getContainerStats(createCountClient(() => Promise.resolve({ resources: [42] })), 'shop', 'orders', meter).catch(e => e);
+
+      expect(isBudgetExhausted(error)).toBe(true);
+    });
+  });
+
+  describe('getWriteActivity', () => {
+    /**
+     * Stand-in answering MAX(c._ts) with `newest` and each window count from `counts`.
+     */
+    function createAggregateClient(newest, counts) {
+      const queries = [];
+      const client = {
+        database: () => ({
+          container: () => ({
+            items: {
+              query: querySpec => {
+                queries.push(querySpec);
+                const resources = querySpec.query.includes('MAX') ? [newest] : [counts[queries.length - 2]];
+                return { fetchAll: () => Promise.resolve({ resources, requestCharge: 1 }) };
+              }
+            }
+          })
+        })
+      };
+      return { client, queries };
+    }
+
+    it('should query the newest _ts and a count per window', async () => {
+      const { client, queries } = createAggregateClient(1700000000, [3, 40]);
+
+      const activity = await getWriteActivity(client, 'shop', 'orders', [1, 7]);
+
+      expect(activity).toEqual({ lastWrite: 1700000000, windows: [{ days: 1, writes: 3 }, { days: 7, writes: 40 }] });
+      const since = queries.slice(1).map(query => query.parameters[0].value);
+      expect(since[0] - since[1]).toBe(6 * 24 * 60 * 60);
+    });
+
+    it('should return null when the queries fail', async () => {
+      const client = {
+        database: () => ({
+          container: () => ({
+            items: { query: () => ({ fetchAll: () => Promise.reject(new Error('Forbidden')) }) }
+          })
+        })
+      };
+
+      expect(await getWriteActivity(client, 'shop', 'orders', [1])).toBeNull();
+    });
+  });
+
+  describe('measureRequestCharges', () => {
+    /**
+     * Stand-in where point reads cost 1 RU and each query `charges[query]` RU.
+     * Queries without a charge are rejected as bad requests, and point reads
+     * with `readError` when given.
+     */
+    function createMeasuredClient(doc, charges, readError = null) {
+      const reads = [];
+      const client = {
+        database: () => ({
+          container: () => ({
+            item: (id, partitionKey) => ({
+              read: () => {
+                reads.push({ id, partitionKey });
+                return readError ? Promise.reject(readError) : Promise.resolve({ resource: doc, requestCharge: 1 });
+              }
+            }),
+            items: {
+              query: query => ({
+                fetchNext: () => query in charges
+                  ? Promise.resolve({ resources: [doc], requestCharge: charges[query] })
+                  : Promise.reject(Object.assign(new Error('Syntax error'), { code: 400 }))
+              })
+            }
+          })
+        })
+      };
+      return { client, reads };
+    }
+
+    const doc = { id: 'o1', tenant: { id: 't1' }, region: 'eu' };
+
+    it('should point read a document by id and partition key and charge each query', async () => {
+      const { client, reads } = createMeasuredClient(doc, { 'SELECT TOP 1 * FROM c': 2, 'SELECT * FROM c': 3.456 });
+      const meter = createRequestMeter();
+
+      const costs = await measureRequestCharges(client, 'shop', 'orders', ['/region'], [
+        { name: 'Select all documents', query: 'SELECT * FROM c' },
+        { name: 'Broken', query: 'SELECT * FROM c WHERE c.order = 1' }
+      ], meter);
+
+      expect(reads).toEqual([{ id: 'o1', partitionKey: 'eu' }]);
+      expect(costs).toEqual({
+        pointRead: { requestCharge: 1, bytes: 46 },
+        queries: [{ name: 'Select all documents', query: 'SELECT * FROM c', requestCharge: 3.46, itemCount: 1 }]
+      });
+      expect(meter.summary().byContainer).toEqual({ 'shop/orders': 6.46 });
+    });
+
+    it('should pass hierarchical partition key values as an array', async () => {
+      const { client, reads } = createMeasuredClient(doc, { 'SELECT TOP 1 * FROM c': 1 });
+
+      await measureRequestCharges(client, 'shop', 'orders', ['/tenant/id', '/region'], []);
+
+      expect(reads[0].partitionKey).toEqual(['t1', 'eu']);
+    });
+
+    it('should keep the query charges when the point read fails', async () => {
+      const notFound = Object.assign(new Error('Not found'), { code: 404 });
+      const { client } = createMeasuredClient(doc, { 'SELECT TOP 1 * FROM c': 1, 'SELECT * FROM c': 2 }, notFound);
+
+      const costs = await measureRequestCharges(client, 'shop', 'orders', ['/region'], [{ name: 'Select all documents', query: 'SELECT * FROM c' }]);
+
+      expect(costs).toEqual({
+        pointRead: null,
+        queries: [{ name: 'Select all documents', query: 'SELECT * FROM c', requestCharge: 2, itemCount: 1 }]
+      });
+    });
+
+    it('should return null when every request fails', async () => {
+      const { client } = createMeasuredClient(doc, {});
+
+      expect(await measureRequestCharges(client, 'shop', 'orders', ['/id'], [])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { mapWithConcurrency } from '../../src/utils/concurrency.js';
+
+describe('mapWithConcurrency', () => {
+  it('should keep results in input order', async () => {
+    const delays = [30, 5, 15, 0];
+
+    const results = await mapWithConcurrency(delays, 2, async (ms, i) => {
+      await new Promise(resolve => setTimeout(resolve, ms));
+      return i;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should never exceed the concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      active--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  it('should handle empty input', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
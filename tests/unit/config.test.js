@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { matchesPattern, shouldIncludeContainer, loadConfig, getDefaultConfig } from '../../src/config/index.js';
+import { matchesPattern, shouldIncludeContainer, resolveContainerConfig, loadConfig, resolveConfig, getDefaultConfig } from '../../src/config/index.js';
 
 describe('config', () => {
   describe('matchesPattern', () => {
@@ -78,6 +78,123 @@ describe('config', () => {
     });
   });
 
+  describe('resolveContainerConfig', () => {
+    const config = resolveConfig({
+      input: './export',
+      sampling: { strategy: 'recent' },
+      containerOverrides: {
+        'events-*': {
+          sampleSize: 1000,
+          sampling: 'timeBucketed',
+          typeDetection: { enumDetection: { maxUniqueValues: 25 } },
+          excludePaths: ['payload']
+        },
+        'lookups/*': {
+          sampleSize: 20,
+          sampling: 'random',
+          typeDetection: { customPatterns: [{ name: 'sku', pattern: '^SKU-' }] },
+          validation: { enabled: true }
+        },
+        'lookups/events-*': { sampling: { strategy: 'oldest' } },
+        'shop/entities': { discriminator: 'docType' },
+        'shop/logs': { discriminator: false, versionField: false },
+        'shop/users': { versionField: '_v' },
+        'archive/*': { freshness: { staleAfterDays: 365 }, costs: { enabled: false }, indexAdvice: { enabled: false } },
+        'hr/*': { classification: { defaultLabel: 'Confidential' }, redaction: { rules: [{ path: 'salary', action: 'drop' }] } },
+        'links/*': { typeDetection: { objectPatterns: [{ name: 'Link', required: { $ref: 'string' } }], builtInObjectPatterns: false } }
+      }
+    });
+
+    it('should return the global settings when no override matches', () => {
+      const effective = resolveContainerConfig(config, 'shop', 'orders');
+
+      expect(effective.sampleSize).toBe(100);
+      expect(effective.sampling.strategy).toBe('recent');
+      expect(effective.excludePaths).toEqual([]);
+      expect(effective.validation.enabled).toBe(false);
+    });
+
+    it('should merge nested settings key by key', () => {
+      const effective = resolveContainerConfig(config, 'shop', 'events-2024');
+
+      expect(effective.sampleSize).toBe(1000);
+      expect(effective.sampling.strategy).toBe('timeBucketed');
+      expect(effective.typeDetection.enumDetection).toMatchObject({ maxUniqueValues: 25, minFrequency: 0.8 });
+      expect(effective.excludePaths).toEqual(['payload']);
+    });
+
+    it('should match database-qualified patterns', () => {
+      const effective = resolveContainerConfig(config, 'lookups', 'countries');
+
+      expect(effective.sampleSize).toBe(20);
+      expect(effective.sampling.strategy).toBe('random');
+      expect(effective.typeDetection.customPatterns[0].name).toBe('sku');
+      expect(effective.validation.enabled).toBe(true);
+      expect(effective.validation.weights.referentialIntegrity).toBe(0.45);
+    });
+
+    it('should apply discriminator overrides', () => {
+      expect(resolveContainerConfig(config, 'shop', 'orders').discriminator).toBeNull();
+      expect(resolveContainerConfig(config, 'shop', 'entities').discriminator).toBe('docType');
+      expect(resolveContainerConfig(config, 'shop', 'logs').discriminator).toBe(false);
+    });
+
+    it('should apply version field overrides', () => {
+      expect(resolveContainerConfig(config, 'shop', 'orders').versionField).toBeNull();
+      expect(resolveContainerConfig(config, 'shop', 'users').versionField).toBe('_v');
+      expect(resolveContainerConfig(config, 'shop', 'logs').versionField).toBe(false);
+    });
+
+    it('should merge freshness overrides key by key', () => {
+      expect(resolveContainerConfig(config, 'shop', 'orders').freshness.staleAfterDays).toBe(90);
+      expect(resolveContainerConfig(config, 'archive', 'orders').freshness)
+        .toEqual({ enabled: true, windows: [30], staleAfterDays: 365, deprecatedAfterDays: 30 });
+    });
+
+    it('should let overrides turn request charge measurement off', () => {
+      expect(resolveContainerConfig(config, 'shop', 'orders').costs.enabled).toBe(true);
+      expect(resolveContainerConfig(config, 'archive', 'orders').costs.enabled).toBe(false);
+    });
+
+    it('should let overrides turn indexing advice off', () => {
+      expect(resolveContainerConfig(config, 'shop', 'orders').indexAdvice.enabled).toBe(true);
+      expect(resolveContainerConfig(config, 'archive', 'orders').indexAdvice).toEqual({ enabled: false, queryFile: null });
+    });
+
+    it('should merge classification overrides key by key', () => {
+      expect(resolveContainerConfig(config, 'shop', 'orders').classification.defaultLabel).toBeNull();
+      expect(resolveContainerConfig(config, 'hr', 'staff').classification)
+        .toEqual({ enabled: true, defaultLabel: 'Confidential', rules: [] });
+    });
+
+    it('should let overrides replace redaction rules', () => {
+      expect(resolveContainerConfig(config, 'shop', 'orders').redaction.rules).toEqual([]);
+      expect(resolveContainerConfig(config, 'hr', 'staff').redaction)
+        .toEqual({ enabled: true, rules: [{ path: 'salary', action: 'drop' }], salt: '' });
+    });
+
+    it('should let overrides replace object patterns', () => {
+      const orders = resolveContainerConfig(config, 'shop', 'orders').typeDetection;
+      const links = resolveContainerConfig(config, 'links', 'pages').typeDetection;
+
+      expect(orders.objectPatterns).toEqual([]);
+      expect(orders.builtInObjectPatterns).toBe(true);
+      expect(links.objectPatterns).toEqual([{ name: 'Link', required: { $ref: 'string' } }]);
+      expect(links.builtInObjectPatterns).toBe(false);
+    });
+
+    it('should let later matching overrides win', () => {
+      expect(resolveContainerConfig(config, 'lookups', 'events-1').sampling.strategy).toBe('oldest');
+    });
+
+    it('should not mutate the global config', () => {
+      resolveContainerConfig(config, 'shop', 'events-2024');
+
+      expect(config.typeDetection.enumDetection.maxUniqueValues).toBe(10);
+      expect(config.sampling.strategy).toBe('recent');
+    });
+  });
+
   describe('getDefaultConfig', () => {
     it('should return default configuration', () => {
       const defaults = getDefaultConfig();
@@ -167,10 +284,49 @@ describe('config', () => {
       await expect(loadConfig([])).rejects.toThrow('endpoint is required');
     });
 
+    it('should not require endpoint when --input is given', async () => {
+      delete process.env.COSMOS_ENDPOINT;
+
+      const config = await loadConfig(['--input', './exports']);
+      expect(config.input).toBe('./exports');
+    });
+
+    it('should read input directory from COSMOS_INPUT_DIR', async () => {
+      process.env.COSMOS_INPUT_DIR = './nightly-export';
+
+      const config = await loadConfig([]);
+      expect(config.input).toBe('./nightly-export');
+    });
+
+    it('should ignore a generic INPUT_DIR, which CI runners may set', async () => {
+      process.env.INPUT_DIR = './action-inputs';
+
+      const config = await loadConfig([]);
+      expect(config.input).toBeNull();
+    });
+
     it('should throw on invalid sample size', async () => {
       await expect(loadConfig(['--sample-size', '-5'])).rejects.toThrow('sampleSize must be a positive number');
     });
 
+    it('should parse --sampling flag', async () => {
+      const config = await loadConfig(['--sampling', 'random']);
+
+      expect(config.sampling.strategy).toBe('random');
+      expect(config.sampling.maxScan).toBe(10000);
+    });
+
+    it('should read sampling strategy from SAMPLING_STRATEGY', async () => {
+      process.env.SAMPLING_STRATEGY = 'stratified';
+
+      const config = await loadConfig([]);
+      expect(config.sampling.strategy).toBe('stratified');
+    });
+
+    it('should throw on invalid sampling strategy', async () => {
+      await expect(loadConfig(['--sampling', 'newest'])).rejects.toThrow('invalid sampling strategy: newest');
+    });
+
     it('should throw on invalid format', async () => {
       await expect(loadConfig(['--format', 'pdf'])).rejects.toThrow('invalid formats: pdf');
     });
@@ -205,6 +361,62 @@ describe('config', () => {
       expect(config.watch).toBe(true);
     });
 
+    it('should parse --incremental and --full flags', async () => {
+      const config = await loadConfig(['--incremental', '--full']);
+      expect(config.incremental).toBe(true);
+      expect(config.full).toBe(true);
+    });
+
+    it('should parse --discriminator and --no-discriminator flags', async () => {
+      expect((await loadConfig(['--discriminator', 'docType'])).discriminator).toBe('docType');
+      expect((await loadConfig(['--no-discriminator'])).discriminator).toBe(false);
+    });
+
+    it('should parse --version-field and --no-version-field flags', async () => {
+      expect((await loadConfig(['--version-field', '_v'])).versionField).toBe('_v');
+      expect((await loadConfig(['--no-version-field'])).versionField).toBe(false);
+    });
+
+    it('should parse --stale-after and --no-freshness flags', async () => {
+      expect((await loadConfig(['--stale-after', '30'])).freshness).toEqual({ enabled: true, windows: [30], staleAfterDays: 30, deprecatedAfterDays: 30 });
+      expect((await loadConfig(['--no-freshness'])).freshness.enabled).toBe(false);
+    });
+
+    it('should parse the --no-costs flag', async () => {
+      expect((await loadConfig([])).costs).toEqual({ enabled: true });
+      expect((await loadConfig(['--no-costs'])).costs).toEqual({ enabled: false });
+    });
+
+    it('should parse --index-queries and --no-index-advice flags', async () => {
+      expect((await loadConfig([])).indexAdvice).toEqual({ enabled: true, queryFile: null });
+      expect((await loadConfig(['--index-queries', 'queries.json'])).indexAdvice).toEqual({ enabled: true, queryFile: 'queries.json' });
+      expect((await loadConfig(['--no-index-advice'])).indexAdvice.enabled).toBe(false);
+    });
+
+    it('should parse the --query-log flag', async () => {
+      expect((await loadConfig([])).queryLog).toBeNull();
+      expect((await loadConfig(['--query-log', 'queries.csv'])).queryLog).toBe('queries.csv');
+    });
+
+    it('should parse the --no-classification flag', async () => {
+      expect((await loadConfig([])).classification).toEqual({ enabled: true, defaultLabel: null, rules: [] });
+      expect((await loadConfig(['--no-classification'])).classification.enabled).toBe(false);
+    });
+
+    it('should parse the --no-redaction flag', async () => {
+      expect((await loadConfig([])).redaction).toEqual({ enabled: true, rules: [], salt: '' });
+      expect((await loadConfig(['--no-redaction'])).redaction.enabled).toBe(false);
+    });
+
+    it('should parse --concurrency and --ru-budget flags', async () => {
+      const config = await loadConfig(['--concurrency', '8', '--ru-budget', '5000']);
+      expect(config.throttling).toEqual({ concurrency: 8, requestUnitBudget: 5000, maxRetries: 5 });
+    });
+
+    it('should reject an invalid concurrency', async () => {
+      await expect(loadConfig(['--concurrency', '0'])).rejects.toThrow('throttling.concurrency must be a positive integer');
+    });
+
     it('should parse --container flag', async () => {
       const config = await loadConfig(['--container', 'orders']);
       expect(config.container).toBe('orders');
@@ -260,4 +472,111 @@ describe('config', () => {
       expect(config.formats).toContain('jsonschema');
     });
   });
+
+  describe('resolveConfig', () => {
+    it('should fill in defaults for partial options', () => {
+      const config = resolveConfig({ endpoint: 'https://test', sampleSize: 25 });
+
+      expect(config.sampleSize).toBe(25);
+      expect(config.formats).toContain('markdown');
+      expect(config.validation.weights.referentialIntegrity).toBe(0.45);
+      expect(config.typeDetection.enumDetection.maxUniqueValues).toBe(10);
+    });
+
+    it('should merge nested sections key by key', () => {
+      const config = resolveConfig({
+        endpoint: 'https://test',
+        typeDetection: { enumDetection: { maxUniqueValues: 5 } }
+      });
+
+      expect(config.typeDetection.enumDetection.maxUniqueValues).toBe(5);
+      expect(config.typeDetection.enumDetection.minFrequency).toBe(0.8);
+      expect(config.typeDetection.customPatterns).toEqual([]);
+    });
+
+    it('should not mutate the defaults', () => {
+      resolveConfig({ endpoint: 'https://test', containers: { exclude: ['x'] } });
+
+      expect(getDefaultConfig().containers.exclude).toEqual([]);
+    });
+
+    it('should validate container overrides', () => {
+      expect(() => resolveConfig({ input: './x', containerOverrides: { orders: { sampleSize: 0 } } }))
+        .toThrow('containerOverrides["orders"].sampleSize must be a positive number');
+      expect(() => resolveConfig({ input: './x', containerOverrides: { orders: { sampling: 'never' } } }))
+        .toThrow('invalid sampling strategy: never');
+      expect(() => resolveConfig({ input: './x', containerOverrides: { orders: { discriminator: true } } }))
+        .toThrow('containerOverrides["orders"].discriminator must be a property name, null (detect) or false (off)');
+    });
+
+    it('should reject per-container sampling outside containerOverrides', () => {
+      expect(() => resolveConfig({
+        input: './x',
+        sampling: { strategy: 'recent', containers: { 'events-*': { strategy: 'timeBucketed' } } }
+      })).toThrow('sampling.containers is not supported; set sampling per container in containerOverrides');
+    });
+
+    it('should validate the version field', () => {
+      expect(() => resolveConfig({ input: './x', versionField: 2 }))
+        .toThrow('versionField must be a property name, null (detect) or false (off)');
+      expect(() => resolveConfig({ input: './x', containerOverrides: { users: { versionField: '' } } }))
+        .toThrow('containerOverrides["users"].versionField must be a property name, null (detect) or false (off)');
+    });
+
+    it('should validate freshness settings', () => {
+      expect(() => resolveConfig({ input: './x', freshness: { windows: [7, 0] } }))
+        .toThrow('freshness.windows must be an array of positive day counts');
+      expect(() => resolveConfig({ input: './x', containerOverrides: { logs: { freshness: { staleAfterDays: -1 } } } }))
+        .toThrow('containerOverrides["logs"].freshness.staleAfterDays must be zero (never stale) or a positive number');
+      expect(() => resolveConfig({ input: './x', freshness: { deprecatedAfterDays: 'soon' } }))
+        .toThrow('freshness.deprecatedAfterDays must be zero (never deprecated) or a positive number');
+    });
+
+    it('should validate classification settings', () => {
+      expect(() => resolveConfig({ input: './x', classification: { defaultLabel: 'Secret' } }))
+        .toThrow('classification.defaultLabel must be null or one of: Public, Internal, Confidential, PII');
+      expect(() => resolveConfig({ input: './x', classification: { rules: [{ label: 'PII' }] } }))
+        .toThrow('classification.rules[0] needs a name, path or type to match');
+      expect(() => resolveConfig({ input: './x', classification: { rules: [{ label: 'PII', name: '(' }] } }))
+        .toThrow('classification.rules[0].name is not a valid regular expression');
+      expect(() => resolveConfig({ input: './x', containerOverrides: { hr: { classification: { rules: [{ label: 'Top', name: 'x' }] } } } }))
+        .toThrow('containerOverrides["hr"].classification.rules[0].label must be one of: Public, Internal, Confidential, PII');
+    });
+
+    it('should validate redaction settings', () => {
+      expect(() => resolveConfig({ input: './x', redaction: { rules: [{ path: 'name', action: 'blur' }] } }))
+        .toThrow('redaction.rules[0].action must be one of: keep, drop, mask, hash, fake');
+      expect(() => resolveConfig({ input: './x', redaction: { rules: [{ action: 'mask' }] } }))
+        .toThrow('redaction.rules[0] needs a path or type to match');
+      expect(() => resolveConfig({ input: './x', redaction: { salt: 42 } }))
+        .toThrow('redaction.salt must be a string');
+      expect(() => resolveConfig({ input: './x', containerOverrides: { hr: { redaction: { rules: {} } } } }))
+        .toThrow('containerOverrides["hr"].redaction.rules must be an array');
+    });
+
+    it('should validate object patterns', () => {
+      const typeDetection = settings => ({ input: './x', typeDetection: settings });
+
+      expect(() => resolveConfig(typeDetection({ objectPatterns: {} })))
+        .toThrow('typeDetection.objectPatterns must be an array');
+      expect(() => resolveConfig(typeDetection({ objectPatterns: [{ required: { Id: 'guid' } }] })))
+        .toThrow('typeDetection.objectPatterns[0].name must be a non-empty string');
+      expect(() => resolveConfig(typeDetection({ objectPatterns: [{ name: 'Link', required: {} }] })))
+        .toThrow('typeDetection.objectPatterns[0].required must map at least one key to a value type');
+      expect(() => resolveConfig(typeDetection({ objectPatterns: [{ name: 'Link', required: { $ref: 'string' }, optional: { tenant: 3 } }] })))
+        .toThrow('typeDetection.objectPatterns[0].optional.tenant must be a type name or an array of type names');
+      expect(() => resolveConfig(typeDetection({ builtInObjectPatterns: 'no' })))
+        .toThrow('typeDetection.builtInObjectPatterns must be true or false');
+      expect(() => resolveConfig(typeDetection({ objectPatterns: [{ name: 'LookupObject', enabled: false }] }))).not.toThrow();
+    });
+
+    it('should validate the discriminator', () => {
+      expect(() => resolveConfig({ input: './x', discriminator: '' }))
+        .toThrow('discriminator must be a property name, null (detect) or false (off)');
+    });
+
+    it('should validate options', () => {
+      expect(() => resolveConfig({})).toThrow('endpoint is required');
+    });
+  });
 });
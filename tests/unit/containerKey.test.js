@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getContainerKey,
+  parseContainerKey,
+  getContainerSchema,
+  getDisplayNames
+} from '../../src/utils/containerKey.js';
+
+describe('containerKey', () => {
+  it('should build and parse database/container keys', () => {
+    expect(getContainerKey('shop', 'orders')).toBe('shop/orders');
+    expect(parseContainerKey('shop/orders')).toEqual({ database: 'shop', container: 'orders' });
+    expect(parseContainerKey('orders')).toEqual({ database: null, container: 'orders' });
+  });
+
+  it('should look up schemas by key and fall back to bare names', () => {
+    const keyed = { 'shop/orders': { documentCount: 1 } };
+    const bare = { orders: { documentCount: 2 } };
+
+    expect(getContainerSchema(keyed, 'shop', 'orders').documentCount).toBe(1);
+    expect(getContainerSchema(bare, 'shop', 'orders').documentCount).toBe(2);
+    expect(getContainerSchema(keyed, 'archive', 'orders')).toBeUndefined();
+  });
+
+  it('should only qualify display names shared across databases', () => {
+    const names = getDisplayNames(['shop/orders', 'archive/orders', 'shop/customers']);
+
+    expect(names.get('shop/orders')).toBe('shop/orders');
+    expect(names.get('archive/orders')).toBe('archive/orders');
+    expect(names.get('shop/customers')).toBe('customers');
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { inferSchema, createSchemaState, addDocumentToState, mergeSchemaStates, finaliseSchemaState } from '../../src/analysis/schemaInferrer.js';
+import { findDataQualityIssues } from '../../src/analysis/dataQuality.js';
+
+/**
+ * Uniform orders with a handful of planted anomalies.
+ */
+function createOrders() {
+  const orders = Array.from({ length: 300 }, (_, i) => ({
+    id: `o${i}`,
+    age: 20 + (i % 40),
+    total: 100 + (i % 50),
+    note: 'standard'
+  }));
+  orders[7].age = 'forty';
+  orders[12].total = 999999;
+  orders[20].debug = { on: true, level: 3 };
+  orders[30].payload = { a: { b: { c: { d: { e: 1 } } } } };
+  orders[40].note = 'y'.repeat(20000);
+  return orders;
+}
+
+const issuesOf = (schema, kind) => schema.dataQuality.issues.filter(issue => issue.kind === kind);
+
+describe('dataQuality', () => {
+  const schema = inferSchema(createOrders());
+
+  it('should flag rare types with the documents holding them', () => {
+    const [issue] = issuesOf(schema, 'typeOutlier');
+
+    expect(issue.propertyPath).toBe('age');
+    expect(issue.description).toBe('`age` is integer in 99.7% of documents but string in 0.3%');
+    expect(issue.documentIds).toEqual(['o7']);
+  });
+
+  it('should flag numeric values far outside the usual range', () => {
+    const [issue] = issuesOf(schema, 'numericOutlier');
+
+    expect(issue.propertyPath).toBe('total');
+    expect(issue.values).toEqual([999999]);
+    expect(issue.documentIds).toEqual(['o12']);
+  });
+
+  it('should flag properties seen in a single document once per stray object', () => {
+    const paths = issuesOf(schema, 'strayProperty').map(issue => [issue.propertyPath, issue.documentIds]);
+
+    expect(paths).toEqual([['debug', ['o20']], ['payload', ['o30']]]);
+  });
+
+  it('should flag abnormally large and deeply nested documents', () => {
+    expect(issuesOf(schema, 'largeDocument')[0]).toMatchObject({ documentIds: ['o40'], values: [expect.any(Number)] });
+    expect(issuesOf(schema, 'deepNesting')[0]).toMatchObject({ documentIds: ['o30'], values: [6] });
+  });
+
+  it('should not flag a uniform sample', () => {
+    const uniform = inferSchema(Array.from({ length: 50 }, (_, i) => ({ id: `d${i}`, amount: i, tags: ['a'] })));
+
+    expect(uniform.dataQuality.issues).toEqual([]);
+  });
+
+  it('should not flag mixed integers and numbers', () => {
+    const documents = Array.from({ length: 200 }, (_, i) => ({ id: `d${i}`, price: i === 5 ? 10.5 : 10 }));
+
+    expect(issuesOf(inferSchema(documents), 'typeOutlier')).toEqual([]);
+  });
+
+  it('should not flag a numeric string among strings or a date among datetimes', () => {
+    const documents = Array.from({ length: 200 }, (_, i) => ({
+      id: `d${i}`,
+      reference: i === 5 ? '12345' : `REF-${i}`,
+      placedAt: i === 9 ? '2024-01-15' : '2024-01-15T10:30:00Z'
+    }));
+
+    expect(issuesOf(inferSchema(documents), 'typeOutlier')).toEqual([]);
+  });
+
+  it('should not judge small samples', () => {
+    expect(inferSchema(createOrders().slice(0, 10)).dataQuality).toBeUndefined();
+    expect(findDataQualityIssues(createSchemaState())).toBeNull();
+  });
+
+  it('should find the same issues in merged states', () => {
+    const orders = createOrders();
+    const first = createSchemaState();
+    const second = createSchemaState();
+    orders.forEach((doc, i) => addDocumentToState(i % 2 ? second : first, doc));
+
+    const merged = finaliseSchemaState(mergeSchemaStates(first, second));
+
+    expect(merged.dataQuality.issues.map(issue => [issue.kind, issue.documentIds]))
+      .toEqual(schema.dataQuality.issues.map(issue => [issue.kind, issue.documentIds]));
+  });
+
+  it('should keep evidence out of the finalised schema', () => {
+    expect(schema.properties.age.quality).toBeUndefined();
+  });
+});
@@ -0,0 +1,266 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdir, rm, writeFile, readFile } from 'fs/promises';
+import { join } from 'path';
+import {
+  listDatabases,
+  listContainers,
+  sampleDocuments,
+  sampleDocumentPages,
+  getContainerInfo,
+  getContainerStats,
+  measureRequestCharges,
+  getWriteActivity
+} from '../../src/cosmos/fileSource.js';
+
+// Reads pass through, counted so tests can check each export is read once
+vi.mock('fs/promises', async importOriginal => {
+  const actual = await importOriginal();
+  return { ...actual, readFile: vi.fn(actual.readFile) };
+});
+
+const TEST_INPUT_DIR = '.test-export';
+
+describe('fileSource', () => {
+  beforeEach(async () => {
+    await rm(TEST_INPUT_DIR, { recursive: true, force: true });
+    await mkdir(join(TEST_INPUT_DIR, 'store'), { recursive: true });
+    await mkdir(join(TEST_INPUT_DIR, 'platform'), { recursive: true });
+
+    await writeFile(join(TEST_INPUT_DIR, 'store', 'orders.json'), JSON.stringify([
+      { id: 'o1', _ts: 100 },
+      { id: 'o2', _ts: 300 },
+      { id: 'o3', _ts: 200 }
+    ]));
+    await writeFile(join(TEST_INPUT_DIR, 'store', 'products.ndjson'), [
+      JSON.stringify({ id: 'p1', name: 'Widget' }),
+      '',
+      JSON.stringify({ id: 'p2', name: 'Gadget' })
+    ].join('\n'));
+    await writeFile(join(TEST_INPUT_DIR, 'store', 'orders.meta.json'), JSON.stringify({
+      id: 'orders',
+      partitionKey: { paths: ['/storeId'], kind: 'Hash' },
+      indexingPolicy: { indexingMode: 'consistent' },
+      defaultTtl: -1
+    }));
+    await writeFile(join(TEST_INPUT_DIR, 'platform', 'stores.jsonl'), JSON.stringify({ id: 's1' }));
+  });
+
+  afterEach(async () => {
+    await rm(TEST_INPUT_DIR, { recursive: true, force: true });
+  });
+
+  describe('listDatabases', () => {
+    it('should list database directories', async () => {
+      expect(await listDatabases(TEST_INPUT_DIR)).toEqual(['platform', 'store']);
+    });
+  });
+
+  describe('listContainers', () => {
+    it('should list container files of all supported formats', async () => {
+      expect(await listContainers(TEST_INPUT_DIR, 'store')).toEqual(['orders', 'products']);
+      expect(await listContainers(TEST_INPUT_DIR, 'platform')).toEqual(['stores']);
+    });
+
+    it('should not treat metadata sidecars as containers', async () => {
+      const containers = await listContainers(TEST_INPUT_DIR, 'store');
+      expect(containers).not.toContain('orders.meta');
+    });
+  });
+
+  describe('sampleDocuments', () => {
+    it('should read JSON array exports ordered by _ts descending', async () => {
+      const docs = await sampleDocuments(TEST_INPUT_DIR, 'store', 'orders', 10);
+      expect(docs.map(d => d.id)).toEqual(['o2', 'o3', 'o1']);
+    });
+
+    it('should respect the sample limit', async () => {
+      const docs = await sampleDocuments(TEST_INPUT_DIR, 'store', 'orders', 2);
+      expect(docs).toHaveLength(2);
+    });
+
+    it('should read NDJSON exports and skip blank lines', async () => {
+      const docs = await sampleDocuments(TEST_INPUT_DIR, 'store', 'products', 10);
+      expect(docs).toHaveLength(2);
+    });
+
+    it('should return empty array for missing containers', async () => {
+      expect(await sampleDocuments(TEST_INPUT_DIR, 'store', 'missing', 10)).toEqual([]);
+    });
+
+    it('should report the line number of invalid NDJSON', async () => {
+      await writeFile(join(TEST_INPUT_DIR, 'store', 'broken.ndjson'), '{"id":"ok"}\n{not json}');
+
+      await expect(sampleDocuments(TEST_INPUT_DIR, 'store', 'broken', 10)).rejects.toThrow('line 2');
+    });
+
+    it('should sample the oldest documents first', async () => {
+      const docs = await sampleDocuments(TEST_INPUT_DIR, 'store', 'orders', 2, 'oldest');
+      expect(docs.map(d => d.id)).toEqual(['o1', 'o3']);
+    });
+
+    it('should take a random sample of the requested size', async () => {
+      const docs = await sampleDocuments(TEST_INPUT_DIR, 'store', 'orders', 2, { strategy: 'random' });
+
+      expect(docs).toHaveLength(2);
+      docs.forEach(doc => expect(['o1', 'o2', 'o3']).toContain(doc.id));
+    });
+
+    it('should only scan maxScan documents for random sampling', async () => {
+      const docs = await sampleDocuments(TEST_INPUT_DIR, 'store', 'orders', 10, { strategy: 'random', maxScan: 2 });
+      expect(docs.map(d => d.id).sort()).toEqual(['o1', 'o2']);
+    });
+
+    it('should stratify by partition key value', async () => {
+      await writeFile(join(TEST_INPUT_DIR, 'store', 'orders.json'), JSON.stringify([
+        ...Array.from({ length: 20 }, (_, i) => ({ id: `hot${i}`, storeId: 'hot', _ts: 1000 + i })),
+        { id: 'cold1', storeId: 'cold', _ts: 1 },
+        { id: 'warm1', storeId: 'warm', _ts: 2 },
+        { id: 'warm2', storeId: 'warm', _ts: 3 }
+      ]));
+
+      const docs = await sampleDocuments(TEST_INPUT_DIR, 'store', 'orders', 6, 'stratified');
+      const ids = docs.map(d => d.id);
+
+      expect(docs).toHaveLength(6);
+      expect(ids).toContain('cold1');
+      expect(ids).toContain('warm1');
+      expect(ids).toContain('warm2');
+      expect(ids.filter(id => id.startsWith('hot'))).toHaveLength(3);
+    });
+
+    it('should take an equal share from each time bucket', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const day = 86400;
+      await writeFile(join(TEST_INPUT_DIR, 'store', 'orders.json'), JSON.stringify([
+        { id: 'today1', _ts: now - 10 },
+        { id: 'today2', _ts: now - 20 },
+        { id: 'today3', _ts: now - 30 },
+        { id: 'yesterday1', _ts: now - day - 10 },
+        { id: 'ancient', _ts: now - 30 * day }
+      ]));
+
+      const docs = await sampleDocuments(TEST_INPUT_DIR, 'store', 'orders', 4, {
+        strategy: 'timeBucketed', bucketUnit: 'day', bucketCount: 2
+      });
+
+      expect(docs.map(d => d.id)).toEqual(['today1', 'today2', 'yesterday1']);
+    });
+
+    it('should reject JSON exports that are not arrays', async () => {
+      await writeFile(join(TEST_INPUT_DIR, 'store', 'single.json'), '{"id":"x"}');
+
+      await expect(sampleDocuments(TEST_INPUT_DIR, 'store', 'single', 10)).rejects.toThrow('JSON array');
+    });
+  });
+
+  describe('sampleDocumentPages', () => {
+    it('should yield the sample in pages of 1000 documents', async () => {
+      const events = Array.from({ length: 2500 }, (_, i) => ({ id: `e${i}`, _ts: i }));
+      await writeFile(join(TEST_INPUT_DIR, 'store', 'events.json'), JSON.stringify(events));
+
+      const pages = [];
+      for await (const page of sampleDocumentPages(TEST_INPUT_DIR, 'store', 'events', 2500)) {
+        pages.push(page);
+      }
+
+      expect(pages.map(page => page.length)).toEqual([1000, 1000, 500]);
+      expect(pages[0][0].id).toBe('e2499');
+    });
+  });
+
+  describe('getContainerInfo', () => {
+    it('should load metadata from the sidecar file', async () => {
+      const info = await getContainerInfo(TEST_INPUT_DIR, 'store', 'orders');
+
+      expect(info.partitionKey).toEqual(['/storeId']);
+      expect(info.indexingPolicy).toEqual({ indexingMode: 'consistent' });
+      expect(info.defaultTtl).toBe(-1);
+    });
+
+    it('should accept az CLI output nested under resource', async () => {
+      await writeFile(join(TEST_INPUT_DIR, 'store', 'products.meta.json'), JSON.stringify({
+        resource: { id: 'products', partitionKey: { paths: ['/category'] } }
+      }));
+
+      const info = await getContainerInfo(TEST_INPUT_DIR, 'store', 'products');
+      expect(info.partitionKey).toEqual(['/category']);
+    });
+
+    it('should return empty metadata when no sidecar exists', async () => {
+      const info = await getContainerInfo(TEST_INPUT_DIR, 'store', 'products');
+
+      expect(info.id).toBe('products');
+      expect(info.partitionKey).toEqual([]);
+      expect(info.indexingPolicy).toBeNull();
+    });
+  });
+
+  describe('shared reads', () => {
+    it('should read an export once for overlapping sampling, stats and write activity', async () => {
+      readFile.mockClear();
+
+      const [sample, stats, activity] = await Promise.all([
+        sampleDocuments(TEST_INPUT_DIR, 'store', 'orders', 2),
+        getContainerStats(TEST_INPUT_DIR, 'store', 'orders'),
+        getWriteActivity(TEST_INPUT_DIR, 'store', 'orders', [7])
+      ]);
+
+      const exportReads = readFile.mock.calls.filter(([path]) => String(path).endsWith('orders.json'));
+      expect(exportReads).toHaveLength(1);
+      expect(sample).toHaveLength(2);
+      expect(stats.documentCount).toBe(3);
+      expect(activity.lastWrite).toBe(300);
+    });
+
+    it('should read the export afresh once earlier calls have finished', async () => {
+      await getContainerStats(TEST_INPUT_DIR, 'store', 'orders');
+      readFile.mockClear();
+
+      await writeFile(join(TEST_INPUT_DIR, 'store', 'orders.json'), JSON.stringify([{ id: 'o9', _ts: 900 }]));
+
+      expect(await getContainerStats(TEST_INPUT_DIR, 'store', 'orders')).toEqual({ documentCount: 1 });
+    });
+  });
+
+  describe('getContainerStats', () => {
+    it('should count all exported documents', async () => {
+      const stats = await getContainerStats(TEST_INPUT_DIR, 'store', 'orders');
+
+      expect(stats).toEqual({ documentCount: 3 });
+    });
+
+    it('should return zeros for missing containers', async () => {
+      const stats = await getContainerStats(TEST_INPUT_DIR, 'store', 'missing');
+      expect(stats.documentCount).toBe(0);
+    });
+  });
+
+  describe('measureRequestCharges', () => {
+    it('should have nothing to measure offline', async () => {
+      expect(await measureRequestCharges(TEST_INPUT_DIR, 'store', 'orders', ['/id'], [])).toBeNull();
+    });
+  });
+
+  describe('getWriteActivity', () => {
+    it('should count documents last written within each window', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const day = 24 * 60 * 60;
+      await writeFile(join(TEST_INPUT_DIR, 'store', 'events.json'), JSON.stringify([
+        { id: 'e1', _ts: now - 60 },
+        { id: 'e2', _ts: now - 3 * day },
+        { id: 'e3', _ts: now - 20 * day },
+        { id: 'e4' }
+      ]));
+
+      const activity = await getWriteActivity(TEST_INPUT_DIR, 'store', 'events', [1, 7, 30]);
+
+      expect(activity.lastWrite).toBe(now - 60);
+      expect(activity.windows).toEqual([{ days: 1, writes: 1 }, { days: 7, writes: 2 }, { days: 30, writes: 3 }]);
+    });
+
+    it('should report no last write for containers without _ts', async () => {
+      const activity = await getWriteActivity(TEST_INPUT_DIR, 'store', 'products', [7]);
+      expect(activity).toEqual({ lastWrite: null, windows: [{ days: 7, writes: 0 }] });
+    });
+  });
+});
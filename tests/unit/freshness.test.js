@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { inferSchema, createSchemaState, addDocumentToState, mergeSchemaStates } from '../../src/analysis/schemaInferrer.js';
+import {
+  buildFreshness,
+  getActivityRate,
+  formatLastWriteAge,
+  formatWritesPerDay
+} from '../../src/analysis/freshness.js';
+
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+const DAY = 24 * 60 * 60;
+const daysAgo = days => NOW / 1000 - days * DAY;
+
+describe('freshness', () => {
+  describe('sampled timestamps', () => {
+    it('should track the oldest and newest _ts in the sample', () => {
+      const state = createSchemaState();
+      addDocumentToState(state, { id: 'a', _ts: 200 });
+      addDocumentToState(state, { id: 'b', _ts: 100 });
+      addDocumentToState(state, { id: 'c', _ts: 300 });
+      addDocumentToState(state, { id: 'd' });
+
+      expect(state.timestamps).toEqual({ oldest: 100, newest: 300 });
+    });
+
+    it('should leave the range out when no document has a _ts', () => {
+      const state = createSchemaState();
+      addDocumentToState(state, { id: 'a', _ts: 'yesterday' });
+
+      expect(state.timestamps).toBeUndefined();
+    });
+
+    it('should merge ranges across states', () => {
+      const a = createSchemaState();
+      const b = createSchemaState();
+      addDocumentToState(a, { id: 'a', _ts: 150 });
+      addDocumentToState(b, { id: 'b', _ts: 100 });
+      addDocumentToState(b, { id: 'c', _ts: 120 });
+
+      expect(mergeSchemaStates(a, b).timestamps).toEqual({ oldest: 100, newest: 150 });
+      expect(mergeSchemaStates(a, createSchemaState()).timestamps).toEqual({ oldest: 150, newest: 150 });
+    });
+  });
+
+  describe('property timestamps', () => {
+    const documents = [
+      { id: 'a', fax: '555-0100', address: { city: 'Leeds' }, _ts: daysAgo(100) },
+      { id: 'b', fax: '555-0101', _ts: daysAgo(60) },
+      { id: 'c', address: { city: 'York' }, _ts: daysAgo(20) },
+      { id: 'd', _ts: daysAgo(1) }
+    ];
+
+    it('should record when each property was first and last seen', () => {
+      const schema = inferSchema(documents);
+
+      expect(schema.properties.fax.firstSeen).toBe('2024-02-22T00:00:00.000Z');
+      expect(schema.properties.fax.lastSeen).toBe('2024-04-02T00:00:00.000Z');
+      expect(schema.properties['address.city'].lastSeen).toBe('2024-05-12T00:00:00.000Z');
+      expect(schema.properties.id.lastSeen).toBe('2024-05-31T00:00:00.000Z');
+    });
+
+    it('should flag properties missing from documents written well after their last sighting', () => {
+      const schema = inferSchema(documents);
+
+      expect(schema.properties.fax.looksDeprecated).toBe(true);
+      expect(schema.properties.address.looksDeprecated).toBeUndefined();
+      expect(schema.properties.id.looksDeprecated).toBeUndefined();
+    });
+
+    it('should honour deprecatedAfterDays', () => {
+      expect(inferSchema(documents, { freshness: { deprecatedAfterDays: 10 } }).properties.address.looksDeprecated).toBe(true);
+      expect(inferSchema(documents, { freshness: { deprecatedAfterDays: 0 } }).properties.fax.looksDeprecated).toBeUndefined();
+    });
+
+    it('should merge first and last sightings across states', () => {
+      const a = createSchemaState();
+      const b = createSchemaState();
+      addDocumentToState(a, documents[0]);
+      addDocumentToState(b, documents[1]);
+      addDocumentToState(b, { id: 'e' });
+
+      const merged = mergeSchemaStates(a, b);
+
+      expect(merged.properties.fax).toMatchObject({ firstSeen: daysAgo(100), lastSeen: daysAgo(60) });
+      expect(merged.properties.id).toMatchObject({ firstSeen: daysAgo(100), lastSeen: daysAgo(60) });
+    });
+
+    it('should leave properties without timestamps when documents have no _ts', () => {
+      const schema = inferSchema([{ id: 'a' }]);
+
+      expect(schema.properties.id.firstSeen).toBeUndefined();
+    });
+  });
+
+  describe('buildFreshness', () => {
+    const timestamps = { oldest: daysAgo(40), newest: daysAgo(5) };
+
+    it('should take the last write from the container and rate each window', () => {
+      const activity = { lastWrite: daysAgo(2), windows: [{ days: 7, writes: 70 }, { days: 30, writes: 10 }] };
+
+      const freshness = buildFreshness(timestamps, activity, { staleAfterDays: 90 }, NOW);
+
+      expect(freshness).toEqual({
+        sampledOldest: '2024-04-22T00:00:00.000Z',
+        sampledNewest: '2024-05-27T00:00:00.000Z',
+        lastWrite: '2024-05-30T00:00:00.000Z',
+        daysSinceLastWrite: 2,
+        windows: [{ days: 7, writes: 70, writesPerDay: 10 }, { days: 30, writes: 10, writesPerDay: 0.33 }],
+        staleAfterDays: 90,
+        isStale: false
+      });
+    });
+
+    it('should fall back to the sample when activity was not queried', () => {
+      const freshness = buildFreshness(timestamps, null, {}, NOW);
+
+      expect(freshness.lastWrite).toBe('2024-05-27T00:00:00.000Z');
+      expect(freshness.windows).toEqual([]);
+    });
+
+    it('should flag a container with no writes within the threshold as stale', () => {
+      const activity = { lastWrite: daysAgo(120), windows: [{ days: 30, writes: 0 }] };
+
+      expect(buildFreshness(timestamps, activity, { staleAfterDays: 90 }, NOW).isStale).toBe(true);
+      expect(buildFreshness(timestamps, activity, { staleAfterDays: 0 }, NOW).isStale).toBe(false);
+    });
+
+    it('should return null without any _ts to go on', () => {
+      expect(buildFreshness(undefined, null, {}, NOW)).toBeNull();
+      expect(buildFreshness(undefined, { lastWrite: null, windows: [] }, {}, NOW)).toBeNull();
+    });
+  });
+
+  describe('getActivityRate', () => {
+    it('should use the longest window', () => {
+      const freshness = { windows: [{ days: 30, writesPerDay: 4 }, { days: 90, writesPerDay: 2 }, { days: 7, writesPerDay: 9 }] };
+
+      expect(getActivityRate(freshness)).toEqual({ days: 90, writesPerDay: 2 });
+      expect(getActivityRate({ windows: [] })).toBeNull();
+      expect(getActivityRate(undefined)).toBeNull();
+    });
+  });
+
+  describe('formatting', () => {
+    it('should describe the age of the last write', () => {
+      expect(formatLastWriteAge({ daysSinceLastWrite: 0 })).toBe('today');
+      expect(formatLastWriteAge({ daysSinceLastWrite: 1 })).toBe('1 day ago');
+      expect(formatLastWriteAge({ daysSinceLastWrite: 1200 })).toBe('1,200 days ago');
+    });
+
+    it('should keep slow rates visible', () => {
+      expect(formatWritesPerDay(0)).toBe('0');
+      expect(formatWritesPerDay(0.2)).toBe('<1');
+      expect(formatWritesPerDay(1234.4)).toBe('~1,234');
+    });
+  });
+});
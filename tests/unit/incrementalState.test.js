@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { rm, readFile, writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import {
+  loadIncrementalState,
+  saveIncrementalState,
+  getStateFingerprint
+} from '../../src/versioning/incrementalState.js';
+
+const TEST_CACHE_DIR = '.test-incremental-cache';
+
+describe('incrementalState', () => {
+  beforeEach(async () => {
+    await rm(TEST_CACHE_DIR, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await rm(TEST_CACHE_DIR, { recursive: true, force: true });
+  });
+
+  it('should return null when no state is stored', async () => {
+    expect(await loadIncrementalState('shop/orders', TEST_CACHE_DIR)).toBeNull();
+  });
+
+  it('should save and load state per container', async () => {
+    const schemaState = { documentCount: 1, properties: {} };
+    const path = await saveIncrementalState('shop/orders', {
+      fingerprint: 'abc',
+      continuationToken: 'token-1',
+      schemaState
+    }, TEST_CACHE_DIR);
+
+    expect(path).toBe(join(TEST_CACHE_DIR, 'incremental', 'shop', 'orders.json'));
+
+    const loaded = await loadIncrementalState('shop/orders', TEST_CACHE_DIR);
+    expect(loaded).toMatchObject({ fingerprint: 'abc', continuationToken: 'token-1', schemaState });
+    expect(loaded.updatedAt).toBeDefined();
+  });
+
+  it('should ignore state written in another format', async () => {
+    const path = await saveIncrementalState('shop/orders', { schemaState: {} }, TEST_CACHE_DIR);
+    const content = JSON.parse(await readFile(path, 'utf8'));
+    await writeFile(path, JSON.stringify({ ...content, version: '0.1' }));
+
+    expect(await loadIncrementalState('shop/orders', TEST_CACHE_DIR)).toBeNull();
+  });
+
+  it('should ignore unreadable state files', async () => {
+    await mkdir(join(TEST_CACHE_DIR, 'incremental', 'shop'), { recursive: true });
+    await writeFile(join(TEST_CACHE_DIR, 'incremental', 'shop', 'orders.json'), '{not json');
+
+    expect(await loadIncrementalState('shop/orders', TEST_CACHE_DIR)).toBeNull();
+  });
+
+  it('should change the fingerprint when schema-shaping settings change', () => {
+    const config = { sampleSize: 100, sampling: { strategy: 'recent' }, excludePaths: [] };
+
+    expect(getStateFingerprint(config)).toBe(getStateFingerprint({ ...config }));
+    expect(getStateFingerprint({ ...config, excludePaths: ['payload'] })).not.toBe(getStateFingerprint(config));
+    expect(getStateFingerprint({ ...config, sampleSize: 500 })).not.toBe(getStateFingerprint(config));
+    expect(getStateFingerprint({ ...config, discriminator: false })).not.toBe(getStateFingerprint(config));
+    expect(getStateFingerprint({ ...config, discriminator: 'type' })).toBe(getStateFingerprint(config));
+    expect(getStateFingerprint({ ...config, versionField: '_v' })).not.toBe(getStateFingerprint(config));
+    expect(getStateFingerprint({ ...config, partitionKey: ['/customerId'] })).not.toBe(getStateFingerprint(config));
+    expect(getStateFingerprint({ ...config, redaction: { rules: [{ path: 'name', action: 'mask' }] } })).not.toBe(getStateFingerprint(config));
+    expect(getStateFingerprint({ ...config, typeDetection: { builtInObjectPatterns: false } })).not.toBe(getStateFingerprint(config));
+    expect(getStateFingerprint({ ...config, typeDetection: { objectPatterns: [{ name: 'Link', required: { $ref: 'string' } }] } }))
+      .not.toBe(getStateFingerprint(config));
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { inferSchema } from '../../src/analysis/schemaInferrer.js';
+import { adviseIndexingPolicy, listIndexingAdvice, formatWriteChange, toIndexPath } from '../../src/analysis/indexingAdvisor.js';
+
+const DEFAULT_POLICY = { indexingMode: 'consistent', includedPaths: [{ path: '/*' }], excludedPaths: [{ path: '/"_etag"/?' }] };
+
+const documents = Array.from({ length: 20 }, (_, i) => ({
+  id: `t${i}`,
+  status: ['open', 'closed'][i % 2],
+  lastName: `name${i}`,
+  createdAt: `2024-01-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+  description: `${i} ${'x'.repeat(150)}`,
+  tags: Array.from({ length: 12 }, (_, j) => `tag${j}`),
+  audit: { user: `u${i}` }
+}));
+
+function withPolicy(indexingPolicy, partitionKey = ['/id']) {
+  return { ...inferSchema(documents), containerInfo: { partitionKey, indexingPolicy } };
+}
+
+function production(...queries) {
+  return queries.map(query => ({ query, source: 'production' }));
+}
+
+describe('indexingAdvisor', () => {
+  it('should suggest excluding long text and large arrays no query uses', () => {
+    const advice = adviseIndexingPolicy(withPolicy(DEFAULT_POLICY), production('SELECT * FROM c WHERE c.audit.user = @user'));
+
+    expect(advice.findings).toEqual([
+      {
+        kind: 'unqueried',
+        severity: 'info',
+        paths: ['description'],
+        message: '`description` (text, ~153 characters on average) is indexed by `/*` but no query filters or sorts on it'
+      },
+      {
+        kind: 'unqueried',
+        severity: 'info',
+        paths: ['tags'],
+        message: '`tags` (array, ~12 index terms per document) is indexed by `/*` but no query filters or sorts on it'
+      }
+    ]);
+    expect(advice.suggestedPolicy.excludedPaths).toEqual([{ path: '/"_etag"/?' }, { path: '/description/?' }, { path: '/tags/*' }]);
+    expect(advice.indexedTerms).toEqual({ current: 18, suggested: 5 });
+    expect(advice.writeChange).toBe(-0.72);
+    expect(advice.queries).toEqual({ sample: 0, production: 1 });
+  });
+
+  it('should leave queried arrays indexed', () => {
+    const advice = adviseIndexingPolicy(withPolicy(DEFAULT_POLICY), production('SELECT * FROM c WHERE ARRAY_CONTAINS(c.tags, "tag1")'));
+
+    expect(advice.findings.map(finding => finding.paths[0])).toEqual(['description']);
+  });
+
+  it('should flag queried paths the policy excludes and index them again', () => {
+    const policy = { ...DEFAULT_POLICY, excludedPaths: [{ path: '/status/?' }, { path: '/lastName/?' }, { path: '/audit/*' }] };
+
+    const advice = adviseIndexingPolicy(withPolicy(policy), production(
+      'SELECT * FROM c WHERE c.status = "open" AND c.audit.user = @user',
+      'SELECT * FROM c WHERE c.status = "closed" ORDER BY c.lastName'
+    ));
+
+    expect(advice.findings.slice(0, 3)).toEqual([
+      {
+        kind: 'orderByExcluded',
+        severity: 'critical',
+        paths: ['lastName'],
+        message: '`lastName` is excluded from the index; 1 query sorts on it and fails'
+      },
+      {
+        kind: 'excluded',
+        severity: 'warning',
+        paths: ['status'],
+        message: '`status` is excluded from the index; 2 queries filter on it and scan every document'
+      },
+      {
+        kind: 'excluded',
+        severity: 'warning',
+        paths: ['audit.user'],
+        message: '`audit.user` is excluded from the index; 1 query filters on it and scans every document'
+      }
+    ]);
+    expect(advice.suggestedPolicy.excludedPaths).toContainEqual({ path: '/audit/*' });
+    expect(advice.suggestedPolicy.excludedPaths).not.toContainEqual({ path: '/status/?' });
+    expect(advice.suggestedPolicy.includedPaths).toEqual([{ path: '/*' }, { path: '/audit/user/?' }]);
+  });
+
+  it('should suggest composite indexes for multi-property ORDER BY', () => {
+    const query = 'SELECT * FROM c ORDER BY c.status ASC, c.createdAt DESC';
+
+    const advice = adviseIndexingPolicy(withPolicy(DEFAULT_POLICY), production(query, query));
+
+    expect(advice.findings[0]).toEqual({
+      kind: 'composite',
+      severity: 'critical',
+      paths: ['status', 'createdAt'],
+      message: 'ORDER BY `status` ASC, `createdAt` DESC fails without a composite index'
+    });
+    expect(advice.findings.filter(finding => finding.kind === 'composite')).toHaveLength(1);
+    expect(advice.suggestedPolicy.compositeIndexes).toEqual([[
+      { path: '/status', order: 'ascending' },
+      { path: '/createdAt', order: 'descending' }
+    ]]);
+  });
+
+  it('should accept a composite index with every direction reversed', () => {
+    const policy = {
+      ...DEFAULT_POLICY,
+      excludedPaths: [{ path: '/description/?' }, { path: '/tags/*' }],
+      compositeIndexes: [[{ path: '/status', order: 'descending' }, { path: '/createdAt', order: 'ascending' }]]
+    };
+
+    expect(adviseIndexingPolicy(withPolicy(policy), production('SELECT * FROM c ORDER BY c.status, c.createdAt DESC'))).toBeNull();
+  });
+
+  it('should check the generated sample queries', () => {
+    const policy = { ...DEFAULT_POLICY, excludedPaths: [{ path: '/description/?' }, { path: '/tags/*' }, { path: '/status/?' }] };
+
+    const advice = adviseIndexingPolicy(withPolicy(policy), [{ query: 'SELECT * FROM c WHERE c.status = "open"', source: 'sample' }]);
+
+    expect(advice.findings.map(finding => finding.kind)).toEqual(['excluded']);
+    expect(advice.queries).toEqual({ sample: 1, production: 0 });
+  });
+
+  it('should not advise without a policy, with indexing off or with nothing to change', () => {
+    expect(adviseIndexingPolicy(withPolicy(null), [])).toBeNull();
+    expect(adviseIndexingPolicy(withPolicy({ indexingMode: 'none' }), [])).toBeNull();
+    expect(adviseIndexingPolicy({ ...inferSchema([{ id: '1', name: 'Ann' }]), containerInfo: { indexingPolicy: DEFAULT_POLICY } }, [])).toBeNull();
+  });
+
+  it('should never suggest excluding the partition key', () => {
+    const advice = adviseIndexingPolicy(withPolicy(DEFAULT_POLICY, ['/description']), []);
+
+    expect(advice.findings.map(finding => finding.paths[0])).toEqual(['tags']);
+  });
+
+  it('should list containers with critical findings first', () => {
+    const databases = { shop: { containers: ['orders', 'carts', 'users'] } };
+    const containerSchemas = {
+      'shop/orders': { indexingAdvice: { findings: [{ severity: 'info' }] } },
+      'shop/carts': { indexingAdvice: { findings: [{ severity: 'critical' }] } },
+      'shop/users': {}
+    };
+
+    expect(listIndexingAdvice(databases, containerSchemas).map(entry => entry.container)).toEqual(['carts', 'orders']);
+  });
+
+  it('should format policy paths and write changes', () => {
+    expect(toIndexPath('lines[].sku')).toBe('/lines/[]/sku');
+    expect(formatWriteChange(-0.724)).toBe('-72%');
+    expect(formatWriteChange(0.04)).toBe('+4%');
+  });
+});
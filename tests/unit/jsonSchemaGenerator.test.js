@@ -50,12 +50,82 @@ describe('jsonSchemaGenerator', () => {
       expect(mapTypeToJsonSchema('ReferenceObject')).toEqual({ type: 'object' });
     });
 
+    it('should map extended types to formats, patterns and annotations', () => {
+      expect(mapTypeToJsonSchema('date')).toEqual({ type: 'string', format: 'date' });
+      expect(mapTypeToJsonSchema('duration')).toEqual({ type: 'string', format: 'duration' });
+      expect(mapTypeToJsonSchema('ipv6')).toEqual({ type: 'string', format: 'ipv6' });
+      expect(mapTypeToJsonSchema('base64')).toEqual({ type: 'string', contentEncoding: 'base64' });
+      expect(mapTypeToJsonSchema('currencyCode')).toEqual({ type: 'string', pattern: '^[A-Z]{3}$' });
+      expect(mapTypeToJsonSchema('epochSeconds')).toEqual({ type: 'integer', 'x-format': 'unix-seconds' });
+    });
+
+    it('should map GeoJSON types to object schemas', () => {
+      const point = mapTypeToJsonSchema('GeoPoint');
+
+      expect(point.type).toBe('object');
+      expect(point.properties.type).toEqual({ const: 'Point' });
+      expect(point.required).toEqual(['type', 'coordinates']);
+      expect(mapTypeToJsonSchema('GeoPolygon').properties.type).toEqual({ const: 'Polygon' });
+    });
+
+    it('should return copies callers can change', () => {
+      mapTypeToJsonSchema('GeoPoint').properties.type.const = 'Changed';
+
+      expect(mapTypeToJsonSchema('GeoPoint').properties.type).toEqual({ const: 'Point' });
+    });
+
+    it('should map configured object patterns to object schemas from their keys', () => {
+      const link = {
+        name: 'LinkObject',
+        required: { $ref: 'string', tenant: ['guid', 'string'] },
+        optional: { meta: 'any', parent: 'LinkObject' },
+        additionalKeys: false
+      };
+
+      expect(mapTypeToJsonSchema('LinkObject', [link])).toEqual({
+        type: 'object',
+        properties: {
+          $ref: { type: 'string' },
+          tenant: { anyOf: [{ type: 'string', format: 'uuid' }, { type: 'string' }] },
+          meta: {},
+          parent: { type: 'object' }
+        },
+        required: ['$ref', 'tenant'],
+        additionalProperties: false
+      });
+      expect(mapTypeToJsonSchema('LinkObject', [{ ...link, additionalKeys: true }]).additionalProperties).toBeUndefined();
+    });
+
     it('should map unknown types to string', () => {
       expect(mapTypeToJsonSchema('unknownType')).toEqual({ type: 'string' });
     });
   });
 
   describe('convertPropertyToJsonSchema', () => {
+    it('should drop formatted types covered by their plain type', () => {
+      const mixed = convertPropertyToJsonSchema({ path: 'ref', name: 'ref', types: ['string', 'numericString', 'date'] }, {});
+      const numbers = convertPropertyToJsonSchema({ path: 'at', name: 'at', types: ['integer', 'epochSeconds', 'string'] }, {});
+
+      expect(mixed).toEqual({ type: 'string' });
+      expect(numbers.oneOf).toEqual([{ type: 'integer' }, { type: 'string' }]);
+    });
+
+    it('should drop integers covered by numbers', () => {
+      const amount = convertPropertyToJsonSchema({ path: 'amount', name: 'amount', types: ['number', 'integer'] }, {});
+
+      expect(amount).toEqual({ type: 'number' });
+    });
+
+    it('should refer to shared types instead of inlining them', () => {
+      const sharedRefs = { names: { address: 'Address' }, prefix: '#/$defs/', used: new Set() };
+      const required = convertPropertyToJsonSchema({ path: 'address', name: 'address', types: ['object'] }, {}, {}, [], sharedRefs);
+      const nullable = convertPropertyToJsonSchema({ path: 'address', name: 'address', types: ['object', 'null'] }, {}, {}, [], sharedRefs);
+
+      expect(required).toEqual({ $ref: '#/$defs/Address' });
+      expect(nullable).toEqual({ anyOf: [{ $ref: '#/$defs/Address' }, { type: 'null' }] });
+      expect([...sharedRefs.used]).toEqual(['Address']);
+    });
+
     it('should convert simple string property', () => {
       const prop = {
         path: 'name',
@@ -216,6 +286,39 @@ describe('jsonSchemaGenerator', () => {
     });
   });
 
+  describe('value bounds', () => {
+    it('should add minimum and maximum for numbers', () => {
+      const prop = { path: 'total', name: 'total', types: ['integer'], stats: { numbers: { min: 1, max: 30 } } };
+
+      expect(convertPropertyToJsonSchema(prop, {})).toMatchObject({ type: 'integer', minimum: 1, maximum: 30 });
+    });
+
+    it('should add maxLength for strings but not enums', () => {
+      const prop = { path: 'name', name: 'name', types: ['string'], stats: { lengths: { min: 3, max: 12 } } };
+
+      expect(convertPropertyToJsonSchema(prop, {}).maxLength).toBe(12);
+      expect(convertPropertyToJsonSchema({ ...prop, isEnum: true, enumValues: ['a'] }, {}).maxLength).toBeUndefined();
+    });
+
+    it('should add minItems and maxItems for arrays', () => {
+      const prop = { path: 'tags', name: 'tags', types: ['array'], isArray: true, stats: { arrayLengths: { min: 0, max: 4 } } };
+
+      expect(convertPropertyToJsonSchema(prop, {})).toMatchObject({ minItems: 0, maxItems: 4 });
+    });
+
+    it('should keep bounds on nullable properties', () => {
+      const prop = { path: 'score', name: 'score', types: ['number', 'null'], isNullable: true, stats: { numbers: { min: 0.5, max: 9.5 } } };
+
+      expect(convertPropertyToJsonSchema(prop, {})).toMatchObject({ type: ['number', 'null'], minimum: 0.5, maximum: 9.5 });
+    });
+
+    it('should respect includeValueBounds=false config', () => {
+      const prop = { path: 'total', name: 'total', types: ['integer'], stats: { numbers: { min: 1, max: 30 } } };
+
+      expect(convertPropertyToJsonSchema(prop, {}, { includeValueBounds: false }).minimum).toBeUndefined();
+    });
+  });
+
   describe('convertToJsonSchema', () => {
     it('should generate valid JSON Schema structure', () => {
       const schema = {
@@ -251,6 +354,23 @@ describe('jsonSchemaGenerator', () => {
       expect(result.required).toContain('name');
     });
 
+    it('should describe properties holding configured object patterns', () => {
+      const schema = {
+        properties: {
+          customer: { path: 'customer', name: 'customer', parentPath: null, types: ['LinkObject', 'null'], isRequired: true }
+        },
+        objectPatterns: [{ name: 'LinkObject', required: { $ref: 'string' }, optional: {}, additionalKeys: true }]
+      };
+
+      const result = convertToJsonSchema('orders', schema);
+
+      expect(result.properties.customer).toEqual({
+        type: ['object', 'null'],
+        properties: { $ref: { type: 'string' } },
+        required: ['$ref']
+      });
+    });
+
     it('should use draft-07 schema when configured', () => {
       const schema = { properties: {} };
 
@@ -276,6 +396,14 @@ describe('jsonSchemaGenerator', () => {
       expect(result.description).toContain('Cosmos DB');
     });
 
+    it('should title database-qualified keys by container and nest the $id', () => {
+      const result = convertToJsonSchema('shop/orders', { properties: {} });
+
+      expect(result.title).toBe('orders');
+      expect(result.$id).toBe('shop/orders.schema.json');
+      expect(result.description).toContain('shop');
+    });
+
     it('should not include required if no required fields', () => {
       const schema = {
         properties: {
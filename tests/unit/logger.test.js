@@ -129,6 +129,25 @@ describe('logger', () => {
     });
   });
 
+  describe('progress', () => {
+    it('should show the count and percentage when the total is known', () => {
+      logger.progress('events', 20000, 100000);
+      expect(consoleSpy.mock.calls[0][0]).toContain('events: 20000/100000 docs (20%)');
+    });
+
+    it('should show the count alone when the total is unknown', () => {
+      logger.progress('events', 20000);
+      expect(consoleSpy.mock.calls[0][0]).toContain('events: 20000 docs');
+      expect(consoleSpy.mock.calls[0][0]).not.toContain('%');
+    });
+
+    it('should be suppressed in quiet mode', () => {
+      logger.setLevel('quiet');
+      logger.progress('events', 20000, 100000);
+      expect(consoleSpy).not.toHaveBeenCalled();
+    });
+  });
+
   describe('watch mode logging', () => {
     it('should always show watch messages regardless of level', () => {
       logger.setLevel('quiet');
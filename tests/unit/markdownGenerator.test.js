@@ -119,7 +119,7 @@ describe('markdownGenerator', () => {
       const usersPath = Object.keys(writtenFiles).find(p => p.includes('users.md'));
       const content = writtenFiles[usersPath];
 
-      expect(content).toContain('| Property | Type | Status | Example | Notes |');
+      expect(content).toContain('| Property | Type | Status | Example | Values | Notes |');
       expect(content).toContain('| id |');
       expect(content).toContain('| name |');
     });
@@ -306,6 +306,27 @@ describe('markdownGenerator', () => {
       expect(content).toContain('Reference');
     });
 
+    it('should use the display names of configured object patterns', async () => {
+      const data = {
+        databases: { db: { containers: ['items'] } },
+        containerSchemas: {
+          items: {
+            properties: {
+              owner: { path: 'owner', name: 'owner', parentPath: null, types: ['LinkObject'], isRequired: true, examples: [] }
+            },
+            objectPatterns: [{ name: 'LinkObject', displayName: 'Link', required: { $ref: 'string' }, optional: {}, additionalKeys: false, reference: true }]
+          }
+        },
+        relationships: [],
+        timestamp: '2024-01-15'
+      };
+
+      await generateDocumentation(data, '/output');
+
+      const content = writtenFiles[Object.keys(writtenFiles).find(p => p.includes('items.md'))];
+      expect(content).toContain('| owner | Link |');
+    });
+
     it('should show multiple types separated by pipe', async () => {
       const data = {
         databases: { db: { containers: ['items'] } },
@@ -4,6 +4,8 @@ import {
   generateSimpleERD,
   generateDatabaseERDs
 } from '../../src/output/mermaidGenerator.js';
+import { inferSchema } from '../../src/analysis/schemaInferrer.js';
+import { singleTableDocuments } from '../fixtures/sampleDocuments.js';
 
 describe('mermaidGenerator', () => {
   describe('generateERD', () => {
@@ -157,6 +159,31 @@ describe('mermaidGenerator', () => {
       expect(erd).toContain('orders }o--|| stores');
     });
 
+    it('should qualify entities that share a name across databases', () => {
+      const idOnly = {
+        properties: {
+          id: { path: 'id', name: 'id', parentPath: null, types: ['guid'], isRequired: true }
+        }
+      };
+      const schemas = { 'shop/orders': idOnly, 'archive/orders': idOnly, 'shop/stores': idOnly };
+      const relationships = [{
+        fromContainer: 'orders',
+        fromDatabase: 'archive',
+        fromProperty: 'StoreId',
+        toContainer: 'stores',
+        toDatabase: 'shop',
+        cardinality: 'many-to-one',
+        isOrphan: false
+      }];
+
+      const erd = generateERD(schemas, relationships);
+
+      expect(erd).toContain('    shop_orders {');
+      expect(erd).toContain('    archive_orders {');
+      expect(erd).toContain('    stores {');
+      expect(erd).toContain('archive_orders }o--|| stores');
+    });
+
     it('should use correct cardinality for one-to-many', () => {
       const schemas = {
         stores: { properties: {} },
@@ -226,6 +253,24 @@ describe('mermaidGenerator', () => {
       expect(erd).toContain('bool flag');
     });
 
+    it('should map configured object patterns to reference or object', () => {
+      const pattern = { name: 'LinkObject', required: { $ref: 'string' }, optional: {}, additionalKeys: false };
+      const schemas = {
+        items: {
+          properties: {
+            owner: { path: 'owner', name: 'owner', parentPath: null, types: ['LinkObject'], isRequired: true },
+            size: { path: 'size', name: 'size', parentPath: null, types: ['Dimensions'], isRequired: true }
+          },
+          objectPatterns: [{ ...pattern, reference: true }, { ...pattern, name: 'Dimensions', reference: false }]
+        }
+      };
+
+      const erd = generateERD(schemas, []);
+
+      expect(erd).toContain('reference owner');
+      expect(erd).toContain('object size');
+    });
+
     it('should handle empty schemas gracefully', () => {
       const schemas = {
         empty: { properties: {} }
@@ -405,4 +450,25 @@ describe('mermaidGenerator', () => {
       expect(erd).toContain(': "Details_Product"');
     });
   });
+
+  describe('discriminated containers', () => {
+    it('should draw each variant as its own entity', () => {
+      const erd = generateERD({ 'shop/entities': inferSchema(singleTableDocuments) }, []);
+
+      expect(erd).toContain('entities_order {');
+      expect(erd).toContain('entities_customer {');
+      expect(erd).toContain('entities ||--o| entities_order : "type = order"');
+    });
+
+    it('should keep shared properties on the container entity', () => {
+      const erd = generateERD({ 'shop/entities': inferSchema(singleTableDocuments) }, []);
+      const [container, order] = ['entities {', 'entities_order {']
+        .map(start => erd.slice(erd.indexOf(start), erd.indexOf('}', erd.indexOf(start))));
+
+      expect(container).toContain('string type');
+      expect(container).not.toContain('total');
+      expect(order).toContain('int total');
+      expect(order).not.toContain('type');
+    });
+  });
 });
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { getPartitionKeyValues, getPartitionKeyValue, toPropertyPath } from '../../src/utils/partitionKey.js';
+
+describe('partitionKey', () => {
+  const doc = { id: 'e1', tenant: { id: 't1' }, userId: 'u1' };
+
+  it('should read each level of a key, nested paths included', () => {
+    expect(getPartitionKeyValues(doc, ['/tenant/id', '/userId', '/sessionId'])).toEqual(['t1', 'u1', undefined]);
+  });
+
+  it('should give single keys as a value and hierarchical keys as an array', () => {
+    expect(getPartitionKeyValue(doc, ['/userId'])).toBe('u1');
+    expect(getPartitionKeyValue(doc, ['/tenant/id', '/userId'])).toEqual(['t1', 'u1']);
+  });
+
+  it('should convert key paths to property paths', () => {
+    expect(toPropertyPath('/tenant/id')).toBe('tenant.id');
+    expect(toPropertyPath('/userId')).toBe('userId');
+  });
+});
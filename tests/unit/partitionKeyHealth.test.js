@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { inferSchema, createSchemaState, addDocumentToState, mergeSchemaStates } from '../../src/analysis/schemaInferrer.js';
+import { assessPartitionKeyQueries, getPartitionKeyWarnings, formatPartitionKeyGrade } from '../../src/analysis/partitionKeyHealth.js';
+
+const customers = count => Array.from({ length: count }, (_, i) => ({ id: `o${i}`, customerId: `c${i % 50}` }));
+
+describe('partitionKeyHealth', () => {
+  it('should only assess containers with known partition key paths', () => {
+    expect(inferSchema(customers(10)).partitionKeyHealth).toBeUndefined();
+  });
+
+  it('should grade a well spread key as good', () => {
+    const health = inferSchema(customers(200), { partitionKey: ['/customerId'] }).partitionKeyHealth;
+
+    expect(health).toMatchObject({ paths: ['/customerId'], grade: 'good', reasons: [], documents: 200, distinct: 50, queried: null });
+    expect(health.topKeys[0]).toEqual({ value: 'c0', count: 4, share: 0.02 });
+  });
+
+  it('should flag low cardinality', () => {
+    const documents = Array.from({ length: 60 }, (_, i) => ({ id: `o${i}`, status: ['open', 'closed', 'void'][i % 3] }));
+
+    const health = inferSchema(documents, { partitionKey: ['/status'] }).partitionKeyHealth;
+
+    expect(health.grade).toBe('poor');
+    expect(health.reasons[0]).toEqual({
+      severity: 'critical',
+      message: 'Only 3 distinct key values in 60 sampled documents; each logical partition is limited to 20 GB'
+    });
+  });
+
+  it('should not list unique keys as top keys once more than 100 are counted', () => {
+    const documents = Array.from({ length: 1000 }, (_, i) => ({ id: `o${i}`, orderId: `doc-${i}` }));
+
+    const health = inferSchema(documents, { partitionKey: ['/orderId'] }).partitionKeyHealth;
+
+    expect(health).toMatchObject({ grade: 'good', topKeys: [] });
+    expect(health.distinct).toBeLessThanOrEqual(1000);
+  });
+
+  it('should flag a hot key', () => {
+    const documents = customers(100).map((doc, i) => (i < 30 ? { ...doc, customerId: 'big' } : doc));
+
+    const health = inferSchema(documents, { partitionKey: ['/customerId'] }).partitionKeyHealth;
+
+    expect(health.grade).toBe('fair');
+    expect(health.reasons).toEqual([{ severity: 'warning', message: 'Hot key: `big` holds 30% of sampled documents' }]);
+  });
+
+  it('should flag documents missing the key or holding null', () => {
+    const documents = customers(100).map((doc, i) => (i < 20 ? { id: doc.id } : i < 22 ? { ...doc, customerId: null } : doc));
+
+    const health = inferSchema(documents, { partitionKey: ['/customerId'] }).partitionKeyHealth;
+
+    expect(health).toMatchObject({ grade: 'poor', missing: 20, nulls: 2 });
+    expect(health.reasons.map(reason => reason.message)).toEqual([
+      '20% of sampled documents lack `customerId` and share a single logical partition',
+      '2% of sampled documents have a null `customerId` and share a single logical partition'
+    ]);
+  });
+
+  it('should warn when no production query filters on the key', () => {
+    const assess = (queries, partitionKey = ['/customerId']) =>
+      assessPartitionKeyQueries(inferSchema(customers(40), { partitionKey }).partitionKeyHealth, queries);
+
+    const queried = assess(['SELECT * FROM c WHERE c.customerId = @id', 'SELECT * FROM c']);
+    const unqueried = assess(['SELECT * FROM c WHERE c.status = @status', 'SELECT * FROM c ORDER BY c._ts']);
+
+    expect(queried).toMatchObject({ grade: 'good', reasons: [], queried: true });
+    expect(unqueried).toMatchObject({ grade: 'fair', queried: false });
+    expect(unqueried.reasons).toEqual([{
+      severity: 'warning',
+      message: 'None of the 2 production queries filter on `customerId`, so each fans out across all partitions'
+    }]);
+  });
+
+  it('should leave query use unjudged without production queries', () => {
+    const health = assessPartitionKeyQueries(inferSchema(customers(40), { partitionKey: ['/tenantId'] }).partitionKeyHealth, []);
+
+    expect(health.queried).toBeNull();
+    expect(health.reasons.map(reason => reason.message).join(' ')).not.toMatch(/quer/);
+  });
+
+  it('should assess hierarchical keys as a whole and list each level', () => {
+    const documents = Array.from({ length: 100 }, (_, i) => ({ id: `e${i}`, tenantId: `t${i % 2}`, userId: `u${i % 25}` }));
+
+    const health = inferSchema(documents, { partitionKey: ['/tenantId', '/userId'] }).partitionKeyHealth;
+
+    expect(health.grade).toBe('good');
+    expect(health.distinct).toBe(50);
+    expect(health.topKeys[0].value).toBe('t0 / u0');
+    expect(health.levels).toEqual([{ path: '/tenantId', distinct: 2 }, { path: '/userId', distinct: 25 }]);
+    expect(health.reasons[0].severity).toBe('info');
+  });
+
+  it('should merge key counts across states', () => {
+    const config = { partitionKey: ['/customerId'] };
+    const a = createSchemaState();
+    const b = createSchemaState();
+    addDocumentToState(a, { id: '1', customerId: 'c1' }, config);
+    addDocumentToState(b, { id: '2', customerId: 'c1' }, config);
+    addDocumentToState(b, { id: '3' }, config);
+
+    const merged = mergeSchemaStates(a, b).partitionKeys;
+
+    expect(merged).toMatchObject({ paths: ['/customerId'], missing: 1, nulls: 0 });
+    expect(merged.distribution.counts).toEqual({ c1: 2, '(missing)': 1 });
+  });
+
+  it('should list fair and poor containers, poor first', () => {
+    const databases = { shop: { containers: ['orders', 'carts', 'users'] } };
+    const containerSchemas = {
+      'shop/orders': { partitionKeyHealth: { grade: 'fair' } },
+      'shop/carts': { partitionKeyHealth: { grade: 'poor' } },
+      'shop/users': { partitionKeyHealth: { grade: 'good' } }
+    };
+
+    expect(getPartitionKeyWarnings(databases, containerSchemas).map(entry => entry.container)).toEqual(['carts', 'orders']);
+    expect(formatPartitionKeyGrade('poor')).toBe('Poor');
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { compilePathGlob } from '../../src/utils/pathGlob.js';
+
+describe('pathGlob', () => {
+  it('should match whole paths with wildcards', () => {
+    const glob = compilePathGlob('customer.*');
+
+    expect(glob.test('customer.email')).toBe(true);
+    expect(glob.test('customer')).toBe(false);
+    expect(glob.test('oldcustomer.email')).toBe(false);
+  });
+
+  it('should treat other characters literally', () => {
+    const glob = compilePathGlob('items[].price');
+
+    expect(glob.test('items[].price')).toBe(true);
+    expect(glob.test('items[]xprice')).toBe(false);
+  });
+
+  it('should match nested paths only when asked', () => {
+    const nested = compilePathGlob('audit', { nested: true });
+
+    expect(['audit', 'audit.by', 'audit[]'].map(path => nested.test(path))).toEqual([true, true, true]);
+    expect(nested.test('auditLog')).toBe(false);
+    expect(compilePathGlob('audit').test('audit.by')).toBe(false);
+  });
+});
@@ -35,6 +35,22 @@ describe('queryGenerator', () => {
       expect(pkQuery.query).toContain('storeId');
     });
 
+    it('should filter on every level of a hierarchical or nested partition key', () => {
+      const schema = {
+        containerInfo: { partitionKey: ['/tenant/id', '/userId'] },
+        properties: {
+          tenant: { type: 'Object' },
+          'tenant.id': { type: 'String' },
+          userId: { type: 'GUID' }
+        }
+      };
+
+      const pkQuery = generateSampleQueries('events', schema).find(q => q.name.includes('partition key'));
+
+      expect(pkQuery.name).toBe('Query by partition key (tenant.id, userId)');
+      expect(pkQuery.query).toBe('SELECT * FROM c WHERE c.tenant.id = "your-id-value" AND c.userId = "00000000-0000-0000-0000-000000000000"');
+    });
+
     it('should generate query by id field', () => {
       const schema = {
         properties: {
@@ -0,0 +1,65 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { writeFile, rm } from 'fs/promises';
+import { parseQueryLog, readQueryLog } from '../../src/cosmos/queryLog.js';
+
+const TEST_LOG = '.test-query-log.csv';
+
+describe('queryLog', () => {
+  afterEach(async () => {
+    await rm(TEST_LOG, { force: true });
+  });
+
+  it('should read Log Analytics CSV with quoted queries', () => {
+    const csv = [
+      'TimeGenerated,databasename_s,collectionname_s,querytext_s,requestcharge_s',
+      '2024-05-01T10:00:00Z,shop,orders,"SELECT * FROM c WHERE c.status = ""open"", ""closed""",3.2',
+      '2024-05-01T10:01:00Z,shop,orders,"SELECT *',
+      'FROM c",',
+      ''
+    ].join('\r\n');
+
+    expect(parseQueryLog(csv, 'csv')).toEqual({
+      entries: [
+        { database: 'shop', container: 'orders', query: 'SELECT * FROM c WHERE c.status = "open", "closed"', requestCharge: 3.2 },
+        { database: 'shop', container: 'orders', query: 'SELECT *\r\nFROM c', requestCharge: null }
+      ],
+      skipped: 0
+    });
+  });
+
+  it('should read the Log Analytics API response and resource-specific columns', () => {
+    const json = JSON.stringify({
+      tables: [{
+        columns: [{ name: 'DatabaseName' }, { name: 'CollectionName' }, { name: 'QueryText' }],
+        rows: [['shop', 'orders', 'SELECT * FROM c']]
+      }]
+    });
+
+    expect(parseQueryLog(json, 'json').entries).toEqual([
+      { database: 'shop', container: 'orders', query: 'SELECT * FROM c', requestCharge: null }
+    ]);
+  });
+
+  it('should read archived records and JSON lines with nested properties', () => {
+    const record = { time: '2024-05-01', category: 'QueryRuntimeStatistics', properties: { collectionName: 'orders', queryText: 'SELECT * FROM c' } };
+    const pointRead = { category: 'DataPlaneRequests', properties: { collectionName: 'orders', requestCharge: '1' } };
+
+    expect(parseQueryLog(JSON.stringify({ records: [record, pointRead] }), 'json')).toEqual({
+      entries: [{ database: null, container: 'orders', query: 'SELECT * FROM c', requestCharge: null }],
+      skipped: 1
+    });
+    expect(parseQueryLog(`${JSON.stringify(record)}\n${JSON.stringify(record)}\n`, 'json').entries).toHaveLength(2);
+  });
+
+  it('should reject JSON it cannot read', () => {
+    expect(() => parseQueryLog('{"rows": []}', 'json')).toThrow('expected an array of rows');
+    expect(() => parseQueryLog('{"a": 1}\nnot json', 'json')).toThrow('line 2');
+  });
+
+  it('should read logs from disk by extension', async () => {
+    await writeFile(TEST_LOG, 'CollectionName,QueryText\norders,SELECT * FROM c\n');
+
+    expect((await readQueryLog(TEST_LOG)).entries[0].container).toBe('orders');
+    await expect(readQueryLog('.missing-log.json')).rejects.toThrow('Failed to read query log .missing-log.json');
+  });
+});
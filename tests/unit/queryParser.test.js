@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery } from '../../src/utils/queryParser.js';
+
+describe('queryParser', () => {
+  it('should read filtered and sorted paths', () => {
+    const parsed = parseQuery('SELECT * FROM c WHERE c.status = @status AND c.address.city = "Leeds" ORDER BY c.lastName, c.createdAt DESC OFFSET 0 LIMIT 10');
+
+    expect(parsed.filters).toEqual(['status', 'address.city']);
+    expect(parsed.orderBy).toEqual([
+      { path: 'lastName', order: 'ascending' },
+      { path: 'createdAt', order: 'descending' }
+    ]);
+  });
+
+  it('should read equality filters on either side and selected paths', () => {
+    const parsed = parseQuery('SELECT c.id, c.customer.name FROM c WHERE c.tenantId = @tenant AND @id = c.id AND c.total >= 10 AND c.status != "void"');
+
+    expect(parsed.equalities).toEqual(['tenantId', 'id']);
+    expect(parsed.projections).toEqual(['id', 'customer.name']);
+  });
+
+  it('should not mistake string literals for paths', () => {
+    expect(parseQuery("SELECT * FROM c WHERE c.note = 'see c.other'").filters).toEqual(['note']);
+  });
+
+  it('should resolve JOIN and FROM ... IN aliases to array items', () => {
+    const joined = parseQuery('SELECT l.sku FROM c JOIN l IN c.lines JOIN t IN l.tags WHERE l.qty > 1 AND t = "x" AND ARRAY_CONTAINS(c.labels, "a")');
+    const iterated = parseQuery('SELECT * FROM i IN c.items WHERE i.price > 3');
+
+    expect(joined.filters).toEqual(['lines[].qty', 'lines[].tags[]', 'labels']);
+    expect(iterated.filters).toEqual(['items[].price']);
+  });
+
+  it('should accept container names and AS before the alias', () => {
+    expect(parseQuery('SELECT * FROM orders o WHERE o.total > 1 ORDER BY o._ts DESC')).toEqual({
+      filters: ['total'],
+      equalities: [],
+      orderBy: [{ path: '_ts', order: 'descending' }],
+      projections: []
+    });
+    expect(parseQuery('SELECT * FROM root AS r WHERE r.kind = 1').filters).toEqual(['kind']);
+  });
+
+  it('should find nothing in queries without filters', () => {
+    expect(parseQuery('SELECT VALUE COUNT(1) FROM c')).toEqual({ filters: [], equalities: [], orderBy: [], projections: [] });
+  });
+});
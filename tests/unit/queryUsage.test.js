@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { inferSchema } from '../../src/analysis/schemaInferrer.js';
+import { applyQueryLog, describeQueryUse } from '../../src/analysis/queryUsage.js';
+
+function logged(query, requestCharge = null) {
+  return { database: 'shop', container: 'orders', query, requestCharge };
+}
+
+function ordersSchema(partitionKey = ['/customerId']) {
+  const documents = [
+    { id: 'o1', customerId: 'c1', status: 'open', total: 10, createdAt: '2024-01-01T00:00:00Z' },
+    { id: 'o2', customerId: 'c2', status: 'closed', total: 20, createdAt: '2024-01-02T00:00:00Z' }
+  ];
+  return { ...inferSchema(documents), containerInfo: { partitionKey } };
+}
+
+describe('queryUsage', () => {
+  it('should count executions per distinct query and rank them', () => {
+    const schema = ordersSchema();
+    const usage = applyQueryLog(schema, [
+      logged('SELECT * FROM c WHERE c.customerId = @id', 2),
+      logged('SELECT *  FROM c\nWHERE c.customerId = @id', 4),
+      logged('SELECT * FROM c WHERE c.status = "open" ORDER BY c.createdAt DESC', 30)
+    ]);
+
+    expect(usage.executions).toBe(3);
+    expect(usage.distinct).toBe(2);
+    expect(usage.topQueries).toEqual([
+      { query: 'SELECT * FROM c WHERE c.customerId = @id', count: 2, crossPartition: false, requestCharge: 3 },
+      { query: 'SELECT * FROM c WHERE c.status = "open" ORDER BY c.createdAt DESC', count: 1, crossPartition: true, requestCharge: 30 }
+    ]);
+    expect(usage.crossPartition).toEqual({ executions: 1, queries: 1 });
+  });
+
+  it('should annotate queried properties with their roles', () => {
+    const schema = ordersSchema();
+    applyQueryLog(schema, [
+      logged('SELECT c.total FROM c WHERE c.status = "open" ORDER BY c.createdAt'),
+      logged('SELECT * FROM c WHERE c.status = "closed"'),
+      logged('SELECT * FROM c WHERE c.status = "closed"')
+    ]);
+
+    expect(schema.properties.status.queryUse).toEqual({ queries: 2, executions: 3, filters: 2, sorts: 0, projections: 0 });
+    expect(schema.properties.createdAt.queryUse.sorts).toBe(1);
+    expect(schema.properties.id.queryUse).toBeUndefined();
+    expect(describeQueryUse(schema.properties.status.queryUse)).toBe('Used in 2 queries (filter)');
+    expect(describeQueryUse(schema.properties.total.queryUse)).toBe('Used in 1 query (select)');
+  });
+
+  it('should list queried paths missing from the schema, ignoring system properties', () => {
+    const usage = applyQueryLog(ordersSchema(), [logged('SELECT * FROM c WHERE c.legacyRef = @ref AND c._ts > 0')]);
+
+    expect(usage.unmatchedPaths).toEqual(['legacyRef']);
+  });
+
+  it('should need every level of a hierarchical key to target one partition', () => {
+    const usage = applyQueryLog(ordersSchema(['/customerId', '/status']), [
+      logged('SELECT * FROM c WHERE c.customerId = @id'),
+      logged('SELECT * FROM c WHERE c.customerId = @id AND c.status = "open"')
+    ]);
+
+    expect(usage.topQueries.map(query => query.crossPartition)).toEqual([true, false]);
+  });
+
+  it('should not judge partitions without a known partition key', () => {
+    const usage = applyQueryLog(ordersSchema([]), [logged('SELECT * FROM c')]);
+
+    expect(usage.crossPartition).toBeNull();
+    expect(usage.topQueries[0].crossPartition).toBeNull();
+  });
+});
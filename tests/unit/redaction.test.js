@@ -0,0 +1,245 @@
+import { describe, it, expect } from 'vitest';
+import { createRedactor } from '../../src/analysis/redaction.js';
+import { inferSchema } from '../../src/analysis/schemaInferrer.js';
+import { render } from '../../src/output/index.js';
+import { generateSampleQueries } from '../../src/output/queryGenerator.js';
+import { saveSnapshot } from '../../src/versioning/snapshotManager.js';
+import { loadRedactionSalt } from '../../src/versioning/redactionSalt.js';
+import { createHash } from 'crypto';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe('redaction', () => {
+  const customers = [
+    { id: 'c1', name: 'Ann Smith', email: 'ann@example.com', phone: '+44 20 7946 0958', site: 'https://ann.example.com/about?ref=1', tags: ['vip'] },
+    { id: 'c2', name: 'Bob Jones', email: 'bob@example.com', phone: '+44 20 7946 0321', site: 'https://bob.example.com', tags: ['new'] }
+  ];
+
+  it('should mask emails, phone numbers and URLs by default', () => {
+    const { properties } = inferSchema(customers);
+
+    expect(properties.email.examples).toEqual(['a**@e******.com', 'b**@e******.com']);
+    expect(properties.phone.examples).toEqual(['+** ** **** **58', '+** ** **** **21']);
+    expect(properties.site.examples).toEqual(['https://ann.example.com/***', 'https://bob.example.com']);
+    expect(properties.name.examples).toEqual(['Ann Smith', 'Bob Jones']);
+  });
+
+  it('should mask parts too short to keep a first character whole', () => {
+    const documents = [
+      { id: 'u1', email: 'a@b.io', initials: 'JS' },
+      { id: 'u2', email: 'al@example.co.uk', initials: 'Q' }
+    ];
+    const { properties } = inferSchema(documents, { redaction: { rules: [{ path: 'initials', action: 'mask' }] } });
+
+    expect(properties.email.examples).toEqual(['*@*.io', '**@e******.**.uk']);
+    expect(properties.initials.examples).toEqual(['**', '*']);
+  });
+
+  it('should apply custom rules by path and type before the defaults', () => {
+    const config = {
+      redaction: {
+        rules: [
+          { path: 'name', action: 'fake' },
+          { path: 'tags', action: 'drop' },
+          { type: 'email', action: 'hash' },
+          { path: 'site', type: 'url', action: 'keep' }
+        ]
+      }
+    };
+    const { properties } = inferSchema(customers, config);
+
+    expect(properties.name.examples[0]).toMatch(/^name-[0-9a-f]{6}$/);
+    expect(properties['tags[]'].examples).toEqual([]);
+    expect(properties.email.examples[0]).toMatch(/^sha256:[0-9a-f]{12}$/);
+    expect(properties.site.examples[0]).toBe('https://ann.example.com/about?ref=1');
+  });
+
+  it('should keep no raw values in distributions or enum candidates', () => {
+    const documents = Array.from({ length: 6 }, (_, i) => ({ id: `c${i}`, email: i % 2 ? 'ann@example.com' : 'bob@example.com' }));
+    const schema = inferSchema(documents);
+    const raw = JSON.stringify(schema.properties.email);
+
+    expect(raw).not.toContain('ann@');
+    expect(raw).not.toContain('bob@');
+    expect(schema.properties.email.distribution.distinct).toBe(2);
+    expect(schema.properties.email.distribution.values[0].count).toBe(3);
+  });
+
+  it('should not turn redacted low-cardinality values into enums or query filters', async () => {
+    const documents = Array.from({ length: 10 }, (_, i) => ({ id: `t${i}`, kind: i % 2 ? 'refund' : 'sale', tier: i % 2 ? 'gold' : 'basic' }));
+    const config = { redaction: { rules: [{ path: 'kind', action: 'hash' }, { path: 'tier', action: 'mask' }] } };
+    const schema = inferSchema(documents, config);
+    const data = {
+      databases: { shop: { containers: ['payments'] } },
+      containerSchemas: { 'shop/payments': schema },
+      relationships: [],
+      timestamp: new Date().toISOString()
+    };
+
+    const jsonSchema = JSON.parse((await render(data, 'jsonschema'))['schemas/shop/payments.schema.json']);
+    const queries = generateSampleQueries('payments', schema).map(({ query }) => query).join('\n');
+
+    for (const path of ['kind', 'tier']) {
+      expect(schema.properties[path]).toMatchObject({ redacted: true });
+      expect(schema.properties[path].isEnum).toBeFalsy();
+      expect(jsonSchema.properties[path].enum).toBeUndefined();
+      expect(queries).not.toContain(`c.${path} =`);
+    }
+    expect(queries).not.toContain('sha256:');
+  });
+
+  it('should leave no ranges, percentiles or outliers of redacted values in outputs or snapshots', async () => {
+    const documents = Array.from({ length: 40 }, (_, i) => ({
+      id: `e${i}`,
+      dob: `19${60 + (i % 30)}-03-01`,
+      salary: 30000 + i * 100,
+      grade: 1 + (i % 5)
+    }));
+    documents.push({ id: 'e-old', dob: '1950-03-01', salary: 990000, grade: 3 });
+    const redaction = { rules: [{ path: 'dob', action: 'drop' }, { path: 'salary', action: 'drop' }] };
+    const schema = inferSchema(documents, { redaction });
+    const data = {
+      databases: { hr: { containers: ['staff'] } },
+      containerSchemas: { 'hr/staff': schema },
+      relationships: [],
+      timestamp: '2024-01-15T10:00:00Z'
+    };
+
+    const outputs = [
+      ...Object.values(await render(data, 'markdown')),
+      ...Object.values(await render(data, 'html')),
+      ...Object.values(await render(data, 'jsonschema')),
+      ...Object.values(await render(data, 'quality'))
+    ];
+    const cacheDir = await mkdtemp(join(tmpdir(), 'cosmosmapper-'));
+    try {
+      const { path } = await saveSnapshot(data, { cacheDir });
+      outputs.push(await readFile(path, 'utf8'));
+    } finally {
+      await rm(cacheDir, { recursive: true, force: true });
+    }
+
+    for (const output of outputs) {
+      expect(output).not.toContain('1950-03-01');
+      expect(output).not.toContain('990000');
+      expect(output).not.toContain('990,000');
+    }
+    expect(schema.properties.dob.stats?.dates).toBeUndefined();
+    expect(schema.properties.salary.stats?.numbers).toBeUndefined();
+    expect(schema.properties.grade.stats.numbers).toMatchObject({ min: 1, max: 5 });
+  });
+
+  it('should conceal the values of properties classified as PII in outputs, queries and snapshots', async () => {
+    const documents = Array.from({ length: 12 }, (_, i) => ({
+      id: `p${i}`,
+      ssn: i % 2 ? '123-45-6789' : '234-56-7890',
+      address: { postcode: i % 2 ? 'SW1A 1AA' : 'EC1A 1BB' },
+      plan: i % 2 ? 'gold' : 'basic'
+    }));
+    const schema = inferSchema(documents);
+    const data = {
+      databases: { crm: { containers: ['patients'] } },
+      containerSchemas: { 'crm/patients': schema },
+      relationships: [],
+      timestamp: '2024-01-15T10:00:00Z'
+    };
+
+    const outputs = [
+      ...Object.values(await render(data, 'markdown')),
+      ...Object.values(await render(data, 'html')),
+      ...Object.values(await render(data, 'jsonschema')),
+      generateSampleQueries('patients', schema).map(({ query }) => query).join('\n')
+    ];
+    const cacheDir = await mkdtemp(join(tmpdir(), 'cosmosmapper-'));
+    try {
+      const { path } = await saveSnapshot(data, { cacheDir });
+      outputs.push(await readFile(path, 'utf8'));
+    } finally {
+      await rm(cacheDir, { recursive: true, force: true });
+    }
+
+    for (const output of outputs) {
+      for (const value of ['123-45-6789', '234-56-7890', 'SW1A 1AA', 'EC1A 1BB']) {
+        expect(output).not.toContain(value);
+      }
+    }
+    for (const path of ['ssn', 'address.postcode']) {
+      expect(schema.properties[path]).toMatchObject({ classification: { label: 'PII' }, redacted: true });
+      expect(schema.properties[path].isEnum).toBeFalsy();
+      expect(schema.properties[path].distribution.values).toEqual([]);
+    }
+    expect(schema.properties.ssn.examples).toEqual(['2**-**-****', '1**-**-****']);
+    expect(schema.properties.plan.enumValues).toEqual(['basic', 'gold']);
+  });
+
+  it('should show the values of PII properties a keep rule matches', () => {
+    const documents = [{ id: 'p1', ssn: '123-45-6789' }, { id: 'p2', ssn: '234-56-7890' }];
+    const { properties } = inferSchema(documents, { redaction: { rules: [{ path: 'ssn', action: 'keep' }] } });
+
+    expect(properties.ssn.classification.label).toBe('PII');
+    expect(properties.ssn.examples).toEqual(['123-45-6789', '234-56-7890']);
+    expect(properties.ssn.redacted).toBeUndefined();
+  });
+
+  it('should keep the real values when turned off', () => {
+    const { properties } = inferSchema(customers, { redaction: { enabled: false } });
+
+    expect(properties.email.examples).toEqual(['ann@example.com', 'bob@example.com']);
+    expect(createRedactor({ enabled: false })).toBeNull();
+  });
+
+  it('should salt hashes and keep them and fakes deterministic', () => {
+    const plain = createRedactor({ rules: [{ path: 'ref', action: 'hash' }] });
+    const salted = createRedactor({ rules: [{ path: 'ref', action: 'hash' }], salt: 'pepper' });
+    const fake = createRedactor({ rules: [{ path: 'contact', action: 'fake' }] });
+
+    expect(plain('ref', 'A1', 'string')).toBe(plain('ref', 'A1', 'string'));
+    expect(salted('ref', 'A1', 'string')).not.toBe(plain('ref', 'A1', 'string'));
+    expect(fake('contact', 'ann@example.com', 'email')).toMatch(/^user-[0-9a-f]{6}@example\.com$/);
+    expect(fake('contact', '+44 20 7946 0958', 'phone')).toMatch(/^\+1 555-01\d\d$/);
+  });
+
+  it('should never hash without a salt', () => {
+    const unsalted = `sha256:${createHash('sha256').update('ann@example.com').digest('hex').slice(0, 12)}`;
+
+    expect(createRedactor({})('email', 'ann@example.com', 'email', true)).not.toBe(unsalted);
+  });
+
+  it('should create a random salt per cache directory and reuse it', async () => {
+    const cacheDir = await mkdtemp(join(tmpdir(), 'cosmosmapper-'));
+    try {
+      const salt = await loadRedactionSalt(cacheDir);
+
+      expect(salt).toMatch(/^[0-9a-f]{64}$/);
+      expect(await loadRedactionSalt(cacheDir)).toBe(salt);
+      expect(await readFile(join(cacheDir, 'redaction-salt'), 'utf8')).toBe(salt);
+    } finally {
+      await rm(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should cover nested paths, leave non-scalars alone and hash where values are counted', () => {
+    const redact = createRedactor({ rules: [{ path: 'customer', action: 'mask' }, { path: 'notes', action: 'drop' }] });
+
+    expect(redact('customer.name', 'Ann', 'string')).toBe('A**');
+    expect(redact('customer.addresses[].line1', '1 High St', 'string')).toBe('1 **** **');
+    expect(redact('customerId', 'c1', 'string')).toBe('c1');
+    expect(redact('customer', { name: 'Ann' }, 'object')).toEqual({ name: 'Ann' });
+    expect(redact('notes', 'call back', 'string')).toBeNull();
+    expect(redact('notes', 'call back', 'string', true)).toMatch(/^sha256:/);
+    expect(redact('customer.name', 'Ann', 'string', true)).toMatch(/^sha256:/);
+  });
+
+  it('should redact partition key values but keep them distinct', () => {
+    const documents = [
+      { id: '1', owner: 'ann@example.com' },
+      { id: '2', owner: 'bob@example.com' },
+      { id: '3', owner: 'bob@example.com' }
+    ];
+    const schema = inferSchema(documents, { partitionKey: ['/owner'] });
+
+    expect(schema.partitionKeyHealth.distinct).toBe(2);
+    expect(JSON.stringify(schema.partitionKeyHealth)).not.toContain('@example.com');
+  });
+});
@@ -116,6 +116,16 @@ describe('relationshipValidator', () => {
       expect(result.reason).toContain('Partial type match');
     });
 
+    it('should match related types such as integer ids that read as epochs', () => {
+      const sourceSchema = { properties: { OrderNo: { types: ['integer'] } } };
+      const targetSchema = { properties: { id: { types: ['epochSeconds'] } } };
+
+      const result = validateTypeConsistency({ fromProperty: 'OrderNo' }, sourceSchema, targetSchema);
+
+      expect(result.consistent).toBe(true);
+      expect(result.reason).toBe('Partial type match: integer');
+    });
+
     it('should handle missing FK property', () => {
       const relationship = {
         fromProperty: 'NonExistent'
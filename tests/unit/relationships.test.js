@@ -107,6 +107,21 @@ describe('relationships', () => {
         expect(rels[0].toContainer).toBe('stores');
       });
 
+      it('should detect configured reference patterns', () => {
+        const schema = {
+          properties: {
+            owner: { path: 'owner', name: 'owner', parentPath: null, types: ['LinkObject'] }
+          },
+          objectPatterns: [{ name: 'LinkObject', displayName: 'Link', required: { $ref: 'string' }, optional: {}, additionalKeys: false, reference: true }]
+        };
+        const containers = [{ name: 'orders', database: 'db' }];
+
+        const rels = detectRelationships('orders', 'db', schema, containers);
+
+        expect(rels.map(rel => [rel.fromProperty, rel.isOrphan])).toEqual([['owner', true]]);
+        expect(detectRelationships('orders', 'db', { properties: schema.properties }, containers)).toEqual([]);
+      });
+
       it('should detect SimpleReference type pattern', () => {
         const schema = {
           properties: {
@@ -0,0 +1,507 @@
+import { describe, it, expect } from 'vitest';
+import { render, OUTPUT_FORMATS } from '../../src/output/index.js';
+import { inferSchema } from '../../src/analysis/schemaInferrer.js';
+import { adviseIndexingPolicy } from '../../src/analysis/indexingAdvisor.js';
+import { applyQueryLog } from '../../src/analysis/queryUsage.js';
+import { singleTableDocuments, versionedDocuments } from '../fixtures/sampleDocuments.js';
+
+describe('render', () => {
+  const analysisData = {
+    databases: {
+      testdb: { containers: ['users'] }
+    },
+    containerSchemas: {
+      users: {
+        properties: {
+          id: { path: 'id', name: 'id', parentPath: null, types: ['guid'], isRequired: true, examples: ['abc-123'] }
+        }
+      }
+    },
+    relationships: [],
+    timestamp: '2024-01-15T10:00:00Z'
+  };
+
+  it('should list supported formats', () => {
+    expect(OUTPUT_FORMATS).toEqual(['markdown', 'html', 'jsonschema', 'quality']);
+  });
+
+  it('should render markdown pages keyed by relative path', async () => {
+    const files = await render(analysisData, 'markdown');
+
+    expect(files['index.md']).toContain('# Cosmos DB Schema Documentation');
+    expect(Object.keys(files)).toContain('testdb/_overview.md');
+    expect(files['testdb/users.md']).toContain('# users');
+  });
+
+  it('should render the HTML report as a single file', async () => {
+    const files = await render(analysisData, 'html', { branding: { title: 'My Docs' } });
+
+    expect(Object.keys(files)).toEqual(['schema-report.html']);
+    expect(files['schema-report.html']).toContain('<title>My Docs</title>');
+  });
+
+  it('should render JSON Schemas under schemas/', async () => {
+    const files = await render(analysisData, 'jsonschema', { jsonSchema: { draft: 'draft-07' } });
+    const schema = JSON.parse(files['schemas/users.schema.json']);
+
+    expect(schema.$schema).toBe('http://json-schema.org/draft-07/schema#');
+    expect(schema.properties.id.format).toBe('uuid');
+  });
+
+  it('should show the sampling strategy on container pages', async () => {
+    const sampled = {
+      ...analysisData,
+      containerSchemas: {
+        users: { ...analysisData.containerSchemas.users, sampling: { strategy: 'random', maxScan: 5000, sampleSize: 100 } }
+      }
+    };
+
+    const markdown = await render(sampled, 'markdown');
+    const html = await render(sampled, 'html');
+
+    expect(markdown['testdb/users.md']).toContain('| **Sampling** | 100 documents, random (reservoir over the first 5,000 documents scanned) |');
+    expect(html['schema-report.html']).toContain('100 docs, random (reservoir over the first 5,000 documents scanned)');
+  });
+
+  describe('discriminated containers', () => {
+    const discriminated = {
+      ...analysisData,
+      databases: { testdb: { containers: ['entities'] } },
+      containerSchemas: { 'testdb/entities': inferSchema(singleTableDocuments) }
+    };
+
+    it('should render a table per variant in markdown', async () => {
+      const page = (await render(discriminated, 'markdown'))['testdb/entities.md'];
+
+      expect(page).toContain('## Variants');
+      expect(page).toContain('Documents are discriminated by `type` (detected).');
+      expect(page).toContain('| `order` | 3 | 60% |');
+      expect(page).toContain('### type = customer');
+      expect(page).toContain('| email | Email | Required |');
+    });
+
+    it('should render variants in the HTML report', async () => {
+      const html = (await render(discriminated, 'html'))['schema-report.html'];
+
+      expect(html).toContain('Variants by <span class="font-mono">type</span>');
+      expect(html).toContain('3 docs (60%)');
+    });
+
+    it('should render each variant as oneOf with a const discriminator', async () => {
+      const schema = JSON.parse((await render(discriminated, 'jsonschema'))['schemas/testdb/entities.schema.json']);
+
+      expect(schema.required).toEqual(['type']);
+      expect(schema.properties.type.enum).toEqual(['customer', 'order']);
+      expect(schema.oneOf.map(variant => variant.properties.type)).toEqual([{ const: 'customer' }, { const: 'order' }]);
+      expect(schema.oneOf[1].required).toContain('total');
+      expect(schema.oneOf[1].properties.email).toBeUndefined();
+    });
+  });
+
+  describe('value distributions', () => {
+    const entities = {
+      ...analysisData,
+      databases: { testdb: { containers: ['entities'] } },
+      containerSchemas: { 'testdb/entities': inferSchema(singleTableDocuments) }
+    };
+
+    it('should render value distributions in markdown', async () => {
+      const page = (await render(entities, 'markdown'))['testdb/entities.md'];
+
+      expect(page).toContain('## Value Distributions');
+      expect(page).toContain('| status | 2 | `open` 60%, `closed` 40% |');
+      expect(page).toContain('| name | 2 | - |');
+    });
+
+    it('should render value distributions as bars in the HTML report', async () => {
+      const html = (await render(entities, 'html'))['schema-report.html'];
+
+      expect(html).toContain('Value distributions');
+      expect(html).toContain('style="width: 60%"');
+    });
+  });
+
+  describe('versioned containers', () => {
+    const versioned = {
+      ...analysisData,
+      databases: { testdb: { containers: ['users'] } },
+      containerSchemas: { 'testdb/users': inferSchema(versionedDocuments) }
+    };
+
+    it('should render each version and its changes in markdown', async () => {
+      const page = (await render(versioned, 'markdown'))['testdb/users.md'];
+
+      expect(page).toContain('## Schema Versions');
+      expect(page).toContain('Documents record their schema version in `schemaVersion` (detected).');
+      expect(page).toContain('| *(unversioned)* | 2 | 40% | - |');
+      expect(page).toContain('| `3` | 1 | 20% | +2 added |');
+      expect(page).toContain('### schemaVersion = 2');
+      expect(page).toContain("- Property 'fax' removed");
+      expect(page).toContain('| schemaVersion | Integer | Required | `3` |');
+      expect(page).toContain('| schemaVersion | Integer | Optional | `2` | 2 – 3, mean 2.33, p50 2, p90 3, p99 3 | Schema version |');
+      expect(page).toContain('| schemaVersion | Integer | Required | `2` | - | - |');
+      // Only the container table profiles values across every version
+      expect(page.match(/2 – 3, mean 2\.33/g)).toHaveLength(1);
+    });
+
+    it('should render versions in the HTML report', async () => {
+      const html = (await render(versioned, 'html'))['schema-report.html'];
+
+      expect(html).toContain('Schema versions by <span class="font-mono">schemaVersion</span>');
+      expect(html).toContain('+email');
+      expect(html).toContain('1 docs (20%)');
+    });
+  });
+
+  describe('data quality', () => {
+    const documents = Array.from({ length: 100 }, (_, i) => ({ id: `u${i}`, age: i === 3 ? 'n/a' : 30 + (i % 20) }));
+    const withIssues = {
+      ...analysisData,
+      containerSchemas: { 'testdb/users': inferSchema(documents) }
+    };
+
+    it('should render a Data Quality section in markdown', async () => {
+      const page = (await render(withIssues, 'markdown'))['testdb/users.md'];
+
+      expect(page).toContain('## Data Quality');
+      expect(page).toContain('| Type outlier | `age` is integer in 99% of documents but string in 1% | `u3` |');
+    });
+
+    it('should note a clean sample', async () => {
+      const clean = { ...analysisData, containerSchemas: { 'testdb/users': inferSchema(documents.filter(doc => doc.id !== 'u3')) } };
+      const page = (await render(clean, 'markdown'))['testdb/users.md'];
+
+      expect(page).toContain('No anomalies found in 99 sampled documents.');
+    });
+
+    it('should render issues in the HTML report', async () => {
+      const html = (await render(withIssues, 'html'))['schema-report.html'];
+
+      expect(html).toContain('Data Quality');
+      expect(html).toContain('Type outlier');
+    });
+
+    it('should render issues as JSON', async () => {
+      const report = JSON.parse((await render(withIssues, 'quality'))['data-quality.json']);
+
+      expect(report.generatedAt).toBe('2024-01-15T10:00:00Z');
+      expect(report.containers['testdb/users'].documentCount).toBe(100);
+      expect(report.containers['testdb/users'].issues[0]).toMatchObject({ kind: 'typeOutlier', propertyPath: 'age', documentIds: ['u3'] });
+    });
+  });
+
+  describe('deprecated-looking properties', () => {
+    const day = 24 * 60 * 60;
+    const documents = [
+      { id: 'u1', fax: '555-0100', _ts: 1700000000 },
+      { id: 'u2', _ts: 1700000000 + 90 * day }
+    ];
+    const withDeprecated = { ...analysisData, containerSchemas: { 'testdb/users': inferSchema(documents) } };
+
+    it('should list them with when they were seen in markdown', async () => {
+      const page = (await render(withDeprecated, 'markdown'))['testdb/users.md'];
+
+      expect(page).toContain('## Deprecated-Looking Properties');
+      expect(page).toContain('| fax | 2023-11-14 | 2023-11-14 | 1 |');
+      expect(page).toContain('Deprecated? (last seen 2023-11-14)');
+    });
+
+    it('should badge them in the HTML report', async () => {
+      const html = (await render(withDeprecated, 'html'))['schema-report.html'];
+
+      expect(html).toContain('Deprecated?');
+      expect(html).toContain('Not in sampled documents since 2023-11-14');
+    });
+  });
+
+  describe('write activity', () => {
+    const freshness = {
+      sampledOldest: '2023-09-01T00:00:00.000Z',
+      sampledNewest: '2023-10-01T00:00:00.000Z',
+      lastWrite: '2023-10-03T00:00:00.000Z',
+      daysSinceLastWrite: 104,
+      windows: [{ days: 7, writes: 0, writesPerDay: 0 }, { days: 30, writes: 6, writesPerDay: 0.2 }],
+      staleAfterDays: 90,
+      isStale: true
+    };
+    const withFreshness = {
+      ...analysisData,
+      containerSchemas: { 'testdb/users': { ...analysisData.containerSchemas.users, freshness } }
+    };
+
+    it('should render a Write Activity section on the database overview', async () => {
+      const overview = (await render(withFreshness, 'markdown'))['testdb/_overview.md'];
+
+      expect(overview).toContain('## Write Activity');
+      expect(overview).toContain('> **Stale:** `users` has had no writes for 104 days (threshold: 90 days).');
+      expect(overview).toContain('| [users](./users.md) | 2023-10-03 (104 days ago) | 7d 0 · 30d <1 | 2023-09-01 → 2023-10-01 |');
+    });
+
+    it('should leave the section out without freshness data', async () => {
+      const overview = (await render(analysisData, 'markdown'))['testdb/_overview.md'];
+
+      expect(overview).not.toContain('## Write Activity');
+    });
+
+    it('should render write activity in the HTML report', async () => {
+      const html = (await render(withFreshness, 'html'))['schema-report.html'];
+
+      expect(html).toContain('write-activity');
+      expect(html).toContain('104 days ago');
+    });
+  });
+
+  describe('partition key health', () => {
+    const documents = Array.from({ length: 60 }, (_, i) => ({ id: `o${i}`, status: ['open', 'closed', 'void'][i % 3] }));
+    const withHealth = {
+      ...analysisData,
+      containerSchemas: { 'testdb/users': inferSchema(documents, { partitionKey: ['/status'] }) }
+    };
+
+    it('should grade the key with its reasons on the container page', async () => {
+      const page = (await render(withHealth, 'markdown'))['testdb/users.md'];
+
+      expect(page).toContain('| **Partition Key Health** | Poor |');
+      expect(page).toContain('**Grade: Poor** - 3 distinct key values in 60 sampled documents.');
+      expect(page).toContain('- **Critical:** Only 3 distinct key values in 60 sampled documents; each logical partition is limited to 20 GB');
+      expect(page).toContain('| `closed` | 20 | 33% |');
+    });
+
+    it('should list containers with poor keys in the index', async () => {
+      const index = (await render(withHealth, 'markdown'))['index.md'];
+
+      expect(index).toContain('## Partition Key Warnings');
+      expect(index).toContain('- [testdb/users](./testdb/users.md) **Poor**: Only 3 distinct key values');
+      expect((await render(analysisData, 'markdown'))['index.md']).not.toContain('## Partition Key Warnings');
+    });
+
+    it('should render the grade in the HTML report', async () => {
+      const html = (await render(withHealth, 'html'))['schema-report.html'];
+
+      expect(html).toContain('id="partition-key-warnings"');
+      expect(html).toContain('Partition key health');
+      expect(html).toContain('key poor');
+    });
+  });
+
+  describe('indexing advice', () => {
+    const documents = Array.from({ length: 4 }, (_, i) => ({ id: `u${i}`, name: `n${i}`, bio: 'x'.repeat(120), notes: 'y'.repeat(150) }));
+    const schema = {
+      ...inferSchema(documents),
+      containerInfo: { partitionKey: ['/id'], indexingPolicy: { indexingMode: 'consistent', includedPaths: [{ path: '/*' }] } }
+    };
+    schema.indexingAdvice = adviseIndexingPolicy(schema, [
+      { query: 'SELECT * FROM c ORDER BY c.name, c.id DESC', source: 'production' }
+    ]);
+    const withAdvice = { ...analysisData, containerSchemas: { 'testdb/users': schema } };
+
+    it('should list findings and the suggested policy on the container page', async () => {
+      const page = (await render(withAdvice, 'markdown'))['testdb/users.md'];
+
+      expect(page).toContain('## Indexing Advice');
+      expect(page).toContain('Checked against the schema and 0 sample queries and 1 production query.');
+      expect(page).toContain('- **Critical:** ORDER BY `name` ASC, `id` DESC fails without a composite index');
+      expect(page).toContain('- **Note:** `bio` (text, ~120 characters on average) is indexed by `/*` but no query filters or sorts on it');
+      expect(page).toContain('**Estimated write impact:** -25% index terms per document (~3 instead of ~4).');
+      expect(page).toContain('"path": "/bio/?"');
+    });
+
+    it('should summarise containers with advice in the index', async () => {
+      const index = (await render(withAdvice, 'markdown'))['index.md'];
+
+      expect(index).toContain('- [testdb/users](./testdb/users.md): 1 critical, 2 notes; suggested policy changes index terms per write by -25%');
+      expect((await render(analysisData, 'markdown'))['index.md']).not.toContain('## Indexing Advice');
+    });
+
+    it('should render the advice in the HTML report', async () => {
+      const html = (await render(withAdvice, 'html'))['schema-report.html'];
+
+      expect(html).toContain('id="indexing-advice"');
+      expect(html).toContain('Suggested indexing policy');
+      expect(html).toContain('1 critical');
+    });
+  });
+
+  describe('logged queries', () => {
+    const schema = {
+      ...inferSchema([{ id: 'u1', tenantId: 't1', name: 'Ann' }, { id: 'u2', tenantId: 't1', name: 'Bob' }]),
+      containerInfo: { partitionKey: ['/tenantId'] }
+    };
+    const log = (query, requestCharge) => ({ database: 'testdb', container: 'users', query, requestCharge });
+    schema.queryUsage = applyQueryLog(schema, [
+      log('SELECT * FROM c WHERE c.name = @name', 12.5),
+      log('SELECT * FROM c WHERE c.name = @name', 7.5),
+      log('SELECT * FROM c WHERE c.tenantId = @t OR c.email = @e', 3)
+    ]);
+    const withLog = { ...analysisData, containerSchemas: { 'testdb/users': schema } };
+
+    it('should list the top queries and cross-partition share on the container page', async () => {
+      const page = (await render(withLog, 'markdown'))['testdb/users.md'];
+
+      expect(page).toContain('## Logged Queries');
+      expect(page).toContain('3 logged executions of 2 distinct queries.');
+      expect(page).toContain('**Cross-partition:** 2 executions (67%) from 1 query do not filter on `/tenantId` with an equality');
+      expect(page).toContain('| 2 | 10 | **Cross** | `SELECT * FROM c WHERE c.name = @name` |');
+      expect(page).toContain('Queried but not in the sampled documents: `email`');
+      expect(page.indexOf('## Logged Queries')).toBeLessThan(page.indexOf('Sample Queries'));
+    });
+
+    it('should note query use in the property tables', async () => {
+      const page = (await render(withLog, 'markdown'))['testdb/users.md'];
+      const html = (await render(withLog, 'html'))['schema-report.html'];
+
+      expect(page).toMatch(/\| name \|.*Used in 1 query \(filter\)/);
+      expect(html).toContain('Logged queries');
+      expect(html).toContain('2 cross-partition');
+    });
+  });
+
+  describe('data classification', () => {
+    const schema = inferSchema([
+      { id: 'u1', ssn: '123-45-6789', contact: 'ann@example.com', apiKey: 'k1', status: 'active' },
+      { id: 'u2', ssn: '219-09-9999', contact: 'bob@example.com', apiKey: 'k2', status: 'closed' }
+    ]);
+    const classified = { ...analysisData, containerSchemas: { 'testdb/users': schema } };
+
+    it('should list labelled properties on the container page and in the index', async () => {
+      const files = await render(classified, 'markdown');
+      const page = files['testdb/users.md'];
+
+      expect(page).toContain('## Data Classification');
+      expect(page).toContain('| ssn | **PII** | 100% of values are national ID numbers |');
+      expect(page).toContain('| contact | **PII** | 100% of values are email addresses |');
+      expect(page).toMatch(/\| apiKey \|.*\*\*Confidential\*\*/);
+      expect(page).not.toMatch(/\| status \|.*\*\*(PII|Confidential)\*\*/);
+      expect(files['index.md']).toContain('## Sensitive Data');
+      expect(files['index.md']).toContain('- [testdb/users](./testdb/users.md): 2 PII, 1 Confidential');
+    });
+
+    it('should badge labelled properties in the HTML report', async () => {
+      const html = (await render(classified, 'html'))['schema-report.html'];
+
+      expect(html).toContain('id="sensitive-data"');
+      expect(html).toContain('3 sensitive');
+      expect(html).toContain('Data classification');
+    });
+
+    it('should carry labels into JSON Schema and the quality report', async () => {
+      const jsonSchema = JSON.parse((await render(classified, 'jsonschema'))['schemas/testdb/users.schema.json']);
+      const report = JSON.parse((await render(classified, 'quality'))['data-quality.json']);
+
+      expect(jsonSchema.properties.ssn['x-classification']).toBe('PII');
+      expect(jsonSchema.properties.status['x-classification']).toBeUndefined();
+      expect(report.containers['testdb/users'].classification).toEqual({ apiKey: 'Confidential', contact: 'PII', ssn: 'PII' });
+    });
+  });
+
+  describe('size and cost profile', () => {
+    const documents = [
+      { id: 'u1', name: 'Ann', tags: ['a', 'b'] },
+      { id: 'u2', name: 'Bob', bio: 'x'.repeat(100) }
+    ];
+    const schema = {
+      ...inferSchema(documents),
+      stats: { documentCount: 2000, avgDocumentSizeBytes: 85, estimatedSizeBytes: 170000 },
+      costs: {
+        pointRead: { requestCharge: 1, bytes: 120 },
+        queries: [
+          { name: 'Select all documents', query: 'SELECT * FROM c', requestCharge: 12.5, itemCount: 100 },
+          { name: 'Count documents', query: 'SELECT VALUE COUNT(1) FROM c', requestCharge: 2.5, itemCount: 1 }
+        ]
+      }
+    };
+    const withCosts = {
+      ...analysisData,
+      containerSchemas: { 'testdb/users': schema },
+      requestUnits: { consumed: 95.5, byContainer: { 'testdb/users': 90 } }
+    };
+
+    it('should render the size profile and request charges on the container page', async () => {
+      const page = (await render(withCosts, 'markdown'))['testdb/users.md'];
+
+      expect(page).toContain('## Size Profile');
+      expect(page).toContain('of the 2 MB item size limit.');
+      expect(page).toContain('**Largest documents:** `u2` (133.0 B), `u1` (41.0 B)');
+      expect(page).toContain('| bio | 102.0 B | 102.0 B | 59% |');
+      expect(page).toContain('| tags *(array)* | 9.0 B | 9.0 B | 5% |');
+      expect(page).toContain('## Request Charges');
+      expect(page).toContain('| Point read (120.0 B document) | 1 | 1 |');
+      expect(page).toContain('| Select all documents | 12.5 | 100 |');
+    });
+
+    it('should summarise sizes and charges across the account', async () => {
+      const files = await render(withCosts, 'markdown');
+
+      expect(files['index.md']).toContain('See [Cost Summary](./_cost-summary.md)');
+      expect(files['_cost-summary.md']).toContain(
+        '| [testdb/users](./testdb/users.md) | 2,000 | 87.0 B | 133.0 B | 0% | 166.0 KB | 1 RU | 7.5 RU | Select all documents (12.5 RU) | 90 RU |'
+      );
+      expect(files['_cost-summary.md']).toContain('**Consumed by this analysis:** 95.5 RU');
+    });
+
+    it('should leave the cost summary out without size profiles or charges', async () => {
+      const files = await render(analysisData, 'markdown');
+
+      expect(files['_cost-summary.md']).toBeUndefined();
+      expect(files['index.md']).not.toContain('## Cost Summary');
+    });
+
+    it('should render sizes and charges in the HTML report', async () => {
+      const html = (await render(withCosts, 'html'))['schema-report.html'];
+
+      expect(html).toContain('Size and request charges');
+      expect(html).toContain('id="cost-summary"');
+      expect(html).toContain('Select all documents (12.5 RU)');
+    });
+  });
+
+  describe('shared types', () => {
+    const address = city => ({ street: '1 High St', city, geo: { lat: 53.8, lng: -1.5 } });
+    const shared = {
+      ...analysisData,
+      databases: { testdb: { containers: ['users', 'orders'] } },
+      containerSchemas: {
+        'testdb/users': inferSchema([{ id: 'u1', address: address('Leeds') }, { id: 'u2', address: address('York') }]),
+        'testdb/orders': inferSchema([{ id: 'o1', shippingAddress: address('Hull'), billingAddress: address('Bath') }])
+      }
+    };
+
+    it('should document each shared type once and link it from property tables', async () => {
+      const files = await render(shared, 'markdown');
+      const page = files['testdb/orders.md'];
+
+      expect(files['index.md']).toContain('- [Address](./_shared-types.md#address): used in 3 places');
+      expect(files['_shared-types.md']).toContain('## Address');
+      expect(files['_shared-types.md']).toContain('| geo | [Geo](./_shared-types.md#geo) | Required |');
+      expect(files['_shared-types.md']).toContain('- [testdb/orders](./testdb/orders.md): `billingAddress`');
+      expect(page).toMatch(/\| shippingAddress \| \[Address\]\(\.\.\/_shared-types\.md#address\) \|/);
+      expect(page).toContain('**shippingAddress**: shared type [Address](../_shared-types.md#address)');
+      expect(page).not.toContain('<summary><strong>shippingAddress.geo</strong></summary>');
+    });
+
+    it('should list shared types in the HTML report', async () => {
+      const html = (await render(shared, 'html'))['schema-report.html'];
+
+      expect(html).toContain('id="shared-types"');
+      expect(html).toContain('id="shared-type-address"');
+      expect(html).toContain('href="#shared-type-geo"');
+    });
+
+    it('should define shared types under $defs and refer to them', async () => {
+      const files = await render(shared, 'jsonschema');
+      const orders = JSON.parse(files['schemas/testdb/orders.schema.json']);
+      const users = JSON.parse((await render(shared, 'jsonschema', { jsonSchema: { draft: 'draft-07' } }))['schemas/testdb/users.schema.json']);
+
+      expect(orders.properties.billingAddress).toEqual({ $ref: '#/$defs/Address' });
+      expect(Object.keys(orders.$defs)).toEqual(['Address', 'Geo']);
+      expect(orders.$defs.Address.properties.geo).toEqual({ $ref: '#/$defs/Geo' });
+      expect(orders.$defs.Address.properties.city).toEqual({ type: 'string' });
+      expect(users.properties.address).toEqual({ $ref: '#/definitions/Address' });
+      expect(Object.keys(users.definitions)).toEqual(['Address', 'Geo']);
+    });
+  });
+
+  it('should reject unknown formats', async () => {
+    await expect(render(analysisData, 'pdf')).rejects.toThrow("Unknown output format 'pdf'");
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequestMeter, isBudgetExhausted } from '../../src/cosmos/requestMeter.js';
+
+function throttledError(retryAfterInMs) {
+  const error = new Error('Request rate is large');
+  error.code = 429;
+  error.retryAfterInMs = retryAfterInMs;
+  return error;
+}
+
+describe('requestMeter', () => {
+  it('should record request charges per container', async () => {
+    const meter = createRequestMeter();
+
+    await meter.run('shop/orders', async () => ({ requestCharge: 2.5 }));
+    await meter.run('shop/orders', async () => ({ requestCharge: 1 }));
+    await meter.run(null, async () => ({ requestCharge: 4 }));
+
+    const summary = meter.summary();
+    expect(summary.consumed).toBe(7.5);
+    expect(summary.byContainer).toEqual({ 'shop/orders': 3.5 });
+    expect(summary.exhausted).toBe(false);
+  });
+
+  it('should retry throttled requests after the server retry-after', async () => {
+    const sleep = vi.fn().mockResolvedValue();
+    const meter = createRequestMeter({ sleep });
+    const request = vi.fn()
+      .mockRejectedValueOnce(throttledError(250))
+      .mockResolvedValueOnce({ requestCharge: 1 });
+
+    const response = await meter.run('shop/orders', request);
+
+    expect(response.requestCharge).toBe(1);
+    expect(sleep).toHaveBeenCalledWith(250);
+    expect(meter.summary().throttled).toBe(1);
+  });
+
+  it('should back off exponentially without a retry-after', async () => {
+    const sleep = vi.fn().mockResolvedValue();
+    const meter = createRequestMeter({ sleep });
+    const request = vi.fn()
+      .mockRejectedValueOnce(throttledError())
+      .mockRejectedValueOnce(throttledError())
+      .mockResolvedValueOnce({ requestCharge: 1 });
+
+    await meter.run('shop/orders', request);
+
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+  });
+
+  it('should give up after maxRetries', async () => {
+    const meter = createRequestMeter({ maxRetries: 1, sleep: async () => {} });
+    const request = vi.fn().mockRejectedValue(throttledError(10));
+
+    await expect(meter.run('shop/orders', request)).rejects.toMatchObject({ code: 429 });
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry other errors', async () => {
+    const meter = createRequestMeter({ sleep: async () => {} });
+    const error = Object.assign(new Error('Not found'), { code: 404 });
+    const request = vi.fn().mockRejectedValue(error);
+
+    await expect(meter.run('shop/orders', request)).rejects.toBe(error);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse requests once the budget is spent', async () => {
+    const meter = createRequestMeter({ budget: 10 });
+
+    await meter.run('shop/orders', async () => ({ requestCharge: 12 }));
+
+    expect(meter.exhausted).toBe(true);
+    const request = vi.fn();
+    const error = await meter.run('shop/customers', request).catch(err => err);
+    expect(isBudgetExhausted(error)).toBe(true);
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  it('should bind requests to a container', async () => {
+    const meter = createRequestMeter({ budget: 5 });
+    const requests = meter.forContainer('shop/orders');
+
+    await requests.run(async () => ({ requestCharge: 5 }));
+
+    expect(requests.exhausted).toBe(true);
+    expect(meter.summary().byContainer['shop/orders']).toBe(5);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createReservoir,
+  splitQuota,
+  getTimeBuckets,
+  normaliseSampling,
+  describeSampling
+} from '../../src/cosmos/sampling.js';
+
+describe('sampling', () => {
+  describe('createReservoir', () => {
+    it('should keep every item while under capacity', () => {
+      const reservoir = createReservoir(5);
+      [1, 2, 3].forEach(n => reservoir.add(n));
+
+      expect(reservoir.items()).toEqual([1, 2, 3]);
+      expect(reservoir.seen).toBe(3);
+    });
+
+    it('should never exceed capacity', () => {
+      const reservoir = createReservoir(3);
+      for (let i = 0; i < 100; i++) reservoir.add(i);
+
+      expect(reservoir.items()).toHaveLength(3);
+      expect(reservoir.seen).toBe(100);
+    });
+
+    it('should replace items using the supplied random source', () => {
+      // random() = 0 always picks slot 0, so the last item ends up first
+      const reservoir = createReservoir(2, () => 0);
+      [1, 2, 3, 4].forEach(n => reservoir.add(n));
+
+      expect(reservoir.items()).toEqual([4, 2]);
+    });
+  });
+
+  describe('splitQuota', () => {
+    it('should split evenly with the remainder spread over the first shares', () => {
+      expect(splitQuota(10, 3)).toEqual([4, 3, 3]);
+      expect(splitQuota(2, 4)).toEqual([1, 1, 0, 0]);
+    });
+
+    it('should return no shares for zero parts', () => {
+      expect(splitQuota(10, 0)).toEqual([]);
+    });
+  });
+
+  describe('getTimeBuckets', () => {
+    it('should build contiguous buckets back from now, newest first', () => {
+      const now = 1_700_000_000_000;
+      const buckets = getTimeBuckets({ bucketUnit: 'day', bucketCount: 3 }, now);
+
+      expect(buckets).toHaveLength(3);
+      expect(buckets[0].end).toBe(now / 1000 + 1);
+      expect(buckets[0].end - buckets[0].start).toBe(86400);
+      expect(buckets[1].end).toBe(buckets[0].start);
+      expect(buckets[2].end).toBe(buckets[1].start);
+    });
+
+    it('should default to 30-day buckets', () => {
+      const [bucket] = getTimeBuckets({ bucketCount: 1 });
+      expect(bucket.end - bucket.start).toBe(30 * 86400);
+    });
+  });
+
+  describe('normaliseSampling', () => {
+    it('should accept a bare strategy name', () => {
+      expect(normaliseSampling('oldest')).toMatchObject({ strategy: 'oldest', maxScan: 10000 });
+    });
+
+    it('should default to recent', () => {
+      expect(normaliseSampling().strategy).toBe('recent');
+    });
+  });
+
+  describe('describeSampling', () => {
+    it('should describe each strategy', () => {
+      expect(describeSampling({ strategy: 'recent' })).toBe('recent');
+      expect(describeSampling({ strategy: 'random', maxScan: 5000 })).toContain('the first 5,000 documents scanned');
+      expect(describeSampling({ strategy: 'random', maxScan: 0 })).toContain('all documents');
+      expect(describeSampling({ strategy: 'stratified' })).toContain('per partition');
+      expect(describeSampling({ strategy: 'timeBucketed', bucketCount: 12, bucketUnit: 'month' })).toBe('time-bucketed (12 × month)');
+    });
+
+    it('should default to recent when no strategy is recorded', () => {
+      expect(describeSampling(undefined)).toBe('recent');
+    });
+
+    it('should mention changes folded in by incremental runs', () => {
+      const sampling = { strategy: 'recent', incremental: { changedDocuments: 1200, since: '2026-10-18T02:00:00.000Z' } };
+      expect(describeSampling(sampling)).toBe('recent, then 1,200 changed documents since 2026-10-18');
+    });
+  });
+});
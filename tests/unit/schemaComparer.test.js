@@ -4,6 +4,7 @@ import {
   compareProperties,
   compareRelationships,
   compareContainers,
+  compareActivity,
   hasChanges,
   hasBreakingChanges
 } from '../../src/versioning/schemaComparer.js';
@@ -137,6 +138,35 @@ describe('schemaComparer', () => {
       expect(changes).toHaveLength(1);
       expect(changes[0].changeType).toBe('TYPE_CHANGED');
     });
+
+    it('should name the label of sensitive added properties', () => {
+      const current = {
+        ssn: { path: 'ssn', types: ['string'], classification: { label: 'PII', reasons: [] } }
+      };
+
+      const [change] = compareProperties({}, current, 'customers');
+
+      expect(change.description).toBe("New PII property 'ssn' added");
+    });
+
+    it('should detect classification changes', () => {
+      const baseline = {
+        notes: { path: 'notes', types: ['string'] },
+        region: { path: 'region', types: ['string'], classification: { label: 'PII', reasons: [] } }
+      };
+      const current = {
+        notes: { path: 'notes', types: ['string'], classification: { label: 'PII', reasons: [] } },
+        region: { path: 'region', types: ['string'], classification: { label: 'Internal', reasons: [] } }
+      };
+
+      const changes = compareProperties(baseline, current, 'customers');
+
+      expect(changes.map(change => change.changeType)).toEqual(['CLASSIFICATION_CHANGED', 'CLASSIFICATION_CHANGED']);
+      expect(changes.map(change => change.description)).toEqual([
+        "Property 'notes' classification changed from unlabelled to PII",
+        "Property 'region' classification changed from PII to Internal"
+      ]);
+    });
   });
 
   describe('compareRelationships', () => {
@@ -181,6 +211,23 @@ describe('schemaComparer', () => {
       expect(changes[0].changeType).toBe('RELATIONSHIP_REMOVED');
     });
 
+    it('should treat same-named containers in different databases as distinct', () => {
+      const rel = {
+        fromContainer: 'orders',
+        fromDatabase: 'shop',
+        fromProperty: 'customerId',
+        toContainer: 'customers',
+        toDatabase: 'shop',
+        cardinality: 'many-to-one'
+      };
+      const moved = { ...rel, fromDatabase: 'archive' };
+
+      const changes = compareRelationships([rel], [moved]);
+
+      expect(changes.map(c => c.changeType).sort()).toEqual(['RELATIONSHIP_ADDED', 'RELATIONSHIP_REMOVED']);
+      expect(changes.find(c => c.changeType === 'RELATIONSHIP_ADDED').description).toContain('archive/orders');
+    });
+
     it('should detect cardinality changes', () => {
       const baseline = [
         {
@@ -304,6 +351,75 @@ describe('schemaComparer', () => {
     });
   });
 
+  describe('compareActivity', () => {
+    const freshness = (writesPerDay, isStale = false) => ({
+      lastWrite: '2026-10-01T00:00:00.000Z',
+      daysSinceLastWrite: isStale ? 120 : 0,
+      windows: [{ days: 7, writes: writesPerDay * 7, writesPerDay }, { days: 30, writes: writesPerDay * 30, writesPerDay }],
+      staleAfterDays: 90,
+      isStale
+    });
+
+    it('should detect containers going stale', () => {
+      const baseline = { schemas: { 'shop/orders': { freshness: freshness(50) } } };
+      const current = { schemas: { 'shop/orders': { freshness: freshness(0, true) } } };
+
+      const changes = compareActivity(baseline, current);
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({ container: 'shop/orders', changeType: 'ACTIVITY_CHANGED' });
+      expect(changes[0].description).toContain('has gone stale: no writes for 120 days');
+    });
+
+    it('should detect stale containers being written to again', () => {
+      const baseline = { schemas: { 'shop/orders': { freshness: freshness(0, true) } } };
+      const current = { schemas: { 'shop/orders': { freshness: freshness(5) } } };
+
+      expect(compareActivity(baseline, current)[0].description).toContain('is being written to again');
+    });
+
+    it('should detect write rates changing by half or double', () => {
+      const baseline = { schemas: { 'shop/orders': { freshness: freshness(100) } } };
+      const current = { containerSchemas: { 'shop/orders': { freshness: freshness(40) } } };
+
+      const changes = compareActivity(baseline, current);
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0].description).toBe("Write activity on 'shop/orders' fell from ~100 to ~40 writes/day (30-day window)");
+    });
+
+    it('should ignore small or near-idle rate changes', () => {
+      const steady = compareActivity(
+        { schemas: { 'shop/orders': { freshness: freshness(100) } } },
+        { schemas: { 'shop/orders': { freshness: freshness(70) } } }
+      );
+      const idle = compareActivity(
+        { schemas: { 'shop/orders': { freshness: freshness(0.1) } } },
+        { schemas: { 'shop/orders': { freshness: freshness(0.5) } } }
+      );
+
+      expect(steady).toEqual([]);
+      expect(idle).toEqual([]);
+    });
+
+    it('should skip containers without freshness on either side', () => {
+      const baseline = { schemas: { 'shop/orders': { properties: {} } } };
+      const current = { schemas: { 'shop/orders': { freshness: freshness(0, true) } } };
+
+      expect(compareActivity(baseline, current)).toEqual([]);
+    });
+
+    it('should count activity changes in the summary', () => {
+      const baseline = { schemas: { 'shop/orders': { properties: {}, freshness: freshness(50) } }, relationships: [] };
+      const current = { schemas: { 'shop/orders': { properties: {}, freshness: freshness(0, true) } }, relationships: [] };
+
+      const result = compareSnapshots(baseline, current);
+
+      expect(result.summary.containersChanged).toBe(1);
+      expect(result.summary.totalChanges).toBe(1);
+    });
+  });
+
   describe('compareSnapshots', () => {
     it('should return complete comparison result', () => {
       const baseline = {
@@ -384,6 +500,48 @@ describe('schemaComparer', () => {
       expect(result.summary.relationshipsRemoved).toBe(1);
       expect(result.summary.totalChanges).toBeGreaterThan(0);
     });
+
+    it('should tell removed properties from ones last seen before the current sample', () => {
+      const baseline = {
+        schemas: {
+          'users': {
+            properties: {
+              'id': { types: ['string'], firstSeen: '2023-01-01T00:00:00.000Z', lastSeen: '2024-03-01T00:00:00.000Z' },
+              'fax': { types: ['string'], firstSeen: '2023-01-01T00:00:00.000Z', lastSeen: '2023-06-01T00:00:00.000Z' },
+              'pager': { types: ['string'], firstSeen: '2023-01-01T00:00:00.000Z', lastSeen: '2024-02-01T00:00:00.000Z' }
+            }
+          }
+        },
+        relationships: []
+      };
+      const current = {
+        schemas: {
+          'users': {
+            properties: {
+              'id': { types: ['string'], firstSeen: '2024-01-01T00:00:00.000Z', lastSeen: '2024-06-01T00:00:00.000Z' }
+            }
+          }
+        },
+        relationships: []
+      };
+
+      const result = compareSnapshots(baseline, current);
+      const changes = result.propertyChanges.users;
+
+      expect(changes.find(c => c.propertyPath === 'fax')).toMatchObject({
+        changeType: 'OUT_OF_SAMPLE',
+        description: "Property 'fax' not sampled: last seen 2023-06-01, before the current sample begins (2024-01-01)"
+      });
+      expect(changes.find(c => c.propertyPath === 'pager').changeType).toBe('REMOVED');
+      expect(result.summary.propertiesRemoved).toBe(1);
+    });
+
+    it('should report missing properties as removed when the samples have no timestamps', () => {
+      const baseline = { schemas: { 'users': { properties: { 'fax': { types: ['string'], lastSeen: '2023-06-01T00:00:00.000Z' } } } } };
+      const current = { schemas: { 'users': { properties: { 'id': { types: ['string'] } } } } };
+
+      expect(compareSnapshots(baseline, current).propertyChanges.users.find(c => c.propertyPath === 'fax').changeType).toBe('REMOVED');
+    });
   });
 
   describe('hasChanges', () => {
@@ -3,9 +3,14 @@ import {
   inferSchema,
   buildPropertyTree,
   getRootProperties,
-  getChildProperties
+  getChildProperties,
+  createSchemaState,
+  addDocumentToState,
+  addPagesToState,
+  mergeSchemaStates,
+  finaliseSchemaState
 } from '../../src/analysis/schemaInferrer.js';
-import { sampleDocuments, edgeCaseDocuments } from '../fixtures/sampleDocuments.js';
+import { sampleDocuments, edgeCaseDocuments, singleTableDocuments, versionedDocuments } from '../fixtures/sampleDocuments.js';
 
 describe('schemaInferrer', () => {
   describe('inferSchema', () => {
@@ -85,6 +90,45 @@ describe('schemaInferrer', () => {
       });
     });
 
+    describe('excluded paths', () => {
+      const docs = [{
+        id: 'e1',
+        payload: { raw: 'x', size: 3 },
+        audit: { createdBy: 'u1', trace: { span: 's1' } },
+        items: [{ sku: 'a', secret: 'k' }]
+      }];
+
+      it('should skip excluded paths and everything beneath them', () => {
+        const schema = inferSchema(docs, { excludePaths: ['payload'] });
+
+        expect(schema.properties.payload).toBeUndefined();
+        expect(schema.properties['payload.raw']).toBeUndefined();
+        expect(schema.properties.audit).toBeDefined();
+      });
+
+      it('should support wildcards and array item paths', () => {
+        const schema = inferSchema(docs, { excludePaths: ['audit.*', 'items[].secret'] });
+
+        expect(schema.properties.audit).toBeDefined();
+        expect(schema.properties['audit.createdBy']).toBeUndefined();
+        expect(schema.properties['audit.trace.span']).toBeUndefined();
+        expect(schema.properties['items[].sku']).toBeDefined();
+        expect(schema.properties['items[].secret']).toBeUndefined();
+      });
+
+      it('should not treat a shared prefix as a match', () => {
+        const schema = inferSchema([{ pay: 1, payload: 2 }], { excludePaths: ['pay'] });
+
+        expect(schema.properties.pay).toBeUndefined();
+        expect(schema.properties.payload).toBeDefined();
+      });
+
+      it('should record the excluded paths on the schema', () => {
+        expect(inferSchema(docs, { excludePaths: ['payload'] }).excludedPaths).toEqual(['payload']);
+        expect(inferSchema(docs).excludedPaths).toBeUndefined();
+      });
+    });
+
     describe('nested object handling', () => {
       it('should detect nested properties with dot notation', () => {
         const docs = [{
@@ -225,6 +269,39 @@ describe('schemaInferrer', () => {
 
         expect(schema.properties.store.types).toContain('ReferenceObject');
       });
+
+      it('should detect configured patterns without walking into them and record their definitions', () => {
+        const typeDetection = {
+          objectPatterns: [
+            { name: 'LinkObject', displayName: 'Link', required: { $ref: 'string', tenant: 'string' }, reference: true },
+            { name: 'Unused', required: { never: 'any' } }
+          ]
+        };
+        const docs = [
+          { id: '1', customer: { $ref: 'customers/1', tenant: 'acme' } },
+          { id: '2', customer: { $ref: 'customers/2', tenant: 'acme' } }
+        ];
+        const schema = inferSchema(docs, { typeDetection });
+
+        expect(schema.properties.customer.types).toEqual(['LinkObject']);
+        expect(schema.properties.customer.examples).toEqual(['{$ref, tenant}']);
+        expect(schema.properties['customer.tenant']).toBeUndefined();
+        expect(schema.objectPatterns.map(pattern => pattern.name)).toEqual(['LinkObject']);
+        expect(inferSchema(docs).objectPatterns).toBeUndefined();
+      });
+    });
+  });
+
+  describe('epoch timestamps', () => {
+    it('should read integers as epochs only under timestamp-like names', () => {
+      const { properties } = inferSchema([
+        { id: '1', createdAt: 1705314600, sizeBytes: 2147483647, accountId: 3000000000 },
+        { id: '2', createdAt: 1705400000, sizeBytes: 3000000000, accountId: 3000000001 }
+      ]);
+
+      expect(properties.createdAt.types).toEqual(['epochSeconds']);
+      expect(properties.sizeBytes.types).toEqual(['integer']);
+      expect(properties.accountId.types).toEqual(['integer']);
     });
   });
 
@@ -389,6 +466,28 @@ describe('schemaInferrer', () => {
     });
   });
 
+  describe('enum detection thresholds', () => {
+    const docs = Array.from({ length: 10 }, (_, i) => ({ region: `r${i % 4}` }));
+
+    it('should honour maxUniqueValues from config', () => {
+      expect(inferSchema(docs).properties.region.isEnum).toBe(true);
+      expect(inferSchema(docs, { typeDetection: { enumDetection: { maxUniqueValues: 3 } } }).properties.region.isEnum).toBeFalsy();
+    });
+
+    it('should skip enum detection when disabled', () => {
+      const schema = inferSchema(docs, { typeDetection: { enumDetection: { enabled: false } } });
+      expect(schema.properties.region.isEnum).toBeFalsy();
+    });
+
+    it('should detect enums of codes mixed with plain strings', () => {
+      const currencies = ['GBP', 'EUR', 'USD', 'unknown'];
+      const schema = inferSchema(Array.from({ length: 12 }, (_, i) => ({ currency: currencies[i % 4] })));
+
+      expect(schema.properties.currency.isEnum).toBe(true);
+      expect(schema.properties.currency.enumValues).toEqual(['EUR', 'GBP', 'USD', 'unknown']);
+    });
+  });
+
   describe('nullable detection', () => {
     it('should track null count for properties', () => {
       const docs = [
@@ -470,4 +569,346 @@ describe('schemaInferrer', () => {
       expect(schema.properties.rare.optionality).toBe('sparse');
     });
   });
+
+  describe('schema state', () => {
+    it('should produce the same schema as inferSchema', () => {
+      const state = createSchemaState();
+      for (const doc of sampleDocuments) {
+        addDocumentToState(state, doc);
+      }
+
+      expect(finaliseSchemaState(state)).toEqual(inferSchema(sampleDocuments));
+    });
+
+    it('should survive a JSON round trip between documents', () => {
+      const [first, ...rest] = sampleDocuments;
+      let state = addDocumentToState(createSchemaState(), first);
+
+      state = JSON.parse(JSON.stringify(state));
+      for (const doc of rest) {
+        addDocumentToState(state, doc);
+      }
+
+      expect(finaliseSchemaState(state)).toEqual(inferSchema(sampleDocuments));
+    });
+
+    it('should leave the state untouched when finalising', () => {
+      const state = addDocumentToState(createSchemaState(), { id: '1', status: 'open' });
+      const before = JSON.stringify(state);
+
+      finaliseSchemaState(state);
+
+      expect(JSON.stringify(state)).toBe(before);
+    });
+
+    it('should honour excludePaths when folding documents', () => {
+      const config = { excludePaths: ['secret'] };
+      const state = addDocumentToState(createSchemaState(), { id: '1', secret: 'x' }, config);
+
+      const schema = finaliseSchemaState(state, config);
+
+      expect(schema.properties.secret).toBeUndefined();
+      expect(schema.excludedPaths).toEqual(['secret']);
+    });
+  });
+
+  describe('discriminator detection', () => {
+    it('should detect a field that splits documents into entity shapes', () => {
+      const schema = inferSchema(singleTableDocuments);
+
+      expect(schema.discriminator.property).toBe('type');
+      expect(schema.discriminator.detected).toBe(true);
+      expect(schema.discriminator.variants.map(v => [v.value, v.documentCount])).toEqual([['customer', 2], ['order', 3]]);
+      expect(schema.properties.type.isDiscriminator).toBe(true);
+    });
+
+    it('should give each variant its own optionality', () => {
+      const schema = inferSchema(singleTableDocuments);
+      const order = schema.discriminator.variants.find(v => v.value === 'order');
+
+      expect(schema.properties.total.optionality).toBe('optional');
+      expect(order.properties.total.optionality).toBe('required');
+      expect(order.properties.email).toBeUndefined();
+      expect(order.properties.type.enumValues).toEqual(['order']);
+      expect(order.frequency).toBe(0.6);
+    });
+
+    it('should show only its own value as the discriminator example of each variant', () => {
+      const [customer, order] = inferSchema(singleTableDocuments).discriminator.variants;
+
+      expect(customer.properties.type.examples).toEqual(['customer']);
+      expect(order.properties.type.examples).toEqual(['order']);
+    });
+
+    it('should not treat lifecycle fields as discriminators', () => {
+      const documents = ['pending', 'shipped', 'delivered', 'pending', 'shipped', 'delivered'].map((status, i) => ({
+        id: `o${i}`,
+        status,
+        ...(status !== 'pending' && { shippedAt: '2024-01-01' }),
+        ...(status === 'delivered' && { deliveredAt: '2024-01-02' })
+      }));
+
+      expect(inferSchema(documents).discriminator).toBeUndefined();
+    });
+
+    it('should use a named discriminator', () => {
+      const schema = inferSchema(singleTableDocuments, { discriminator: 'status' });
+
+      expect(schema.discriminator.property).toBe('status');
+      expect(schema.discriminator.detected).toBe(false);
+      expect(schema.discriminator.variants.map(v => v.value)).toEqual(['closed', 'open']);
+    });
+
+    it('should skip detection when the discriminator is false', () => {
+      const state = createSchemaState();
+      singleTableDocuments.forEach(doc => addDocumentToState(state, doc, { discriminator: false }));
+
+      expect(state.variants).toEqual({});
+      expect(finaliseSchemaState(state, { discriminator: false }).discriminator).toBeUndefined();
+    });
+
+    it('should rule out fields with too many values', () => {
+      const state = createSchemaState();
+      for (let i = 0; i < 25; i++) {
+        addDocumentToState(state, { id: `d${i}`, type: 'event' });
+      }
+
+      expect(state.variants.id).toBeNull();
+      expect(Object.keys(state.variants.type)).toEqual(['event']);
+    });
+
+    it('should rule out fields with non-string values', () => {
+      const state = createSchemaState();
+      addDocumentToState(state, { id: 'a', kind: 1 });
+
+      expect(state.variants.kind).toBeNull();
+    });
+
+    it('should detect variants across merged states', () => {
+      const orders = createSchemaState();
+      const customers = createSchemaState();
+      singleTableDocuments.forEach(doc => addDocumentToState(doc.type === 'order' ? orders : customers, doc));
+
+      const schema = finaliseSchemaState(mergeSchemaStates(orders, customers));
+
+      expect(schema).toEqual(inferSchema([...singleTableDocuments.filter(d => d.type === 'order'), ...singleTableDocuments.filter(d => d.type === 'customer')]));
+      expect(schema.discriminator.property).toBe('type');
+    });
+  });
+
+  describe('value profiles', () => {
+    const documents = [
+      { id: 'a', total: 10, tags: ['x'], createdAt: '2024-02-01T00:00:00Z' },
+      { id: 'bb', total: 30, tags: ['x', 'y', 'z'], createdAt: '2024-01-01T00:00:00Z' },
+      { id: 'ccc', total: null, tags: [] }
+    ];
+
+    it('should profile numbers, string lengths, dates and array lengths', () => {
+      const { properties } = inferSchema(documents);
+
+      expect(properties.total.stats.numbers).toMatchObject({ min: 10, max: 30, mean: 20 });
+      expect(properties.id.stats.lengths).toEqual({ min: 1, max: 3, mean: 2 });
+      expect(properties.createdAt.stats.dates).toEqual({ earliest: '2024-01-01T00:00:00Z', latest: '2024-02-01T00:00:00Z' });
+      expect(properties.tags.stats.arrayLengths).toMatchObject({ min: 0, max: 3 });
+      expect(properties['tags[]'].stats.lengths).toMatchObject({ min: 1, max: 1 });
+    });
+
+    it('should count values of scalar properties', () => {
+      const { properties } = inferSchema(singleTableDocuments);
+
+      expect(properties.type.distribution.values.map(v => [v.value, v.count])).toEqual([['order', 3], ['customer', 2]]);
+      expect(properties.id.distribution).toMatchObject({ distinct: 5, kind: null });
+      expect(properties.total.distribution.distinct).toBe(3);
+    });
+
+    it('should profile merged states like a single sample', () => {
+      const first = createSchemaState();
+      const second = createSchemaState();
+      addDocumentToState(first, documents[0]);
+      documents.slice(1).forEach(doc => addDocumentToState(second, doc));
+
+      const merged = finaliseSchemaState(mergeSchemaStates(first, second));
+
+      expect(merged.properties.total.stats).toEqual(inferSchema(documents).properties.total.stats);
+      expect(merged.properties.id.distribution).toEqual(inferSchema(documents).properties.id.distribution);
+    });
+  });
+
+  describe('schema versions', () => {
+    it('should detect a version field and infer a schema per version', () => {
+      const schema = inferSchema(versionedDocuments);
+
+      expect(schema.schemaVersions.property).toBe('schemaVersion');
+      expect(schema.schemaVersions.detected).toBe(true);
+      expect(schema.schemaVersions.versions.map(v => [v.value, v.documentCount])).toEqual([[null, 2], [2, 2], [3, 1]]);
+      expect(schema.properties.schemaVersion.isVersionField).toBe(true);
+    });
+
+    it('should give each version its own optionality', () => {
+      const [unversioned, v2] = inferSchema(versionedDocuments).schemaVersions.versions;
+
+      expect(unversioned.properties.fax.optionality).toBe('required');
+      expect(unversioned.properties.email).toBeUndefined();
+      expect(unversioned.frequency).toBe(0.4);
+      expect(v2.properties.email.optionality).toBe('required');
+      expect(v2.properties.fax).toBeUndefined();
+    });
+
+    it('should list properties added and removed since the previous version', () => {
+      const [unversioned, v2, v3] = inferSchema(versionedDocuments).schemaVersions.versions;
+      const summary = version => version.changes.map(c => [c.propertyPath, c.changeType]);
+
+      expect(unversioned.changes).toBeUndefined();
+      expect(summary(v2)).toEqual(expect.arrayContaining([['email', 'ADDED'], ['fax', 'REMOVED'], ['schemaVersion', 'ADDED']]));
+      expect(summary(v3)).toEqual([['phone', 'ADDED'], ['phone.mobile', 'ADDED']]);
+    });
+
+    it('should use a named version field with string values', () => {
+      const documents = [
+        { id: 'a', rev: 'v1', old: true },
+        { id: 'b', rev: 'v2', renamed: true },
+        { id: 'c', rev: 'v10', renamed: true }
+      ];
+      const schema = inferSchema(documents, { versionField: 'rev', discriminator: false });
+
+      expect(schema.schemaVersions.detected).toBe(false);
+      expect(schema.schemaVersions.versions.map(v => v.value)).toEqual(['v1', 'v2', 'v10']);
+    });
+
+    it('should not report a single version', () => {
+      const documents = [{ id: 'a', _v: 1 }, { id: 'b', _v: 1 }];
+
+      expect(inferSchema(documents).schemaVersions).toBeUndefined();
+    });
+
+    it('should not take a generic version field for a schema version', () => {
+      const documents = [
+        { id: 'a', version: 1, draft: true },
+        { id: 'b', version: 2 },
+        { id: 'c', version: 2 }
+      ];
+
+      expect(inferSchema(documents).schemaVersions).toBeUndefined();
+      expect(inferSchema(documents, { versionField: 'version' }).schemaVersions.versions).toHaveLength(2);
+    });
+
+    it('should skip tracking when the version field is false', () => {
+      const state = createSchemaState();
+      versionedDocuments.forEach(doc => addDocumentToState(state, doc, { versionField: false }));
+
+      expect(state.versions).toEqual({});
+      expect(finaliseSchemaState(state, { versionField: false }).schemaVersions).toBeUndefined();
+    });
+
+    it('should detect versions across merged states', () => {
+      const legacy = createSchemaState();
+      const current = createSchemaState();
+      versionedDocuments.forEach(doc => addDocumentToState(doc.schemaVersion ? current : legacy, doc));
+
+      const schema = finaliseSchemaState(mergeSchemaStates(legacy, current));
+
+      expect(schema.schemaVersions.versions.map(v => v.documentCount)).toEqual([2, 2, 1]);
+    });
+  });
+
+  describe('addPagesToState', () => {
+    async function* toPages(documents, size) {
+      for (let i = 0; i < documents.length; i += size) {
+        yield documents.slice(i, i + size);
+      }
+    }
+
+    it('should produce the same schema as inferSchema', async () => {
+      const state = await addPagesToState(createSchemaState(), toPages(sampleDocuments, 2), {});
+
+      expect(finaliseSchemaState(state)).toEqual(inferSchema(sampleDocuments));
+    });
+
+    it('should report the running document count after each page', async () => {
+      const counts = [];
+      const documents = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+      await addPagesToState(createSchemaState(), toPages(documents, 2), {}, count => counts.push(count));
+
+      expect(counts).toEqual([2, 3]);
+    });
+
+    it('should accept synchronous iterables of pages', async () => {
+      const state = await addPagesToState(createSchemaState(), [[{ id: 'a' }], [{ id: 'b' }]]);
+      expect(state.documentCount).toBe(2);
+    });
+  });
+
+  describe('mergeSchemaStates', () => {
+    const stateOf = (documents, config) => {
+      const state = createSchemaState();
+      documents.forEach(doc => addDocumentToState(state, doc, config));
+      return state;
+    };
+
+    it('should match inferring all documents at once', () => {
+      const half = Math.ceil(sampleDocuments.length / 2);
+      const merged = mergeSchemaStates(
+        stateOf(sampleDocuments.slice(0, half)),
+        stateOf(sampleDocuments.slice(half))
+      );
+
+      const schema = finaliseSchemaState(merged);
+      const expected = inferSchema(sampleDocuments);
+
+      expect(schema.documentCount).toBe(expected.documentCount);
+      for (const [path, prop] of Object.entries(expected.properties)) {
+        expect(schema.properties[path].occurrences).toBe(prop.occurrences);
+        expect(schema.properties[path].frequency).toBe(prop.frequency);
+        expect([...schema.properties[path].types].sort()).toEqual([...prop.types].sort());
+        expect(schema.properties[path].isRequired).toBe(prop.isRequired);
+      }
+    });
+
+    it('should combine properties seen in only one state', () => {
+      const merged = mergeSchemaStates(
+        stateOf([{ id: '1', status: 'open' }]),
+        stateOf([{ id: '2', tags: ['a', 'b'] }])
+      );
+
+      const schema = finaliseSchemaState(merged);
+
+      expect(schema.properties.status.frequency).toBe(0.5);
+      expect(schema.properties.tags.isArray).toBe(true);
+      expect(schema.properties['tags[]'].occurrences).toBe(2);
+      expect(schema.properties.id.allValues).toEqual(['1', '2']);
+    });
+
+    it('should union types and enum candidates', () => {
+      const merged = mergeSchemaStates(
+        stateOf([{ status: 'open' }, { status: 'closed' }]),
+        stateOf([{ status: 'open' }, { status: null }])
+      );
+
+      const prop = finaliseSchemaState(merged).properties.status;
+
+      expect(prop.types).toEqual(['string', 'null']);
+      expect(prop.nullCount).toBe(1);
+      expect(prop.enumValues).toEqual(['closed', 'open']);
+    });
+
+    it('should keep example caps', () => {
+      const docs = prefix => Array.from({ length: 4 }, (_, i) => ({ code: `${prefix}-${i}` }));
+      const merged = mergeSchemaStates(stateOf(docs('a')), stateOf(docs('b')));
+
+      expect(merged.properties.code.examples).toHaveLength(5);
+    });
+
+    it('should not modify its inputs and stay serialisable', () => {
+      const a = stateOf([{ id: '1' }]);
+      const b = stateOf([{ id: '2' }]);
+      const before = JSON.stringify([a, b]);
+
+      const merged = mergeSchemaStates(JSON.parse(JSON.stringify(a)), b);
+
+      expect(JSON.stringify([a, b])).toBe(before);
+      expect(JSON.parse(JSON.stringify(merged))).toEqual(merged);
+      expect(merged.documentCount).toBe(2);
+    });
+  });
 });
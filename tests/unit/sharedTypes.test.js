@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { inferSchema } from '../../src/analysis/schemaInferrer.js';
+import { findSharedTypes } from '../../src/analysis/sharedTypes.js';
+
+const address = city => ({ street: '1 High St', city, geo: { lat: 53.8, lng: -1.5 } });
+
+const containerSchemas = {
+  'shop/orders': inferSchema([
+    { id: 'o1', shippingAddress: address('Leeds'), billingAddress: address('York'), lines: [{ sku: 'a', qty: 1 }] },
+    { id: 'o2', shippingAddress: address('Hull'), billingAddress: address('Bath'), lines: [{ sku: 'b', qty: 2 }] }
+  ]),
+  'crm/customers': inferSchema([
+    { id: 'c1', address: address('Leeds'), total: { amount: 10, currency: 'GBP' } },
+    { id: 'c2', address: address('York'), total: { amount: 12.5, currency: 'EUR' } }
+  ]),
+  'shop/invoices': inferSchema([
+    { id: 'i1', total: { amount: 3, currency: 'USD' }, lineItems: [{ sku: 'a', qty: 1 }] }
+  ])
+};
+
+describe('sharedTypes', () => {
+  describe('findSharedTypes', () => {
+    it('should group nested objects with the same keys and value types across containers and paths', () => {
+      const { types } = findSharedTypes(containerSchemas);
+      const address = types.find(type => type.name === 'Address');
+
+      expect(address.occurrences.map(({ containerKey, path }) => `${containerKey}:${path}`)).toEqual([
+        'crm/customers:address',
+        'shop/orders:billingAddress',
+        'shop/orders:shippingAddress'
+      ]);
+      expect(address.occurrences[0]).toMatchObject({ database: 'crm', container: 'customers' });
+    });
+
+    it('should treat types of one family alike', () => {
+      const { types } = findSharedTypes(containerSchemas);
+      const total = types.find(type => type.name === 'Total');
+
+      expect(total.occurrences.map(occurrence => occurrence.containerKey)).toEqual(['crm/customers', 'shop/invoices']);
+      expect(total.properties.find(prop => prop.name === 'amount').types).toEqual(expect.arrayContaining(['integer', 'number']));
+    });
+
+    it('should name array item shapes after the singular of the array name', () => {
+      const { types } = findSharedTypes(containerSchemas);
+      const item = types.find(type => type.fingerprint === 'qty:number,sku:string');
+
+      expect(item.name).toBe('Line');
+      expect(item.occurrences.map(occurrence => occurrence.path)).toEqual(['lineItems[]', 'lines[]']);
+    });
+
+    it('should refer to nested shared types by name instead of listing their keys', () => {
+      const { types } = findSharedTypes(containerSchemas);
+      const address = types.find(type => type.name === 'Address');
+
+      expect(address.properties).toEqual([
+        { path: 'city', name: 'city', types: ['string'], required: true, sharedType: null },
+        { path: 'geo', name: 'geo', types: ['object'], required: true, sharedType: 'Geo' },
+        { path: 'street', name: 'street', types: ['string'], required: true, sharedType: null }
+      ]);
+    });
+
+    it('should look up the type held at each path per container', () => {
+      const { byContainer } = findSharedTypes(containerSchemas);
+
+      expect(byContainer['shop/orders']).toEqual({
+        billingAddress: 'Address',
+        shippingAddress: 'Address',
+        'billingAddress.geo': 'Geo',
+        'shippingAddress.geo': 'Geo',
+        'lines[]': 'Line'
+      });
+    });
+
+    it('should leave out shapes occurring once and objects with a single key', () => {
+      const { types } = findSharedTypes({
+        'db/a': inferSchema([{ id: '1', meta: { source: 'x' }, audit: { by: 'ann', at: '2024-01-15T10:00:00Z' } }]),
+        'db/b': inferSchema([{ id: '2', meta: { source: 'y' } }])
+      });
+
+      expect(types).toEqual([]);
+    });
+
+    it('should number shapes that would take the same name', () => {
+      const { types } = findSharedTypes({
+        'db/a': inferSchema([{ id: '1', address: { city: 'Leeds', postcode: 'LS1' }, home: { address: { line1: 'x', line2: 'y' } } }]),
+        'db/b': inferSchema([{ id: '2', address: { city: 'York', postcode: 'YO1' }, work: { address: { line1: 'x', line2: 'y' } } }])
+      });
+
+      expect(types.map(type => type.name)).toEqual(['Address', 'Address2']);
+    });
+
+    it('should mark keys optional when missing from some objects', () => {
+      const { types } = findSharedTypes({
+        'db/a': inferSchema([{ id: '1', price: { amount: 1, currency: 'GBP' } }, { id: '2', price: { amount: 2 } }]),
+        'db/b': inferSchema([{ id: '3', price: { amount: 3, currency: 'EUR' } }, { id: '4', price: { amount: 4 } }])
+      });
+
+      expect(types[0].properties.find(prop => prop.name === 'currency').required).toBe(false);
+      expect(types[0].properties.find(prop => prop.name === 'amount').required).toBe(true);
+    });
+  });
+});
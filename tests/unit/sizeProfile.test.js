@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { inferSchema, createSchemaState, addDocumentToState, mergeSchemaStates } from '../../src/analysis/schemaInferrer.js';
+import { buildSizeProfile, formatLimitShare, ITEM_SIZE_LIMIT } from '../../src/analysis/sizeProfile.js';
+
+const bytesOf = doc => Buffer.byteLength(JSON.stringify(doc));
+
+describe('sizeProfile', () => {
+  const documents = [
+    { id: 'a', name: 'Ann', tags: ['x', 'y'], address: { city: 'Leeds' } },
+    { id: 'b', name: 'Bob', tags: [], notes: 'é'.repeat(50) },
+    { id: 'c', name: 'Cy' }
+  ];
+
+  it('should summarise document sizes and list the largest documents', () => {
+    const { sizeProfile } = inferSchema(documents);
+
+    expect(sizeProfile.sizes.max).toBe(bytesOf(documents[1]));
+    expect(sizeProfile.sizes.min).toBe(bytesOf(documents[2]));
+    expect(sizeProfile.largest[0]).toEqual({ id: 'b', bytes: bytesOf(documents[1]) });
+    expect(sizeProfile.nearLimit).toBe(false);
+  });
+
+  it('should rank root properties and arrays by the bytes they take up', () => {
+    const { sizeProfile } = inferSchema(documents);
+
+    expect(sizeProfile.topProperties[0]).toEqual({
+      path: 'notes',
+      bytes: 102,
+      averageBytes: 102,
+      share: Math.round((102 / documents.reduce((sum, doc) => sum + bytesOf(doc), 0)) * 1000) / 1000,
+      isArray: false
+    });
+    expect(sizeProfile.topProperties.find(prop => prop.path === 'tags')).toMatchObject({ bytes: 11, isArray: true });
+    expect(sizeProfile.topProperties.map(prop => prop.path)).not.toContain('address.city');
+  });
+
+  it('should not leave byte counts on finalised properties', () => {
+    const { properties } = inferSchema(documents);
+
+    expect(properties.name.bytes).toBeUndefined();
+  });
+
+  it('should flag documents over half the item size limit', () => {
+    const { sizeProfile } = inferSchema([{ id: 'big', blob: 'x'.repeat(ITEM_SIZE_LIMIT * 0.6) }]);
+
+    expect(sizeProfile.nearLimit).toBe(true);
+    expect(formatLimitShare(sizeProfile.limitShare)).toBe('60%');
+  });
+
+  it('should add up property bytes across merged states', () => {
+    const a = createSchemaState();
+    const b = createSchemaState();
+    addDocumentToState(a, documents[0]);
+    addDocumentToState(b, documents[2]);
+
+    const merged = mergeSchemaStates(a, b);
+
+    expect(merged.properties.name.bytes).toBe(9);
+    expect(buildSizeProfile(merged).sizes.max).toBe(bytesOf(documents[0]));
+  });
+
+  it('should return null for an empty sample', () => {
+    expect(buildSizeProfile(createSchemaState())).toBeNull();
+  });
+
+  it('should format the share of the limit', () => {
+    expect(formatLimitShare(0.125)).toBe('12.5%');
+    expect(formatLimitShare(0.0004)).toBe('0%');
+  });
+});
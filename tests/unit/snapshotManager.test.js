@@ -7,7 +7,8 @@ import {
   getLatestSnapshot,
   listSnapshots,
   pruneSnapshots,
-  deleteSnapshot
+  deleteSnapshot,
+  migrateSnapshot
 } from '../../src/versioning/snapshotManager.js';
 
 const TEST_CACHE_DIR = '.test-cosmoscache';
@@ -81,7 +82,7 @@ describe('snapshotManager', () => {
       const content = await readFile(result.path, 'utf8');
       const snapshot = JSON.parse(content);
 
-      expect(snapshot.version).toBe('1.0');
+      expect(snapshot.version).toBe('2.0');
       expect(snapshot.metadata).toBeDefined();
       expect(snapshot.metadata.id).toBe(result.id);
       expect(snapshot.metadata.createdAt).toBeDefined();
@@ -129,6 +130,20 @@ describe('snapshotManager', () => {
       expect(snapshot.schemas['products'].documentCount).toBe(100);
     });
 
+    it('should store container freshness so activity can be diffed', async () => {
+      const freshness = { lastWrite: '2026-10-01T00:00:00.000Z', daysSinceLastWrite: 3, windows: [], staleAfterDays: 90, isStale: false };
+      const data = {
+        ...sampleAnalysisData,
+        containerSchemas: { ...sampleAnalysisData.containerSchemas, 'products': { ...sampleAnalysisData.containerSchemas.products, freshness } }
+      };
+
+      const result = await saveSnapshot(data, { cacheDir: TEST_CACHE_DIR });
+      const snapshot = JSON.parse(await readFile(result.path, 'utf8'));
+
+      expect(snapshot.schemas['products'].freshness).toEqual(freshness);
+      expect(snapshot.schemas['orders'].freshness).toBeUndefined();
+    });
+
     it('should store relationships correctly', async () => {
       const result = await saveSnapshot(sampleAnalysisData, { cacheDir: TEST_CACHE_DIR });
 
@@ -208,6 +223,45 @@ describe('snapshotManager', () => {
       expect(latest).not.toBeNull();
       expect(latest.metadata.id).toBe(third.id);
     });
+
+    it('should load a named latest snapshot by its name', async () => {
+      await saveSnapshot(sampleAnalysisData, { cacheDir: TEST_CACHE_DIR });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      const named = await saveSnapshot(sampleAnalysisData, { cacheDir: TEST_CACHE_DIR, name: 'release' });
+
+      const latest = await getLatestSnapshot(TEST_CACHE_DIR);
+
+      expect(latest.metadata.id).toBe(named.id);
+    });
+  });
+
+  describe('migrateSnapshot', () => {
+    it('should qualify 1.0 schema keys with their database', () => {
+      const migrated = migrateSnapshot({
+        version: '1.0',
+        databases: { shop: { containers: ['orders'] }, crm: { containers: ['contacts'] } },
+        schemas: { orders: { properties: {} }, contacts: { properties: {} } },
+        relationships: []
+      });
+
+      expect(migrated.version).toBe('2.0');
+      expect(Object.keys(migrated.schemas).sort()).toEqual(['crm/contacts', 'shop/orders']);
+    });
+
+    it('should assign a shared name to the last database listing it', () => {
+      const migrated = migrateSnapshot({
+        version: '1.0',
+        databases: { shop: { containers: ['orders'] }, archive: { containers: ['orders'] } },
+        schemas: { orders: { properties: {} } }
+      });
+
+      expect(Object.keys(migrated.schemas)).toEqual(['archive/orders']);
+    });
+
+    it('should leave current snapshots untouched', () => {
+      const snapshot = { version: '2.0', schemas: { 'shop/orders': {} } };
+      expect(migrateSnapshot(snapshot)).toBe(snapshot);
+    });
   });
 
   describe('listSnapshots', () => {
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import {
+  recordValueDistribution,
+  mergeValueDistributions,
+  finaliseValueDistribution,
+  describeValueDistribution,
+  formatDistinctCount,
+  formatPercent
+} from '../../src/analysis/valueDistribution.js';
+
+function distribute(values) {
+  const prop = {};
+  values.forEach(value => recordValueDistribution(prop, value));
+  return prop.distribution;
+}
+
+const repeat = (value, times) => Array(times).fill(value);
+
+describe('valueDistribution', () => {
+  it('should count every value of a low-cardinality field', () => {
+    const distribution = finaliseValueDistribution(
+      distribute([...repeat('Completed', 97), ...repeat('Pending', 2), 'Cancelled']),
+      ['string']
+    );
+
+    expect(distribution.kind).toBe('histogram');
+    expect(distribution.distinct).toBe(3);
+    expect(distribution.distinctIsEstimate).toBe(false);
+    expect(distribution.values.map(v => [v.value, v.count])).toEqual([['Completed', 97], ['Pending', 2], ['Cancelled', 1]]);
+    expect(distribution.values[0].frequency).toBe(0.97);
+  });
+
+  it('should ignore nulls, objects and arrays', () => {
+    expect(distribute([null, { a: 1 }, ['x']])).toBeUndefined();
+    expect(finaliseValueDistribution(distribute([true, false, true]), ['boolean']).values.map(v => v.value)).toEqual(['true', 'false']);
+  });
+
+  it('should list the top values of a higher-cardinality string field', () => {
+    const values = [...repeat('c1', 50), ...repeat('c2', 30), ...Array.from({ length: 500 }, (_, i) => `other-${i}`)];
+    const distribution = finaliseValueDistribution(distribute(values), ['string']);
+
+    expect(distribution.kind).toBe('top');
+    expect(distribution.values.map(v => v.value)).toEqual(['c1', 'c2']);
+    expect(distribution.distinctIsEstimate).toBe(true);
+  });
+
+  it('should not mistake unique values for repeats once more than 100 are counted', () => {
+    const ids = Array.from({ length: 1000 }, (_, i) => `doc-${i}`);
+
+    const distribution = finaliseValueDistribution(distribute(ids), ['string']);
+
+    expect(distribution.kind).toBeNull();
+    expect(distribution.values).toEqual([]);
+  });
+
+  it('should not count more distinct values than were seen', () => {
+    const names = Array.from({ length: 1000 }, (_, i) => `name-${i}`);
+
+    const distribution = finaliseValueDistribution(distribute(names), ['string']);
+
+    expect(distribution.distinct).toBeLessThanOrEqual(1000);
+  });
+
+  it('should keep the error of evicted counts across merges', () => {
+    const a = distribute([...repeat('hot', 40), ...Array.from({ length: 300 }, (_, i) => `a-${i}`)]);
+    const b = distribute(Array.from({ length: 300 }, (_, i) => `b-${i}`));
+
+    const distribution = finaliseValueDistribution(mergeValueDistributions(a, b), ['string']);
+
+    expect(distribution.values.map(v => v.value)).toEqual(['hot']);
+  });
+
+  it('should not list values when none repeat', () => {
+    const distribution = finaliseValueDistribution(distribute(['a', 'b', 'c']), ['string']);
+
+    expect(distribution.kind).toBeNull();
+    expect(distribution.values).toEqual([]);
+    expect(distribution.distinct).toBe(3);
+  });
+
+  it('should not list top values for high-cardinality numbers', () => {
+    const values = [...repeat(1, 5), ...Array.from({ length: 500 }, (_, i) => i + 100)];
+
+    expect(finaliseValueDistribution(distribute(values), ['integer']).kind).toBeNull();
+  });
+
+  it('should estimate distinct counts within a few percent', () => {
+    const distribution = finaliseValueDistribution(distribute(Array.from({ length: 20000 }, (_, i) => `user-${i}`)), ['string']);
+
+    expect(distribution.distinct).toBeGreaterThan(20000 * 0.85);
+    expect(distribution.distinct).toBeLessThan(20000 * 1.15);
+  });
+
+  it('should merge distributions as if every value had been recorded once', () => {
+    const a = distribute(['open', 'open', 'closed']);
+    const b = distribute(['open', 'archived']);
+
+    expect(finaliseValueDistribution(mergeValueDistributions(a, b), ['string']))
+      .toEqual(finaliseValueDistribution(distribute(['open', 'open', 'closed', 'open', 'archived']), ['string']));
+    expect(a.total).toBe(3);
+  });
+
+  it('should merge distinct sketches of large fields', () => {
+    const a = distribute(Array.from({ length: 5000 }, (_, i) => `id-${i}`));
+    const b = distribute(Array.from({ length: 5000 }, (_, i) => `id-${i + 2500}`));
+
+    const { distinct } = finaliseValueDistribution(mergeValueDistributions(a, b), ['string']);
+
+    expect(distinct).toBeGreaterThan(7500 * 0.85);
+    expect(distinct).toBeLessThan(7500 * 1.15);
+  });
+
+  describe('formatting', () => {
+    it('should describe values with their shares', () => {
+      const distribution = finaliseValueDistribution(distribute(['open', 'open', 'open', 'closed']), ['string']);
+
+      expect(describeValueDistribution(distribution)).toBe('`open` 75%, `closed` 25%');
+      expect(describeValueDistribution({ kind: null })).toBe('-');
+    });
+
+    it('should note values left out of top-N lists', () => {
+      const distribution = { kind: 'top', distinct: 40, values: [{ value: 'a', frequency: 0.5 }] };
+
+      expect(describeValueDistribution(distribution)).toBe('`a` 50% (+39 more)');
+    });
+
+    it('should mark estimated distinct counts', () => {
+      expect(formatDistinctCount({ distinct: 1234, distinctIsEstimate: true })).toBe('~1,234');
+      expect(formatDistinctCount({ distinct: 3, distinctIsEstimate: false })).toBe('3');
+    });
+
+    it('should keep small shares visible', () => {
+      expect(formatPercent(0.004)).toBe('<1%');
+      expect(formatPercent(0.97)).toBe('97%');
+    });
+  });
+});
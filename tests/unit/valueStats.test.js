@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  recordValueStats,
+  mergeValueStats,
+  finaliseValueStats,
+  describeValueStats
+} from '../../src/analysis/valueStats.js';
+
+function profile(values, type) {
+  const prop = {};
+  values.forEach(value => recordValueStats(prop, value, type));
+  return { raw: prop.stats, stats: finaliseValueStats(prop.stats) };
+}
+
+describe('valueStats', () => {
+  describe('numbers', () => {
+    it('should record range, mean and percentiles', () => {
+      const { stats } = profile(Array.from({ length: 100 }, (_, i) => i + 1), 'integer');
+
+      expect(stats.numbers).toEqual({ min: 1, max: 100, mean: 50.5, p50: 50, p90: 90, p99: 99 });
+    });
+
+    it('should ignore nulls', () => {
+      const { stats } = profile([null, 5, undefined], 'integer');
+
+      expect(stats.numbers).toMatchObject({ min: 5, max: 5, mean: 5 });
+    });
+
+    it('should cap the percentile sample but keep exact range and mean', () => {
+      const { raw, stats } = profile(Array.from({ length: 5000 }, (_, i) => i), 'integer');
+
+      expect(raw.numbers.sample.length).toBeLessThanOrEqual(1000);
+      expect(stats.numbers).toMatchObject({ min: 0, max: 4999, mean: 2499.5 });
+      expect(stats.numbers.p50).toBeGreaterThan(2300);
+      expect(stats.numbers.p50).toBeLessThan(2700);
+    });
+  });
+
+  it('should record string lengths', () => {
+    const { stats } = profile(['a', 'abc', 'abcdef'], 'string');
+
+    expect(stats.lengths).toEqual({ min: 1, max: 6, mean: 3.33 });
+  });
+
+  it('should record date ranges for date-time strings and objects', () => {
+    expect(profile(['2024-03-01T00:00:00Z', '2023-12-31T10:00:00Z', '2024-01-15T00:00:00Z'], 'datetime').stats.dates)
+      .toEqual({ earliest: '2023-12-31T10:00:00Z', latest: '2024-03-01T00:00:00Z' });
+
+    expect(profile([{ Value: '2024-05-01T00:00:00Z', Epoch: 1714521600 }], 'DateTimeObject').stats.dates)
+      .toEqual({ earliest: '2024-05-01T00:00:00Z', latest: '2024-05-01T00:00:00Z' });
+  });
+
+  it('should record date ranges for dates and epoch timestamps', () => {
+    expect(profile(['2024-03-01', '2024-01-15'], 'date').stats.dates)
+      .toEqual({ earliest: '2024-01-15', latest: '2024-03-01' });
+
+    expect(profile([1714521600], 'epochSeconds').stats.dates.earliest).toBe('2024-05-01T00:00:00.000Z');
+    expect(profile([1714521600000], 'epochMillis').stats.dates.latest).toBe('2024-05-01T00:00:00.000Z');
+  });
+
+  it('should record array lengths', () => {
+    const { stats } = profile([[], ['a'], ['a', 'b', 'c']], 'array');
+
+    expect(stats.arrayLengths).toMatchObject({ min: 0, max: 3, mean: 1.33 });
+  });
+
+  it('should merge stats as if every value had been recorded once', () => {
+    const a = profile([1, 2, 3], 'integer').raw;
+    const b = profile([10, 20], 'integer').raw;
+    const dates = profile(['2024-01-01T00:00:00Z'], 'datetime').raw;
+
+    expect(finaliseValueStats(mergeValueStats(a, b))).toEqual(profile([1, 2, 3, 10, 20], 'integer').stats);
+    expect(mergeValueStats(undefined, dates)).toEqual(dates);
+    expect(a.numbers.count).toBe(3);
+  });
+
+  it('should weigh capped samples equally when merging', () => {
+    const low = profile(Array.from({ length: 4000 }, (_, i) => i), 'integer').raw;
+    const high = profile(Array.from({ length: 1000 }, (_, i) => 4000 + i), 'integer').raw;
+
+    const { numbers } = finaliseValueStats(mergeValueStats(low, high));
+
+    expect(numbers.p50).toBeGreaterThan(2300);
+    expect(numbers.p50).toBeLessThan(2700);
+  });
+
+  describe('describeValueStats', () => {
+    it('should describe numbers with their distribution', () => {
+      expect(describeValueStats({ stats: { numbers: { min: 1, max: 30, mean: 20, p50: 20, p90: 28, p99: 30 } } }))
+        .toBe('1 – 30, mean 20, p50 20, p90 28, p99 30');
+    });
+
+    it('should prefer date ranges over string lengths', () => {
+      const stats = {
+        lengths: { min: 20, max: 20, mean: 20 },
+        dates: { earliest: '2024-01-01T00:00:00Z', latest: '2024-06-30T12:00:00Z' }
+      };
+
+      expect(describeValueStats({ stats })).toBe('2024-01-01 → 2024-06-30');
+    });
+
+    it('should describe string and array lengths', () => {
+      expect(describeValueStats({ stats: { lengths: { min: 3, max: 3, mean: 3 } } })).toBe('3 chars, mean 3');
+      expect(describeValueStats({ stats: { arrayLengths: { min: 0, max: 4, mean: 2, p50: 2, p90: 4, p99: 4 } } }))
+        .toBe('0 – 4 items, mean 2, p50 2, p90 4, p99 4');
+    });
+
+    it('should return null without stats', () => {
+      expect(describeValueStats({})).toBeNull();
+    });
+  });
+});
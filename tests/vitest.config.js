@@ -15,7 +15,7 @@ export default defineConfig({
       provider: 'v8',
       reporter: ['text', 'html'],
       include: ['src/**/*.js'],
-      exclude: ['src/index.js', 'src/cosmos/client.js']
+      exclude: ['src/cli.js', 'src/cosmos/client.js']
     }
   }
 });